@@ -4,17 +4,25 @@
  */
 class MuunedApp {
     constructor() {
-        this.binanceAPI = new BinanceAPI();
+        this.candleStore = CandleStore.isSupported() ? new CandleStore() : null;
+        this.fixtureServer = FixtureServer.isEnabled() ? new FixtureServer() : null;
+        this.providers = new Map(); // Provider id -> MarketDataProvider
+        this.marketDataProvider = this.getMarketDataProvider('binance');
         this.dataManager = new DataManager();
         this.scriptEditor = new ScriptEditor('script-editor'); // Back to original class name
         this.parameterForm = new ParameterForm();
         this.progressBar = null;
+        this.cacheManager = null;
         this.resultsDisplay = null;
         this.backtester = null;
+        this.workerPool = null;
         
         this.currentData = null;
         this.isRunning = false;
+        this.cancelRequested = false;
+        this.downloadController = null;
         this.marketDataCache = new Map(); // Add market data cache
+        this.marketDataSources = new Map(); // Cache key -> { cacheSymbol, interval, magnifierInterval } of downloaded data
 
         this.initializeApp();
     }
@@ -29,6 +37,10 @@ class MuunedApp {
             // Initialize core components
             this.dataManager = new DataManager();
             this.progressBar = new ProgressBar('progress-container');
+            this.progressBar.setStopHandler(() => this.cancelBacktest());
+            this.cacheManager = new CacheManager('cache-manager', this.candleStore);
+            this.cacheManager.on('purged', (dataset) => this.clearMarketDataCache(dataset));
+            this.parameterForm.on('providerChanged', (providerId) => this.selectProvider(providerId));
             this.resultsDisplay = new ResultsDisplay('results-display', 'results-container');
             this.backtester = new BacktestEngine();
             this.setupTabSwitching();
@@ -93,28 +105,74 @@ class MuunedApp {
         });
     }
 
+    /**
+     * Get (and create on first use) the data provider for an exchange
+     * @param {string} providerId - Provider id (e.g., 'binance')
+     * @returns {MarketDataProvider} Provider instance
+     */
+    getMarketDataProvider(providerId) {
+        if (!this.providers.has(providerId)) {
+            const options = { candleStore: this.candleStore };
+            if (this.fixtureServer) {
+                options.fetch = this.fixtureServer.fetch;
+                console.log(`[Muuned] ${providerId} requests are served from local fixtures`);
+            }
+            this.providers.set(providerId, createMarketDataProvider(providerId, options));
+        }
+        return this.providers.get(providerId);
+    }
+
+    /**
+     * Switch the market data provider, reloading its symbols and supported intervals
+     * @param {string} providerId - Provider id
+     */
+    async selectProvider(providerId) {
+        const provider = this.getMarketDataProvider(providerId);
+        this.marketDataProvider = provider;
+        console.log(`[Muuned] Market data provider: ${provider.name}`);
+        
+        this.parameterForm.setSupportedIntervals(provider.getSupportedIntervals());
+        
+        if (providerId === 'binance') {
+            // Binance keeps the curated reference list (with coin names)
+            this.parameterForm.setSymbolList(null, provider.getDefaultSymbol());
+        } else {
+            try {
+                const symbols = await provider.getSymbols();
+                this.parameterForm.setSymbolList(buildCoinList(symbols), provider.getDefaultSymbol());
+            } catch (error) {
+                console.warn(`[Muuned] Could not load ${provider.name} symbols:`, error);
+                const fallback = provider.getDefaultSymbol();
+                this.parameterForm.setSymbolList([{ symbol: fallback, name: fallback }], fallback);
+            }
+        }
+        
+        await this.checkAPIConnectivity();
+    }
+
     /**
      * Check API connectivity
      */
     async checkAPIConnectivity() {
         const statusElement = document.getElementById('data-status');
+        const provider = this.marketDataProvider;
         
         try {
             statusElement.innerHTML = '<span class="status-processing">⏳ Checking API...</span>';
             
-            const isConnected = await this.binanceAPI.checkConnectivity();
+            const isConnected = await provider.checkConnectivity();
             
             if (isConnected) {
-                statusElement.innerHTML = '<span class="status-ready">✅ Connected to Binance</span>';
+                statusElement.innerHTML = `<span class="status-ready">✅ Connected to ${provider.name}${this.fixtureServer ? ' (fixtures)' : ''}</span>`;
             } else {
                 statusElement.innerHTML = '<span class="status-loading">❌ API Unavailable</span>';
-                this.showWarning('Binance API is not accessible. Please check your internet connection.');
+                this.showWarning(`${provider.name} API is not accessible. Please check your internet connection.`);
             }
             
         } catch (error) {
             console.error('API connectivity check failed:', error);
             statusElement.innerHTML = '<span class="status-loading">❌ Connection Error</span>';
-            this.showWarning('Failed to connect to Binance API: ' + error.message);
+            this.showWarning(`Failed to connect to ${provider.name} API: ` + error.message);
         }
     }
 
@@ -155,6 +213,7 @@ class MuunedApp {
         
         try {
             this.isRunning = true;
+            this.cancelRequested = false;
             this.updateRunButtonState();
             
             // Reset and show progress bar immediately
@@ -174,28 +233,92 @@ class MuunedApp {
             // Get configuration 
             const marketConfig = this.parameterForm.getMarketDataConfig();
             const strategyParams = this.parameterForm.getStrategyParameters();
+            const search = this.parameterForm.getSearchConfig();
+            
+            // The objective (and its constraints) ranks the results and drives the searches
+            search.objective = BacktestEngine.createObjective(search.objective, search.objectiveExpression, search.constraints);
+            this.backtester.setObjective(search.objective);
 
             console.log('📊 Starting optimized backtest with config:', { marketConfig, strategyParams });
             
             // Step 1: Load and process market data (with pre-calculated arrays)
             await this.loadMarketData(marketConfig);
             
-            // Step 2: Generate parameter combinations
-            const parameterSets = this.generateParameterCombinations(strategyParams);
-            console.log(`🔄 Testing ${parameterSets.length} parameter combinations`);
+            // Evaluate a custom signal expression once up front so bad expressions fail fast
+            if (marketConfig.signalSource === 'custom') {
+                DataManager.getSignalPrices(this.currentData, 'custom', marketConfig.signalExpression);
+            }
             
-            // Step 3: Run optimized backtests
-            const results = await this.runParallelBacktests(parameterSets, marketConfig);
-
-            // Step 4: Display results
-            this.resultsDisplay.displayResults(results);
+            // Step 2: Generate parameter combinations (a parameter search draws from the grid instead)
+            const space = ParameterSearch.createSpace(strategyParams);
+            const parameterSets = search.method === 'grid' ? this.generateParameterCombinations(strategyParams) : null;
+            console.log(parameterSets
+                ? `🔄 Testing ${parameterSets.length} parameter combinations`
+                : `🔄 Searching ${space.size} parameter combinations with ${search.budget} backtests`);
             
-            console.log('✅ Backtest completed successfully');
-            this.showSuccess(`Completed ${parameterSets.length} backtests successfully!`);
+            if (marketConfig.optimizationMode === 'walkForward') {
+                await this.runWalkForward(parameterSets, space, search, marketConfig);
+                return;
+            }
+            
+            // Fail fast if the holdout leaves too few candles on either side
+            BacktestEngine.getHoldoutRanges(this.currentData.candles.length, marketConfig.holdoutPercent);
+            
+            // Step 3: Run optimized backtests (or the parameter search)
+            const searchReport = parameterSets ? null : await this.runParameterSearch(space, search, marketConfig);
+            const allResults = parameterSets
+                ? await this.runParallelBacktests(parameterSets, marketConfig)
+                : searchReport.results;
+            const total = parameterSets ? parameterSets.length : searchReport.budget;
+            const completed = parameterSets ? allResults.length : searchReport.evaluations;
+            
+            // Drop the results that fail the constraints and rank the rest by the objective
+            const { ranked: results, excluded } = this.backtester.rankResults(allResults);
+            const ranking = { objective: search.objective, excluded: excluded };
+            
+            // Buy and hold on the same candles and fees, as the baseline every result is measured against
+            let benchmark = null;
+            if (results.length > 0) {
+                benchmark = this.backtester.getBenchmarkResult(this.currentData, marketConfig, strategyParams.feesSlippage);
+                benchmark.objectiveScore = BacktestEngine.getObjectiveValue(benchmark, search.objective, false);
+            }
+
+            // Step 4: Display results (partial if the user pressed Stop)
+            if (this.cancelRequested) {
+                if (results.length > 0) {
+                    this.resultsDisplay.displayResults(results, {
+                        incomplete: true,
+                        completed: completed,
+                        total: total,
+                        search: searchReport,
+                        ranking: ranking
+                    }, benchmark);
+                }
+                console.log(`⏹️ Backtest stopped after ${completed}/${total} ${parameterSets ? 'combinations' : 'backtests'}`);
+                this.showWarning(`Backtest stopped: showing ${results.length} results after ${completed} of ${total} ${parameterSets ? 'combinations' : 'backtests'}`);
+            } else if (allResults.length > 0 && results.length === 0) {
+                console.log(`⚠️ All ${excluded} results failed the constraints`);
+                this.showWarning(`None of the ${excluded} results met the constraints: ${search.objective.constraints.join(', ')}`);
+            } else {
+                this.resultsDisplay.displayResults(results, { search: searchReport, ranking: ranking }, benchmark);
+                const failed = allResults.filter(result => result.error);
+                if (failed.length > 0) {
+                    console.log(`⚠️ ${failed.length} of ${completed} backtests failed`);
+                    this.showWarning(`${failed.length} of ${completed} backtests failed: ${failed[0].error}`);
+                } else {
+                    console.log('✅ Backtest completed successfully');
+                    this.showSuccess(`Completed ${completed} backtests successfully!`);
+                }
+            }
             
         } catch (error) {
-            console.error('❌ Backtest failed:', error);
-            this.showError('Backtest failed: ' + error.message);
+            if (error.name === 'AbortError') {
+                console.log('⏹️ Backtest cancelled');
+                this.showWarning('Backtest cancelled');
+            } else {
+                console.error('❌ Backtest failed:', error);
+                this.showError('Backtest failed: ' + error.message);
+            }
         } finally {
             this.isRunning = false;
             this.progressBar.hide();
@@ -206,11 +329,48 @@ class MuunedApp {
         }
     }
 
+    /**
+     * Stop the running backtest: abort the download and halt the batch loop
+     */
+    cancelBacktest() {
+        if (!this.isRunning || this.cancelRequested) return;
+        
+        console.log('⏹️ Stop requested');
+        this.cancelRequested = true;
+        this.progressBar.updateProgress(this.progressBar.getCurrentProgress(), 'Stopping...');
+        
+        if (this.downloadController) {
+            this.downloadController.abort();
+        }
+        if (this.workerPool) {
+            this.workerPool.cancel();
+        }
+        this.backtester.stop();
+    }
+
     /**
      * Generate cache key for market data
      */
     generateMarketDataCacheKey(config) {
-        return `${config.symbol}-${config.interval}-${config.startDate}-${config.endDate}`;
+        if (config.source === 'file') {
+            return `file-${config.importId}`;
+        }
+        const { cacheSymbol, interval, magnifierInterval } = this.getMarketDataSource(config);
+        const magnifier = magnifierInterval ? `-mag${magnifierInterval}` : '';
+        return `${cacheSymbol}-${interval}${magnifier}-${config.startDate}-${config.endDate}`;
+    }
+    
+    /**
+     * Persistent cache datasets a download reads (matched when a dataset is purged)
+     * @param {Object} config - Market data configuration
+     * @returns {Object} { cacheSymbol, interval, magnifierInterval } (magnifierInterval '' without a magnifier)
+     */
+    getMarketDataSource(config) {
+        return {
+            cacheSymbol: this.getMarketDataProvider(config.provider).getCacheSymbol(config.symbol),
+            interval: config.interval,
+            magnifierInterval: config.magnifierInterval || ''
+        };
     }
     
     async loadMarketData(config) {
@@ -232,20 +392,71 @@ class MuunedApp {
             return this.currentData;
         }
         
+        if (config.source === 'file') {
+            return this.loadImportedData(config, cacheKey);
+        }
+        
         // Data not cached, fetch from API
         this.progressBar.show();
         this.progressBar.updateProgress(0, 'Loading market data...');
         
-        // Fetch raw data from Binance
-        const rawData = await this.binanceAPI.fetchHistoricalData(
-            config.symbol,
-            config.interval,
-            config.startDate,
-            config.endDate,
-            (progress) => {
-                this.progressBar.updateProgress(progress * 0.3, `Loading data: ${Math.round(progress * 100)}%`);
+        // Fetch raw data from the selected exchange (abortable from the Stop button)
+        const provider = this.getMarketDataProvider(config.provider);
+        this.downloadController = new AbortController();
+        let rawData;
+        let fundingRates = null;
+        let magnifierData = null;
+        let symbolFilters = null;
+        let fetchStats = null;
+        try {
+            rawData = await provider.fetchHistoricalData(
+                config.symbol,
+                config.interval,
+                config.startDate,
+                config.endDate,
+                (progress) => {
+                    this.progressBar.updateProgress(progress * 0.3, `Loading data: ${Math.round(progress * 100)}%`);
+                },
+                {
+                    signal: this.downloadController.signal,
+                    onRetry: (info) => this.showDownloadRetry(info)
+                }
+            );
+            fetchStats = provider.lastFetchStats; // Before the magnifier download replaces them
+            
+            // Perpetual futures also settle funding on open positions
+            if (rawData && rawData.length > 0 && typeof provider.fetchFundingRates === 'function') {
+                this.progressBar.updateProgress(0.3, 'Loading funding rates...');
+                fundingRates = await provider.fetchFundingRates(
+                    config.symbol, config.startDate, config.endDate, this.downloadController.signal
+                );
+            }
+            
+            // Lower-timeframe bars for the bar magnifier (resolve fills inside each candle)
+            if (rawData && rawData.length > 0 && config.magnifierInterval) {
+                magnifierData = await provider.fetchHistoricalData(
+                    config.symbol,
+                    config.magnifierInterval,
+                    config.startDate,
+                    config.endDate,
+                    (progress) => {
+                        this.progressBar.updateProgress(0.3 + progress * 0.2, `Loading ${config.magnifierInterval} magnifier data: ${Math.round(progress * 100)}%`);
+                    },
+                    {
+                        signal: this.downloadController.signal,
+                        onRetry: (info) => this.showDownloadRetry(info)
+                    }
+                );
             }
-        );
+            
+            // Tick size, lot step and minimum order size (null for exchanges that publish none)
+            if (rawData && rawData.length > 0) {
+                this.progressBar.updateProgress(0.5, 'Loading trading rules...');
+                symbolFilters = await provider.getSymbolFilters(config.symbol);
+            }
+        } finally {
+            this.downloadController = null;
+        }
         
         if (!rawData || rawData.length === 0) {
             throw new Error('No market data loaded');
@@ -254,14 +465,84 @@ class MuunedApp {
         // Process data with pre-calculated arrays
         this.dataManager.setSymbol(config.symbol);
         this.currentData = this.dataManager.processMarketData(rawData);
+        if (fundingRates) {
+            this.currentData.fundingRates = fundingRates;
+        }
+        if (symbolFilters) {
+            this.currentData.symbolFilters = symbolFilters;
+        }
+        if (magnifierData && magnifierData.length > 0) {
+            this.currentData.magnifier = {
+                interval: config.magnifierInterval,
+                candles: magnifierData.map(bar => ({
+                    timestamp: bar.timestamp,
+                    open: bar.open,
+                    high: bar.high,
+                    low: bar.low,
+                    close: bar.close
+                }))
+            };
+        }
         
         // Cache the processed data
         this.marketDataCache.set(cacheKey, this.currentData);
+        this.marketDataSources.set(cacheKey, this.getMarketDataSource(config));
         console.log(`✅ Loaded, processed, and cached ${rawData.length} candles`);
         
         // Update data status
         const statusElement = document.getElementById('data-status');
-        statusElement.innerHTML = `<span class="status-ready">✅ ${rawData.length} candles processed</span>`;
+        const stats = fetchStats;
+        const sourceNote = stats && stats.cached > 0 ? ` (${stats.cached} from local cache)` : '';
+        const fundingNote = fundingRates ? `, ${fundingRates.length} funding rates` : '';
+        const magnifierNote = this.currentData.magnifier
+            ? `, ${this.currentData.magnifier.candles.length} ${config.magnifierInterval} magnifier bars`
+            : '';
+        const rulesNote = symbolFilters ? `, trading rules${symbolFilters.source === 'snapshot' ? ' (offline snapshot)' : ''}` : '';
+        statusElement.innerHTML = `<span class="status-ready">✅ ${rawData.length} candles processed${sourceNote}${fundingNote}${magnifierNote}${rulesNote}</span>`;
+        
+        this.cacheManager.refresh();
+        
+        return this.currentData;
+    }
+
+    /**
+     * Show retry/rate-limit waits of the market data download on the progress bar
+     * @param {Object} info - { type: 'retry'|'throttle', attempt, maxRetries, delayMs, reason }
+     */
+    showDownloadRetry(info) {
+        const seconds = Math.ceil(info.delayMs / 1000);
+        const message = info.type === 'throttle'
+            ? `Rate limit reached, waiting ${seconds}s...`
+            : `Retrying in ${seconds}s (attempt ${info.attempt}/${info.maxRetries}, ${info.reason})...`;
+        
+        this.progressBar.updateProgress(this.progressBar.getCurrentProgress(), `⚠️ ${message}`);
+    }
+
+    /**
+     * Process candles imported from a local file
+     */
+    loadImportedData(config, cacheKey) {
+        const imported = this.parameterForm.fileImportPanel.getImportedData();
+        if (!imported || imported.candles.length === 0) {
+            throw new Error('No data file imported');
+        }
+        
+        this.progressBar.updateProgress(0.3, 'Processing imported data...');
+        
+        this.dataManager.setSymbol(imported.symbol);
+        this.currentData = this.dataManager.processMarketData(imported.candles);
+        
+        // Only the latest import is kept in memory
+        for (const key of [...this.marketDataCache.keys()]) {
+            if (key.startsWith('file-')) {
+                this.marketDataCache.delete(key);
+            }
+        }
+        this.marketDataCache.set(cacheKey, this.currentData);
+        console.log(`✅ Processed ${imported.candles.length} candles from ${imported.fileName}`);
+        
+        const statusElement = document.getElementById('data-status');
+        statusElement.innerHTML = `<span class="status-ready">✅ ${imported.candles.length} candles imported</span>`;
         
         return this.currentData;
     }
@@ -299,29 +580,206 @@ class MuunedApp {
     }
 
     /**
-     * Run backtests using the optimized batch engine
+     * Run backtests on the worker pool, falling back to the main-thread batch engine
      */
     async runParallelBacktests(parameterSets, marketConfig) {
         console.log(`🔄 Starting optimized backtesting for ${parameterSets.length} combinations`);
         
         this.progressBar.updateProgress(0.3, 'Starting backtests...');
         
-        // Use the optimized batch engine with market config
-        const results = await this.backtester.runBatch(
-            this.currentData,
-            parameterSets,
-            marketConfig, // Pass market config
-            (progress, completed, total) => {
-                const overallProgress = 0.3 + (0.7 * progress);
-                this.progressBar.updateProgress(
-                    overallProgress, 
-                    `Processed ${completed}/${total} combinations`
-                );
+        const onProgress = (progress, completed, total) => {
+            const overallProgress = 0.3 + (0.7 * progress);
+            this.progressBar.updateProgress(
+                overallProgress, 
+                `Processed ${completed}/${total} combinations`
+            );
+        };
+        
+        let results = null;
+        
+        // Only workers that can't start fall back to the main thread; combinations that fail
+        // on a worker come back as failed results
+        let pool;
+        try {
+            pool = await this.startSharedWorkerPool(marketConfig);
+        } catch (error) {
+            return []; // Cancelled while the workers started
+        }
+        
+        if (pool) {
+            results = await this.runOnWorkerPool(pool, parameterSets, onProgress);
+        } else if (!this.cancelRequested) {
+            // Use the optimized batch engine with market config
+            results = await this.backtester.runBatch(
+                this.currentData,
+                parameterSets,
+                marketConfig, // Pass market config
+                onProgress
+            );
+        }
+        
+        console.log(`✅ Completed ${results ? results.length : 0}/${parameterSets.length} backtests`);
+        return results || [];
+    }
+
+    /**
+     * Parameter search mode: search the grid within the backtest budget (on the worker pool when available)
+     * @returns {Promise<Object>} Search report (see ParameterSearch.createReport)
+     */
+    async runParameterSearch(space, search, marketConfig) {
+        const pool = await this.startSharedWorkerPool(marketConfig);
+        const label = ParameterSearch.getMethodLabel(search.method);
+        
+        try {
+            return await this.searchParameters(space, search, marketConfig, pool, null, (progress, evaluations, budget) => {
+                this.progressBar.updateProgress(0.3 + 0.7 * progress, `${label}: ${evaluations}/${budget} backtests`);
+            });
+        } finally {
+            if (pool) {
+                pool.terminate();
+                this.workerPool = null;
+            }
+        }
+    }
+
+    /**
+     * Run a parameter search and draw its best-so-far curve under the progress bar
+     * @param {Object} space - Parameter grid (see ParameterSearch.createSpace)
+     * @param {Object} search - { method, objective, budget } from the strategy form, with the built objective
+     * @param {Object} marketConfig - Market configuration
+     * @param {BacktestWorkerPool} pool - Shared worker pool, or null to run on the main thread
+     * @param {Object} range - Candle range of the backtests (null = the whole data set, with its holdout)
+     * @param {Function} onProgress - Progress callback (progress, evaluations, budget)
+     * @returns {Promise<Object>} Search report
+     */
+    searchParameters(space, search, marketConfig, pool, range = null, onProgress = null) {
+        const candleCount = this.currentData.candles.length;
+        const holdout = BacktestEngine.getHoldoutRanges(candleCount, marketConfig.holdoutPercent);
+        const parameterSearch = new ParameterSearch({
+            method: search.method,
+            objective: search.objective,
+            budget: search.budget,
+            batchSize: pool ? pool.size : undefined
+        });
+        return parameterSearch.run(space, this.createBatchRunner(pool, marketConfig), {
+            range: range,
+            sampleRange: range || (holdout ? holdout.inSample : { start: 0, end: candleCount }),
+            onProgress: onProgress,
+            onEvaluate: history => this.progressBar.updateSearchCurve(history, search.objective.label),
+            isCancelled: () => this.cancelRequested
+        });
+    }
+
+    /**
+     * Batch runner for a shared pool: (parameterSets, range, onProgress) => Promise of results,
+     * on the main-thread batch engine without a pool
+     */
+    createBatchRunner(pool, marketConfig) {
+        return (parameterSets, range, onProgress) => pool
+            ? pool.run(parameterSets, onProgress, range)
+            : this.backtester.runBatch(this.currentData, parameterSets, marketConfig, onProgress, range);
+    }
+
+    /**
+     * Start a worker pool that serves several batches (walk-forward windows, search batches);
+     * workers get the market data once. When the workers can't start, the user is told the
+     * batches run on the main thread instead.
+     * @returns {Promise<BacktestWorkerPool|null>} The pool, or null when the batches run on the main thread
+     */
+    async startSharedWorkerPool(marketConfig) {
+        if (!BacktestWorkerPool.isSupported()) {
+            console.log('[Muuned] Web workers are not supported, running on main thread');
+            return null;
+        }
+        
+        try {
+            this.workerPool = new BacktestWorkerPool();
+            this.progressBar.updateProgress(0.3, `Starting ${this.workerPool.size} workers...`);
+            await this.workerPool.init(this.currentData, this.scriptEditor.getCurrentScript(), marketConfig);
+            return this.workerPool;
+        } catch (error) {
+            if (this.workerPool) {
+                this.workerPool.terminate();
+                this.workerPool = null;
+            }
+            if (this.cancelRequested) {
+                throw error;
+            }
+            console.warn('[Muuned] Worker pool unavailable, running on main thread:', error);
+            this.showWarning(`Web workers could not start (${error.message}); running the backtests on the main thread`);
+            return null;
+        }
+    }
+
+    /**
+     * Walk-forward mode: optimize the parameters on each in-sample window (the whole grid, or a
+     * parameter search) and trade the winner on the next out-of-sample window, then show the report
+     * @param {Array|null} parameterSets - Every combination, or null when a search picks them
+     */
+    async runWalkForward(parameterSets, space, search, marketConfig) {
+        const optimizer = new WalkForwardOptimizer({
+            windowMode: marketConfig.windowMode,
+            inSampleDays: marketConfig.inSampleDays,
+            outOfSampleDays: marketConfig.outOfSampleDays,
+            objective: search.objective,
+            searchMethod: search.method,
+            searchBudget: parameterSets ? null : search.budget,
+            engine: this.backtester
+        });
+        
+        // One pool serves every window
+        const pool = await this.startSharedWorkerPool(marketConfig);
+        const runBatch = this.createBatchRunner(pool, marketConfig);
+        const runGrid = (range, onProgress) => parameterSets
+            ? runBatch(parameterSets, range, onProgress)
+            : this.searchParameters(space, search, marketConfig, pool, range, onProgress).then(report => report.results);
+        
+        let report;
+        try {
+            report = await optimizer.run(
+                this.currentData,
+                space.size,
+                marketConfig,
+                runGrid,
+                (progress, message) => this.progressBar.updateProgress(0.3 + 0.7 * progress, message),
+                () => this.cancelRequested
+            );
+        } finally {
+            if (pool) {
+                pool.terminate();
+                this.workerPool = null;
             }
-        );
+        }
         
-        console.log(`✅ Completed ${parameterSets.length} backtests`);
-        return results;
+        if (report.windows.length > 0) {
+            this.resultsDisplay.displayWalkForward(report);
+        }
+        if (report.incomplete) {
+            console.log(`⏹️ Walk-forward stopped after ${report.windows.length}/${report.windowCount} windows`);
+            this.showWarning(`Walk-forward stopped: showing ${report.windows.length} of ${report.windowCount} windows`);
+        } else {
+            console.log('✅ Walk-forward completed successfully');
+            this.showSuccess(`Completed walk-forward over ${report.windowCount} windows`);
+        }
+    }
+
+    /**
+     * Run parameter sets across a started pool of web workers (see startSharedWorkerPool),
+     * then shut the pool down
+     */
+    async runOnWorkerPool(pool, parameterSets, onProgress) {
+        const performanceMonitor = new PerformanceMonitor();
+        
+        try {
+            const results = await pool.run(parameterSets, onProgress);
+            this.backtester.sortResults(results);
+            
+            performanceMonitor.generateSummary(parameterSets.length);
+            return results;
+        } finally {
+            pool.terminate();
+            this.workerPool = null;
+        }
     }
 
     /**
@@ -375,9 +833,21 @@ class MuunedApp {
         };
     }
     
-    // Add method to clear cache if needed
-    clearMarketDataCache() {
-        this.marketDataCache.clear();
+    // Add method to clear cache if needed (optionally only data read from one symbol/interval,
+    // as the main candles or as the bar magnifier's)
+    clearMarketDataCache(dataset = null) {
+        if (dataset) {
+            for (const [key, source] of this.marketDataSources) {
+                if (source.cacheSymbol === dataset.symbol &&
+                    (source.interval === dataset.interval || source.magnifierInterval === dataset.interval)) {
+                    this.marketDataCache.delete(key);
+                    this.marketDataSources.delete(key);
+                }
+            }
+        } else {
+            this.marketDataCache.clear();
+            this.marketDataSources.clear();
+        }
         console.log('[Muuned] Market data cache cleared');
     }
     setupTabSwitching() {
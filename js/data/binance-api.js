@@ -2,10 +2,58 @@
  * Binance API Client
  * Handles fetching market data from Binance public API
  */
-class BinanceAPI {
-    constructor() {
+class BinanceAPI extends MarketDataProvider {
+    constructor(options = {}) {
+        super(options);
+        this.id = 'binance';
+        this.name = 'Binance';
         this.baseUrl = 'https://api.binance.com/api/v3';
-        this.rateLimit = 100; // ms between requests
+        this.rateLimit = 100; // Minimum ms between requests
+        this.pageLimit = 1000;
+        this.weightLimit = 6000; // REQUEST_WEIGHT allowed per minute
+        this.weightReserve = 0.1; // Share of the limit left unused for other tabs/tools
+        this.requestWeight = 2; // Weight of one /klines request with limit 1000
+        this.usedWeight = null; // Last X-MBX-USED-WEIGHT-1M reading
+        this.usedWeightMinute = null; // Minute that reading belongs to
+        this.filterSnapshot = BINANCE_SYMBOL_FILTERS.spot; // Offline trading rules (see getSymbolFilters)
+        this.symbolFilters = new Map(); // Trading rules fetched (or taken from the snapshot) per symbol
+    }
+
+    /**
+     * Record the request weight Binance reports for the current minute
+     * @param {Response} response - Fetch response
+     */
+    onResponse(response) {
+        if (!response.headers) return;
+
+        const header = response.headers.get('X-MBX-USED-WEIGHT-1M') || response.headers.get('X-MBX-USED-WEIGHT');
+        const used = parseInt(header);
+        if (!isNaN(used)) {
+            this.usedWeight = used;
+            this.usedWeightMinute = Math.floor(Date.now() / 60000);
+        }
+    }
+
+    /**
+     * Pace requests so the reported weight stays under the per-minute limit
+     * @returns {number} Milliseconds to wait before the next request
+     */
+    getRateLimitWait() {
+        const now = Date.now();
+        if (this.usedWeight === null || Math.floor(now / 60000) !== this.usedWeightMinute) {
+            return 0; // Weight resets every minute
+        }
+
+        const msLeftInMinute = 60000 - (now % 60000);
+        const budget = this.weightLimit * (1 - this.weightReserve) - this.usedWeight;
+
+        if (budget < this.requestWeight) {
+            return msLeftInMinute + 500; // Wait for the next window
+        }
+
+        // Spread the remaining budget over the rest of the minute
+        const pacing = msLeftInMinute * this.requestWeight / budget;
+        return pacing - (now - this.lastRequestTime);
     }
 
     /**
@@ -15,26 +63,18 @@ class BinanceAPI {
      * @param {number} startTime - Start time in milliseconds
      * @param {number} endTime - End time in milliseconds
      * @param {number} limit - Maximum number of records (max 1000)
+     * @param {AbortSignal} signal - Optional signal to abort the request
      * @returns {Promise<Array>} Array of candlestick data
      */
-    async fetchKlines(symbol, interval, startTime, endTime, limit = 1000) {
-        const url = `${this.baseUrl}/klines`;
-        const params = new URLSearchParams({
-            symbol: symbol,
-            interval: interval,
-            startTime: startTime,
-            endTime: endTime,
-            limit: limit
-        });
-
+    async fetchKlines(symbol, interval, startTime, endTime, limit = 1000, signal = null) {
         try {
-            const response = await fetch(`${url}?${params}`);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const data = await response.json();
+            const data = await this.request('/klines', {
+                symbol: symbol,
+                interval: interval,
+                startTime: startTime,
+                endTime: endTime,
+                limit: limit
+            }, signal);
             
             return data.map(candle => ({
                 timestamp: parseInt(candle[0]),
@@ -51,93 +91,90 @@ class BinanceAPI {
             }));
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
             console.error('Error fetching data from Binance:', error);
             throw new Error(`Failed to fetch market data: ${error.message}`);
         }
     }
 
     /**
-     * Fetch historical data for a date range
-     * Handles pagination automatically for large date ranges
-     * @param {string} symbol - Trading pair
-     * @param {string} interval - Candlestick interval
-     * @param {Date|string} startDate - Start date
-     * @param {Date|string} endDate - End date
-     * @param {Function} onProgress - Progress callback function
-     * @returns {Promise<Array>} Complete historical data
+     * List tradable spot symbols
+     * @returns {Promise<Array>} Array of { symbol, base, quote }
      */
-    async fetchHistoricalData(symbol, interval, startDate, endDate, onProgress = null) {
-        const start = new Date(startDate).getTime();
-        const end = new Date(endDate).getTime();
-        const limit = 1000;
-
-        let allData = [];
-        let currentStart = start;
-        let totalRequests = Math.ceil((end - start) / this.getIntervalMs(interval) / limit);
-        let completedRequests = 0;
-
-        console.log(`Fetching ${symbol} ${interval} data from ${startDate} to ${endDate}`);
-        console.log(`Estimated ${totalRequests} API requests needed`);
-
-        while (currentStart < end) {
-            try {
-                const batch = await this.fetchKlines(symbol, interval, currentStart, end, limit);
-                
-                if (batch.length === 0) {
-                    console.log('No more data available');
-                    break;
-                }
-
-                allData = allData.concat(batch);
-                currentStart = batch[batch.length - 1].timestamp + 1;
-                completedRequests++;
-
-                // Update progress
-                if (onProgress) {
-                    const progress = Math.min(completedRequests / totalRequests, 1.0);
-                    onProgress(progress);
-                }
-
-                // Rate limiting
-                if (currentStart < end) {
-                    await this.sleep(this.rateLimit);
-                }
-
-            } catch (error) {
-                console.error(`Error fetching batch starting at ${new Date(currentStart)}:`, error);
-                throw error;
+    async getSymbols() {
+        const data = await this.request('/exchangeInfo', { permissions: 'SPOT' });
+        return data.symbols
+            .filter(info => info.status === 'TRADING')
+            .map(info => ({ symbol: info.symbol, base: info.baseAsset, quote: info.quoteAsset }));
+    }
+
+    /**
+     * Trading rules of a symbol from /exchangeInfo, fetched once per symbol
+     * Falls back to the bundled snapshot (BINANCE_SYMBOL_FILTERS) when the request fails.
+     * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
+     * @returns {Promise<Object|null>} { tickSize, minPrice, maxPrice, stepSize, minQty, maxQty, minNotional, source },
+     *                                 or null when neither source knows the symbol
+     */
+    async getSymbolFilters(symbol) {
+        if (this.symbolFilters.has(symbol)) {
+            return this.symbolFilters.get(symbol);
+        }
+
+        let filters = null;
+        try {
+            const data = await this.request('/exchangeInfo', { symbol: symbol });
+            const info = (data.symbols || []).find(candidate => candidate.symbol === symbol);
+            if (info) {
+                filters = { ...this.parseSymbolFilters(info.filters || []), source: 'exchange' };
             }
+        } catch (error) {
+            console.warn(`[Muuned] Could not load trading rules for ${symbol}, using the bundled snapshot:`, error.message);
         }
 
-        console.log(`Successfully fetched ${allData.length} candles`);
-        return allData;
+        if (!filters && this.filterSnapshot[symbol]) {
+            filters = { ...this.filterSnapshot[symbol], source: 'snapshot' };
+        }
+
+        this.symbolFilters.set(symbol, filters);
+        return filters;
     }
 
     /**
-     * Get interval duration in milliseconds
-     * @param {string} interval - Binance interval string
-     * @returns {number} Duration in milliseconds
+     * Read PRICE_FILTER, LOT_SIZE and MIN_NOTIONAL/NOTIONAL from a symbol's filter list
+     * (absent filters and zero limits come back as 0, meaning no restriction)
+     * @param {Array} filterList - exchangeInfo filters of one symbol
+     * @returns {Object} { tickSize, minPrice, maxPrice, stepSize, minQty, maxQty, minNotional }
      */
-    getIntervalMs(interval) {
-        const intervals = {
-            '1m': 60 * 1000,
-            '3m': 3 * 60 * 1000,
-            '5m': 5 * 60 * 1000,
-            '15m': 15 * 60 * 1000,
-            '30m': 30 * 60 * 1000,
-            '1h': 60 * 60 * 1000,
-            '2h': 2 * 60 * 60 * 1000,
-            '4h': 4 * 60 * 60 * 1000,
-            '6h': 6 * 60 * 60 * 1000,
-            '8h': 8 * 60 * 60 * 1000,
-            '12h': 12 * 60 * 60 * 1000,
-            '1d': 24 * 60 * 60 * 1000,
-            '3d': 3 * 24 * 60 * 60 * 1000,
-            '1w': 7 * 24 * 60 * 60 * 1000,
-            '1M': 30 * 24 * 60 * 60 * 1000
+    parseSymbolFilters(filterList) {
+        const byType = {};
+        for (const filter of filterList) {
+            byType[filter.filterType] = filter;
+        }
+        const price = byType.PRICE_FILTER || {};
+        const lot = byType.LOT_SIZE || {};
+        // Spot reports minNotional (MIN_NOTIONAL, or NOTIONAL on newer symbols); futures report notional
+        const notional = byType.NOTIONAL || byType.MIN_NOTIONAL || {};
+
+        return {
+            tickSize: parseFloat(price.tickSize) || 0,
+            minPrice: parseFloat(price.minPrice) || 0,
+            maxPrice: parseFloat(price.maxPrice) || 0,
+            stepSize: parseFloat(lot.stepSize) || 0,
+            minQty: parseFloat(lot.minQty) || 0,
+            maxQty: parseFloat(lot.maxQty) || 0,
+            minNotional: parseFloat(notional.minNotional || notional.notional) || 0
         };
+    }
 
-        return intervals[interval] || 60 * 60 * 1000; // Default to 1 hour
+    /**
+     * Binance candles keep their bare symbol in the cache (datasets created before providers existed)
+     * @param {string} symbol - Trading pair
+     * @returns {string} Cache symbol
+     */
+    getCacheSymbol(symbol) {
+        return symbol;
     }
 
     /**
@@ -159,22 +196,13 @@ class BinanceAPI {
         return ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w', '1M'];
     }
 
-    /**
-     * Sleep utility for rate limiting
-     * @param {number} ms - Milliseconds to sleep
-     * @returns {Promise} Promise that resolves after delay
-     */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
     /**
      * Check API connectivity
      * @returns {Promise<boolean>} Whether API is accessible
      */
     async checkConnectivity() {
         try {
-            const response = await fetch(`${this.baseUrl}/ping`);
+            const response = await this.fetchImpl(`${this.baseUrl}/ping`);
             return response.ok;
         } catch (error) {
             console.error('API connectivity check failed:', error);
@@ -0,0 +1,125 @@
+/**
+ * Binance USDⓈ-M Futures API Client
+ * Fetches perpetual contract candles (last price or mark price) and the historical
+ * funding rate series from the Binance futures public API (symbols such as 'BTCUSDT')
+ */
+class BinanceFuturesAPI extends BinanceAPI {
+    constructor(options = {}) {
+        super(options);
+        this.priceType = options.priceType || 'trade'; // 'trade' (last price) or 'mark' (mark price)
+        this.id = this.priceType === 'mark' ? 'binance-futures-mark' : 'binance-futures';
+        this.name = this.priceType === 'mark' ? 'Binance Futures (Mark Price)' : 'Binance Futures';
+        this.baseUrl = 'https://fapi.binance.com/fapi/v1';
+        this.weightLimit = 2400; // REQUEST_WEIGHT allowed per minute
+        this.requestWeight = 5; // Weight of one /klines or /markPriceKlines request with limit 1000
+        this.fundingPageLimit = 1000;
+        this.filterSnapshot = BINANCE_SYMBOL_FILTERS.futures;
+    }
+
+    /**
+     * Fetch futures kline data (last price or mark price, depending on priceType)
+     * Mark price klines carry no volume; those fields come back as 0.
+     * @param {string} symbol - Contract symbol (e.g., 'BTCUSDT')
+     * @param {string} interval - Candlestick interval (e.g., '1h', '4h', '1d')
+     * @param {number} startTime - Start time in milliseconds
+     * @param {number} endTime - End time in milliseconds
+     * @param {number} limit - Maximum number of records (max 1000)
+     * @param {AbortSignal} signal - Optional signal to abort the request
+     * @returns {Promise<Array>} Array of candlestick data
+     */
+    async fetchKlines(symbol, interval, startTime, endTime, limit = 1000, signal = null) {
+        const path = this.priceType === 'mark' ? '/markPriceKlines' : '/klines';
+        try {
+            const data = await this.request(path, {
+                symbol: symbol,
+                interval: interval,
+                startTime: startTime,
+                endTime: endTime,
+                limit: limit
+            }, signal);
+
+            return data.map(candle => this.createCandle({
+                timestamp: parseInt(candle[0]),
+                open: candle[1],
+                high: candle[2],
+                low: candle[3],
+                close: candle[4],
+                volume: candle[5],
+                closeTime: parseInt(candle[6]),
+                quoteVolume: candle[7],
+                trades: candle[8],
+                baseAssetVolume: candle[9],
+                quoteAssetVolume: candle[10]
+            }, interval));
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            console.error('Error fetching data from Binance Futures:', error);
+            throw new Error(`Failed to fetch market data: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch the funding rate history of a perpetual contract
+     * @param {string} symbol - Contract symbol (e.g., 'BTCUSDT')
+     * @param {Date|string|number} startDate - Start of the range
+     * @param {Date|string|number} endDate - End of the range
+     * @param {AbortSignal} signal - Optional signal to abort the download
+     * @returns {Promise<Array>} Array of { timestamp, rate, markPrice } sorted by timestamp
+     *                           (markPrice is null where Binance did not record it)
+     */
+    async fetchFundingRates(symbol, startDate, endDate, signal = null) {
+        const start = new Date(startDate).getTime();
+        const end = new Date(endDate).getTime();
+        const rates = [];
+        let currentStart = start;
+
+        while (currentStart <= end) {
+            this.throwIfAborted(signal);
+
+            const page = await this.request('/fundingRate', {
+                symbol: symbol,
+                startTime: currentStart,
+                endTime: end,
+                limit: this.fundingPageLimit
+            }, signal);
+
+            for (const entry of page) {
+                const markPrice = parseFloat(entry.markPrice);
+                rates.push({
+                    timestamp: parseInt(entry.fundingTime),
+                    rate: parseFloat(entry.fundingRate),
+                    markPrice: markPrice > 0 ? markPrice : null
+                });
+            }
+
+            if (page.length < this.fundingPageLimit) break;
+            currentStart = parseInt(page[page.length - 1].fundingTime) + 1;
+        }
+
+        console.log(`[Muuned] Loaded ${rates.length} funding rates for ${symbol}`);
+        return rates;
+    }
+
+    /**
+     * List perpetual contracts that are trading
+     * @returns {Promise<Array>} Array of { symbol, base, quote }
+     */
+    async getSymbols() {
+        const data = await this.request('/exchangeInfo');
+        return data.symbols
+            .filter(info => info.status === 'TRADING' && info.contractType === 'PERPETUAL')
+            .map(info => ({ symbol: info.symbol, base: info.baseAsset, quote: info.quoteAsset }));
+    }
+
+    /**
+     * Futures candles are cached under the provider id, apart from spot candles of the same symbol
+     * @param {string} symbol - Contract symbol
+     * @returns {string} Cache symbol
+     */
+    getCacheSymbol(symbol) {
+        return `${this.id}:${symbol}`;
+    }
+}
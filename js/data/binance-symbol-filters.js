@@ -0,0 +1,31 @@
+/**
+ * Binance Symbol Filters Snapshot
+ * Trading rules of common pairs from /exchangeInfo (PRICE_FILTER, LOT_SIZE and
+ * MIN_NOTIONAL/NOTIONAL), used when the live rules cannot be fetched. Binance
+ * changes these from time to time; live rules always take precedence.
+ * Each entry is { tickSize, minPrice, maxPrice, stepSize, minQty, maxQty, minNotional }
+ */
+const BINANCE_SYMBOL_FILTERS = {
+    spot: {
+        BTCUSDT: { tickSize: 0.01, minPrice: 0.01, maxPrice: 1000000, stepSize: 0.00001, minQty: 0.00001, maxQty: 9000, minNotional: 5 },
+        ETHUSDT: { tickSize: 0.01, minPrice: 0.01, maxPrice: 1000000, stepSize: 0.0001, minQty: 0.0001, maxQty: 9000, minNotional: 5 },
+        BNBUSDT: { tickSize: 0.01, minPrice: 0.01, maxPrice: 100000, stepSize: 0.001, minQty: 0.001, maxQty: 9000, minNotional: 5 },
+        SOLUSDT: { tickSize: 0.01, minPrice: 0.01, maxPrice: 10000, stepSize: 0.001, minQty: 0.001, maxQty: 9000, minNotional: 5 },
+        XRPUSDT: { tickSize: 0.0001, minPrice: 0.0001, maxPrice: 1000, stepSize: 0.1, minQty: 0.1, maxQty: 9000000, minNotional: 5 },
+        ADAUSDT: { tickSize: 0.0001, minPrice: 0.0001, maxPrice: 1000, stepSize: 0.1, minQty: 0.1, maxQty: 9000000, minNotional: 5 },
+        DOGEUSDT: { tickSize: 0.00001, minPrice: 0.00001, maxPrice: 1000, stepSize: 1, minQty: 1, maxQty: 9000000, minNotional: 1 },
+        LTCUSDT: { tickSize: 0.01, minPrice: 0.01, maxPrice: 100000, stepSize: 0.001, minQty: 0.001, maxQty: 90000, minNotional: 5 },
+        LINKUSDT: { tickSize: 0.01, minPrice: 0.01, maxPrice: 10000, stepSize: 0.01, minQty: 0.01, maxQty: 90000, minNotional: 5 },
+        DOTUSDT: { tickSize: 0.001, minPrice: 0.001, maxPrice: 10000, stepSize: 0.01, minQty: 0.01, maxQty: 90000, minNotional: 5 },
+        AVAXUSDT: { tickSize: 0.01, minPrice: 0.01, maxPrice: 10000, stepSize: 0.01, minQty: 0.01, maxQty: 90000, minNotional: 5 },
+        TRXUSDT: { tickSize: 0.0001, minPrice: 0.0001, maxPrice: 1000, stepSize: 0.1, minQty: 0.1, maxQty: 9000000, minNotional: 1 }
+    },
+    futures: {
+        BTCUSDT: { tickSize: 0.1, minPrice: 556.8, maxPrice: 4529764, stepSize: 0.001, minQty: 0.001, maxQty: 1000, minNotional: 100 },
+        ETHUSDT: { tickSize: 0.01, minPrice: 39.86, maxPrice: 306177, stepSize: 0.001, minQty: 0.001, maxQty: 10000, minNotional: 20 },
+        BNBUSDT: { tickSize: 0.01, minPrice: 6.6, maxPrice: 100000, stepSize: 0.01, minQty: 0.01, maxQty: 10000, minNotional: 5 },
+        SOLUSDT: { tickSize: 0.01, minPrice: 0.42, maxPrice: 6857, stepSize: 1, minQty: 1, maxQty: 1000000, minNotional: 5 },
+        XRPUSDT: { tickSize: 0.0001, minPrice: 0.0143, maxPrice: 100000, stepSize: 0.1, minQty: 0.1, maxQty: 10000000, minNotional: 5 },
+        DOGEUSDT: { tickSize: 0.00001, minPrice: 0.00244, maxPrice: 30, stepSize: 1, minQty: 1, maxQty: 50000000, minNotional: 5 }
+    }
+};
@@ -0,0 +1,118 @@
+/**
+ * Bybit API Client
+ * Fetches spot candles from the Bybit v5 public market API (symbols such as 'BTCUSDT')
+ */
+class BybitAPI extends MarketDataProvider {
+    constructor(options = {}) {
+        super(options);
+        this.id = 'bybit';
+        this.name = 'Bybit';
+        this.baseUrl = 'https://api.bybit.com/v5/market';
+        this.rateLimit = 100; // ms between requests
+        this.pageLimit = 1000;
+        this.windowedPages = true; // Bybit returns the newest candles of the span first
+    }
+
+    /**
+     * Fetch candles for one window
+     * @param {string} symbol - Trading pair (e.g., 'BTCUSDT')
+     * @param {string} interval - Candlestick interval
+     * @param {number} startTime - Start time in milliseconds
+     * @param {number} endTime - End time in milliseconds
+     * @param {number} limit - Maximum number of records (max 1000)
+     * @param {AbortSignal} signal - Optional signal to abort the request
+     * @returns {Promise<Array>} Candles sorted by timestamp
+     */
+    async fetchKlines(symbol, interval, startTime, endTime, limit = 1000, signal = null) {
+        try {
+            const data = await this.request('/kline', {
+                category: 'spot',
+                symbol: symbol,
+                interval: this.getIntervalCode(interval),
+                start: startTime,
+                end: endTime,
+                limit: limit
+            }, signal);
+
+            if (data.retCode !== 0) {
+                throw new Error(data.retMsg || `Bybit error ${data.retCode}`);
+            }
+
+            // Rows are [startTime (ms), open, high, low, close, volume, turnover], newest first
+            return data.result.list
+                .map(row => this.createCandle({
+                    timestamp: parseInt(row[0]),
+                    open: row[1],
+                    high: row[2],
+                    low: row[3],
+                    close: row[4],
+                    volume: row[5],
+                    quoteVolume: row[6]
+                }, interval))
+                .filter(candle => candle.timestamp >= startTime && candle.timestamp <= endTime)
+                .sort((a, b) => a.timestamp - b.timestamp);
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            console.error('Error fetching data from Bybit:', error);
+            throw new Error(`Failed to fetch market data: ${error.message}`);
+        }
+    }
+
+    /**
+     * List tradable spot symbols
+     * @returns {Promise<Array>} Array of { symbol, base, quote }
+     */
+    async getSymbols() {
+        const data = await this.request('/instruments-info', { category: 'spot' });
+        if (data.retCode !== 0) {
+            throw new Error(data.retMsg || `Bybit error ${data.retCode}`);
+        }
+
+        return data.result.list
+            .filter(instrument => instrument.status === 'Trading')
+            .map(instrument => ({ symbol: instrument.symbol, base: instrument.baseCoin, quote: instrument.quoteCoin }));
+    }
+
+    /**
+     * Get supported intervals
+     * @returns {Array} Array of supported interval strings
+     */
+    getSupportedIntervals() {
+        return ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '12h', '1d', '1w', '1M'];
+    }
+
+    /**
+     * Convert an interval to Bybit's interval code
+     * @param {string} interval - Candlestick interval
+     * @returns {string} Interval code ('60', 'D', ...)
+     */
+    getIntervalCode(interval) {
+        const codes = {
+            '1d': 'D',
+            '1w': 'W',
+            '1M': 'M'
+        };
+
+        if (!this.getSupportedIntervals().includes(interval)) {
+            throw new Error(`Bybit does not support ${interval} candles`);
+        }
+        return codes[interval] || String(this.getIntervalMs(interval) / 60000);
+    }
+
+    /**
+     * Check API connectivity
+     * @returns {Promise<boolean>} Whether API is accessible
+     */
+    async checkConnectivity() {
+        try {
+            const response = await this.fetchImpl(`${this.baseUrl}/time`);
+            return response.ok;
+        } catch (error) {
+            console.error('API connectivity check failed:', error);
+            return false;
+        }
+    }
+}
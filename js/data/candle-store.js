@@ -0,0 +1,281 @@
+/**
+ * Candle Store
+ * Persistent IndexedDB cache of candles keyed by symbol and interval.
+ * Each dataset records the time ranges it already covers, so callers can
+ * download only the missing spans and serve any sub-range locally.
+ */
+class CandleStore {
+    constructor(dbName = 'muuned-candles') {
+        this.dbName = dbName;
+        this.dbVersion = 1;
+        this.db = null;
+    }
+
+    /**
+     * Check whether IndexedDB is available
+     * @returns {boolean} True if the store can be used
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Build the dataset key for a symbol/interval pair
+     * @param {string} symbol - Trading pair
+     * @param {string} interval - Candlestick interval
+     * @returns {string} Dataset key
+     */
+    static datasetKey(symbol, interval) {
+        return `${symbol}-${interval}`;
+    }
+
+    /**
+     * Open (and create if needed) the database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    async open() {
+        if (this.db) return this.db;
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('datasets')) {
+                    db.createObjectStore('datasets', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('candles')) {
+                    db.createObjectStore('candles', { keyPath: ['key', 'timestamp'] });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.db;
+    }
+
+    /**
+     * Run a function inside a transaction and wait for it to complete
+     * @param {Array<string>} storeNames - Object stores to open
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the object stores, may return a value
+     * @returns {Promise<*>} Value returned by the callback (after commit)
+     */
+    async transaction(storeNames, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = storeNames.map(name => tx.objectStore(name));
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+            Promise.resolve(callback(...stores)).then(value => {
+                result = value;
+            }, error => {
+                tx.abort();
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request - Request to wait for
+     * @returns {Promise<*>} Request result
+     */
+    static promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get dataset metadata
+     * @param {string} symbol - Trading pair
+     * @param {string} interval - Candlestick interval
+     * @returns {Promise<Object|null>} Dataset record or null
+     */
+    async getDataset(symbol, interval) {
+        const key = CandleStore.datasetKey(symbol, interval);
+        return this.transaction(['datasets'], 'readonly', async (datasets) => {
+            const dataset = await CandleStore.promisify(datasets.get(key));
+            return dataset || null;
+        });
+    }
+
+    /**
+     * Find the spans of [start, end] not yet covered by the cache
+     * @param {string} symbol - Trading pair
+     * @param {string} interval - Candlestick interval
+     * @param {number} start - Start time in milliseconds (inclusive)
+     * @param {number} end - End time in milliseconds (inclusive)
+     * @returns {Promise<Array>} Array of [start, end] gaps
+     */
+    async getMissingRanges(symbol, interval, start, end) {
+        const dataset = await this.getDataset(symbol, interval);
+        const ranges = dataset ? dataset.ranges : [];
+        return CandleStore.subtractRanges(start, end, ranges);
+    }
+
+    /**
+     * Store candles and mark [coveredStart, coveredEnd] as fully downloaded
+     * @param {string} symbol - Trading pair
+     * @param {string} interval - Candlestick interval
+     * @param {Array} candles - Candle objects (may be empty for spans without data)
+     * @param {number} coveredStart - Start of the downloaded span
+     * @param {number} coveredEnd - End of the downloaded span
+     */
+    async saveCandles(symbol, interval, candles, coveredStart, coveredEnd) {
+        const key = CandleStore.datasetKey(symbol, interval);
+
+        await this.transaction(['datasets', 'candles'], 'readwrite', async (datasets, candleStore) => {
+            for (const candle of candles) {
+                candleStore.put({ key, ...candle });
+            }
+
+            const existing = await CandleStore.promisify(datasets.get(key));
+            const ranges = existing ? existing.ranges.slice() : [];
+            if (coveredEnd >= coveredStart) {
+                ranges.push([coveredStart, coveredEnd]);
+            }
+
+            const keyRange = IDBKeyRange.bound([key, -Infinity], [key, Infinity]);
+            const candleCount = await CandleStore.promisify(candleStore.count(keyRange));
+
+            datasets.put({
+                key,
+                symbol,
+                interval,
+                ranges: CandleStore.mergeRanges(ranges),
+                candleCount,
+                updatedAt: Date.now()
+            });
+        });
+    }
+
+    /**
+     * Read candles for a time range
+     * @param {string} symbol - Trading pair
+     * @param {string} interval - Candlestick interval
+     * @param {number} start - Start time in milliseconds (inclusive)
+     * @param {number} end - End time in milliseconds (inclusive)
+     * @returns {Promise<Array>} Candles sorted by timestamp
+     */
+    async getCandles(symbol, interval, start, end) {
+        const key = CandleStore.datasetKey(symbol, interval);
+
+        return this.transaction(['candles'], 'readonly', async (candleStore) => {
+            const keyRange = IDBKeyRange.bound([key, start], [key, end]);
+            const records = await CandleStore.promisify(candleStore.getAll(keyRange));
+
+            return records.map(record => {
+                const { key: _key, ...candle } = record;
+                return candle;
+            });
+        });
+    }
+
+    /**
+     * List all cached datasets
+     * @returns {Promise<Array>} Dataset records
+     */
+    async listDatasets() {
+        return this.transaction(['datasets'], 'readonly', (datasets) => {
+            return CandleStore.promisify(datasets.getAll());
+        });
+    }
+
+    /**
+     * Delete one dataset and all its candles
+     * @param {string} symbol - Trading pair
+     * @param {string} interval - Candlestick interval
+     */
+    async deleteDataset(symbol, interval) {
+        const key = CandleStore.datasetKey(symbol, interval);
+
+        await this.transaction(['datasets', 'candles'], 'readwrite', (datasets, candleStore) => {
+            datasets.delete(key);
+            candleStore.delete(IDBKeyRange.bound([key, -Infinity], [key, Infinity]));
+        });
+    }
+
+    /**
+     * Delete every cached dataset
+     */
+    async clearAll() {
+        await this.transaction(['datasets', 'candles'], 'readwrite', (datasets, candleStore) => {
+            datasets.clear();
+            candleStore.clear();
+        });
+    }
+
+    /**
+     * Get browser storage usage, if the browser reports it
+     * @returns {Promise<Object|null>} { usage, quota } in bytes or null
+     */
+    async getStorageEstimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+
+    /**
+     * Merge overlapping or touching [start, end] ranges
+     * @param {Array} ranges - Array of [start, end] pairs
+     * @returns {Array} Sorted, merged ranges
+     */
+    static mergeRanges(ranges) {
+        const sorted = ranges
+            .filter(([start, end]) => end >= start)
+            .map(([start, end]) => [start, end])
+            .sort((a, b) => a[0] - b[0]);
+
+        const merged = [];
+        for (const range of sorted) {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1] + 1) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push(range);
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Subtract covered ranges from [start, end]
+     * @param {number} start - Requested start (inclusive)
+     * @param {number} end - Requested end (inclusive)
+     * @param {Array} ranges - Covered [start, end] pairs
+     * @returns {Array} Uncovered [start, end] gaps
+     */
+    static subtractRanges(start, end, ranges) {
+        const gaps = [];
+        let cursor = start;
+
+        for (const [rangeStart, rangeEnd] of CandleStore.mergeRanges(ranges)) {
+            if (rangeEnd < cursor) continue;
+            if (rangeStart > end) break;
+
+            if (rangeStart > cursor) {
+                gaps.push([cursor, Math.min(rangeStart - 1, end)]);
+            }
+            cursor = Math.max(cursor, rangeEnd + 1);
+            if (cursor > end) break;
+        }
+
+        if (cursor <= end) {
+            gaps.push([cursor, end]);
+        }
+        return gaps;
+    }
+}
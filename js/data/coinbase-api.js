@@ -0,0 +1,111 @@
+/**
+ * Coinbase API Client
+ * Fetches candles from the Coinbase Exchange public API (products such as 'BTC-USD')
+ */
+class CoinbaseAPI extends MarketDataProvider {
+    constructor(options = {}) {
+        super(options);
+        this.id = 'coinbase';
+        this.name = 'Coinbase';
+        this.baseUrl = 'https://api.exchange.coinbase.com';
+        this.rateLimit = 150; // Public endpoints allow ~10 requests per second
+        this.pageLimit = 300;
+        this.windowedPages = true; // start/end may span at most 300 candles
+    }
+
+    /**
+     * Fetch candles for one window
+     * @param {string} symbol - Product id (e.g., 'BTC-USD')
+     * @param {string} interval - Candlestick interval
+     * @param {number} startTime - Start time in milliseconds
+     * @param {number} endTime - End time in milliseconds
+     * @param {number} limit - Maximum number of records (max 300)
+     * @param {AbortSignal} signal - Optional signal to abort the request
+     * @returns {Promise<Array>} Candles sorted by timestamp
+     */
+    async fetchKlines(symbol, interval, startTime, endTime, limit = 300, signal = null) {
+        const granularity = this.getGranularity(interval);
+
+        try {
+            const data = await this.request(`/products/${encodeURIComponent(symbol)}/candles`, {
+                granularity: granularity,
+                start: new Date(startTime).toISOString(),
+                end: new Date(endTime).toISOString()
+            }, signal);
+
+            // Rows are [time (s), low, high, open, close, volume], newest first
+            return data
+                .map(row => this.createCandle({
+                    timestamp: row[0] * 1000,
+                    low: row[1],
+                    high: row[2],
+                    open: row[3],
+                    close: row[4],
+                    volume: row[5]
+                }, interval))
+                .filter(candle => candle.timestamp >= startTime && candle.timestamp <= endTime)
+                .sort((a, b) => a.timestamp - b.timestamp)
+                .slice(0, limit);
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            console.error('Error fetching data from Coinbase:', error);
+            throw new Error(`Failed to fetch market data: ${error.message}`);
+        }
+    }
+
+    /**
+     * List tradable products
+     * @returns {Promise<Array>} Array of { symbol, base, quote }
+     */
+    async getSymbols() {
+        const products = await this.request('/products');
+        return products
+            .filter(product => product.status === 'online' && !product.trading_disabled)
+            .map(product => ({ symbol: product.id, base: product.base_currency, quote: product.quote_currency }));
+    }
+
+    /**
+     * Get supported intervals
+     * @returns {Array} Array of supported interval strings
+     */
+    getSupportedIntervals() {
+        return ['1m', '5m', '15m', '1h', '6h', '1d'];
+    }
+
+    /**
+     * Symbol preselected when this provider is chosen
+     * @returns {string} Product id
+     */
+    getDefaultSymbol() {
+        return 'BTC-USD';
+    }
+
+    /**
+     * Convert an interval to Coinbase granularity in seconds
+     * @param {string} interval - Candlestick interval
+     * @returns {number} Granularity in seconds
+     */
+    getGranularity(interval) {
+        if (!this.getSupportedIntervals().includes(interval)) {
+            throw new Error(`Coinbase does not support ${interval} candles`);
+        }
+        return this.getIntervalMs(interval) / 1000;
+    }
+
+    /**
+     * Check API connectivity
+     * @returns {Promise<boolean>} Whether API is accessible
+     */
+    async checkConnectivity() {
+        try {
+            const response = await this.fetchImpl(`${this.baseUrl}/time`);
+            return response.ok;
+        } catch (error) {
+            console.error('API connectivity check failed:', error);
+            return false;
+        }
+    }
+}
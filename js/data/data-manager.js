@@ -207,6 +207,276 @@ class DataManager {
         return stats;
     }
 
+    /**
+     * Pack processed data into columnar typed arrays for posting to a worker
+     * Every call creates fresh buffers, so each worker can take ownership of its own copy
+     * @param {Object} processedData - Processed data from processMarketData()
+     * @returns {Object} { payload, transferables }
+     */
+    static packForTransfer(processedData) {
+        const candles = processedData.candles;
+        const transferables = [];
+
+        const toColumn = (values) => {
+            const column = Float64Array.from(values);
+            transferables.push(column.buffer);
+            return column;
+        };
+
+        // Only numeric candle fields can travel as typed arrays
+        const candleFields = Object.keys(candles[0]).filter(key => typeof candles[0][key] === 'number');
+        const candleColumns = {};
+        for (const field of candleFields) {
+            candleColumns[field] = toColumn(candles.map(candle => candle[field]));
+        }
+
+        const priceColumns = {};
+        for (const [type, priceArray] of Object.entries(processedData.prices)) {
+            priceColumns[type] = toColumn(priceArray);
+        }
+
+        // Funding events of perpetual futures data (a missing mark price travels as NaN)
+        let fundingColumns = null;
+        if (processedData.fundingRates) {
+            const events = processedData.fundingRates;
+            fundingColumns = {
+                timestamp: toColumn(events.map(event => event.timestamp)),
+                rate: toColumn(events.map(event => event.rate)),
+                markPrice: toColumn(events.map(event => event.markPrice === null ? NaN : event.markPrice))
+            };
+        }
+
+        // Lower-timeframe bars of the bar magnifier (only the fields used to resolve fills)
+        let magnifierColumns = null;
+        if (processedData.magnifier) {
+            const bars = processedData.magnifier.candles;
+            magnifierColumns = { interval: processedData.magnifier.interval };
+            for (const field of ['timestamp', 'open', 'high', 'low', 'close']) {
+                magnifierColumns[field] = toColumn(bars.map(bar => bar[field]));
+            }
+        }
+
+        return {
+            payload: {
+                length: candles.length,
+                candleColumns,
+                priceColumns,
+                fundingColumns,
+                magnifierColumns,
+                symbolFilters: processedData.symbolFilters || null, // Plain object, copied by postMessage
+                metadata: processedData.metadata
+            },
+            transferables
+        };
+    }
+
+    /**
+     * Rebuild processed data from a packed payload (see packForTransfer)
+     * @param {Object} payload - Packed payload
+     * @returns {Object} Processed data with candle objects, plain price arrays, funding events, magnifier bars and trading rules (if any)
+     */
+    static unpackTransferred(payload) {
+        const { length, candleColumns, priceColumns, fundingColumns, magnifierColumns, symbolFilters, metadata } = payload;
+        const candleFields = Object.keys(candleColumns);
+
+        const candles = new Array(length);
+        for (let i = 0; i < length; i++) {
+            const candle = {};
+            for (const field of candleFields) {
+                candle[field] = candleColumns[field][i];
+            }
+            candles[i] = candle;
+        }
+
+        // Strategy scripts expect regular arrays, not typed arrays
+        const prices = {};
+        for (const [type, column] of Object.entries(priceColumns)) {
+            prices[type] = Array.from(column);
+        }
+
+        const processedData = { candles, prices, metadata };
+        if (fundingColumns) {
+            processedData.fundingRates = Array.from(fundingColumns.timestamp, (timestamp, i) => ({
+                timestamp,
+                rate: fundingColumns.rate[i],
+                markPrice: isNaN(fundingColumns.markPrice[i]) ? null : fundingColumns.markPrice[i]
+            }));
+        }
+        if (symbolFilters) {
+            processedData.symbolFilters = symbolFilters;
+        }
+        if (magnifierColumns) {
+            processedData.magnifier = {
+                interval: magnifierColumns.interval,
+                candles: Array.from(magnifierColumns.timestamp, (timestamp, i) => ({
+                    timestamp,
+                    open: magnifierColumns.open[i],
+                    high: magnifierColumns.high[i],
+                    low: magnifierColumns.low[i],
+                    close: magnifierColumns.close[i]
+                }))
+            };
+        }
+
+        return processedData;
+    }
+
+    /**
+     * Restrict a processed data set to candles [start, end), e.g. one walk-forward window.
+     * Funding events, magnifier bars and trading rules are shared (the backtester skips
+     * events before its first candle). Built once per range and reused by every run.
+     * @param {Object} processedData - Processed data from processMarketData()
+     * @param {number} start - First candle index
+     * @param {number} end - Candle index after the last
+     * @returns {Object} Processed data of the range
+     */
+    static getRange(processedData, start, end) {
+        if (start === 0 && end === processedData.candles.length) {
+            return processedData;
+        }
+
+        if (!processedData.ranges) {
+            processedData.ranges = {};
+        }
+        const key = `${start}:${end}`;
+        if (processedData.ranges[key]) {
+            return processedData.ranges[key];
+        }
+
+        const candles = processedData.candles.slice(start, end);
+        const prices = {};
+        for (const [type, priceArray] of Object.entries(processedData.prices)) {
+            prices[type] = priceArray.slice(start, end);
+        }
+
+        const range = {
+            candles,
+            prices,
+            metadata: {
+                ...processedData.metadata,
+                length: candles.length,
+                startDate: new Date(candles[0].timestamp),
+                endDate: new Date(candles[candles.length - 1].timestamp)
+            }
+        };
+        ['fundingRates', 'magnifier', 'symbolFilters'].forEach(field => {
+            if (processedData[field]) {
+                range[field] = processedData[field];
+            }
+        });
+
+        processedData.ranges[key] = range;
+        return range;
+    }
+
+    /**
+     * Build the read-only candle context handed to strategy scripts as `data`.
+     * Built once per processed data set (and symbol/interval) and reused by every run, so
+     * scripts get frozen copies of the candles rather than the ones the backtester fills against.
+     * @param {Object} processedData - Processed data from processMarketData()
+     * @param {Object} marketConfig - Market configuration ({ symbol, interval })
+     * @returns {Object} { open, high, low, close, volume, quoteVolume, trades, timestamps, hl2, hlc3, ohlc4, candles, length, symbol, interval }
+     */
+    static getScriptContext(processedData, marketConfig = {}) {
+        const symbol = marketConfig.symbol || processedData.metadata.symbol || null;
+        const interval = marketConfig.interval || null;
+
+        const cached = processedData.scriptContext;
+        if (cached && cached.symbol === symbol && cached.interval === interval) {
+            return cached;
+        }
+
+        const candles = processedData.candles;
+        const column = (field, fallback = 0) => Object.freeze(candles.map(candle => {
+            const value = candle[field];
+            return typeof value === 'number' && !isNaN(value) ? value : fallback;
+        }));
+        const copy = (values) => Object.freeze(Array.from(values));
+
+        const context = Object.freeze({
+            open: column('open'),
+            high: column('high'),
+            low: column('low'),
+            close: copy(processedData.prices.close),
+            volume: column('volume'),
+            quoteVolume: column('quoteVolume'),
+            trades: column('trades'),
+            timestamps: column('timestamp'),
+            hl2: copy(processedData.prices.hl2),
+            hlc3: copy(processedData.prices.hlc3),
+            ohlc4: copy(processedData.prices.ohlc4),
+            candles: Object.freeze(candles.map(candle => Object.freeze({ ...candle }))),
+            length: candles.length,
+            symbol,
+            interval
+        });
+
+        processedData.scriptContext = context;
+        return context;
+    }
+
+    /**
+     * Price series a strategy script can receive as signalPrices
+     * @returns {Array} Array of { id, label }
+     */
+    static getSignalSources() {
+        return [
+            { id: 'ohlc4', label: 'OHLC4' },
+            { id: 'close', label: 'Close' },
+            { id: 'hlc3', label: 'HLC3' },
+            { id: 'hl2', label: 'HL2' },
+            { id: 'custom', label: 'Custom Expression' }
+        ];
+    }
+
+    /**
+     * Compile a custom signal price expression such as '(high + low + 2 * close) / 4'
+     * @param {string} expression - Expression over open, high, low, close and volume
+     * @returns {Function} (open, high, low, close, volume) => price
+     */
+    static compileSignalExpression(expression) {
+        if (!expression || !expression.trim()) {
+            throw new Error('Custom signal expression is empty');
+        }
+        return new Function('open', 'high', 'low', 'close', 'volume', `return (${expression});`);
+    }
+
+    /**
+     * Get the signal price series for a source, computing custom expressions once per data set
+     * @param {Object} processedData - Processed data from processMarketData()
+     * @param {string} source - 'ohlc4', 'close', 'hlc3', 'hl2' or 'custom'
+     * @param {string} expression - Expression used when source is 'custom'
+     * @returns {Array} Signal prices, one per candle
+     */
+    static getSignalPrices(processedData, source = 'ohlc4', expression = '') {
+        if (source !== 'custom') {
+            const prices = processedData.prices[source];
+            if (!prices) {
+                throw new Error(`Unknown signal source: ${source}`);
+            }
+            return prices;
+        }
+
+        if (!processedData.customPrices) {
+            processedData.customPrices = {};
+        }
+        if (processedData.customPrices[expression]) {
+            return processedData.customPrices[expression];
+        }
+
+        const evaluate = DataManager.compileSignalExpression(expression);
+        const prices = processedData.candles.map((candle, i) => {
+            const value = evaluate(candle.open, candle.high, candle.low, candle.close, candle.volume);
+            if (typeof value !== 'number' || !isFinite(value)) {
+                throw new Error(`Signal expression returned ${value} at candle ${i}`);
+            }
+            return value;
+        });
+
+        processedData.customPrices[expression] = prices;
+        return prices;
+    }
+
     /**
      * Validate data integrity
      * @returns {Object} Validation result
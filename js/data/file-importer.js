@@ -0,0 +1,530 @@
+/**
+ * File Data Importer
+ * Turns local CSV/JSON exports into candles shaped like the Binance API output.
+ * Detects the delimiter, header row, column mapping, timestamp format and interval.
+ */
+class FileDataImporter {
+    constructor() {
+        this.sampleSize = 50; // Rows inspected when detecting formats
+    }
+
+    /**
+     * Candle fields that can be mapped to file columns
+     * @returns {Array<string>} Field names (timestamp, open, high, low and close are required)
+     */
+    static getFields() {
+        return ['timestamp', 'open', 'high', 'low', 'close', 'volume'];
+    }
+
+    /**
+     * Supported timestamp formats
+     * @returns {Object} Format id -> label
+     */
+    static getTimestampFormats() {
+        return {
+            'unix-s': 'Unix seconds',
+            'unix-ms': 'Unix milliseconds',
+            'unix-us': 'Unix microseconds',
+            'unix-ns': 'Unix nanoseconds',
+            'iso': 'ISO 8601 (YYYY-MM-DD hh:mm:ss)',
+            'ymd': 'YYYY/MM/DD hh:mm',
+            'dmy': 'DD/MM/YYYY hh:mm',
+            'mdy': 'MM/DD/YYYY hh:mm'
+        };
+    }
+
+    /**
+     * Read a File object as text
+     * @param {File} file - File selected by the user
+     * @returns {Promise<string>} File contents
+     */
+    static readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error || new Error('Failed to read file'));
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Parse file contents into a table of raw values
+     * @param {string} text - File contents
+     * @param {string} fileName - File name (used to pick CSV or JSON)
+     * @returns {Object} { format, headers, rows, hasHeader }
+     */
+    parse(text, fileName = '') {
+        const trimmed = text.trim();
+        if (trimmed.length === 0) {
+            throw new Error('File is empty');
+        }
+
+        const looksLikeJson = fileName.toLowerCase().endsWith('.json') || trimmed[0] === '[' || trimmed[0] === '{';
+        const table = looksLikeJson ? this.parseJSON(trimmed) : this.parseCSV(trimmed);
+
+        if (table.rows.length === 0) {
+            throw new Error('File contains no data rows');
+        }
+        return table;
+    }
+
+    /**
+     * Parse CSV/TSV text
+     * @param {string} text - CSV contents
+     * @returns {Object} { format, headers, rows, hasHeader, delimiter }
+     */
+    parseCSV(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+        const delimiter = this.detectDelimiter(lines.slice(0, 10));
+        let rows = lines.map(line => this.splitCSVLine(line, delimiter));
+
+        // Skip banner lines some vendors put above the header (e.g. a source URL)
+        const width = Math.max(...rows.slice(0, 10).map(row => row.length));
+        while (rows.length > 0 && rows[0].length < Math.min(5, width)) {
+            rows.shift();
+        }
+        if (rows.length === 0) {
+            throw new Error('Could not find any CSV rows');
+        }
+
+        // A first row without any numbers is a header; Binance kline dumps have none
+        const isNumber = value => !isNaN(Number(value)) || (delimiter !== ',' && /^[-+]?\d+,\d+$/.test(value));
+        const hasHeader = !rows[0].some(value => value !== '' && isNumber(value));
+        const headers = hasHeader
+            ? rows[0].map((name, index) => name || `Column ${index + 1}`)
+            : rows[0].map((_, index) => `Column ${index + 1}`);
+
+        if (hasHeader) {
+            rows = rows.slice(1);
+        }
+
+        return { format: 'csv', headers, rows, hasHeader, delimiter };
+    }
+
+    /**
+     * Pick the most frequent delimiter in the first lines
+     * @param {Array<string>} lines - Sample lines
+     * @returns {string} Delimiter character
+     */
+    detectDelimiter(lines) {
+        const candidates = [',', ';', '\t', '|'];
+        let best = ',';
+        let bestCount = 0;
+
+        for (const delimiter of candidates) {
+            const count = lines.reduce((sum, line) => sum + line.split(delimiter).length - 1, 0);
+            if (count > bestCount) {
+                best = delimiter;
+                bestCount = count;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Pick a numeric column's decimal separator from all of its values. Files delimited by ';',
+     * tabs or '|' may use a single comma as the decimal point (e.g. "42123,5"); otherwise commas
+     * can only be thousands separators (e.g. "42,123.5"). A lone "1,234" reads either way and
+     * settles nothing, so a column whose commas are all like it is left undecided.
+     * @param {Array<string>} values - Column values
+     * @param {string} delimiter - Field delimiter of the file (undefined for JSON)
+     * @param {string} column - Column name, for error messages
+     * @returns {boolean|null} Whether the column uses decimal commas, null when every comma is ambiguous
+     */
+    detectDecimalComma(values, delimiter, column) {
+        if (!delimiter || delimiter === ',') {
+            return false;
+        }
+
+        let decimalComma = false;
+        let decimalPoint = false;
+        let ambiguous = false;
+        for (const value of values) {
+            const text = String(value).trim();
+            if (/^[-+]?[1-9]\d{0,2},\d{3}$/.test(text)) {
+                ambiguous = true;
+            } else if (/^[-+]?\d+,\d+$/.test(text)) {
+                decimalComma = true; // Not 3 digits after the comma, or no valid leading group
+            } else if (/\d\.\d/.test(text) || /^[-+]?[1-9]\d{0,2}(,\d{3}){2,}$/.test(text)) {
+                decimalPoint = true; // A decimal point, or several thousands groups
+            }
+        }
+
+        if (decimalComma && decimalPoint) {
+            throw new Error(`Column "${column}" mixes decimal commas and decimal points`);
+        }
+        if (decimalComma || decimalPoint) {
+            return decimalComma;
+        }
+        return ambiguous ? null : false;
+    }
+
+    /**
+     * Read a number that may use a decimal comma or thousands separators
+     * @param {string} value - Raw value
+     * @param {boolean} decimalComma - Whether the column uses decimal commas (see detectDecimalComma)
+     * @returns {number} The number, or NaN when the commas are neither
+     */
+    parseNumber(value, decimalComma) {
+        const text = String(value).trim();
+        if (decimalComma && /^[-+]?\d+,\d+$/.test(text)) {
+            return parseFloat(text.replace(',', '.'));
+        }
+        if (!decimalComma && /^[-+]?\d{1,3}(,\d{3})+(\.\d*)?$/.test(text)) {
+            return parseFloat(text.replace(/,/g, ''));
+        }
+        return text.includes(',') ? NaN : parseFloat(text);
+    }
+
+    /**
+     * Split one CSV line, honouring double-quoted fields
+     * @param {string} line - CSV line
+     * @param {string} delimiter - Field delimiter
+     * @returns {Array<string>} Field values
+     */
+    splitCSVLine(line, delimiter) {
+        const values = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (inQuotes) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                values.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        values.push(current.trim());
+        return values;
+    }
+
+    /**
+     * Parse JSON: an array of kline arrays or of candle objects,
+     * optionally wrapped in { data: [...] } / { candles: [...] }
+     * @param {string} text - JSON contents
+     * @returns {Object} { format, headers, rows, hasHeader }
+     */
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        if (!Array.isArray(data)) {
+            data = data && (data.candles || data.data || data.klines || data.results);
+        }
+        if (!Array.isArray(data) || data.length === 0) {
+            throw new Error('JSON must contain an array of candles');
+        }
+
+        if (Array.isArray(data[0])) {
+            const width = data[0].length;
+            return {
+                format: 'json',
+                headers: Array.from({ length: width }, (_, index) => `Column ${index + 1}`),
+                rows: data.map(row => row.map(value => String(value))),
+                hasHeader: false
+            };
+        }
+
+        if (typeof data[0] !== 'object' || data[0] === null) {
+            throw new Error('JSON candles must be arrays or objects');
+        }
+
+        const headers = Object.keys(data[0]);
+        return {
+            format: 'json',
+            headers,
+            rows: data.map(item => headers.map(key => item[key] === undefined || item[key] === null ? '' : String(item[key]))),
+            hasHeader: true
+        };
+    }
+
+    /**
+     * Guess which column holds each candle field
+     * @param {Object} table - Parsed table from parse()
+     * @returns {Object} Field -> column index (-1 when not found)
+     */
+    guessColumnMapping(table) {
+        const aliases = {
+            timestamp: ['timestamp', 'time', 'date', 'datetime', 'opentime', 'open_time', 'unix', 'ts', 'starttime', 't'],
+            open: ['open', 'o', 'openprice'],
+            high: ['high', 'h', 'highprice'],
+            low: ['low', 'l', 'lowprice'],
+            close: ['close', 'c', 'closeprice', 'last'],
+            volume: ['volume', 'vol', 'v', 'basevolume']
+        };
+
+        const normalized = table.headers.map(name => String(name).toLowerCase().replace(/[^a-z0-9_]/g, ''));
+        const mapping = {};
+
+        for (const field of FileDataImporter.getFields()) {
+            const names = aliases[field].map(alias => alias.replace(/_/g, ''));
+            const compact = normalized.map(name => name.replace(/_/g, ''));
+
+            let index = compact.findIndex(name => names.includes(name));
+            if (index === -1 && field === 'volume') {
+                // e.g. "Volume BTC" / "Volume USDT": take the first (base asset) one
+                index = compact.findIndex(name => name.startsWith('volume'));
+            }
+            mapping[field] = index;
+        }
+
+        // Headerless files are assumed to follow the Binance kline column order
+        if (!table.hasHeader) {
+            FileDataImporter.getFields().forEach((field, index) => {
+                mapping[field] = index < table.headers.length ? index : -1;
+            });
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Detect the timestamp format from sample values
+     * @param {Array<string>} values - Raw timestamp values
+     * @returns {string|null} Format id or null if unrecognised
+     */
+    detectTimestampFormat(values) {
+        const sample = values.filter(value => value !== '' && value !== undefined).slice(0, this.sampleSize);
+        if (sample.length === 0) return null;
+
+        if (sample.every(value => /^-?\d+(\.\d+)?$/.test(value))) {
+            const magnitude = Math.abs(Number(sample[0]));
+            if (magnitude < 1e11) return 'unix-s';
+            if (magnitude < 1e14) return 'unix-ms';
+            if (magnitude < 1e17) return 'unix-us';
+            return 'unix-ns';
+        }
+
+        if (sample.every(value => /^\d{4}-\d{2}-\d{2}/.test(value))) {
+            return 'iso';
+        }
+        if (sample.every(value => /^\d{4}\/\d{1,2}\/\d{1,2}/.test(value))) {
+            return 'ymd';
+        }
+
+        const slashDates = sample.map(value => value.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4})/));
+        if (slashDates.every(match => match)) {
+            // Day-first unless only the middle part ever exceeds 12
+            if (slashDates.some(match => Number(match[2]) > 12)) return 'mdy';
+            return 'dmy';
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert a raw timestamp to milliseconds (UTC)
+     * @param {string} value - Raw value
+     * @param {string} format - Format id from detectTimestampFormat()
+     * @returns {number} Milliseconds since epoch (NaN if invalid)
+     */
+    parseTimestamp(value, format) {
+        if (value === '' || value === undefined) return NaN;
+
+        switch (format) {
+            case 'unix-s': return Math.round(Number(value) * 1000);
+            case 'unix-ms': return Math.round(Number(value));
+            case 'unix-us': return Math.round(Number(value) / 1000);
+            case 'unix-ns': return Math.round(Number(value) / 1e6);
+            case 'iso': {
+                let iso = value.trim().replace(' ', 'T');
+                if (/^\d{4}-\d{2}-\d{2}$/.test(iso)) {
+                    iso += 'T00:00:00';
+                }
+                // Timestamps without an offset are read as UTC, like exchange exports
+                if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(iso)) {
+                    iso += 'Z';
+                }
+                return Date.parse(iso);
+            }
+            case 'ymd':
+            case 'dmy':
+            case 'mdy': {
+                const match = value.trim().match(/^(\d{1,4})[\/.-](\d{1,2})[\/.-](\d{1,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?/i);
+                if (!match) return NaN;
+
+                let year, month, day;
+                if (format === 'ymd') {
+                    [year, month, day] = [match[1], match[2], match[3]].map(Number);
+                } else if (format === 'dmy') {
+                    [day, month, year] = [match[1], match[2], match[3]].map(Number);
+                } else {
+                    [month, day, year] = [match[1], match[2], match[3]].map(Number);
+                }
+
+                let hours = Number(match[4] || 0);
+                const meridiem = match[7] ? match[7].toUpperCase() : null;
+                if (meridiem === 'PM' && hours < 12) hours += 12;
+                if (meridiem === 'AM' && hours === 12) hours = 0;
+
+                return Date.UTC(year, month - 1, day, hours, Number(match[5] || 0), Number(match[6] || 0));
+            }
+            default:
+                return NaN;
+        }
+    }
+
+    /**
+     * Detect the candle interval from the most common spacing between timestamps
+     * @param {Array<number>} timestamps - Sorted timestamps in milliseconds
+     * @returns {Object} { interval, intervalMs }
+     */
+    detectInterval(timestamps) {
+        const counts = new Map();
+        for (let i = 1; i < timestamps.length; i++) {
+            const diff = timestamps[i] - timestamps[i - 1];
+            if (diff > 0) {
+                counts.set(diff, (counts.get(diff) || 0) + 1);
+            }
+        }
+
+        if (counts.size === 0) {
+            throw new Error('Need at least two candles with distinct timestamps to detect the interval');
+        }
+
+        let intervalMs = 0;
+        let bestCount = 0;
+        counts.forEach((count, diff) => {
+            if (count > bestCount) {
+                intervalMs = diff;
+                bestCount = count;
+            }
+        });
+
+        return { interval: FileDataImporter.formatInterval(intervalMs), intervalMs };
+    }
+
+    /**
+     * Format an interval duration using Binance-style labels (e.g. '15m', '4h', '1d')
+     * @param {number} intervalMs - Interval in milliseconds
+     * @returns {string} Interval label
+     */
+    static formatInterval(intervalMs) {
+        const minute = 60 * 1000;
+        const hour = 60 * minute;
+        const day = 24 * hour;
+
+        // Month-length gaps vary (28-31 days), so treat them as one label
+        if (intervalMs >= 28 * day && intervalMs <= 31 * day) return '1M';
+        if (intervalMs % (7 * day) === 0) return `${intervalMs / (7 * day)}w`;
+        if (intervalMs % day === 0) return `${intervalMs / day}d`;
+        if (intervalMs % hour === 0) return `${intervalMs / hour}h`;
+        if (intervalMs % minute === 0) return `${intervalMs / minute}m`;
+        return `${Math.round(intervalMs / 1000)}s`;
+    }
+
+    /**
+     * Build candles from a parsed table
+     * @param {Object} table - Parsed table from parse()
+     * @param {Object} mapping - Field -> column index
+     * @param {Object} options - { timestampFormat } to override detection
+     * @returns {Object} { candles, interval, intervalMs, timestampFormat, skippedRows, duplicateRows }
+     */
+    buildCandles(table, mapping, options = {}) {
+        for (const field of ['timestamp', 'open', 'high', 'low', 'close']) {
+            if (mapping[field] === undefined || mapping[field] < 0) {
+                throw new Error(`Select a column for "${field}"`);
+            }
+        }
+
+        const rawTimestamps = table.rows.map(row => row[mapping.timestamp]);
+        const timestampFormat = options.timestampFormat || this.detectTimestampFormat(rawTimestamps);
+        if (!timestampFormat) {
+            throw new Error(`Unrecognised timestamp format (e.g. "${rawTimestamps[0]}")`);
+        }
+
+        // Each price and volume column keeps one decimal separator throughout; a column whose
+        // commas are all ambiguous ("1,234") follows the columns that do show a separator
+        const columns = {};
+        const decimalCommas = {};
+        for (const field of ['open', 'high', 'low', 'close', 'volume']) {
+            const index = mapping[field];
+            if (index !== undefined && index >= 0) {
+                columns[field] = table.rows.map(row => row[index]);
+                decimalCommas[field] = this.detectDecimalComma(columns[field], table.delimiter, table.headers[index]);
+            }
+        }
+        const settled = new Set(Object.keys(decimalCommas)
+            .filter(field => decimalCommas[field] !== null && columns[field].some(value => /\d[.,]\d/.test(String(value))))
+            .map(field => decimalCommas[field]));
+        for (const field of Object.keys(decimalCommas).filter(field => decimalCommas[field] === null)) {
+            if (settled.size !== 1) {
+                throw new Error(`Column "${table.headers[mapping[field]]}" has values like "1,234" that may use a decimal comma or a thousands separator; re-export the file with decimal points`);
+            }
+            decimalCommas[field] = [...settled][0];
+        }
+
+        const readNumber = (row, field) => {
+            const index = mapping[field];
+            if (index === undefined || index < 0) return NaN;
+            return this.parseNumber(row[index], decimalCommas[field]);
+        };
+
+        let skippedRows = 0;
+        const byTimestamp = new Map();
+
+        for (const row of table.rows) {
+            const timestamp = this.parseTimestamp(row[mapping.timestamp], timestampFormat);
+            const open = readNumber(row, 'open');
+            const high = readNumber(row, 'high');
+            const low = readNumber(row, 'low');
+            const close = readNumber(row, 'close');
+            const volume = readNumber(row, 'volume');
+
+            if (![timestamp, open, high, low, close].every(Number.isFinite)) {
+                skippedRows++;
+                continue;
+            }
+
+            // Later rows win when a timestamp appears twice
+            byTimestamp.set(timestamp, {
+                timestamp,
+                open,
+                high: Math.max(high, open, close),
+                low: Math.min(low, open, close),
+                close,
+                volume: Number.isFinite(volume) ? volume : 0
+            });
+        }
+
+        const duplicateRows = table.rows.length - skippedRows - byTimestamp.size;
+        const sorted = Array.from(byTimestamp.values()).sort((a, b) => a.timestamp - b.timestamp);
+
+        if (sorted.length < 2) {
+            throw new Error('File needs at least two valid candles');
+        }
+
+        const { interval, intervalMs } = this.detectInterval(sorted.map(candle => candle.timestamp));
+
+        // Match the fields BinanceAPI.fetchKlines returns (quote volume estimated from the close)
+        const candles = sorted.map(candle => ({
+            ...candle,
+            closeTime: candle.timestamp + intervalMs - 1,
+            quoteVolume: candle.volume * candle.close,
+            trades: 0,
+            baseAssetVolume: 0,
+            quoteAssetVolume: 0
+        }));
+
+        return { candles, interval, intervalMs, timestampFormat, skippedRows, duplicateRows };
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * Binance Fixture
+ * Sample BTCUSDT 1h klines (2024-01-01 to 2024-01-02 UTC) in the /api/v3/klines wire format,
+ * served with Binance's paging rules: ascending from startTime, at most `limit` rows.
+ * 15m klines (for the bar magnifier) are synthesized from the 1h rows, see splitBinanceFixtureHour.
+ */
+const BINANCE_FIXTURE_KLINES = [
+    [1704067200000, "42283.58000000", "42321.85000000", "41940.36000000", "42104.80000000", "501.41080000", 1704070799999, "21156622.56325200", 26559, "247.23101249", "10431712.31479285", "0"],
+    [1704070800000, "42104.80000000", "42252.03000000", "41467.08000000", "41694.66000000", "700.57745000", 1704074399999, "29354005.99908850", 11816, "372.12687166", "15592015.44814318", "0"],
+    [1704074400000, "41694.66000000", "41712.14000000", "41605.60000000", "41628.26000000", "994.32686000", 1704077999999, "41425108.70481560", 36094, "519.35150321", "21636941.87695424", "0"],
+    [1704078000000, "41628.26000000", "41930.67000000", "41470.75000000", "41693.65000000", "1216.19567000", 1704081599999, "50667873.07906485", 11027, "631.41723311", "26305444.93495473", "0"],
+    [1704081600000, "41693.65000000", "41870.22000000", "41449.43000000", "41770.80000000", "465.21575000", 1704085199999, "19414488.35254375", 37130, "230.22196317", "9607674.76678331", "0"],
+    [1704085200000, "41770.80000000", "41875.85000000", "41268.74000000", "41403.06000000", "1199.27917000", 1704088799999, "49874338.89324810", 27358, "704.56871961", "29300850.02260089", "0"],
+    [1704088800000, "41403.06000000", "41762.43000000", "41258.58000000", "41717.19000000", "1294.47886000", 1704092399999, "53798703.23145749", 21202, "558.15661182", "23197058.55698888", "0"],
+    [1704092400000, "41717.19000000", "41895.43000000", "41174.23000000", "41314.13000000", "1266.61343000", 1704095999999, "52584292.51131381", 25266, "645.53854270", "26799958.65573058", "0"],
+    [1704096000000, "41314.13000000", "41599.45000000", "41236.26000000", "41493.00000000", "1219.78661000", 1704099599999, "50503514.19326466", 23849, "493.13451937", "20417527.12636693", "0"],
+    [1704099600000, "41493.00000000", "41554.85000000", "41310.55000000", "41355.16000000", "1491.76148000", 1704103199999, "61794846.88843840", 11682, "835.19459176", "34597167.58478307", "0"],
+    [1704103200000, "41355.16000000", "41559.58000000", "41138.01000000", "41429.03000000", "1421.22341000", 1704106799999, "58827414.40294395", 18435, "774.95618968", "32077060.22406093", "0"],
+    [1704106800000, "41429.03000000", "41555.61000000", "41301.78000000", "41537.37000000", "630.94695000", 1704110399999, "26173698.51624000", 20208, "265.34752274", "11007464.35548953", "0"],
+    [1704110400000, "41537.37000000", "41659.23000000", "41180.74000000", "41190.43000000", "1335.50220000", 1704113999999, "55241579.45058000", 34053, "734.39165241", "30377302.87113294", "0"],
+    [1704114000000, "41190.43000000", "41443.13000000", "40988.18000000", "41247.84000000", "876.17131000", 1704117599999, "36115023.51001684", 20474, "374.87002268", "15451818.07245220", "0"],
+    [1704117600000, "41247.84000000", "41485.10000000", "41134.94000000", "41341.26000000", "1575.95489000", 1704121199999, "65078348.00284950", 39955, "941.33343291", "38871940.51197320", "0"],
+    [1704121200000, "41341.26000000", "41514.16000000", "41096.97000000", "41113.00000000", "1423.62307000", 1704124799999, "58691893.37788911", 19145, "624.91513228", "25763457.39731696", "0"],
+    [1704124800000, "41113.00000000", "41504.01000000", "40910.25000000", "41258.17000000", "798.43374000", 1704128399999, "32883960.66563790", 21641, "458.92483931", "18901087.97812162", "0"],
+    [1704128400000, "41258.17000000", "41728.12000000", "41025.31000000", "41641.42000000", "897.64975000", 1704131999999, "37207398.11930125", 29018, "364.08561216", "15091273.98656551", "0"],
+    [1704132000000, "41641.42000000", "41656.15000000", "41068.57000000", "41258.75000000", "581.07631000", 1704135599999, "24085662.44098635", 17113, "257.15878332", "10659253.42693542", "0"],
+    [1704135600000, "41258.75000000", "41485.71000000", "41035.04000000", "41157.65000000", "632.91280000", 1704139199999, "26081197.24496000", 22161, "316.60347879", "13046659.47456640", "0"],
+    [1704139200000, "41157.65000000", "41424.90000000", "40955.33000000", "41206.49000000", "1609.57826000", 1704142799999, "66285764.57379820", 18123, "889.67177973", "36638525.50968887", "0"],
+    [1704142800000, "41206.49000000", "41655.71000000", "41037.69000000", "41410.61000000", "932.61782000", 1704146399999, "38525089.84836101", 16561, "433.85181554", "17921789.41467706", "0"],
+    [1704146400000, "41410.61000000", "41454.39000000", "41006.53000000", "41063.68000000", "726.67052000", 1704149999999, "29965817.60046540", 24891, "369.78122944", "15248722.17658033", "0"],
+    [1704150000000, "41063.68000000", "41435.26000000", "40994.22000000", "41389.98000000", "603.94695000", 1704153599999, "24898818.23666850", 26517, "342.34068476", "14113621.21272433", "0"],
+    [1704153600000, "41389.98000000", "41530.63000000", "41024.15000000", "41260.10000000", "1366.69112000", 1704157199999, "56478565.20164480", 25891, "563.32398257", "23279386.11283204", "0"],
+    [1704157200000, "41260.10000000", "41869.83000000", "41076.96000000", "41705.93000000", "1039.30121000", 1704160799999, "43113347.68394815", 37540, "569.52086023", "23625442.38765381", "0"],
+    [1704160800000, "41705.93000000", "42206.46000000", "41506.27000000", "41986.16000000", "949.33047000", 1704164399999, "39725725.56749115", 22073, "550.17574028", "23022678.78553324", "0"],
+    [1704164400000, "41986.16000000", "42107.46000000", "41778.85000000", "41879.47000000", "666.85335000", 1704167999999, "27963038.15768025", 15840, "355.09605198", "14890177.05484582", "0"],
+    [1704168000000, "41879.47000000", "41907.09000000", "41669.06000000", "41819.79000000", "543.33144000", 1704171599999, "22738219.73136720", 27572, "305.90071156", "12801831.59545109", "0"],
+    [1704171600000, "41819.79000000", "41845.25000000", "41379.30000000", "41469.77000000", "435.70124000", 1704175199999, "18144682.28552720", 37650, "219.31116347", "9133165.15409893", "0"],
+    [1704175200000, "41469.77000000", "41563.38000000", "41022.35000000", "41179.10000000", "1737.65523000", 1704178799999, "71807620.60454504", 28735, "982.51881103", "40602034.74275326", "0"],
+    [1704178800000, "41179.10000000", "41209.45000000", "40835.78000000", "41044.85000000", "1790.34381000", 1704182399999, "73604569.95812476", 24269, "1030.58233201", "42369275.06919111", "0"],
+    [1704182400000, "41044.85000000", "41121.65000000", "40990.07000000", "41025.54000000", "1449.54349000", 1704185999999, "59482299.77313055", 33259, "617.72680217", "25348539.78374532", "0"],
+    [1704186000000, "41025.54000000", "41229.57000000", "40754.41000000", "40793.92000000", "432.33401000", 1704189599999, "17686667.61891730", 26309, "186.06241057", "7611762.97975028", "0"],
+    [1704189600000, "40793.92000000", "40962.82000000", "40435.56000000", "40658.57000000", "1461.40014000", 1704193199999, "59517340.14467429", 18767, "733.78275103", "29884216.09521827", "0"],
+    [1704193200000, "40658.57000000", "41338.52000000", "40488.73000000", "41125.49000000", "765.56128000", 1704196799999, "31305354.82859840", 21016, "439.86174626", "17986839.72403435", "0"],
+    [1704196800000, "41125.49000000", "41617.08000000", "41070.52000000", "41528.45000000", "1158.19397000", 1704200399999, "47864647.45237090", 25472, "643.14653776", "26579297.67172402", "0"],
+    [1704200400000, "41528.45000000", "41584.03000000", "41157.30000000", "41358.68000000", "1778.89647000", 1704203999999, "73723811.48271555", 36938, "928.06972781", "38462518.08888490", "0"],
+    [1704204000000, "41358.68000000", "41418.08000000", "40957.38000000", "41056.08000000", "1524.65649000", 1704207599999, "62827099.35289621", 15550, "846.50116507", "34882095.17955930", "0"],
+    [1704207600000, "41056.08000000", "41161.09000000", "41048.94000000", "41073.46000000", "439.11191000", 1704211199999, "18032029.58841070", 18155, "188.80077505", "7753060.40339958", "0"],
+    [1704211200000, "41073.46000000", "41121.18000000", "40897.07000000", "41046.10000000", "881.99329000", 1704214799999, "36214450.44887620", 35495, "377.76812852", "15511076.24814905", "0"],
+    [1704214800000, "41046.10000000", "41722.49000000", "40810.91000000", "41476.61000000", "910.49024000", 1704218399999, "37568061.01667520", 16224, "476.93322317", "19678911.03249903", "0"],
+    [1704218400000, "41476.61000000", "41593.59000000", "40997.33000000", "41080.58000000", "1075.71462000", 1704221999999, "44403988.13455890", 38501, "456.17541841", "18830280.34539562", "0"],
+    [1704222000000, "41080.58000000", "41189.76000000", "40856.48000000", "41189.29000000", "881.60966000", 1704225599999, "36264956.05947210", 30074, "363.53267553", "14953892.97838249", "0"],
+    [1704225600000, "41189.29000000", "41352.54000000", "40556.23000000", "40778.83000000", "1495.22404000", 1704229199999, "61280351.76880240", 33580, "802.13726796", "32874841.91833414", "0"],
+    [1704229200000, "40778.83000000", "40996.35000000", "40379.16000000", "40484.56000000", "1290.17911000", 1704232799999, "52422164.09289145", 11842, "653.01805526", "26533230.45101713", "0"],
+    [1704232800000, "40484.56000000", "41014.58000000", "40388.41000000", "40776.85000000", "961.94155000", 1704236399999, "39084363.34529275", 11782, "477.60148119", "19405284.88961345", "0"],
+    [1704236400000, "40776.85000000", "41038.67000000", "40745.77000000", "40996.85000000", "611.61098000", 1704239999999, "25006846.39761300", 38650, "339.62636627", "13886252.29363276", "0"]
+];
+
+/**
+ * Split a 1h kline into four 15m klines that reach its open, high, low and close
+ * The hour runs open -> low -> high -> close when it closed up, open -> high -> low -> close otherwise.
+ * @param {Array} row - 1h kline row
+ * @returns {Array} 15m kline rows
+ */
+function splitBinanceFixtureHour(row) {
+    const [open, high, low, close] = row.slice(1, 5).map(Number);
+    const first = close >= open ? low : high;
+    const second = close >= open ? high : low;
+    const path = [open, (open + first) / 2, first, second, close];
+    const quarterMs = 15 * 60 * 1000;
+
+    return [0, 1, 2, 3].map(q => {
+        const from = path[q];
+        const to = path[q + 1];
+        const share = (value) => (Number(value) / 4).toFixed(8);
+        return [
+            row[0] + q * quarterMs, from.toFixed(8), Math.max(from, to).toFixed(8), Math.min(from, to).toFixed(8), to.toFixed(8),
+            share(row[5]), row[0] + (q + 1) * quarterMs - 1, share(row[7]), Math.round(row[8] / 4), share(row[9]), share(row[10]), "0"
+        ];
+    });
+}
+
+const BINANCE_FIXTURE_KLINES_15M = BINANCE_FIXTURE_KLINES.flatMap(splitBinanceFixtureHour);
+
+MARKET_DATA_FIXTURES.binance = {
+    baseUrl: 'https://api.binance.com/api/v3',
+    routes: [
+        {
+            pattern: /^\/ping$/,
+            handler: () => ({ body: {} })
+        },
+        {
+            pattern: /^\/exchangeInfo$/,
+            handler: (params) => {
+                const symbols = [
+                    {
+                        symbol: 'BTCUSDT', status: 'TRADING', baseAsset: 'BTC', quoteAsset: 'USDT',
+                        filters: [
+                            { filterType: 'PRICE_FILTER', minPrice: '0.01000000', maxPrice: '1000000.00000000', tickSize: '0.01000000' },
+                            { filterType: 'LOT_SIZE', minQty: '0.00001000', maxQty: '9000.00000000', stepSize: '0.00001000' },
+                            { filterType: 'NOTIONAL', minNotional: '5.00000000', applyMinToMarket: true, maxNotional: '9000000.00000000' }
+                        ]
+                    },
+                    { symbol: 'ETHUSDT', status: 'TRADING', baseAsset: 'ETH', quoteAsset: 'USDT', filters: [] },
+                    { symbol: 'LUNAUSDT', status: 'BREAK', baseAsset: 'LUNA', quoteAsset: 'USDT', filters: [] }
+                ];
+                return { body: { symbols: params.symbol ? symbols.filter(info => info.symbol === params.symbol) : symbols } };
+            }
+        },
+        {
+            pattern: /^\/klines$/,
+            handler: (params) => {
+                if (params.symbol !== 'BTCUSDT') {
+                    return { status: 400, body: { code: -1121, msg: 'Invalid symbol.' } };
+                }
+                const rows = { '1h': BINANCE_FIXTURE_KLINES, '15m': BINANCE_FIXTURE_KLINES_15M }[params.interval];
+                if (!rows) {
+                    return { status: 200, body: [] };
+                }
+                const start = Number(params.startTime || 0);
+                const end = Number(params.endTime || Infinity);
+                const limit = Number(params.limit || 500);
+                return {
+                    body: rows.filter(row => row[0] >= start && row[0] <= end).slice(0, limit),
+                    headers: { 'X-MBX-USED-WEIGHT-1M': 2 }
+                };
+            }
+        }
+    ]
+};
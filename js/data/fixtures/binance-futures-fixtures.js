@@ -0,0 +1,187 @@
+/**
+ * Binance Futures Fixture
+ * Sample BTCUSDT perpetual 1h klines and mark price klines (2024-01-01 to 2024-01-02 UTC) in the
+ * /fapi/v1/klines and /fapi/v1/markPriceKlines wire formats, plus the 8-hourly funding rates
+ * of the same days from /fapi/v1/fundingRate (fundingTime carries Binance's few ms of settlement lag)
+ */
+const BINANCE_FUTURES_FIXTURE_KLINES = [
+    [1704067200000, "42300.5", "42338.8", "41957.1", "42121.6", "9376.382", 1704070799999, "395787093.46958554", 239168, "4623.220", "195151049.49666005", "0"],
+    [1704070800000, "42123.3", "42270.6", "41485.3", "41713.0", "13100.798", 1704074399999, "549161290.85815084", 106481, "6958.773", "291698902.38946605", "0"],
+    [1704074400000, "41714.6", "41732.1", "41625.5", "41648.2", "18593.912", 1704077999999, "775019725.14054883", 324983, "9711.873", "404804169.99812818", "0"],
+    [1704078000000, "41649.6", "41952.2", "41492.0", "41715.0", "22742.859", 1704081599999, "947975220.80122626", 99380, "11807.502", "492164135.87062973", "0"],
+    [1704081600000, "41716.3", "41893.0", "41472.0", "41793.5", "8699.535", 1704085199999, "363248239.92494804", 334307, "4305.151", "179761160.09307238", "0"],
+    [1704085200000, "41794.5", "41899.6", "41292.2", "41426.6", "22426.520", 1704088799999, "933180156.96456468", 246359, "13175.435", "548237278.52955389", "0"],
+    [1704088800000, "41427.3", "41786.9", "41282.8", "41741.7", "24206.755", 1704092399999, "1006625697.65668225", 190955, "10437.529", "434039369.92450964", "0"],
+    [1704092400000, "41742.1", "41920.4", "41198.8", "41338.8", "23685.671", 1704095999999, "983913404.19099772", 227531, "12071.571", "501458463.99595863", "0"],
+    [1704096000000, "41338.9", "41624.4", "41261.0", "41517.9", "22810.010", 1704099599999, "944982284.30409956", 214778, "9221.616", "382036809.35919338", "0"],
+    [1704099600000, "41517.7", "41579.6", "41335.1", "41379.8", "27895.940", 1704103199999, "1156250930.85053158", 105275, "15618.139", "647351830.10881186", "0"],
+    [1704103200000, "41379.2", "41583.8", "41161.9", "41453.1", "26576.878", 1704106799999, "1100712737.04065824", 166052, "14491.681", "600190049.38095701", "0"],
+    [1704106800000, "41452.3", "41579.0", "41325.0", "41560.7", "11798.708", 1704110399999, "489723084.93439710", 182009, "4961.999", "205955203.39060658", "0"],
+    [1704110400000, "41559.6", "41681.5", "41202.8", "41212.5", "24973.891", 1704113999999, "1033570295.80218554", 306614, "13733.124", "568359526.03901339", "0"],
+    [1704114000000, "41211.2", "41464.0", "41008.8", "41268.6", "16384.403", 1704117599999, "675690708.88033867", 184403, "7010.069", "289094368.27215654", "0"],
+    [1704117600000, "41267.1", "41504.5", "41154.1", "41360.6", "29470.356", 1704121199999, "1217533427.47439003", 359732, "17602.935", "727244750.62046111", "0"],
+    [1704121200000, "41359.0", "41531.9", "41114.6", "41130.6", "26621.751", 1704124799999, "1098008398.45473766", 172442, "11685.913", "481982961.65915132", "0"],
+    [1704124800000, "41129.0", "41520.1", "40926.1", "41274.2", "14930.711", 1704128399999, "615168857.27005160", 194906, "8581.894", "353587598.85469615", "0"],
+    [1704128400000, "41272.6", "41742.7", "41039.6", "41655.9", "16786.050", 1704131999999, "696021096.17586470", 261299, "6808.401", "282305283.18808526", "0"],
+    [1704132000000, "41654.4", "41669.1", "41081.4", "41271.6", "10866.127", 1704135599999, "450542185.99290687", 154154, "4808.869", "199390128.95615911", "0"],
+    [1704135600000, "41270.2", "41497.2", "41046.4", "41169.1", "11835.469", 1704139199999, "487853792.96723425", 199586, "5920.485", "244040265.88547868", "0"],
+    [1704139200000, "41167.9", "41435.2", "40965.5", "41216.7", "30099.113", 1704142799999, "1239851997.08123565", 163244, "16636.862", "685310780.00833452", "0"],
+    [1704142800000, "41215.8", "41665.1", "41047.0", "41420.0", "17439.953", 1704146399999, "720581767.85573375", 149186, "8113.029", "335213097.50357646", "0"],
+    [1704146400000, "41419.3", "41463.1", "41015.1", "41072.3", "13588.739", 1704149999999, "560478285.34654212", 224156, "6914.909", "285210895.06956673", "0"],
+    [1704150000000, "41071.9", "41443.6", "41002.5", "41398.3", "11293.808", 1704153599999, "465701610.10961723", 238790, "6401.771", "263977834.64054400", "0"],
+    [1704153600000, "41398.3", "41539.0", "41032.4", "41268.4", "25557.124", 1704157199999, "1056361209.25365007", 233156, "10534.158", "435411919.13885212", "0"],
+    [1704157200000, "41268.7", "41878.5", "41085.5", "41714.6", "19434.933", 1704160799999, "806387468.82115233", 337997, "10650.040", "441887761.22151816", "0"],
+    [1704160800000, "41715.2", "42215.9", "41515.5", "41995.5", "17752.480", 1704164399999, "743036957.95858479", 198794, "10288.286", "430620233.22633219", "0"],
+    [1704164400000, "41996.5", "42117.8", "41789.1", "41889.7", "12470.158", 1704167999999, "523037160.00177211", 142697, "6640.296", "278514654.76699013", "0"],
+    [1704168000000, "41890.9", "41918.6", "41680.5", "41831.2", "10160.298", 1704171599999, "425321107.35074866", 248285, "5720.343", "239459784.21583915", "0"],
+    [1704171600000, "41832.6", "41858.1", "41392.0", "41482.5", "8147.613", 1704175199999, "339409752.54243881", 338987, "4101.119", "170842634.56112048", "0"],
+    [1704175200000, "41484.0", "41577.7", "41036.5", "41193.3", "32494.153", 1704178799999, "1343264586.34091377", 258752, "18373.102", "759519323.21487010", "0"],
+    [1704178800000, "41194.9", "41225.2", "40851.4", "41060.6", "33479.429", 1704182399999, "1376933147.45870805", 218558, "19271.890", "792609199.53127027", "0"],
+    [1704182400000, "41062.2", "41139.1", "41007.4", "41042.9", "27106.463", 1704185999999, "1112789861.33897638", 299468, "11551.491", "474218350.31118917", "0"],
+    [1704186000000, "41044.5", "41248.6", "40773.3", "40812.8", "8084.646", 1704189599999, "330893588.62830508", 236918, "3479.367", "142405772.66253096", "0"],
+    [1704189600000, "40814.3", "40983.3", "40455.7", "40678.9", "27328.183", 1704193199999, "1113529437.49802899", 169040, "13721.737", "559113600.46824145", "0"],
+    [1704193200000, "40680.2", "41360.5", "40510.2", "41147.3", "14315.996", 1704196799999, "585721220.67163646", 189281, "8225.415", "336532640.39968801", "0"],
+    [1704196800000, "41148.5", "41640.3", "41093.5", "41551.7", "21658.227", 1704200399999, "895569012.40781975", 229385, "12026.840", "497310575.40839362", "0"],
+    [1704200400000, "41552.5", "41608.1", "41181.2", "41382.7", "33265.364", 1704203999999, "1379434526.97318482", 332579, "17354.904", "719666066.89579856", "0"],
+    [1704204000000, "41383.2", "41442.7", "40981.7", "41080.5", "28511.076", 1704207599999, "1175564139.93171597", 140087, "15829.572", "652682371.79557073", "0"],
+    [1704207600000, "41080.7", "41185.8", "41073.6", "41098.1", "8211.393", 1704211199999, "337401174.43877906", 163532, "3530.574", "145069176.64069217", "0"],
+    [1704211200000, "41098.0", "41145.8", "40921.5", "41070.6", "16493.275", 1704214799999, "677615108.18718505", 319592, "7064.264", "290230542.77062607", "0"],
+    [1704214800000, "41070.2", "41747.0", "40834.9", "41501.0", "17026.167", 1704218399999, "702935927.03007734", 146153, "8918.651", "368212071.51044989", "0"],
+    [1704218400000, "41500.3", "41617.3", "41020.7", "41104.0", "20115.863", 1704221999999, "830828643.97065485", 346646, "8530.480", "352327278.29833382", "0"],
+    [1704222000000, "41103.0", "41212.3", "40878.8", "41211.8", "16486.101", 1704225599999, "678525547.14898551", 270803, "6798.061", "279790726.85130054", "0"],
+    [1704225600000, "41210.6", "41373.9", "40577.2", "40799.9", "27960.690", 1704229199999, "1146535011.41103220", 302357, "14999.967", "615077364.37526298", "0"],
+    [1704229200000, "40798.5", "41016.1", "40398.6", "40504.1", "24126.349", 1704232799999, "980767385.81877756", 106715, "12211.438", "496410774.27599347", "0"],
+    [1704232800000, "40502.6", "41032.8", "40406.4", "40795.0", "17988.307", 1704236399999, "731202526.64365077", 106175, "8931.148", "363040155.37625760", "0"],
+    [1704236400000, "40793.4", "41055.3", "40762.3", "41013.5", "11437.125", 1704239999999, "467817395.98308504", 347987, "6351.013", "259778073.76124746", "0"]
+];
+
+const BINANCE_FUTURES_FIXTURE_MARK_KLINES = [
+    [1704067200000, "42294.15089500", "42326.08059793", "41957.13771676", "42115.32620000", "0", 1704070799999, "0", 3600, "0", "0", "0"],
+    [1704070800000, "42116.99918649", "42257.93220323", "41485.31628157", "41706.74035504", "0", 1704074399999, "0", 3600, "0", "0", "0"],
+    [1704074400000, "41708.33099808", "41719.55785697", "41625.48468303", "41641.90922660", "0", 1704077999999, "0", 3600, "0", "0", "0"],
+    [1704078000000, "41643.36808174", "41939.59595177", "41492.02378701", "41708.78181363", "0", 1704081599999, "0", 3600, "0", "0", "0"],
+    [1704081600000, "41710.05525126", "41880.41172226", "41471.95901859", "41787.23560756", "0", 1704085199999, "0", 3600, "0", "0", "0"],
+    [1704085200000, "41788.27248324", "41887.08242008", "41292.19537483", "41420.37865973", "0", 1704088799999, "0", 3600, "0", "0", "0"],
+    [1704088800000, "41421.12861904", "41774.38835260", "41282.77705467", "41735.39570783", "0", 1704092399999, "0", 3600, "0", "0", "0"],
+    [1704092400000, "41735.84133622", "41907.87390138", "41198.81748005", "41332.60113215", "0", 1704095999999, "0", 3600, "0", "0", "0"],
+    [1704096000000, "41332.71783526", "41611.92347999", "41261.00102232", "41511.66831150", "0", 1704099599999, "0", 3600, "0", "0", "0"],
+    [1704099600000, "41511.45482195", "41567.09633110", "41335.12301230", "41373.55351492", "0", 1704103199999, "0", 3600, "0", "0", "0"],
+    [1704103200000, "41373.01961811", "41571.29126965", "41161.94920620", "41446.92151957", "0", 1704106799999, "0", 3600, "0", "0", "0"],
+    [1704106800000, "41446.08630185", "41566.48250699", "41324.98173071", "41554.47090535", "0", 1704110399999, "0", 3600, "0", "0", "0"],
+    [1704110400000, "41553.36573531", "41669.02137180", "41202.77788948", "41206.29213127", "0", 1704113999999, "0", 3600, "0", "0", "0"],
+    [1704114000000, "41204.97435213", "41451.54491604", "41008.80333554", "41262.40462362", "0", 1704117599999, "0", 3600, "0", "0", "0"],
+    [1704117600000, "41260.91546752", "41492.02594078", "41154.15187544", "41354.36508144", "0", 1704121199999, "0", 3600, "0", "0", "0"],
+    [1704121200000, "41352.76213079", "41519.48137918", "41114.57042407", "41124.43862338", "0", 1704124799999, "0", 3600, "0", "0", "0"],
+    [1704124800000, "41122.79826277", "41507.67436508", "40926.13794233", "41268.00286043", "0", 1704128399999, "0", 3600, "0", "0", "0"],
+    [1704128400000, "41266.37591085", "41730.15891714", "41039.62461735", "41649.70213613", "0", 1704131999999, "0", 3600, "0", "0", "0"],
+    [1704132000000, "41648.14491907", "41656.62786631", "41081.36368650", "41265.41311943", "0", 1704135599999, "0", 3600, "0", "0", "0"],
+    [1704135600000, "41264.01578915", "41484.78110498", "41046.43327898", "41162.90288591", "0", 1704139199999, "0", 3600, "0", "0", "0"],
+    [1704139200000, "41161.70977006", "41422.77178354", "40965.51371878", "41210.55458761", "0", 1704142799999, "0", 3600, "0", "0", "0"],
+    [1704142800000, "41209.60870683", "41652.61387657", "41046.95205062", "41413.74415562", "0", 1704146399999, "0", 3600, "0", "0", "0"],
+    [1704146400000, "41413.08136803", "41450.64545120", "41015.12859929", "41066.13066339", "0", 1704149999999, "0", 3600, "0", "0", "0"],
+    [1704150000000, "41065.78499812", "41431.16843837", "41002.47088569", "41392.10172485", "0", 1704153599999, "0", 3600, "0", "0", "0"],
+    [1704153600000, "41392.08124835", "41526.50847798", "41032.38661113", "41262.19465472", "0", 1704157199999, "0", 3600, "0", "0", "0"],
+    [1704157200000, "41262.50196271", "41865.98661811", "41085.51320388", "41708.35791677", "0", 1704160799999, "0", 3600, "0", "0", "0"],
+    [1704160800000, "41708.98742289", "42203.22268316", "41515.53918292", "41989.23796629", "0", 1704164399999, "0", 3600, "0", "0", "0"],
+    [1704164400000, "41990.16745732", "42105.16231319", "41789.10509583", "41883.46727407", "0", 1704167999999, "0", 3600, "0", "0", "0"],
+    [1704168000000, "41884.65244506", "41905.98902156", "41680.46753998", "41824.96505985", "0", 1704171599999, "0", 3600, "0", "0", "0"],
+    [1704171600000, "41826.35903438", "41845.54526018", "41392.00771238", "41476.28405340", "0", 1704175199999, "0", 3600, "0", "0", "0"],
+    [1704175200000, "41477.81998321", "41565.21243727", "41036.46767840", "41187.09355925", "0", 1704178799999, "0", 3600, "0", "0", "0"],
+    [1704178800000, "41188.71046563", "41212.88468865", "40851.43713744", "41054.42913408", "0", 1704182399999, "0", 3600, "0", "0", "0"],
+    [1704182400000, "41056.06796143", "41126.71901828", "41007.42318046", "41036.75268381", "0", 1704185999999, "0", 3600, "0", "0", "0"],
+    [1704186000000, "41038.35261553", "41236.25996884", "40773.25301008", "40806.66027869", "0", 1704189599999, "0", 3600, "0", "0", "0"],
+    [1704189600000, "40808.14984410", "40970.96219394", "40455.73228974", "40672.75263096", "0", 1704193199999, "0", 3600, "0", "0", "0"],
+    [1704193200000, "40674.07706962", "41348.08325777", "40510.24791895", "41141.17515166", "0", 1704196799999, "0", 3600, "0", "0", "0"],
+    [1704196800000, "41142.29936846", "41627.84518425", "41093.46999641", "41545.42407174", "0", 1704200399999, "0", 3600, "0", "0", "0"],
+    [1704200400000, "41546.29650334", "41595.66010333", "41181.16325279", "41376.45354611", "0", 1704203999999, "0", 3600, "0", "0", "0"],
+    [1704204000000, "41377.02604600", "41430.23692702", "40981.69436797", "41074.29181750", "0", 1704207599999, "0", 3600, "0", "0", "0"],
+    [1704207600000, "41074.54327509", "41173.42355893", "41073.56017418", "41091.93109103", "0", 1704211199999, "0", 3600, "0", "0", "0"],
+    [1704211200000, "41091.85563827", "41133.42607116", "40921.52394619", "41064.48338451", "0", 1704214799999, "0", 3600, "0", "0", "0"],
+    [1704214800000, "41064.08418910", "41734.50943117", "40834.91546019", "41494.78281538", "0", 1704218399999, "0", 3600, "0", "0", "0"],
+    [1704218400000, "41494.06832562", "41604.85590018", "41020.73877518", "41097.87162876", "0", 1704221999999, "0", 3600, "0", "0", "0"],
+    [1704222000000, "41096.88403675", "41205.63718151", "40878.82600033", "41205.63718151", "0", 1704225599999, "0", 3600, "0", "0", "0"],
+    [1704225600000, "41204.40578728", "41361.51053997", "40577.19913176", "40793.79515525", "0", 1704229199999, "0", 3600, "0", "0", "0"],
+    [1704229200000, "40792.38584943", "41003.82666151", "40398.64187710", "40498.01802711", "0", 1704232799999, "0", 3600, "0", "0", "0"],
+    [1704232800000, "40496.48586002", "41020.50799294", "40406.36758248", "40788.86196222", "0", 1704236399999, "0", 3600, "0", "0", "0"],
+    [1704236400000, "40787.24626526", "41042.97564765", "40762.27176501", "41007.30235538", "0", 1704239999999, "0", 3600, "0", "0", "0"]
+];
+
+const BINANCE_FUTURES_FIXTURE_FUNDING = [
+    { symbol: 'BTCUSDT', fundingTime: 1704067200000, fundingRate: '0.00010000', markPrice: '42294.15089500' },
+    { symbol: 'BTCUSDT', fundingTime: 1704096000001, fundingRate: '0.00037874', markPrice: '41332.71783526' },
+    { symbol: 'BTCUSDT', fundingTime: 1704124800000, fundingRate: '0.00028512', markPrice: '41122.79826277' },
+    { symbol: 'BTCUSDT', fundingTime: 1704153600001, fundingRate: '0.00019311', markPrice: '41392.08124835' },
+    { symbol: 'BTCUSDT', fundingTime: 1704182400000, fundingRate: '-0.00002541', markPrice: '41056.06796143' },
+    { symbol: 'BTCUSDT', fundingTime: 1704211200001, fundingRate: '0.00010000', markPrice: '41091.85563827' }
+];
+
+/**
+ * Serve fixture klines with Binance's paging rules: ascending from startTime, at most `limit` rows
+ */
+function serveBinanceFuturesKlines(rows, params) {
+    if (params.symbol !== 'BTCUSDT') {
+        return { status: 400, body: { code: -1121, msg: 'Invalid symbol.' } };
+    }
+    if (params.interval !== '1h') {
+        return { status: 200, body: [] };
+    }
+    const start = Number(params.startTime || 0);
+    const end = Number(params.endTime || Infinity);
+    const limit = Number(params.limit || 500);
+    return {
+        body: rows.filter(row => row[0] >= start && row[0] <= end).slice(0, limit),
+        headers: { 'X-MBX-USED-WEIGHT-1M': 5 }
+    };
+}
+
+MARKET_DATA_FIXTURES.binanceFutures = {
+    baseUrl: 'https://fapi.binance.com/fapi/v1',
+    routes: [
+        {
+            pattern: /^\/ping$/,
+            handler: () => ({ body: {} })
+        },
+        {
+            pattern: /^\/exchangeInfo$/,
+            handler: () => ({
+                body: {
+                    symbols: [
+                        {
+                            symbol: 'BTCUSDT', status: 'TRADING', contractType: 'PERPETUAL', baseAsset: 'BTC', quoteAsset: 'USDT',
+                            filters: [
+                                { filterType: 'PRICE_FILTER', minPrice: '556.80', maxPrice: '4529764', tickSize: '0.10' },
+                                { filterType: 'LOT_SIZE', minQty: '0.001', maxQty: '1000', stepSize: '0.001' },
+                                { filterType: 'MIN_NOTIONAL', notional: '100' }
+                            ]
+                        },
+                        { symbol: 'ETHUSDT', status: 'TRADING', contractType: 'PERPETUAL', baseAsset: 'ETH', quoteAsset: 'USDT' },
+                        { symbol: 'BTCUSDT_240329', status: 'TRADING', contractType: 'CURRENT_QUARTER', baseAsset: 'BTC', quoteAsset: 'USDT' },
+                        { symbol: 'SRMUSDT', status: 'SETTLING', contractType: 'PERPETUAL', baseAsset: 'SRM', quoteAsset: 'USDT' }
+                    ]
+                }
+            })
+        },
+        {
+            pattern: /^\/klines$/,
+            handler: (params) => serveBinanceFuturesKlines(BINANCE_FUTURES_FIXTURE_KLINES, params)
+        },
+        {
+            pattern: /^\/markPriceKlines$/,
+            handler: (params) => serveBinanceFuturesKlines(BINANCE_FUTURES_FIXTURE_MARK_KLINES, params)
+        },
+        {
+            pattern: /^\/fundingRate$/,
+            handler: (params) => {
+                const start = Number(params.startTime || 0);
+                const end = Number(params.endTime || Infinity);
+                const limit = Number(params.limit || 100);
+                return {
+                    body: BINANCE_FUTURES_FIXTURE_FUNDING
+                        .filter(entry => params.symbol === undefined || entry.symbol === params.symbol)
+                        .filter(entry => entry.fundingTime >= start && entry.fundingTime <= end)
+                        .slice(0, limit)
+                };
+            }
+        }
+    ]
+};
@@ -0,0 +1,99 @@
+/**
+ * Bybit Fixture
+ * Sample BTCUSDT 1h spot klines (2024-01-01 to 2024-01-02 UTC) in the /v5/market/kline wire
+ * format ([start, open, high, low, close, volume, turnover]), returned newest first like the API
+ */
+const BYBIT_FIXTURE_KLINES = [
+    ["1704067200000", "42283.58", "42321.85", "41940.36", "42104.80", "167.136933", "7052207.52108400"],
+    ["1704070800000", "42104.80", "42252.03", "41467.08", "41694.66", "233.525817", "9784668.66636283"],
+    ["1704074400000", "41694.66", "41712.14", "41605.60", "41628.26", "331.442287", "13808369.56827187"],
+    ["1704078000000", "41628.26", "41930.67", "41470.75", "41693.65", "405.398557", "16889291.02635495"],
+    ["1704081600000", "41693.65", "41870.22", "41449.43", "41770.80", "155.071917", "6471496.11751459"],
+    ["1704085200000", "41770.80", "41875.85", "41268.74", "41403.06", "399.759723", "16624779.63108270"],
+    ["1704088800000", "41403.06", "41762.43", "41258.58", "41717.19", "431.492953", "17932901.07715250"],
+    ["1704092400000", "41717.19", "41895.43", "41174.23", "41314.13", "422.204477", "17528097.50377127"],
+    ["1704096000000", "41314.13", "41599.45", "41236.26", "41493.00", "406.595537", "16834504.73108822"],
+    ["1704099600000", "41493.00", "41554.85", "41310.55", "41355.16", "497.253827", "20598282.29614613"],
+    ["1704103200000", "41355.16", "41559.58", "41138.01", "41429.03", "473.741137", "19609138.13431465"],
+    ["1704106800000", "41429.03", "41555.61", "41301.78", "41537.37", "210.315650", "8724566.17208000"],
+    ["1704110400000", "41537.37", "41659.23", "41180.74", "41190.43", "445.167400", "18413859.81686000"],
+    ["1704114000000", "41190.43", "41443.13", "40988.18", "41247.84", "292.057103", "12038341.17000561"],
+    ["1704117600000", "41247.84", "41485.10", "41134.94", "41341.26", "525.318297", "21692782.66761650"],
+    ["1704121200000", "41341.26", "41514.16", "41096.97", "41113.00", "474.541023", "19563964.45929637"],
+    ["1704124800000", "41113.00", "41504.01", "40910.25", "41258.17", "266.144580", "10961320.22187930"],
+    ["1704128400000", "41258.17", "41728.12", "41025.31", "41641.42", "299.216583", "12402466.03976708"],
+    ["1704132000000", "41641.42", "41656.15", "41068.57", "41258.75", "193.692103", "8028554.14699545"],
+    ["1704135600000", "41258.75", "41485.71", "41035.04", "41157.65", "210.970933", "8693732.41498666"],
+    ["1704139200000", "41157.65", "41424.90", "40955.33", "41206.49", "536.526087", "22095254.85793273"],
+    ["1704142800000", "41206.49", "41655.71", "41037.69", "41410.61", "310.872607", "12841696.61612033"],
+    ["1704146400000", "41410.61", "41454.39", "41006.53", "41063.68", "242.223507", "9988605.86682180"],
+    ["1704150000000", "41063.68", "41435.26", "40994.22", "41389.98", "201.315650", "8299606.07888950"],
+    ["1704153600000", "41389.98", "41530.63", "41024.15", "41260.10", "455.563707", "18826188.40054826"],
+    ["1704157200000", "41260.10", "41869.83", "41076.96", "41705.93", "346.433737", "14371115.89464938"],
+    ["1704160800000", "41705.93", "42206.46", "41506.27", "41986.16", "316.443490", "13241908.52249705"],
+    ["1704164400000", "41986.16", "42107.46", "41778.85", "41879.47", "222.284450", "9321012.71922675"],
+    ["1704168000000", "41879.47", "41907.09", "41669.06", "41819.79", "181.110480", "7579406.57712240"],
+    ["1704171600000", "41819.79", "41845.25", "41379.30", "41469.77", "145.233747", "6048227.42850907"],
+    ["1704175200000", "41469.77", "41563.38", "41022.35", "41179.10", "579.218410", "23935873.53484835"],
+    ["1704178800000", "41179.10", "41209.45", "40835.78", "41044.85", "596.781270", "24534856.65270825"],
+    ["1704182400000", "41044.85", "41121.65", "40990.07", "41025.54", "483.181163", "19827433.25771018"],
+    ["1704186000000", "41025.54", "41229.57", "40754.41", "40793.92", "144.111337", "5895555.87297243"],
+    ["1704189600000", "40793.92", "40962.82", "40435.56", "40658.57", "487.133380", "19839113.38155810"],
+    ["1704193200000", "40658.57", "41338.52", "40488.73", "41125.49", "255.187093", "10435118.27619947"],
+    ["1704196800000", "41125.49", "41617.08", "41070.52", "41528.45", "386.064657", "15954882.48412363"],
+    ["1704200400000", "41528.45", "41584.03", "41157.30", "41358.68", "592.965490", "24574603.82757185"],
+    ["1704204000000", "41358.68", "41418.08", "40957.38", "41056.08", "508.218830", "20942366.45096540"],
+    ["1704207600000", "41056.08", "41161.09", "41048.94", "41073.46", "146.370637", "6010676.52947023"],
+    ["1704211200000", "41073.46", "41121.18", "40897.07", "41046.10", "293.997763", "12071483.48295873"],
+    ["1704214800000", "41046.10", "41722.49", "40810.91", "41476.61", "303.496747", "12522687.00555840"],
+    ["1704218400000", "41476.61", "41593.59", "40997.33", "41080.58", "358.571540", "14801329.37818630"],
+    ["1704222000000", "41080.58", "41189.76", "40856.48", "41189.29", "293.869887", "12088318.68649070"],
+    ["1704225600000", "41189.29", "41352.54", "40556.23", "40778.83", "498.408013", "20426783.92293413"],
+    ["1704229200000", "40778.83", "40996.35", "40379.16", "40484.56", "430.059703", "17474054.69763048"],
+    ["1704232800000", "40484.56", "41014.58", "40388.41", "40776.85", "320.647183", "13028121.11509758"],
+    ["1704236400000", "40776.85", "41038.67", "40745.77", "40996.85", "203.870327", "8335615.46587100"]
+];
+
+MARKET_DATA_FIXTURES.bybit = {
+    baseUrl: 'https://api.bybit.com/v5/market',
+    routes: [
+        {
+            pattern: /^\/time$/,
+            handler: () => ({ body: { retCode: 0, retMsg: 'OK', result: { timeSecond: '1704240000' } } })
+        },
+        {
+            pattern: /^\/instruments-info$/,
+            handler: () => ({
+                body: {
+                    retCode: 0,
+                    retMsg: 'OK',
+                    result: {
+                        category: 'spot',
+                        list: [
+                            { symbol: 'BTCUSDT', baseCoin: 'BTC', quoteCoin: 'USDT', status: 'Trading' },
+                            { symbol: 'ETHUSDT', baseCoin: 'ETH', quoteCoin: 'USDT', status: 'Trading' }
+                        ]
+                    }
+                }
+            })
+        },
+        {
+            pattern: /^\/kline$/,
+            handler: (params) => {
+                if (params.symbol !== 'BTCUSDT') {
+                    return { body: { retCode: 10001, retMsg: 'Not supported symbols', result: {} } };
+                }
+                const start = Number(params.start || 0);
+                const end = Number(params.end || Infinity);
+                const limit = Number(params.limit || 200);
+                const list = params.interval === '60'
+                    ? BYBIT_FIXTURE_KLINES
+                        .filter(row => Number(row[0]) >= start && Number(row[0]) <= end)
+                        .sort((a, b) => Number(b[0]) - Number(a[0]))
+                        .slice(0, limit)
+                    : [];
+                return { body: { retCode: 0, retMsg: 'OK', result: { category: 'spot', symbol: params.symbol, list } } };
+            }
+        }
+    ]
+};
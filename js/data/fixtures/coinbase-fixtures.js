@@ -0,0 +1,96 @@
+/**
+ * Coinbase Fixture
+ * Sample BTC-USD 1h candles (2024-01-01 to 2024-01-02 UTC) in the /products/{id}/candles
+ * wire format ([time, low, high, open, close, volume]), returned newest first like the API
+ */
+const COINBASE_FIXTURE_CANDLES = [
+    [1704067200, 41940.36, 42321.85, 42283.58, 42104.8, 125.3527],
+    [1704070800, 41467.08, 42252.03, 42104.8, 41694.66, 175.1443625],
+    [1704074400, 41605.6, 41712.14, 41694.66, 41628.26, 248.581715],
+    [1704078000, 41470.75, 41930.67, 41628.26, 41693.65, 304.0489175],
+    [1704081600, 41449.43, 41870.22, 41693.65, 41770.8, 116.3039375],
+    [1704085200, 41268.74, 41875.85, 41770.8, 41403.06, 299.8197925],
+    [1704088800, 41258.58, 41762.43, 41403.06, 41717.19, 323.619715],
+    [1704092400, 41174.23, 41895.43, 41717.19, 41314.13, 316.6533575],
+    [1704096000, 41236.26, 41599.45, 41314.13, 41493.0, 304.9466525],
+    [1704099600, 41310.55, 41554.85, 41493.0, 41355.16, 372.94037],
+    [1704103200, 41138.01, 41559.58, 41355.16, 41429.03, 355.3058525],
+    [1704106800, 41301.78, 41555.61, 41429.03, 41537.37, 157.7367375],
+    [1704110400, 41180.74, 41659.23, 41537.37, 41190.43, 333.87555],
+    [1704114000, 40988.18, 41443.13, 41190.43, 41247.84, 219.0428275],
+    [1704117600, 41134.94, 41485.1, 41247.84, 41341.26, 393.9887225],
+    [1704121200, 41096.97, 41514.16, 41341.26, 41113.0, 355.9057675],
+    [1704124800, 40910.25, 41504.01, 41113.0, 41258.17, 199.608435],
+    [1704128400, 41025.31, 41728.12, 41258.17, 41641.42, 224.4124375],
+    [1704132000, 41068.57, 41656.15, 41641.42, 41258.75, 145.2690775],
+    [1704135600, 41035.04, 41485.71, 41258.75, 41157.65, 158.2282],
+    [1704139200, 40955.33, 41424.9, 41157.65, 41206.49, 402.394565],
+    [1704142800, 41037.69, 41655.71, 41206.49, 41410.61, 233.154455],
+    [1704146400, 41006.53, 41454.39, 41410.61, 41063.68, 181.66763],
+    [1704150000, 40994.22, 41435.26, 41063.68, 41389.98, 150.9867375],
+    [1704153600, 41024.15, 41530.63, 41389.98, 41260.1, 341.67278],
+    [1704157200, 41076.96, 41869.83, 41260.1, 41705.93, 259.8253025],
+    [1704160800, 41506.27, 42206.46, 41705.93, 41986.16, 237.3326175],
+    [1704164400, 41778.85, 42107.46, 41986.16, 41879.47, 166.7133375],
+    [1704168000, 41669.06, 41907.09, 41879.47, 41819.79, 135.83286],
+    [1704171600, 41379.3, 41845.25, 41819.79, 41469.77, 108.92531],
+    [1704175200, 41022.35, 41563.38, 41469.77, 41179.1, 434.4138075],
+    [1704178800, 40835.78, 41209.45, 41179.1, 41044.85, 447.5859525],
+    [1704182400, 40990.07, 41121.65, 41044.85, 41025.54, 362.3858725],
+    [1704186000, 40754.41, 41229.57, 41025.54, 40793.92, 108.0835025],
+    [1704189600, 40435.56, 40962.82, 40793.92, 40658.57, 365.350035],
+    [1704193200, 40488.73, 41338.52, 40658.57, 41125.49, 191.39032],
+    [1704196800, 41070.52, 41617.08, 41125.49, 41528.45, 289.5484925],
+    [1704200400, 41157.3, 41584.03, 41528.45, 41358.68, 444.7241175],
+    [1704204000, 40957.38, 41418.08, 41358.68, 41056.08, 381.1641225],
+    [1704207600, 41048.94, 41161.09, 41056.08, 41073.46, 109.7779775],
+    [1704211200, 40897.07, 41121.18, 41073.46, 41046.1, 220.4983225],
+    [1704214800, 40810.91, 41722.49, 41046.1, 41476.61, 227.62256],
+    [1704218400, 40997.33, 41593.59, 41476.61, 41080.58, 268.928655],
+    [1704222000, 40856.48, 41189.76, 41080.58, 41189.29, 220.402415],
+    [1704225600, 40556.23, 41352.54, 41189.29, 40778.83, 373.80601],
+    [1704229200, 40379.16, 40996.35, 40778.83, 40484.56, 322.5447775],
+    [1704232800, 40388.41, 41014.58, 40484.56, 40776.85, 240.4853875],
+    [1704236400, 40745.77, 41038.67, 40776.85, 40996.85, 152.902745]
+];
+
+MARKET_DATA_FIXTURES.coinbase = {
+    baseUrl: 'https://api.exchange.coinbase.com',
+    routes: [
+        {
+            pattern: /^\/time$/,
+            handler: () => ({ body: { iso: '2024-01-03T00:00:00.000Z', epoch: 1704240000 } })
+        },
+        {
+            pattern: /^\/products$/,
+            handler: () => ({
+                body: [
+                    { id: 'BTC-USD', base_currency: 'BTC', quote_currency: 'USD', status: 'online', trading_disabled: false },
+                    { id: 'ETH-USD', base_currency: 'ETH', quote_currency: 'USD', status: 'online', trading_disabled: false },
+                    { id: 'OLD-USD', base_currency: 'OLD', quote_currency: 'USD', status: 'delisted', trading_disabled: true }
+                ]
+            })
+        },
+        {
+            pattern: /^\/products\/([^/]+)\/candles$/,
+            handler: (params, match) => {
+                if (decodeURIComponent(match[1]) !== 'BTC-USD') {
+                    return { status: 404, body: { message: 'NotFound' } };
+                }
+                if (params.granularity !== '3600') {
+                    return { status: 200, body: [] };
+                }
+                const start = Date.parse(params.start) / 1000;
+                const end = Date.parse(params.end) / 1000;
+                if ((end - start) / 3600 > 300) {
+                    return { status: 400, body: { message: 'granularity too small for the requested time range' } };
+                }
+                return {
+                    body: COINBASE_FIXTURE_CANDLES
+                        .filter(row => row[0] >= start && row[0] <= end)
+                        .sort((a, b) => b[0] - a[0])
+                };
+            }
+        }
+    ]
+};
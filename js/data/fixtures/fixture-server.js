@@ -0,0 +1,132 @@
+/**
+ * Fixture Server
+ * A fetch() stand-in that answers provider requests from local fixtures, so the
+ * exchange adapters can be exercised without a network. Enable it in the app
+ * by opening index.html with ?fixtures in the URL, or pass
+ * { fetch: server.fetch } to any MarketDataProvider.
+ *
+ * Only this file is part of the page; the provider fixture bundles are loaded
+ * on the first request, so regular sessions never download them.
+ * Each bundle registers itself in MARKET_DATA_FIXTURES as
+ * { baseUrl, routes: [{ pattern, handler(params, match) -> { status, body, headers } }] }
+ */
+const MARKET_DATA_FIXTURES = {};
+
+// Directory of this script, where the fixture bundles live
+const FIXTURE_BUNDLE_BASE = typeof document !== 'undefined' && document.currentScript
+    ? document.currentScript.src.replace(/[^/]*$/, '')
+    : 'js/data/fixtures/';
+
+class FixtureServer {
+    constructor(fixtures = MARKET_DATA_FIXTURES) {
+        this.fixtures = fixtures;
+        this.requests = []; // Every URL served, for inspection
+        this.fetch = this.fetch.bind(this);
+    }
+
+    /**
+     * Fixture bundles, one per provider
+     * @returns {Array<string>} File names next to this script
+     */
+    static getBundles() {
+        return [
+            'binance-fixtures.js',
+            'binance-futures-fixtures.js',
+            'coinbase-fixtures.js',
+            'kraken-fixtures.js',
+            'bybit-fixtures.js'
+        ];
+    }
+
+    /**
+     * Whether the page was opened in fixture mode (?fixtures in the URL)
+     * @returns {boolean}
+     */
+    static isEnabled() {
+        return typeof window !== 'undefined' && new URLSearchParams(window.location.search).has('fixtures');
+    }
+
+    /**
+     * Load the fixture bundles into the page once. Outside a page (e.g. when the bundles
+     * were loaded by other means) there is nothing to load.
+     * @returns {Promise<void>} Resolves when every bundle has run
+     */
+    static loadBundles() {
+        if (typeof document === 'undefined') {
+            return Promise.resolve();
+        }
+
+        if (!FixtureServer.loading) {
+            FixtureServer.loading = Promise.all(FixtureServer.getBundles().map(name => new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = FIXTURE_BUNDLE_BASE + name;
+                script.async = false;
+                script.onload = () => resolve();
+                script.onerror = () => reject(new Error(`Failed to load fixture bundle ${name}`));
+                document.head.appendChild(script);
+            })));
+        }
+        return FixtureServer.loading;
+    }
+
+    /**
+     * Answer a request from the fixtures
+     * @param {string} url - Request URL
+     * @param {Object} init - fetch() options (only signal is used)
+     * @returns {Promise<Object>} Response-like object ({ ok, status, statusText, headers, json })
+     */
+    async fetch(url, init = {}) {
+        if (init.signal && init.signal.aborted) {
+            const error = new Error('The operation was aborted.');
+            error.name = 'AbortError';
+            throw error;
+        }
+
+        if (this.fixtures === MARKET_DATA_FIXTURES) {
+            await FixtureServer.loadBundles();
+        }
+
+        this.requests.push(url);
+
+        const fixture = Object.values(this.fixtures).find(candidate => url.startsWith(candidate.baseUrl));
+        if (!fixture) {
+            return this.createResponse(404, { message: `No fixture for ${url}` });
+        }
+
+        const parsed = new URL(url);
+        const path = url.slice(fixture.baseUrl.length).split('?')[0];
+        const params = Object.fromEntries(parsed.searchParams.entries());
+
+        for (const route of fixture.routes) {
+            const match = path.match(route.pattern);
+            if (match) {
+                const { status = 200, body, headers = {} } = route.handler(params, match);
+                return this.createResponse(status, body, headers);
+            }
+        }
+
+        return this.createResponse(404, { message: `No fixture route for ${path}` });
+    }
+
+    /**
+     * Build a minimal fetch Response
+     * @param {number} status - HTTP status
+     * @param {*} body - JSON body
+     * @param {Object} headers - Response headers
+     * @returns {Object} Response-like object
+     */
+    createResponse(status, body, headers = {}) {
+        const normalized = {};
+        Object.keys(headers).forEach(name => {
+            normalized[name.toLowerCase()] = String(headers[name]);
+        });
+
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            statusText: status === 200 ? 'OK' : 'Fixture Error',
+            headers: { get: (name) => normalized[name.toLowerCase()] || null },
+            json: async () => JSON.parse(JSON.stringify(body))
+        };
+    }
+}
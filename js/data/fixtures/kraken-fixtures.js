@@ -0,0 +1,90 @@
+/**
+ * Kraken Fixture
+ * Sample XBTUSD 1h OHLC rows (2024-01-01 to 2024-01-02 UTC) in the /0/public/OHLC wire format
+ * ([time, open, high, low, close, vwap, volume, count]), paged by `since` like the API
+ */
+const KRAKEN_FIXTURE_OHLC = [
+    [1704067200, "42283.6", "42321.8", "41940.4", "42104.8", "42122.3", "50.14108000", 2655],
+    [1704070800, "42104.8", "42252.0", "41467.1", "41694.7", "41804.6", "70.05774500", 1181],
+    [1704074400, "41694.7", "41712.1", "41605.6", "41628.3", "41648.7", "99.43268600", 3609],
+    [1704078000, "41628.3", "41930.7", "41470.8", "41693.7", "41698.4", "121.61956700", 1102],
+    [1704081600, "41693.7", "41870.2", "41449.4", "41770.8", "41696.8", "46.52157500", 3713],
+    [1704085200, "41770.8", "41875.8", "41268.7", "41403.1", "41515.9", "119.92791700", 2735],
+    [1704088800, "41403.1", "41762.4", "41258.6", "41717.2", "41579.4", "129.44788600", 2120],
+    [1704092400, "41717.2", "41895.4", "41174.2", "41314.1", "41461.3", "126.66134300", 2526],
+    [1704096000, "41314.1", "41599.4", "41236.3", "41493.0", "41442.9", "121.97866100", 2384],
+    [1704099600, "41493.0", "41554.8", "41310.6", "41355.2", "41406.9", "149.17614800", 1168],
+    [1704103200, "41355.2", "41559.6", "41138.0", "41429.0", "41375.5", "142.12234100", 1843],
+    [1704106800, "41429.0", "41555.6", "41301.8", "41537.4", "41464.9", "63.09469500", 2020],
+    [1704110400, "41537.4", "41659.2", "41180.7", "41190.4", "41343.5", "133.55022000", 3405],
+    [1704114000, "41190.4", "41443.1", "40988.2", "41247.8", "41226.4", "87.61713100", 2047],
+    [1704117600, "41247.8", "41485.1", "41134.9", "41341.3", "41320.4", "157.59548900", 3995],
+    [1704121200, "41341.3", "41514.2", "41097.0", "41113.0", "41241.4", "142.36230700", 1914],
+    [1704124800, "41113.0", "41504.0", "40910.2", "41258.2", "41224.1", "79.84337400", 2164],
+    [1704128400, "41258.2", "41728.1", "41025.3", "41641.4", "41464.9", "89.76497500", 2901],
+    [1704132000, "41641.4", "41656.2", "41068.6", "41258.8", "41327.8", "58.10763100", 1711],
+    [1704135600, "41258.8", "41485.7", "41035.0", "41157.7", "41226.1", "63.29128000", 2216],
+    [1704139200, "41157.7", "41424.9", "40955.3", "41206.5", "41195.6", "160.95782600", 1812],
+    [1704142800, "41206.5", "41655.7", "41037.7", "41410.6", "41368.0", "93.26178200", 1656],
+    [1704146400, "41410.6", "41454.4", "41006.5", "41063.7", "41174.9", "72.66705200", 2489],
+    [1704150000, "41063.7", "41435.3", "40994.2", "41390.0", "41273.2", "60.39469500", 2651],
+    [1704153600, "41390.0", "41530.6", "41024.2", "41260.1", "41271.6", "136.66911200", 2589],
+    [1704157200, "41260.1", "41869.8", "41077.0", "41705.9", "41550.9", "103.93012100", 3754],
+    [1704160800, "41705.9", "42206.5", "41506.3", "41986.2", "41899.6", "94.93304700", 2207],
+    [1704164400, "41986.2", "42107.5", "41778.8", "41879.5", "41921.9", "66.68533500", 1584],
+    [1704168000, "41879.5", "41907.1", "41669.1", "41819.8", "41798.6", "54.33314400", 2757],
+    [1704171600, "41819.8", "41845.2", "41379.3", "41469.8", "41564.8", "43.57012400", 3765],
+    [1704175200, "41469.8", "41563.4", "41022.3", "41179.1", "41254.9", "173.76552300", 2873],
+    [1704178800, "41179.1", "41209.4", "40835.8", "41044.8", "41030.0", "179.03438100", 2426],
+    [1704182400, "41044.8", "41121.7", "40990.1", "41025.5", "41045.8", "144.95434900", 3325],
+    [1704186000, "41025.5", "41229.6", "40754.4", "40793.9", "40926.0", "43.23340100", 2630],
+    [1704189600, "40793.9", "40962.8", "40435.6", "40658.6", "40685.7", "146.14001400", 1876],
+    [1704193200, "40658.6", "41338.5", "40488.7", "41125.5", "40984.2", "76.55612800", 2101],
+    [1704196800, "41125.5", "41617.1", "41070.5", "41528.4", "41405.3", "115.81939700", 2547],
+    [1704200400, "41528.4", "41584.0", "41157.3", "41358.7", "41366.7", "177.88964700", 3693],
+    [1704204000, "41358.7", "41418.1", "40957.4", "41056.1", "41143.8", "152.46564900", 1555],
+    [1704207600, "41056.1", "41161.1", "41048.9", "41073.5", "41094.5", "43.91119100", 1815],
+    [1704211200, "41073.5", "41121.2", "40897.1", "41046.1", "41021.5", "88.19932900", 3549],
+    [1704214800, "41046.1", "41722.5", "40810.9", "41476.6", "41336.7", "91.04902400", 1622],
+    [1704218400, "41476.6", "41593.6", "40997.3", "41080.6", "41223.8", "107.57146200", 3850],
+    [1704222000, "41080.6", "41189.8", "40856.5", "41189.3", "41078.5", "88.16096600", 3007],
+    [1704225600, "41189.3", "41352.5", "40556.2", "40778.8", "40895.9", "149.52240400", 3358],
+    [1704229200, "40778.8", "40996.3", "40379.2", "40484.6", "40620.0", "129.01791100", 1184],
+    [1704232800, "40484.6", "41014.6", "40388.4", "40776.8", "40726.6", "96.19415500", 1178],
+    [1704236400, "40776.8", "41038.7", "40745.8", "40996.8", "40927.1", "61.16109800", 3865]
+];
+
+MARKET_DATA_FIXTURES.kraken = {
+    baseUrl: 'https://api.kraken.com/0/public',
+    routes: [
+        {
+            pattern: /^\/Time$/,
+            handler: () => ({ body: { error: [], result: { unixtime: 1704240000, rfc1123: 'Wed,  3 Jan 24 00:00:00 +0000' } } })
+        },
+        {
+            pattern: /^\/AssetPairs$/,
+            handler: () => ({
+                body: {
+                    error: [],
+                    result: {
+                        XXBTZUSD: { altname: 'XBTUSD', wsname: 'XBT/USD', base: 'XXBT', quote: 'ZUSD', status: 'online' },
+                        XETHZUSD: { altname: 'ETHUSD', wsname: 'ETH/USD', base: 'XETH', quote: 'ZUSD', status: 'online' }
+                    }
+                }
+            })
+        },
+        {
+            pattern: /^\/OHLC$/,
+            handler: (params) => {
+                if (params.pair !== 'XBTUSD') {
+                    return { body: { error: ['EQuery:Unknown asset pair'] } };
+                }
+                const rows = params.interval === '60'
+                    ? KRAKEN_FIXTURE_OHLC.filter(row => row[0] > Number(params.since || 0)).slice(0, 720)
+                    : [];
+                const last = rows.length > 0 ? rows[rows.length - 1][0] : Number(params.since || 0);
+                return { body: { error: [], result: { XXBTZUSD: rows, last } } };
+            }
+        }
+    ]
+};
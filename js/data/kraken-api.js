@@ -0,0 +1,139 @@
+/**
+ * Kraken API Client
+ * Fetches candles from the Kraken public OHLC endpoint (pairs such as 'XBTUSD').
+ * Kraken only serves the 720 most recent candles of each interval, so older
+ * ranges come back empty.
+ */
+class KrakenAPI extends MarketDataProvider {
+    constructor(options = {}) {
+        super(options);
+        this.id = 'kraken';
+        this.name = 'Kraken';
+        this.baseUrl = 'https://api.kraken.com/0/public';
+        this.rateLimit = 1000; // Public endpoints allow ~1 request per second
+        this.pageLimit = 720;
+    }
+
+    /**
+     * Fetch candles starting at startTime
+     * @param {string} symbol - Pair name (e.g., 'XBTUSD')
+     * @param {string} interval - Candlestick interval
+     * @param {number} startTime - Start time in milliseconds
+     * @param {number} endTime - End time in milliseconds
+     * @param {number} limit - Maximum number of records (max 720)
+     * @param {AbortSignal} signal - Optional signal to abort the request
+     * @returns {Promise<Array>} Candles sorted by timestamp
+     */
+    async fetchKlines(symbol, interval, startTime, endTime, limit = 720, signal = null) {
+        const minutes = this.getIntervalMinutes(interval);
+
+        try {
+            const data = await this.request('/OHLC', {
+                pair: symbol,
+                interval: minutes,
+                since: Math.floor(startTime / 1000) - 1
+            }, signal);
+
+            if (data.error && data.error.length > 0) {
+                throw new Error(data.error.join(', '));
+            }
+
+            // The result is keyed by Kraken's internal pair name, next to a 'last' cursor
+            const pairKey = Object.keys(data.result).find(key => key !== 'last');
+            const rows = pairKey ? data.result[pairKey] : [];
+
+            // Rows are [time (s), open, high, low, close, vwap, volume, count]
+            return rows
+                .map(row => this.createCandle({
+                    timestamp: row[0] * 1000,
+                    open: row[1],
+                    high: row[2],
+                    low: row[3],
+                    close: row[4],
+                    volume: row[6],
+                    quoteVolume: parseFloat(row[5]) * parseFloat(row[6]),
+                    trades: row[7]
+                }, interval))
+                .filter(candle => candle.timestamp >= startTime && candle.timestamp <= endTime)
+                .slice(0, limit);
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            console.error('Error fetching data from Kraken:', error);
+            throw new Error(`Failed to fetch market data: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch historical data, warning when the range reaches past Kraken's 720-candle history
+     */
+    async fetchHistoricalData(symbol, interval, startDate, endDate, onProgress = null, options = {}) {
+        const oldestAvailable = Date.now() - this.pageLimit * this.getIntervalMs(interval);
+        if (new Date(startDate).getTime() < oldestAvailable) {
+            console.warn(`[Muuned] Kraken only serves the last ${this.pageLimit} ${interval} candles; earlier data will be missing`);
+        }
+        return super.fetchHistoricalData(symbol, interval, startDate, endDate, onProgress, options);
+    }
+
+    /**
+     * List tradable pairs
+     * @returns {Promise<Array>} Array of { symbol, base, quote }
+     */
+    async getSymbols() {
+        const data = await this.request('/AssetPairs');
+        if (data.error && data.error.length > 0) {
+            throw new Error(data.error.join(', '));
+        }
+
+        return Object.values(data.result)
+            .filter(pair => pair.wsname && (!pair.status || pair.status === 'online'))
+            .map(pair => {
+                const [base, quote] = pair.wsname.split('/');
+                return { symbol: pair.altname, base, quote };
+            });
+    }
+
+    /**
+     * Get supported intervals
+     * @returns {Array} Array of supported interval strings
+     */
+    getSupportedIntervals() {
+        return ['1m', '5m', '15m', '30m', '1h', '4h', '1d', '1w'];
+    }
+
+    /**
+     * Symbol preselected when this provider is chosen
+     * @returns {string} Pair name
+     */
+    getDefaultSymbol() {
+        return 'XBTUSD';
+    }
+
+    /**
+     * Convert an interval to Kraken's interval in minutes
+     * @param {string} interval - Candlestick interval
+     * @returns {number} Interval in minutes
+     */
+    getIntervalMinutes(interval) {
+        if (!this.getSupportedIntervals().includes(interval)) {
+            throw new Error(`Kraken does not support ${interval} candles`);
+        }
+        return this.getIntervalMs(interval) / 60000;
+    }
+
+    /**
+     * Check API connectivity
+     * @returns {Promise<boolean>} Whether API is accessible
+     */
+    async checkConnectivity() {
+        try {
+            const response = await this.fetchImpl(`${this.baseUrl}/Time`);
+            return response.ok;
+        } catch (error) {
+            console.error('API connectivity check failed:', error);
+            return false;
+        }
+    }
+}
@@ -0,0 +1,545 @@
+/**
+ * Market Data Provider
+ * Base class for exchange data sources. Subclasses implement the exchange
+ * specific calls (fetchKlines, getSymbols, getSupportedIntervals, checkConnectivity);
+ * pagination, the persistent candle cache and cancellation are shared here.
+ *
+ * Candles are always returned in one shape, whatever the exchange:
+ * { timestamp, open, high, low, close, volume, closeTime, quoteVolume, trades,
+ *   baseAssetVolume, quoteAssetVolume }
+ */
+class MarketDataProvider {
+    constructor(options = {}) {
+        this.id = 'provider';
+        this.name = 'Market Data Provider';
+        this.baseUrl = '';
+        this.rateLimit = 100; // Minimum ms between requests
+        this.maxRetries = 5; // Retries per request after a network error, 408, 418, 429 or 5xx
+        this.retryBaseDelay = 500; // First backoff delay in ms, doubled on every retry
+        this.retryMaxDelay = 30000; // Backoff cap in ms
+        this.maxRetryAfter = 5 * 60 * 1000; // Longer Retry-After waits (e.g. IP bans) fail instead
+        this.lastRequestTime = 0;
+        this.retryHandler = null; // onRetry callback of the fetchHistoricalData call in progress
+        this.pageLimit = 1000; // Maximum candles per request
+        this.windowedPages = false; // True if each request must cover at most pageLimit candles
+        this.fetchImpl = options.fetch || ((...args) => fetch(...args)); // Injectable for offline fixtures
+        this.candleStore = options.candleStore || null; // Optional persistent cache (CandleStore)
+        this.lastFetchStats = null; // { downloaded, cached } for the last fetchHistoricalData call
+    }
+
+    /**
+     * Fetch one page of candles
+     * @param {string} symbol - Exchange symbol
+     * @param {string} interval - Candlestick interval (e.g., '1h', '4h', '1d')
+     * @param {number} startTime - Start time in milliseconds
+     * @param {number} endTime - End time in milliseconds
+     * @param {number} limit - Maximum number of records
+     * @param {AbortSignal} signal - Optional signal to abort the request
+     * @returns {Promise<Array>} Candles sorted by timestamp
+     */
+    async fetchKlines(symbol, interval, startTime, endTime, limit, signal = null) {
+        throw new Error(`${this.name} does not implement fetchKlines()`);
+    }
+
+    /**
+     * List tradable symbols
+     * @returns {Promise<Array>} Array of { symbol, base, quote }
+     */
+    async getSymbols() {
+        throw new Error(`${this.name} does not implement getSymbols()`);
+    }
+
+    /**
+     * Get supported intervals
+     * @returns {Array} Array of supported interval strings
+     */
+    getSupportedIntervals() {
+        return [];
+    }
+
+    /**
+     * Trading rules of a symbol (tick size, lot step and minimum order size)
+     * Providers that do not publish them return null and orders are not restricted.
+     * @param {string} symbol - Exchange symbol
+     * @returns {Promise<Object|null>} { tickSize, minPrice, maxPrice, stepSize, minQty, maxQty, minNotional, source }
+     */
+    async getSymbolFilters(symbol) {
+        return null;
+    }
+
+    /**
+     * Symbol preselected when this provider is chosen
+     * @returns {string} Exchange symbol
+     */
+    getDefaultSymbol() {
+        return 'BTCUSDT';
+    }
+
+    /**
+     * Check API connectivity
+     * @returns {Promise<boolean>} Whether API is accessible
+     */
+    async checkConnectivity() {
+        throw new Error(`${this.name} does not implement checkConnectivity()`);
+    }
+
+    /**
+     * Symbol under which candles are stored in the candle cache
+     * @param {string} symbol - Exchange symbol
+     * @returns {string} Cache symbol (prefixed with the provider id)
+     */
+    getCacheSymbol(symbol) {
+        return `${this.id}:${symbol}`;
+    }
+
+    /**
+     * GET a JSON endpoint, throttled and retried with exponential backoff
+     * @param {string} path - Path relative to baseUrl
+     * @param {Object} params - Query parameters
+     * @param {AbortSignal} signal - Optional signal to abort the request
+     * @returns {Promise<*>} Parsed JSON body
+     */
+    async request(path, params = {}, signal = null) {
+        const query = new URLSearchParams(params).toString();
+        const url = `${this.baseUrl}${path}${query ? `?${query}` : ''}`;
+
+        for (let attempt = 1; ; attempt++) {
+            await this.throttle(signal);
+
+            let response;
+            try {
+                response = await this.fetchImpl(url, { signal });
+            } catch (error) {
+                if (error.name === 'AbortError' || attempt > this.maxRetries) {
+                    throw error;
+                }
+                await this.waitBeforeRetry(attempt, `network error (${error.message})`, null, signal);
+                continue;
+            }
+
+            this.onResponse(response);
+
+            if (response.ok) {
+                return response.json();
+            }
+
+            let detail = response.statusText;
+            try {
+                const body = await response.json();
+                detail = body.msg || body.message || detail;
+            } catch (error) {
+                // Error body wasn't JSON; keep the status text
+            }
+            const error = new Error(`HTTP ${response.status}: ${detail}`);
+            error.status = response.status;
+
+            if (!this.isRetryableStatus(response.status) || attempt > this.maxRetries) {
+                throw error;
+            }
+
+            const retryAfterMs = this.getRetryAfterMs(response);
+            if (retryAfterMs !== null && retryAfterMs > this.maxRetryAfter) {
+                error.message += ` (server asks to wait ${Math.ceil(retryAfterMs / 60000)} min before retrying)`;
+                throw error;
+            }
+
+            await this.waitBeforeRetry(attempt, `HTTP ${response.status}`, retryAfterMs, signal);
+        }
+    }
+
+    /**
+     * Statuses worth retrying: timeouts, rate limits (429), IP bans (418) and server errors
+     * @param {number} status - HTTP status
+     * @returns {boolean} True if the request may succeed later
+     */
+    isRetryableStatus(status) {
+        return status === 408 || status === 418 || status === 429 || status >= 500;
+    }
+
+    /**
+     * Read the Retry-After header
+     * @param {Response} response - Failed response
+     * @returns {number|null} Delay in ms, or null if the header is absent
+     */
+    getRetryAfterMs(response) {
+        const header = response.headers && response.headers.get('Retry-After');
+        if (!header) return null;
+
+        const seconds = Number(header);
+        if (!isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(header);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Sleep before a retry and report it
+     * Uses Retry-After when given, otherwise exponential backoff with jitter
+     * @param {number} attempt - Retry number (1-based)
+     * @param {string} reason - What went wrong
+     * @param {number|null} retryAfterMs - Server-requested delay
+     * @param {AbortSignal} signal - Optional signal that cuts the wait short
+     */
+    async waitBeforeRetry(attempt, reason, retryAfterMs, signal) {
+        let delayMs;
+        if (retryAfterMs !== null) {
+            delayMs = retryAfterMs + Math.random() * 250;
+        } else {
+            // "Equal jitter": half the backoff is fixed, half random, so clients spread out
+            const backoff = Math.min(this.retryMaxDelay, this.retryBaseDelay * Math.pow(2, attempt - 1));
+            delayMs = backoff / 2 + Math.random() * backoff / 2;
+        }
+
+        console.warn(`[Muuned] ${this.name} request failed (${reason}); retry ${attempt}/${this.maxRetries} in ${Math.round(delayMs)}ms`);
+        this.notifyRetry({ type: 'retry', attempt, maxRetries: this.maxRetries, delayMs, reason });
+
+        await this.sleep(delayMs, signal);
+    }
+
+    /**
+     * Wait until the next request is allowed
+     * Keeps at least rateLimit ms between requests, plus any provider-specific wait
+     * @param {AbortSignal} signal - Optional signal that cuts the wait short
+     */
+    async throttle(signal) {
+        const spacingWait = this.lastRequestTime + this.rateLimit - Date.now();
+        const limitWait = this.getRateLimitWait();
+
+        if (limitWait > 1000) {
+            this.notifyRetry({ type: 'throttle', delayMs: limitWait, reason: 'request weight limit reached' });
+        }
+
+        const wait = Math.max(spacingWait, limitWait);
+        if (wait > 0) {
+            await this.sleep(wait, signal);
+        }
+        this.lastRequestTime = Date.now();
+    }
+
+    /**
+     * Extra wait imposed by the exchange's rate limits (overridden by providers that report usage)
+     * @returns {number} Milliseconds to wait
+     */
+    getRateLimitWait() {
+        return 0;
+    }
+
+    /**
+     * Inspect every response (overridden by providers that report rate limit usage in headers)
+     * @param {Response} response - Fetch response
+     */
+    onResponse(response) {
+        // No-op by default
+    }
+
+    /**
+     * Pass retry/throttle state to the onRetry callback of the current download
+     * @param {Object} info - { type: 'retry'|'throttle', attempt, maxRetries, delayMs, reason }
+     */
+    notifyRetry(info) {
+        if (this.retryHandler) {
+            this.retryHandler(info);
+        }
+    }
+
+    /**
+     * Build a candle in the shared shape
+     * @param {Object} fields - At least timestamp, open, high, low, close, volume
+     * @param {string} interval - Candlestick interval (used for closeTime)
+     * @returns {Object} Candle
+     */
+    createCandle(fields, interval) {
+        const candle = {
+            timestamp: fields.timestamp,
+            open: parseFloat(fields.open),
+            high: parseFloat(fields.high),
+            low: parseFloat(fields.low),
+            close: parseFloat(fields.close),
+            volume: parseFloat(fields.volume) || 0
+        };
+
+        candle.closeTime = fields.closeTime !== undefined ? fields.closeTime : candle.timestamp + this.getIntervalMs(interval) - 1;
+        candle.quoteVolume = fields.quoteVolume !== undefined ? parseFloat(fields.quoteVolume) : candle.volume * candle.close;
+        candle.trades = fields.trades !== undefined ? parseInt(fields.trades) : 0;
+        candle.baseAssetVolume = fields.baseAssetVolume !== undefined ? parseFloat(fields.baseAssetVolume) : 0;
+        candle.quoteAssetVolume = fields.quoteAssetVolume !== undefined ? parseFloat(fields.quoteAssetVolume) : 0;
+
+        return candle;
+    }
+
+    /**
+     * Fetch historical data for a date range
+     * Serves cached spans from the candle store and downloads only the missing ones
+     * @param {string} symbol - Exchange symbol
+     * @param {string} interval - Candlestick interval
+     * @param {Date|string} startDate - Start date
+     * @param {Date|string} endDate - End date
+     * @param {Function} onProgress - Progress callback function
+     * @param {Object} options - Optional settings ({ signal } to abort the download,
+     *                           { onRetry(info) } to report retries and rate-limit waits)
+     * @returns {Promise<Array>} Complete historical data
+     */
+    async fetchHistoricalData(symbol, interval, startDate, endDate, onProgress = null, options = {}) {
+        this.retryHandler = options.onRetry || null;
+        try {
+            return await this.fetchHistoricalRange(symbol, interval, startDate, endDate, onProgress, options.signal || null);
+        } catch (error) {
+            if (error.name !== 'AbortError' && this.candleStore) {
+                // Every finished page is already in the candle cache, so the next load resumes from there
+                error.message += '. Candles downloaded so far are cached; load again to resume.';
+            }
+            throw error;
+        } finally {
+            this.retryHandler = null;
+        }
+    }
+
+    /**
+     * Fetch a date range through the candle cache
+     * @param {string} symbol - Exchange symbol
+     * @param {string} interval - Candlestick interval
+     * @param {Date|string} startDate - Start date
+     * @param {Date|string} endDate - End date
+     * @param {Function} onProgress - Progress callback function
+     * @param {AbortSignal} signal - Optional signal to abort the download
+     * @returns {Promise<Array>} Complete historical data
+     */
+    async fetchHistoricalRange(symbol, interval, startDate, endDate, onProgress, signal) {
+        const start = new Date(startDate).getTime();
+        const end = new Date(endDate).getTime();
+        const cacheSymbol = this.getCacheSymbol(symbol);
+
+        console.log(`Fetching ${symbol} ${interval} data from ${this.name}, ${startDate} to ${endDate}`);
+
+        if (!this.candleStore) {
+            const data = await this.downloadRange(symbol, interval, start, end, { onProgress, signal });
+            this.lastFetchStats = { downloaded: data.length, cached: 0 };
+            return data;
+        }
+
+        let gaps;
+        try {
+            gaps = await this.candleStore.getMissingRanges(cacheSymbol, interval, start, end);
+        } catch (error) {
+            console.warn('[Muuned] Candle cache unavailable, downloading everything:', error);
+            const data = await this.downloadRange(symbol, interval, start, end, { onProgress, signal });
+            this.lastFetchStats = { downloaded: data.length, cached: 0 };
+            return data;
+        }
+
+        gaps = gaps.filter(([gapStart, gapEnd]) => this.gapContainsCandles(interval, gapStart, gapEnd));
+        console.log(`${gaps.length} missing span(s) to download for ${symbol} ${interval}`);
+        if (gaps.length > 0 && (gaps[0][0] > start || gaps[gaps.length - 1][1] < end)) {
+            console.log(`[Muuned] Resuming ${symbol} ${interval}: part of the range is already cached`);
+        }
+
+        // Download each gap, weighting progress by the gap's duration
+        const totalGapMs = gaps.reduce((sum, [gapStart, gapEnd]) => sum + (gapEnd - gapStart + 1), 0);
+        let completedGapMs = 0;
+        let downloaded = 0;
+
+        for (const [gapStart, gapEnd] of gaps) {
+            const gapMs = gapEnd - gapStart + 1;
+            const gapData = await this.downloadRange(symbol, interval, gapStart, gapEnd, {
+                signal,
+                onProgress: onProgress ? (progress) => {
+                    onProgress((completedGapMs + gapMs * progress) / totalGapMs);
+                } : null,
+                // Persist every page so an interrupted download keeps what it already has
+                onBatch: (batch, coveredStart, coveredEnd) => this.candleStore.saveCandles(
+                    cacheSymbol, interval, batch, coveredStart, Math.min(coveredEnd, this.getLastClosedOpenTime(interval))
+                )
+            });
+            completedGapMs += gapMs;
+            downloaded += gapData.length;
+        }
+
+        if (onProgress) {
+            onProgress(1.0);
+        }
+
+        const data = await this.candleStore.getCandles(cacheSymbol, interval, start, end);
+        this.lastFetchStats = { downloaded, cached: Math.max(0, data.length - downloaded) };
+
+        console.log(`Serving ${data.length} candles (${downloaded} downloaded, ${this.lastFetchStats.cached} from cache)`);
+        return data;
+    }
+
+    /**
+     * Download a time range from the API
+     * Handles pagination automatically for large date ranges
+     * @param {string} symbol - Exchange symbol
+     * @param {string} interval - Candlestick interval
+     * @param {number} start - Start time in milliseconds (inclusive)
+     * @param {number} end - End time in milliseconds (inclusive)
+     * @param {Object} options - { onProgress, signal, onBatch(batch, coveredStart, coveredEnd) }
+     * @returns {Promise<Array>} Downloaded candles
+     */
+    async downloadRange(symbol, interval, start, end, options = {}) {
+        const { onProgress = null, signal = null, onBatch = null } = options;
+        const limit = this.pageLimit;
+        const pageMs = limit * this.getIntervalMs(interval);
+
+        let allData = [];
+        let currentStart = start;
+        let totalRequests = Math.max(1, Math.ceil((end - start) / pageMs));
+        let completedRequests = 0;
+
+        console.log(`Estimated ${totalRequests} API requests needed`);
+
+        while (currentStart <= end) {
+            this.throwIfAborted(signal);
+
+            // Windowed APIs only accept spans of at most one page
+            const pageEnd = this.windowedPages ? Math.min(end, currentStart + pageMs - 1) : end;
+
+            try {
+                const batch = await this.fetchKlines(symbol, interval, currentStart, pageEnd, limit, signal);
+                completedRequests++;
+
+                // A short page means the exchange has nothing more up to `pageEnd`
+                const isShortPage = batch.length < limit;
+                const coveredEnd = isShortPage ? pageEnd : batch[batch.length - 1].timestamp;
+                if (onBatch) {
+                    await onBatch(batch, currentStart, coveredEnd);
+                }
+
+                if (batch.length === 0 && !this.windowedPages) {
+                    console.log('No more data available');
+                    break;
+                }
+
+                allData = allData.concat(batch);
+                currentStart = coveredEnd + 1;
+
+                // Update progress
+                if (onProgress) {
+                    const progress = Math.min(completedRequests / totalRequests, 1.0);
+                    onProgress(progress);
+                }
+
+                if (isShortPage && !this.windowedPages) {
+                    break;
+                }
+
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    console.log(`Download of ${symbol} ${interval} aborted after ${allData.length} candles`);
+                    throw error;
+                }
+                console.error(`Error fetching batch starting at ${new Date(currentStart)}:`, error);
+                throw error;
+            }
+        }
+
+        console.log(`Successfully fetched ${allData.length} candles`);
+        return allData;
+    }
+
+    /**
+     * Check whether a gap can contain a candle open time
+     * Intraday and daily candles open on multiples of the interval, so tiny gaps
+     * between two aligned open times need no request
+     * @param {string} interval - Candlestick interval
+     * @param {number} gapStart - Gap start in milliseconds
+     * @param {number} gapEnd - Gap end in milliseconds
+     * @returns {boolean} True if the gap may hold candles
+     */
+    gapContainsCandles(interval, gapStart, gapEnd) {
+        const intervalMs = this.getIntervalMs(interval);
+        if (intervalMs > this.getIntervalMs('1d')) {
+            return true; // Weekly and monthly candles aren't aligned to the epoch
+        }
+        const firstOpenTime = Math.ceil(gapStart / intervalMs) * intervalMs;
+        return firstOpenTime <= gapEnd;
+    }
+
+    /**
+     * Open time of the most recent fully closed candle
+     * The still-forming candle is never marked as cached, so it is re-downloaded later
+     * @param {string} interval - Candlestick interval
+     * @returns {number} Timestamp in milliseconds
+     */
+    getLastClosedOpenTime(interval) {
+        return Date.now() - this.getIntervalMs(interval);
+    }
+
+    /**
+     * Get interval duration in milliseconds
+     * @param {string} interval - Interval string (e.g. '1h')
+     * @returns {number} Duration in milliseconds
+     */
+    getIntervalMs(interval) {
+        const intervals = {
+            '1m': 60 * 1000,
+            '3m': 3 * 60 * 1000,
+            '5m': 5 * 60 * 1000,
+            '15m': 15 * 60 * 1000,
+            '30m': 30 * 60 * 1000,
+            '1h': 60 * 60 * 1000,
+            '2h': 2 * 60 * 60 * 1000,
+            '4h': 4 * 60 * 60 * 1000,
+            '6h': 6 * 60 * 60 * 1000,
+            '8h': 8 * 60 * 60 * 1000,
+            '12h': 12 * 60 * 60 * 1000,
+            '1d': 24 * 60 * 60 * 1000,
+            '3d': 3 * 24 * 60 * 60 * 1000,
+            '1w': 7 * 24 * 60 * 60 * 1000,
+            '1M': 30 * 24 * 60 * 60 * 1000
+        };
+
+        return intervals[interval] || 60 * 60 * 1000; // Default to 1 hour
+    }
+
+    /**
+     * Sleep utility for rate limiting
+     * @param {number} ms - Milliseconds to sleep
+     * @param {AbortSignal} signal - Optional signal that cuts the sleep short
+     * @returns {Promise} Promise that resolves after delay
+     */
+    sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(this.createAbortError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Throw an AbortError if the signal has been aborted
+     * @param {AbortSignal} signal - Abort signal (may be null)
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw this.createAbortError();
+        }
+    }
+
+    /**
+     * Create an error matching the one fetch() throws on abort
+     * @returns {Error} AbortError
+     */
+    createAbortError() {
+        const error = new Error('Download aborted');
+        error.name = 'AbortError';
+        return error;
+    }
+}
@@ -0,0 +1,26 @@
+/**
+ * Market Data Provider Registry
+ * Lists the available exchange data sources for the provider selector
+ */
+const MARKET_DATA_PROVIDERS = [
+    { id: 'binance', name: 'Binance', ProviderClass: BinanceAPI },
+    { id: 'binance-futures', name: 'Binance Futures (USDⓈ-M)', ProviderClass: BinanceFuturesAPI },
+    { id: 'binance-futures-mark', name: 'Binance Futures (Mark Price)', ProviderClass: BinanceFuturesAPI, options: { priceType: 'mark' } },
+    { id: 'coinbase', name: 'Coinbase', ProviderClass: CoinbaseAPI },
+    { id: 'kraken', name: 'Kraken', ProviderClass: KrakenAPI },
+    { id: 'bybit', name: 'Bybit', ProviderClass: BybitAPI }
+];
+
+/**
+ * Create a provider instance
+ * @param {string} id - Provider id (e.g., 'binance')
+ * @param {Object} options - Provider options ({ candleStore, fetch }), merged with the entry's own options
+ * @returns {MarketDataProvider} Provider instance
+ */
+function createMarketDataProvider(id, options = {}) {
+    const entry = MARKET_DATA_PROVIDERS.find(provider => provider.id === id);
+    if (!entry) {
+        throw new Error(`Unknown market data provider: ${id}`);
+    }
+    return new entry.ProviderClass({ ...entry.options, ...options });
+}
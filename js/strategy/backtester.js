@@ -7,164 +7,1480 @@ class PortfolioBacktester {
         this.startingDenomination = options.startingDenomination || 'usdt';
         this.startingAmount = options.startingAmount || 10000;
         this.positionSize = options.positionSize || 1.0;
-        this.feesAndSlippage = options.feesAndSlippage || 0.001;
+        // 0 is a real fee rate (zero-fee venues) and maintenance margin, so these only default when left out
+        this.feesAndSlippage = options.feesAndSlippage !== undefined ? options.feesAndSlippage : 0.001; // Rate of the 'flat' fee model
+        this.executionPrice = options.executionPrice || 'close';
+        this.executionTiming = options.executionTiming || 'signalBar';
+        this.executionDelay = options.executionDelay || 1; // Bars, used by the 'delayed' timing
+        this.positionMode = options.positionMode || 'longOnly';
+        this.borrowRate = options.borrowRate || 0; // Daily interest rate on borrowed coin or USDT (decimal)
+        this.marginMode = !!options.marginMode;
+        this.leverage = this.marginMode ? (options.leverage || 1) : 1;
+        this.maintenanceMargin = options.maintenanceMargin !== undefined ? options.maintenanceMargin : 0.005; // Fraction of position value
+        this.fundingRates = options.fundingRates || null; // Perpetual funding events [{ timestamp, rate, markPrice }]
+        this.magnifier = options.magnifier || null; // Lower-timeframe candles that order fills within a candle (bar magnifier)
+        
+        // Protective exits (0 = off): distances from the entry price as fractions, the ATR stop as a multiple of ATR
+        this.stopLoss = options.stopLoss || 0;
+        this.takeProfit = options.takeProfit || 0;
+        this.trailingStop = options.trailingStop || 0; // From the best price since entry
+        this.atrStop = options.atrStop || 0;
+        this.atrPeriod = options.atrPeriod || 14;
+        
+        // Position sizing (see getSizingModels): fractions as decimals, the volatility target annualized
+        this.sizingModel = options.sizingModel || 'balance';
+        this.sizeFraction = options.sizeFraction || 1.0; // Of equity ('equity', and 'kelly' until enough closed positions)
+        this.sizeNotional = options.sizeNotional || 1000; // USDT per position
+        this.targetVolatility = options.targetVolatility || 0.2;
+        this.volatilityMeasure = options.volatilityMeasure || 'atr'; // 'atr' or 'stdev' (of close-to-close returns)
+        this.volatilityPeriod = options.volatilityPeriod || 20;
+        this.kellyFraction = options.kellyFraction || 0.5; // Of the full Kelly fraction
+        this.kellyMinTrades = options.kellyMinTrades || 10; // Closed lots needed before Kelly sizing starts
+        
+        // Lot accounting: entries allowed per position (1 = no pyramiding) and the order lots are closed in
+        this.maxEntries = options.maxEntries || 1;
+        this.lotMatching = options.lotMatching || 'fifo'; // 'fifo' or 'lifo'
+        
+        // Trading costs (see getFeeModels and getSlippageModels): rates as decimals
+        this.feeModel = options.feeModel || 'flat';
+        this.makerFee = options.makerFee || 0; // 'makerTaker': limit order fills
+        this.takerFee = options.takerFee || 0; // 'makerTaker': market fills, stop orders and protective exits
+        this.feeDiscount = options.feeDiscount || 0; // Share of every fee waived (e.g. 0.25 paying fees in BNB)
+        this.slippageModel = options.slippageModel || 'none';
+        this.slippageBps = options.slippageBps || 0; // 'fixed'
+        this.spreadShare = options.spreadShare || 0; // 'spread': share of the candle range taken as the bid-ask spread
+        this.volumeImpact = options.volumeImpact || 0; // 'volume': slippage when the order is the candle's whole volume
+        
+        // Exchange trading rules (see MarketDataProvider.getSymbolFilters); null trades any size at any price
+        this.symbolFilters = options.symbolFilters || null;
+        
+        // Buy-and-hold portfolio value at each close of the same candles (see BacktestEngine.runBenchmark)
+        this.benchmarkValues = options.benchmarkValues || null;
         
         this.reset();
     }
 
 /**
- * Reset backtester to initial state
+ * Position modes: long-only, or long and short with borrowed coin
+ * @returns {Array} Array of { id, label }
+ */
+static getPositionModes() {
+    return [
+        { id: 'longOnly', label: 'Long Only' },
+        { id: 'longShort', label: 'Long & Short' }
+    ];
+}
+
+/**
+ * When signals are filled relative to the candle they were computed on
+ * @returns {Array} Array of { id, label }
+ */
+static getExecutionTimings() {
+    return [
+        { id: 'signalBar', label: 'Signal Bar' },
+        { id: 'nextBarOpen', label: 'Next Bar Open' },
+        { id: 'delayed', label: 'N-Bar Delay' }
+    ];
+}
+
+/**
+ * Price models used to fill signals
+ * @returns {Array} Array of { id, label }
+ */
+static getExecutionPriceModels() {
+    return [
+        { id: 'close', label: 'Bar Close' },
+        { id: 'nextOpen', label: 'Next Bar Open' },
+        { id: 'midpoint', label: 'Bar Midpoint (HL2)' },
+        { id: 'worst', label: 'Worst Case (Buy High / Sell Low)' }
+    ];
+}
+
+/**
+ * Protective exit parameters offered in the strategy form (sweepable like script parameters)
+ * @returns {Array} Array of { id, label, description }
+ */
+static getProtectiveExitParameters() {
+    return [
+        { id: 'stopLoss', label: 'Stop Loss (%)', description: 'Exit when price moves this far against the entry' },
+        { id: 'takeProfit', label: 'Take Profit (%)', description: 'Exit when price moves this far in favor of the entry' },
+        { id: 'trailingStop', label: 'Trailing Stop (%)', description: 'Exit when price falls back this far from the best price since entry' },
+        { id: 'atrStop', label: 'ATR Stop (x ATR)', description: 'Stop this many ATRs from the entry price' }
+    ];
+}
+
+/**
+ * Position sizing models: how large a new position is
+ * @returns {Array} Array of { id, label, description }
+ */
+static getSizingModels() {
+    return [
+        { id: 'balance', label: 'Position Size of Balance', description: 'Buys use the USDT balance (positionSize of it when shorting or on margin), sells positionSize of the coin' },
+        { id: 'equity', label: 'Fixed Fraction of Equity', description: 'Each position is a fixed share of the portfolio value' },
+        { id: 'notional', label: 'Fixed Notional', description: 'Each position is worth the same USDT amount' },
+        { id: 'volatility', label: 'Volatility Target', description: 'Positions are scaled so their annualized volatility matches the target' },
+        { id: 'kelly', label: 'Fractional Kelly', description: 'A fraction of the Kelly bet from the win rate and payoff of closed positions' },
+        { id: 'target', label: 'Script Target Exposure', description: 'The script sets the exposure with { target } orders between -1 (full short) and 1 (full long)' }
+    ];
+}
+
+/**
+ * Sizing parameters offered in the strategy form (sweepable like script parameters)
+ * @returns {Array} Array of { id, label, description, models, defaultValue }
+ */
+static getSizingParameters() {
+    return [
+        { id: 'sizeFraction', label: 'Equity Fraction (%)', description: 'Share of the portfolio value per position (Kelly: until enough positions have closed)', models: ['equity', 'kelly'], defaultValue: '100' },
+        { id: 'sizeNotional', label: 'Notional (USDT)', description: 'Value of each position', models: ['notional'], defaultValue: '1000' },
+        { id: 'targetVolatility', label: 'Target Volatility (%/yr)', description: 'Annualized volatility each position is sized to', models: ['volatility'], defaultValue: '20' },
+        { id: 'kellyFraction', label: 'Kelly Fraction (%)', description: 'Share of the full Kelly bet to take', models: ['kelly'], defaultValue: '50' }
+    ];
+}
+
+/**
+ * Orders open lots are closed in when a position is reduced
+ * @returns {Array} Array of { id, label }
+ */
+static getLotMatchingModes() {
+    return [
+        { id: 'fifo', label: 'FIFO (oldest lot first)' },
+        { id: 'lifo', label: 'LIFO (newest lot first)' }
+    ];
+}
+
+/**
+ * Fee models
+ * @returns {Array} Array of { id, label, description }
+ */
+static getFeeModels() {
+    return [
+        { id: 'flat', label: 'Flat Rate', description: 'Every fill pays the Fees + Slippage rate of the advanced parameters' },
+        { id: 'makerTaker', label: 'Maker/Taker', description: 'Limit order fills pay the maker fee; market fills, stop orders and protective exits pay the taker fee' }
+    ];
+}
+
+/**
+ * Slippage models (limit order fills rest on the book and never slip)
+ * @returns {Array} Array of { id, label, description }
+ */
+static getSlippageModels() {
+    return [
+        { id: 'none', label: 'None', description: 'Fills at the execution price' },
+        { id: 'fixed', label: 'Fixed (bps)', description: 'Each fill moves against the trade by a fixed number of basis points' },
+        { id: 'spread', label: 'Spread from Candle Range', description: 'Pays half a spread estimated as a share of the fill candle\'s high-low range' },
+        { id: 'volume', label: 'Volume Participation', description: 'Grows with the square root of the order size over the fill candle\'s volume (none when the candle has no volume)' }
+    ];
+}
+
+/**
+ * Why a position was closed
+ * @returns {Array} Array of { id, label }
+ */
+static getExitReasons() {
+    return [
+        { id: 'signal', label: 'Signal' },
+        { id: 'stop', label: 'Stop Loss' },
+        { id: 'target', label: 'Take Profit' },
+        { id: 'trail', label: 'Trailing Stop' },
+        { id: 'liquidation', label: 'Liquidation' }
+    ];
+}
+
+/**
+ * Reset backtester to initial state
+ */
+reset() {
+    if (this.startingDenomination === 'coin') {
+        this.coinBalance = this.startingAmount;
+        this.usdtBalance = 0.0;
+    } else {
+        this.coinBalance = 0.0;
+        this.usdtBalance = this.startingAmount;
+    }
+    
+    this.borrowedCoins = 0.0; // Open short position
+    
+    this.trades = [];
+    this.portfolioValues = [];
+    this.totalFeesPaid = 0.0;
+    this.totalSlippage = 0.0; // USDT lost to fills away from the execution price
+    this.fillOrderType = 'market'; // Order type of the fill being executed (maker or taker fee)
+    this.droppedByRules = 0; // Orders below the exchange's minimum quantity or notional
+    this.totalBorrowInterest = 0.0;
+    this.totalFunding = 0.0; // Net funding paid (negative when received)
+    this.fundingEvents = 0;
+    
+    this.exitLevels = null; // Armed protective exits of the open position
+    this.atrValues = null;
+    this.magnifierIndex = 0; // First magnifier bar not yet consumed
+    this.magnifiedCandles = 0; // Candles resolved with magnifier bars
+    
+    // Sizing state: per-candle volatility estimates and the record of closed lots
+    this.volatilityValues = null;
+    this.sizingStats = { wins: 0, losses: 0, totalWinReturn: 0, totalLossReturn: 0 };
+    
+    this.lots = []; // Open entries { index, direction, price, amount, value } in entry order
+    this.closedLots = []; // Matched lots { direction, entryIndex, exitIndex, entryPrice, exitPrice, amount, profit, profitPct, holdingPeriod }
+    this.exposedCandles = 0; // Candles closed with a position open
+    
+    // Limit/stop order statistics
+    this.ordersPlaced = 0;
+    this.ordersFilled = 0;
+    this.ordersExpired = 0;
+    this.ordersCancelled = 0;
+    
+    // Margin statistics
+    this.liquidations = 0;
+    this.maxMarginUsage = 0;
+    this.marginUsageTotal = 0;
+    this.marginBars = 0;
+    this.worstMarginRatio = 0;
+}
+
+/**
+ * Fill price after slippage and the fee rate of a fill
+ * Limit order fills are maker fills: they pay the maker fee and fill at their price.
+ * @param {Object} candle - Fill candle (its range and volume drive the spread and volume models)
+ * @param {number} price - Execution price
+ * @param {number} coins - Order size in coin
+ * @param {string} side - 'buy' or 'sell'
+ * @returns {Object} { price, feeRate }
+ */
+getFillCosts(candle, price, coins, side) {
+    const isMaker = this.fillOrderType === 'limit';
+    let feeRate = this.feesAndSlippage;
+    if (this.feeModel === 'makerTaker') {
+        feeRate = isMaker ? this.makerFee : this.takerFee;
+    }
+    feeRate *= 1 - this.feeDiscount;
+    
+    let slippage = 0; // Price offset against the trade
+    if (!isMaker) {
+        if (this.slippageModel === 'fixed') {
+            slippage = price * this.slippageBps / 10000;
+        } else if (this.slippageModel === 'spread') {
+            slippage = this.spreadShare * (candle.high - candle.low) / 2;
+        } else if (this.slippageModel === 'volume' && candle.volume > 0) {
+            slippage = price * this.volumeImpact * Math.sqrt(coins / candle.volume);
+        }
+    }
+    
+    let fillPrice = side === 'buy' ? price + slippage : Math.max(0, price - slippage);
+    if (this.symbolFilters) {
+        // Execution prices between ticks fill at the next tick against the trade
+        fillPrice = PortfolioBacktester.roundToStep(fillPrice, this.symbolFilters.tickSize, side === 'buy' ? 'up' : 'down');
+    }
+    
+    return {
+        price: fillPrice,
+        feeRate: feeRate
+    };
+}
+
+/**
+ * Round a value to a multiple of an exchange step (a step of 0 leaves it unchanged)
+ * @param {number} value - Price or quantity
+ * @param {number} step - Tick size or lot step
+ * @param {string} mode - 'down', 'up' or 'nearest'
+ * @returns {number} Rounded value
+ */
+static roundToStep(value, step, mode = 'nearest') {
+    if (!(step > 0)) return value;
+    
+    const units = value / step;
+    let rounded = Math.round(units);
+    if (mode === 'down') {
+        rounded = Math.floor(units + 1e-9);
+    } else if (mode === 'up') {
+        rounded = Math.ceil(units - 1e-9);
+    }
+    // Trim floating point noise to the step's decimals
+    const decimals = (step.toFixed(12).replace(/0+$/, '').split('.')[1] || '').length;
+    return parseFloat((rounded * step).toFixed(decimals));
+}
+
+/**
+ * Fit an order to the exchange's LOT_SIZE and MIN_NOTIONAL rules
+ * @param {number} coins - Order size in coin
+ * @param {number} price - Fill price
+ * @returns {number} Size rounded down to the lot step and capped at the maximum quantity, or 0 when
+ *                   it falls below the minimum quantity or notional (the order is dropped and counted)
+ */
+applyLotRules(coins, price) {
+    const filters = this.symbolFilters;
+    if (!filters) return coins;
+    
+    let amount = PortfolioBacktester.roundToStep(coins, filters.stepSize, 'down');
+    if (filters.maxQty > 0) {
+        amount = Math.min(amount, filters.maxQty);
+    }
+    if (amount <= 0 || amount < filters.minQty || amount * price < filters.minNotional) {
+        this.droppedByRules++;
+        return 0;
+    }
+    return amount;
+}
+
+/**
+ * Add a fill's fees and slippage to the run totals
+ */
+recordCosts(fees, slippage) {
+    this.totalFeesPaid += fees;
+    this.totalSlippage += slippage;
+}
+
+/**
+ * Calculate total portfolio value in USDT
+ */
+calculateTotalValue(currentPrice) {
+    return (this.coinBalance - this.borrowedCoins) * currentPrice + this.usdtBalance;
+}
+
+/**
+ * Charge borrow interest on borrowed coin (shorts) and borrowed USDT (leveraged longs)
+ * for the time since the previous candle
+ * @param {number} price - Price used to value the borrowed coin
+ * @param {number} elapsedMs - Time the position was held
+ */
+accrueBorrowInterest(price, elapsedMs) {
+    const borrowedValue = this.borrowedCoins * price + Math.max(0, -this.usdtBalance);
+    if (borrowedValue <= 0 || this.borrowRate <= 0 || elapsedMs <= 0) return;
+    
+    const interest = borrowedValue * this.borrowRate * (elapsedMs / 86400000);
+    this.usdtBalance -= interest;
+    this.totalBorrowInterest += interest;
+}
+
+/**
+ * Settle a perpetual funding event on the open position. Longs pay positive rates
+ * and shorts receive them; negative rates flow the other way.
+ * @param {Object} event - { timestamp, rate, markPrice }
+ * @param {number} price - Price used when the event has no mark price
+ */
+applyFunding(event, price) {
+    const position = this.coinBalance - this.borrowedCoins;
+    if (position === 0) return;
+    
+    const payment = position * (event.markPrice || price) * event.rate;
+    this.usdtBalance -= payment;
+    this.totalFunding += payment;
+    this.fundingEvents++;
+}
+
+/**
+ * Number of candles between a signal and its fill
+ * @returns {number} 0 fills on the signal candle itself
+ */
+getFillDelay() {
+    switch (this.executionTiming) {
+        case 'nextBarOpen':
+            return 1;
+        case 'delayed':
+            return Math.max(1, Math.floor(this.executionDelay));
+        case 'signalBar':
+            return this.executionPrice === 'nextOpen' ? 1 : 0;
+        default:
+            throw new Error(`Unknown execution timing: ${this.executionTiming}`);
+    }
+}
+
+/**
+ * Fill price for a signal on the given candle (the open for next-bar-open fills)
+ * @param {Object} candle - Candle the signal is filled on
+ * @param {number} signal - 1 (buy) or -1 (sell)
+ * @returns {number} Fill price before fees and slippage
+ */
+getExecutionPrice(candle, signal) {
+    if (this.executionTiming === 'nextBarOpen') {
+        return candle.open;
+    }
+    
+    switch (this.executionPrice) {
+        case 'nextOpen':
+            return candle.open;
+        case 'midpoint':
+            return (candle.high + candle.low) / 2;
+        case 'worst':
+            return signal === 1 ? candle.high : candle.low;
+        case 'close':
+            return candle.close;
+        default:
+            throw new Error(`Unknown execution price model: ${this.executionPrice}`);
+    }
+}
+
+/**
+ * Act on a signal according to the position mode
+ * @param {number} size - Fraction of the usual position size to open (order intents)
+ * @returns {Array} Trades executed (a reversal produces a close and an open)
+ */
+executeSignal(candleIndex, candle, signal, price, size = 1) {
+    const allowShorts = this.positionMode === 'longShort';
+    if (!allowShorts && !this.marginMode && this.sizingModel === 'balance') {
+        const trade = this.executeTrade(candleIndex, candle, signal, price, size);
+        return trade ? [trade] : [];
+    }
+    
+    // Two-sided, margin or a sizing model: a signal closes the opposite position in full
+    // (or, for an order sized below 1, that share of it), then opens a position sized by the
+    // sizing model when flat, or adds an entry while the same side has fewer than maxEntries
+    const trades = [];
+    if (signal === 1) {
+        if (this.borrowedCoins > 0) {
+            trades.push(this.closeShort(candleIndex, candle, price, 'signal', size < 1 ? this.borrowedCoins * size : null));
+            if (size < 1) return trades.filter(trade => trade !== null);
+        }
+        if (this.coinBalance > 0 ? this.lots.length < this.maxEntries : this.usdtBalance > 0) {
+            const value = this.getEntryValue(candleIndex, price, size);
+            if (value > 0) trades.push(this.openLong(candleIndex, candle, price, value));
+        }
+    } else if (signal === -1) {
+        if (this.coinBalance > 0) {
+            trades.push(this.closeLong(candleIndex, candle, price, 'signal', size < 1 ? this.coinBalance * size : null));
+            if (size < 1) return trades.filter(trade => trade !== null);
+        }
+        const canOpen = this.borrowedCoins > 0 ? this.lots.length < this.maxEntries : this.usdtBalance > 0;
+        if (allowShorts && canOpen) {
+            const value = this.getEntryValue(candleIndex, price, size);
+            if (value > 0) trades.push(this.openShort(candleIndex, candle, price, value));
+        }
+    }
+    return trades.filter(trade => trade !== null); // Orders dropped by the exchange's trading rules
+}
+
+/**
+ * USDT value of a new position (or pyramid entry) under the sizing model, capped by the
+ * buying power left (equity times leverage, less the value already held)
+ * Volatility estimates come from the last candle completed before the fill candle.
+ * @param {number} candleIndex - Fill candle
+ * @param {number} price - Fill price
+ * @param {number} size - Fraction of the model's size (order intents)
+ * @returns {number} Position value (0 when the model sizes nothing, e.g. before the volatility warm-up)
+ */
+getEntryValue(candleIndex, price, size = 1) {
+    const equity = this.calculateTotalValue(price);
+    const maxValue = Math.max(0, equity * this.leverage - (this.coinBalance + this.borrowedCoins) * price);
+    if (this.sizingModel === 'balance') {
+        return maxValue * this.positionSize * size;
+    }
+    
+    let exposure; // Position value as a multiple of equity
+    switch (this.sizingModel) {
+        case 'equity':
+            exposure = this.sizeFraction * this.leverage;
+            break;
+        case 'notional':
+            exposure = equity > 0 ? this.sizeNotional / equity : 0;
+            break;
+        case 'volatility': {
+            const volatility = this.volatilityValues ? this.volatilityValues[candleIndex - 1] : undefined;
+            exposure = volatility > 0 ? this.targetVolatility / volatility : 0;
+            break;
+        }
+        case 'kelly':
+            exposure = this.getKellyExposure();
+            break;
+        case 'target':
+            exposure = this.leverage; // Plain signals go to full exposure
+            break;
+        default:
+            throw new Error(`Unknown sizing model: ${this.sizingModel}`);
+    }
+    
+    const value = Math.min(exposure, this.leverage) * equity * size;
+    return Math.max(0, Math.min(value, maxValue));
+}
+
+/**
+ * Exposure from the Kelly criterion K = W - (1 - W) / R over the lots closed so far
+ * (W the win rate, R the average win over the average loss), times the Kelly fraction
+ * Until kellyMinTrades lots have closed, the equity fraction is used instead.
+ * @returns {number} Position value as a multiple of equity (0 when the edge is negative)
+ */
+getKellyExposure() {
+    const { wins, losses, totalWinReturn, totalLossReturn } = this.sizingStats;
+    if (wins + losses < this.kellyMinTrades) {
+        return this.sizeFraction * this.leverage;
+    }
+    if (wins === 0) return 0;
+    
+    const winRate = wins / (wins + losses);
+    const kelly = losses === 0 || totalLossReturn === 0
+        ? 1
+        : winRate - (1 - winRate) / ((totalWinReturn / wins) / (totalLossReturn / losses));
+    return Math.max(0, kelly * this.kellyFraction);
+}
+
+/**
+ * Record the return of a closed lot for Kelly sizing (break-even counts as a loss)
+ * @param {number} lotReturn - Return on the lot's entry value (0.05 = +5%)
+ */
+recordLotReturn(lotReturn) {
+    const stats = this.sizingStats;
+    if (lotReturn > 0) {
+        stats.wins++;
+        stats.totalWinReturn += lotReturn;
+    } else {
+        stats.losses++;
+        stats.totalLossReturn -= lotReturn;
+    }
+}
+
+/**
+ * Add an entry to the open position
+ * @param {number} candleIndex - Fill candle
+ * @param {string} direction - 'long' or 'short'
+ * @param {number} price - Fill price
+ * @param {number} amount - Coin bought (after fees) or borrowed
+ * @param {number} value - USDT paid for a long, or received for a short (after fees)
+ */
+addLot(candleIndex, direction, price, amount, value) {
+    this.lots.push({ index: candleIndex, direction, price, amount, value });
+}
+
+/**
+ * Match a closing fill against the open lots, oldest first (FIFO) or newest first (LIFO),
+ * and record each matched lot. A lot's share of the fill's value is in proportion to the
+ * coin it supplies; borrow interest and funding are not attributed to lots.
+ * @param {number} candleIndex - Fill candle
+ * @param {number} price - Fill price
+ * @param {number} amount - Coin sold or repaid
+ * @param {number} value - USDT received for a long, or paid for a short (after fees)
+ * @param {boolean} closesAll - Whether the fill closes the whole position (matches every lot)
+ * @returns {number} Realized profit of the matched lots
+ */
+closeLots(candleIndex, price, amount, value, closesAll) {
+    const lotAmount = this.lots.reduce((sum, lot) => sum + lot.amount, 0);
+    const matchedAmount = closesAll ? lotAmount : Math.min(amount, lotAmount);
+    let remaining = matchedAmount;
+    let realized = 0;
+    
+    while (remaining > 0 && this.lots.length > 0) {
+        const lot = this.lotMatching === 'lifo' ? this.lots[this.lots.length - 1] : this.lots[0];
+        const matched = Math.min(remaining, lot.amount);
+        const entryValue = lot.value * (matched / lot.amount);
+        const exitValue = value * (matched / (closesAll ? lotAmount : amount));
+        const profit = lot.direction === 'short' ? entryValue - exitValue : exitValue - entryValue;
+        
+        this.closedLots.push({
+            direction: lot.direction,
+            entryIndex: lot.index,
+            exitIndex: candleIndex,
+            entryPrice: lot.price,
+            exitPrice: price,
+            amount: matched,
+            profit: profit,
+            profitPct: entryValue > 0 ? (profit / entryValue) * 100 : 0,
+            holdingPeriod: candleIndex - lot.index
+        });
+        if (entryValue > 0) {
+            this.recordLotReturn(profit / entryValue);
+        }
+        realized += profit;
+        
+        if (matched === lot.amount) {
+            this.lots.splice(this.lots.indexOf(lot), 1);
+        } else {
+            lot.value -= entryValue;
+            lot.amount -= matched;
+        }
+        remaining -= matched;
+    }
+    
+    if (closesAll) {
+        this.lots = [];
+    }
+    return realized;
+}
+
+/**
+ * Average entry price of the open lots
+ * @returns {number|null} Coin-weighted entry price, or null when flat
+ */
+getAverageEntryPrice() {
+    let amount = 0;
+    let cost = 0;
+    for (const lot of this.lots) {
+        amount += lot.amount;
+        cost += lot.price * lot.amount;
+    }
+    return amount > 0 ? cost / amount : null;
+}
+
+/**
+ * Win/loss statistics over the matched lots of the run. Profit factor is gross profit over
+ * gross loss (Infinity with winners and no losers); expectancy is the mean profit per lot.
+ * @returns {Object} { closedLots, winRate, avgWin, avgLoss, profitFactor, expectancy,
+ *                   maxConsecutiveLosses, avgHoldingPeriod } (winRate in percent, profits in
+ *                   USDT with avgLoss negative, holding period in candles)
+ */
+getLotMetrics() {
+    const lots = this.closedLots;
+    const winning = lots.filter(lot => lot.profit > 0);
+    const losing = lots.filter(lot => lot.profit <= 0);
+    const grossProfit = winning.reduce((sum, lot) => sum + lot.profit, 0);
+    const grossLoss = -losing.reduce((sum, lot) => sum + lot.profit, 0);
+    
+    // Break-even lots count as losses, as in recordLotReturn
+    let lossStreak = 0;
+    let maxConsecutiveLosses = 0;
+    for (const lot of lots) {
+        lossStreak = lot.profit > 0 ? 0 : lossStreak + 1;
+        maxConsecutiveLosses = Math.max(maxConsecutiveLosses, lossStreak);
+    }
+    
+    return {
+        closedLots: lots.length,
+        winRate: lots.length > 0 ? (winning.length / lots.length) * 100 : 0,
+        avgWin: winning.length > 0 ? grossProfit / winning.length : 0,
+        avgLoss: losing.length > 0 ? -grossLoss / losing.length : 0,
+        profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+        expectancy: lots.length > 0 ? (grossProfit - grossLoss) / lots.length : 0,
+        maxConsecutiveLosses: maxConsecutiveLosses,
+        avgHoldingPeriod: lots.length > 0 ? lots.reduce((sum, lot) => sum + lot.holdingPeriod, 0) / lots.length : 0
+    };
+}
+
+/**
+ * Risk/return statistics of the equity curve, annualized for the candle interval (see
+ * getPeriodsPerYear). Returns are per candle, from the starting value through each close;
+ * Calmar is CAGR over the peak-to-trough drawdown percent.
+ * Call before calculateLightweightMetrics clears the portfolio values.
+ * @param {Array} candleData - Candles of the run
+ * @param {number} startValue - Portfolio value at the start
+ * @param {number} finalValue - Portfolio value at the last close
+ * @returns {Object} { cagr, sharpeRatio, sortinoRatio, calmarRatio, exposureTime, maxDrawdownDuration }
+ *                   (cagr and exposureTime in percent, drawdown duration in candles)
+ */
+getRiskMetrics(candleData, startValue, finalValue) {
+    const periodsPerYear = PortfolioBacktester.getPeriodsPerYear(candleData);
+    const years = periodsPerYear > 0 ? candleData.length / periodsPerYear : 0;
+    
+    const values = [startValue, ...this.portfolioValues];
+    const returns = PortfolioBacktester.getPeriodReturns(values);
+    
+    const annualize = Math.sqrt(periodsPerYear);
+    const cagr = MathUtils.cagr(startValue, Math.max(0, finalValue), years);
+    const drawdown = MathUtils.calculateDrawdown(values);
+    
+    return {
+        cagr: cagr,
+        sharpeRatio: MathUtils.sharpeRatio(returns) * annualize,
+        sortinoRatio: MathUtils.sortinoRatio(returns) * annualize,
+        calmarRatio: drawdown.maxDrawdownPercent > 0 ? cagr / drawdown.maxDrawdownPercent : 0,
+        exposureTime: candleData.length > 0 ? (this.exposedCandles / candleData.length) * 100 : 0,
+        maxDrawdownDuration: MathUtils.maxDrawdownDuration(values),
+        ...this.getBenchmarkMetrics(candleData, startValue, finalValue)
+    };
+}
+
+/**
+ * Performance relative to the buy-and-hold benchmark of the same candles (see
+ * BacktestEngine.runBenchmark). Beta and correlation compare the per-candle returns;
+ * alpha is the annualized mean return left after beta times the benchmark's (no risk-free rate).
+ * @param {Array} candleData - Candles of the run
+ * @param {number} startValue - Portfolio value at the start
+ * @param {number} finalValue - Portfolio value at the last close
+ * @returns {Object} { benchmarkReturn, excessReturn, alpha, beta, benchmarkCorrelation, outperformed }
+ *                   (returns and alpha in percent), or {} without a benchmark
+ */
+getBenchmarkMetrics(candleData, startValue, finalValue) {
+    const benchmark = this.benchmarkValues;
+    if (!benchmark || benchmark.length !== this.portfolioValues.length || startValue <= 0) {
+        return {};
+    }
+    
+    const returns = PortfolioBacktester.getPeriodReturns([startValue, ...this.portfolioValues]);
+    const benchmarkReturns = PortfolioBacktester.getPeriodReturns([startValue, ...benchmark]);
+    const benchmarkDeviation = MathUtils.standardDeviation(benchmarkReturns);
+    const correlation = MathUtils.correlation(returns, benchmarkReturns);
+    const beta = benchmarkDeviation > 0 ? correlation * MathUtils.standardDeviation(returns) / benchmarkDeviation : 0;
+    const alpha = (MathUtils.mean(returns) - beta * MathUtils.mean(benchmarkReturns))
+        * PortfolioBacktester.getPeriodsPerYear(candleData) * 100;
+    
+    const totalReturn = ((finalValue - startValue) / startValue) * 100;
+    const benchmarkReturn = ((benchmark[benchmark.length - 1] - startValue) / startValue) * 100;
+    
+    return {
+        benchmarkReturn: benchmarkReturn,
+        excessReturn: totalReturn - benchmarkReturn,
+        alpha: alpha,
+        beta: beta,
+        benchmarkCorrelation: correlation,
+        outperformed: totalReturn > benchmarkReturn
+    };
+}
+
+/**
+ * Candles per year, from the average candle spacing
+ * @param {Array} candleData - Candles
+ * @returns {number} Periods per year (0 with fewer than two candles)
+ */
+static getPeriodsPerYear(candleData) {
+    const yearMs = 365 * 24 * 60 * 60 * 1000;
+    const candleMs = candleData.length > 1
+        ? (candleData[candleData.length - 1].timestamp - candleData[0].timestamp) / (candleData.length - 1)
+        : 0;
+    return candleMs > 0 ? yearMs / candleMs : 0;
+}
+
+/**
+ * Simple return of each period of a value series (0 after a value of zero or less)
+ * @param {Array<number>} values - Portfolio values
+ * @returns {Array<number>} Returns, one fewer than the values
+ */
+static getPeriodReturns(values) {
+    const returns = [];
+    for (let i = 1; i < values.length; i++) {
+        returns.push(values[i - 1] > 0 ? values[i] / values[i - 1] - 1 : 0);
+    }
+    return returns;
+}
+
+/**
+ * Record a trade with the balances after it
+ */
+recordTrade(candleIndex, candle, fields) {
+    const trade = {
+        index: candleIndex,
+        timestamp: candle.timestamp,
+        reason: 'signal',
+        ...fields,
+        coinBalance: this.coinBalance,
+        borrowedCoins: this.borrowedCoins,
+        usdtBalance: this.usdtBalance,
+        totalValue: this.calculateTotalValue(fields.price),
+        liquidationPrice: this.getLiquidationPrice(),
+        entries: this.lots.length, // Open lots after the trade
+        averageEntryPrice: this.getAverageEntryPrice()
+    };
+    this.trades.push(trade);
+    return trade;
+}
+
+/**
+ * Buy coin worth the given USDT value (see getEntryValue) as a new lot, adding to any open long
+ * @returns {Object|null} Trade, or null when the order breaks the exchange's trading rules
+ */
+openLong(candleIndex, candle, price, usdtSpent) {
+    const costs = this.getFillCosts(candle, price, usdtSpent / price, 'buy');
+    const orderCoins = this.applyLotRules(usdtSpent / costs.price, costs.price);
+    if (orderCoins === 0) return null;
+    
+    usdtSpent = orderCoins * costs.price;
+    const fees = usdtSpent * costs.feeRate;
+    const coinsToBuy = (usdtSpent - fees) / costs.price;
+    const slippage = coinsToBuy * (costs.price - price);
+    this.recordCosts(fees, slippage);
+    
+    this.coinBalance += coinsToBuy;
+    this.usdtBalance -= usdtSpent;
+    this.addLot(candleIndex, 'long', costs.price, coinsToBuy, usdtSpent);
+    
+    return this.recordTrade(candleIndex, candle, {
+        type: 'buy', direction: 'long', action: 'open',
+        price: costs.price, amount: coinsToBuy, value: usdtSpent,
+        fees: fees, slippage: slippage
+    });
+}
+
+/**
+ * Sell held coin: all of it, or part of it when coins is given (partial exits), closing lots
+ * Closing the whole position is never blocked by the exchange's trading rules.
+ * @returns {Object|null} Trade, or null when a partial exit breaks the exchange's trading rules
+ */
+closeLong(candleIndex, candle, price, reason = 'signal', coins = null) {
+    let coinsToSell = coins === null ? this.coinBalance : Math.min(coins, this.coinBalance);
+    const costs = this.getFillCosts(candle, price, coinsToSell, 'sell');
+    if (coinsToSell < this.coinBalance) {
+        coinsToSell = this.applyLotRules(coinsToSell, costs.price);
+        if (coinsToSell === 0) return null;
+    }
+    const fees = coinsToSell * costs.price * costs.feeRate;
+    const usdtReceived = coinsToSell * costs.price - fees;
+    const slippage = coinsToSell * (price - costs.price);
+    this.recordCosts(fees, slippage);
+    
+    this.coinBalance -= coinsToSell;
+    this.usdtBalance += usdtReceived;
+    const realizedProfit = this.closeLots(candleIndex, costs.price, coinsToSell, usdtReceived, this.coinBalance <= 0);
+    
+    return this.recordTrade(candleIndex, candle, {
+        type: 'sell', direction: 'long', action: 'close', reason: reason,
+        price: costs.price, amount: coinsToSell, value: usdtReceived,
+        fees: fees, slippage: slippage,
+        realizedProfit: realizedProfit
+    });
+}
+
+/**
+ * Borrow coin worth the given USDT value (see getEntryValue) and sell it as a new lot, adding to any open short
+ * @returns {Object|null} Trade, or null when the order breaks the exchange's trading rules
+ */
+openShort(candleIndex, candle, price, value) {
+    const costs = this.getFillCosts(candle, price, value / price, 'sell');
+    const coinsToBorrow = this.applyLotRules(value / price, costs.price);
+    if (coinsToBorrow === 0) return null;
+    
+    const fees = coinsToBorrow * costs.price * costs.feeRate;
+    const usdtReceived = coinsToBorrow * costs.price - fees;
+    const slippage = coinsToBorrow * (price - costs.price);
+    this.recordCosts(fees, slippage);
+    
+    this.borrowedCoins += coinsToBorrow;
+    this.usdtBalance += usdtReceived;
+    this.addLot(candleIndex, 'short', costs.price, coinsToBorrow, usdtReceived);
+    
+    return this.recordTrade(candleIndex, candle, {
+        type: 'sell', direction: 'short', action: 'open',
+        price: costs.price, amount: coinsToBorrow, value: usdtReceived,
+        fees: fees, slippage: slippage
+    });
+}
+
+/**
+ * Buy back and repay borrowed coin: all of it, or part of it when coins is given (partial exits), closing lots
+ * Closing the whole position is never blocked by the exchange's trading rules.
+ * @returns {Object|null} Trade, or null when a partial exit breaks the exchange's trading rules
+ */
+closeShort(candleIndex, candle, price, reason = 'signal', coins = null) {
+    let coinsToRepay = coins === null ? this.borrowedCoins : Math.min(coins, this.borrowedCoins);
+    const costs = this.getFillCosts(candle, price, coinsToRepay, 'buy');
+    if (coinsToRepay < this.borrowedCoins) {
+        coinsToRepay = this.applyLotRules(coinsToRepay, costs.price);
+        if (coinsToRepay === 0) return null;
+    }
+    const fees = coinsToRepay * costs.price * costs.feeRate;
+    const usdtSpent = coinsToRepay * costs.price + fees;
+    const slippage = coinsToRepay * (costs.price - price);
+    this.recordCosts(fees, slippage);
+    
+    this.borrowedCoins -= coinsToRepay;
+    this.usdtBalance -= usdtSpent;
+    const realizedProfit = this.closeLots(candleIndex, costs.price, coinsToRepay, usdtSpent, this.borrowedCoins <= 0);
+    
+    return this.recordTrade(candleIndex, candle, {
+        type: 'buy', direction: 'short', action: 'close', reason: reason,
+        price: costs.price, amount: coinsToRepay, value: usdtSpent,
+        fees: fees, slippage: slippage,
+        realizedProfit: realizedProfit
+    });
+}
+
+/**
+ * Coin position (negative for a short) at a target exposure: -1 is a full short and 1 a full
+ * long, both times leverage. Shorts only in long & short mode.
+ * @param {number} target - Target exposure in [-1, 1]
+ * @param {number} price - Price the position is valued at
+ * @returns {number} Target position in coin
+ */
+getTargetCoins(target, price) {
+    const exposure = this.positionMode === 'longShort' ? target : Math.max(0, target);
+    return exposure * this.leverage * this.calculateTotalValue(price) / price;
+}
+
+/**
+ * Direction of the trade that moves the position toward a target exposure
+ * @returns {number} 1 (buy), -1 (sell) or 0 (already there)
+ */
+getTargetSide(target, price) {
+    return Math.sign(this.getTargetCoins(target, price) - (this.coinBalance - this.borrowedCoins));
+}
+
+/**
+ * Side and price of a fill toward a target exposure, the side decided at the price filled at.
+ * Under the 'worst' price model that price depends on the side, so a buy is checked at the
+ * buy price and a sell at the sell price.
+ * @param {number} target - Target exposure in [-1, 1]
+ * @param {number|null} price - Fill price of a limit/stop order (null for market fills)
+ * @returns {Object} { side, price } (side 0 when no trade is called for at its own price)
+ */
+getTargetFill(candle, target, price = null) {
+    if (price !== null) {
+        return { side: this.getTargetSide(target, price), price: price };
+    }
+    const buyPrice = this.getExecutionPrice(candle, 1);
+    if (this.getTargetSide(target, buyPrice) === 1) {
+        return { side: 1, price: buyPrice };
+    }
+    const sellPrice = this.getExecutionPrice(candle, -1);
+    return { side: this.getTargetSide(target, sellPrice) === -1 ? -1 : 0, price: sellPrice };
+}
+
+/**
+ * Trade toward a target exposure (Script Target Exposure sizing): reduce or close the open
+ * position, then add to it or open the other side
+ * @param {number} target - Target exposure in [-1, 1]
+ * @returns {Array} Trades executed
+ */
+rebalanceToTarget(candleIndex, candle, target, price) {
+    if (this.sizingModel !== 'target') {
+        throw new Error('Target exposure orders need the Script Target Exposure sizing model');
+    }
+    
+    const targetCoins = this.getTargetCoins(target, price);
+    const trades = [];
+    
+    if (this.coinBalance > 0 && targetCoins < this.coinBalance) {
+        trades.push(this.closeLong(candleIndex, candle, price, 'signal', targetCoins > 0 ? this.coinBalance - targetCoins : null));
+    } else if (this.borrowedCoins > 0 && -targetCoins < this.borrowedCoins) {
+        trades.push(this.closeShort(candleIndex, candle, price, 'signal', targetCoins < 0 ? this.borrowedCoins + targetCoins : null));
+    }
+    
+    // Buying power left after the reduction (what is still unused of equity times leverage)
+    const heldValue = (this.coinBalance + this.borrowedCoins) * price;
+    const available = Math.max(0, this.calculateTotalValue(price) * this.leverage - heldValue);
+    if (targetCoins > this.coinBalance && this.borrowedCoins <= 0) {
+        const value = Math.min((targetCoins - this.coinBalance) * price, available);
+        if (value > 0) trades.push(this.openLong(candleIndex, candle, price, value));
+    } else if (-targetCoins > this.borrowedCoins && this.coinBalance <= 0) {
+        const value = Math.min((-targetCoins - this.borrowedCoins) * price, available);
+        if (value > 0) trades.push(this.openShort(candleIndex, candle, price, value));
+    }
+    return trades.filter(trade => trade !== null); // Orders dropped by the exchange's trading rules
+}
+
+/**
+ * Execute a long-only trade based on signal
+ * A buy adds an entry while the long holds fewer than maxEntries lots.
+ * @param {number} size - Fraction of the usual amount to trade (order intents)
+ */
+executeTrade(candleIndex, candle, signal, price = candle.close, size = 1) {
+    if (signal === -1 && this.coinBalance > 0) {
+        // Sell signal
+        return this.closeLong(candleIndex, candle, price, 'signal', this.coinBalance * this.positionSize * size);
+    }
+    
+    const canBuy = this.coinBalance > 0 ? this.lots.length < this.maxEntries : true;
+    if (signal === 1 && this.usdtBalance > 0 && canBuy) {
+        // Buy signal
+        return this.openLong(candleIndex, candle, price, this.usdtBalance * size);
+    }
+    
+    return null;
+}
+
+/**
+ * Run complete backtest and return lightweight metrics
+ */
+run(candleData, signals) {
+    this.reset();
+    
+    if (!candleData || !signals || candleData.length !== signals.length) {
+        throw new Error('Invalid input data: candle data and signals must have same length');
+    }
+
+    const startValue = this.getStartValue(candleData);
+
+    let tradeCount = 0; // Win/loss comes from the matched lots, so only the count is kept
+
+    this.simulate(candleData, signals, (executed) => {
+        tradeCount += executed.length;
+    });
+
+    // Calculate lightweight metrics
+    return this.calculateLightweightMetrics(candleData, tradeCount, startValue);
+}
+
+/**
+ * Starting portfolio value in USDT (a coin start is valued at the first close)
+ * @param {Array} candleData - Candles
+ * @returns {number} Starting value
+ */
+getStartValue(candleData) {
+    return this.startingDenomination === 'coin'
+        ? this.startingAmount * candleData[0].close
+        : this.startingAmount;
+}
+
+/**
+ * Walk the candles, filling each signal at the configured execution price and
+ * tracking the portfolio value at every close. Delayed signals wait in a queue
+ * until their fill candle; signals whose fill candle is past the end never fill.
+ * Limit and stop orders start working on a later candle (after the fill delay, at
+ * least one bar) and fill when a candle trades through their price; market fills
+ * queued for a candle go first.
+ * In margin mode, positions carried into a candle are liquidated first if its
+ * range reaches the liquidation price, and protective exits are checked against the
+ * candle's high and low (see getIntrabarExit). Funding events are settled after the
+ * fills of the candle (or magnifier bar) they fall in and before its closing signal fills:
+ * a position opened at that candle's open pays, one stopped out within it does not.
+ * With a bar magnifier, a candle whose lower-timeframe bars cover its range is walked bar
+ * by bar instead: exits and limit/stop orders are checked against each bar in time order,
+ * so which of them came first is known rather than assumed. Signals, market fills and
+ * order expiry still work on the base candles.
+ * @param {Array} candleData - Candles
+ * @param {Array} signals - Signals (-1, 0, 1) or order intents (see StrategyScriptRunner.normalizeSignal), one per candle
+ * @param {Function} onTrades - (trades, previousTotal) called after each fill with the trades it produced
+ */
+simulate(candleData, signals, onTrades) {
+    const delay = this.getFillDelay();
+    const pending = []; // { index, signal } in fill order
+    const funding = this.fundingRates || [];
+    let fundingIndex = 0;
+    
+    // Funding events before the first candle belong to positions that were never held
+    while (fundingIndex < funding.length && funding[fundingIndex].timestamp < candleData[0].timestamp) {
+        fundingIndex++;
+    }
+    
+    const working = []; // Limit/stop orders waiting for a candle to trade through their price
+    
+    // Fill a market signal or order intent; returns whether it produced trades.
+    // atClose marks signal-bar fills, made once the candle is complete.
+    const fill = (index, candle, signal, price = null, atClose = false) => {
+        const order = typeof signal === 'number' ? null : signal;
+        const isTarget = order !== null && typeof order.target === 'number';
+        const targetFill = isTarget ? this.getTargetFill(candle, order.target, price) : null;
+        if (targetFill && targetFill.side === 0) return false;
+        const side = targetFill ? targetFill.side : (order ? order.side : signal);
+        const fillPrice = targetFill ? targetFill.price : (price !== null ? price : this.getExecutionPrice(candle, side));
+        const previousTotal = this.calculateTotalValue(fillPrice);
+        this.fillOrderType = order ? order.type : 'market';
+        const trades = isTarget
+            ? this.rebalanceToTarget(index, candle, order.target, fillPrice)
+            : this.executeSignal(index, candle, side, fillPrice, order ? order.size : 1);
+        this.fillOrderType = 'market'; // Protective exits and liquidations are taker fills
+        if (trades.length === 0) return false;
+        
+        if (order) {
+            trades.forEach(trade => { trade.orderType = order.type; });
+        }
+        this.updateExitLevels(index, trades, atClose);
+        onTrades(trades, previousTotal);
+        return true;
+    };
+    
+    if (this.atrStop > 0) {
+        // TechnicalIndicators.atr starts at the second candle (the first has no true range)
+        this.atrValues = [undefined, ...TechnicalIndicators.atr(candleData, this.atrPeriod)];
+    }
+    if (this.sizingModel === 'volatility') {
+        this.volatilityValues = this.calculateVolatility(candleData);
+    }
+    if (this.coinBalance > 0) {
+        // Coin held from the start is one lot valued at the first close (as the start value is)
+        this.addLot(0, 'long', candleData[0].close, this.coinBalance, this.coinBalance * candleData[0].close);
+    }
+
+    for (let i = 0; i < candleData.length; i++) {
+        const candle = candleData[i];
+        
+        if (i > 0) {
+            this.accrueBorrowInterest(candle.open, candle.timestamp - candleData[i - 1].timestamp);
+        }
+        
+        const periodEnd = i + 1 < candleData.length ? candleData[i + 1].timestamp : (candle.closeTime || candle.timestamp) + 1;
+        
+        // The candle itself, or its magnifier bars in time order
+        const bars = (this.magnifier && this.getMagnifierBars(candle, periodEnd)) || [candle];
+        for (let b = 0; b < bars.length; b++) {
+            const bar = bars[b];
+            const exit = this.getIntrabarExit(bar);
+            if (exit !== null) {
+                const previousTotal = this.calculateTotalValue(exit.price);
+                const trade = exit.reason === 'liquidation'
+                    ? this.liquidate(i, bar, exit.price)
+                    : this.closePosition(i, bar, exit.price, exit.reason);
+                this.exitLevels = null;
+                onTrades([trade], previousTotal);
+            } else {
+                if (this.marginMode) {
+                    this.updateMarginRatio(bar);
+                }
+                this.updateTrailingExtreme(bar);
+            }
+            
+            // Market fills queued for this candle go before its limit/stop orders
+            if (b === 0) {
+                while (pending.length > 0 && pending[0].index === i) {
+                    fill(i, candle, pending.shift().signal);
+                }
+            }
+            
+            this.fillWorkingOrders(i, bar, working, fill, b === bars.length - 1);
+            
+            // Funding events that fall inside this bar, on the position after its fills
+            const barEnd = b + 1 < bars.length ? bars[b + 1].timestamp : periodEnd;
+            while (fundingIndex < funding.length && funding[fundingIndex].timestamp < barEnd) {
+                this.applyFunding(funding[fundingIndex++], bar.open);
+            }
+        }
+        
+        const signal = signals[i];
+        if (signal && typeof signal === 'object' && signal.type !== 'market') {
+            this.placeOrder(i, signal, working, Math.max(1, delay));
+        } else if (signal !== 0) {
+            if (delay === 0) {
+                fill(i, candle, signal, null, true);
+            } else {
+                pending.push({ index: i + delay, signal });
+            }
+        }
+        
+        if (this.marginMode) {
+            this.updateMarginUsage(candle.close);
+        }
+        if (this.coinBalance > 0 || this.borrowedCoins > 0) {
+            this.exposedCandles++;
+        }
+        
+        // Track only final portfolio value (not full history)
+        this.portfolioValues.push(this.calculateTotalValue(candle.close));
+    }
+}
+
+/**
+ * Annualized volatility estimate at each candle for volatility target sizing: the ATR as a
+ * share of the close, or the standard deviation of close-to-close returns, scaled by the
+ * number of candles per year (from the spacing of the first two candles)
+ * @param {Array} candleData - Candles
+ * @returns {Array} Volatility per candle (undefined during the warm-up)
+ */
+calculateVolatility(candleData) {
+    const period = this.volatilityPeriod;
+    const candleMs = candleData.length > 1 ? candleData[1].timestamp - candleData[0].timestamp : 0;
+    const annualize = candleMs > 0 ? Math.sqrt((365 * 24 * 60 * 60 * 1000) / candleMs) : 0;
+    
+    let perCandle;
+    if (this.volatilityMeasure === 'stdev') {
+        const returns = candleData.slice(1).map((candle, i) => candle.close / candleData[i].close - 1);
+        perCandle = [undefined, ...TechnicalIndicators.rollingStd(returns, period)];
+    } else {
+        const atr = [undefined, ...TechnicalIndicators.atr(candleData, period)];
+        perCandle = atr.map((value, i) => value === undefined ? undefined : value / candleData[i].close);
+    }
+    return perCandle.map(value => value === undefined ? undefined : value * annualize);
+}
+
+/**
+ * Start working a limit or stop order. A new order replaces any working order on the same side.
+ * Under exchange trading rules its price is rounded to the tick size.
+ * @param {number} candleIndex - Candle the order was placed on
+ * @param {Object} order - Normalized order intent
+ * @param {Array} working - Working orders
+ * @param {number} delay - Bars until the order starts working
+ */
+placeOrder(candleIndex, order, working, delay) {
+    for (let k = working.length - 1; k >= 0; k--) {
+        if (working[k].order.side === order.side) {
+            working.splice(k, 1);
+            this.ordersCancelled++;
+        }
+    }
+    
+    if (this.symbolFilters) {
+        // Order prices go on the exchange's tick grid
+        order = { ...order, price: PortfolioBacktester.roundToStep(order.price, this.symbolFilters.tickSize) };
+    }
+    
+    const activeFrom = candleIndex + delay;
+    working.push({
+        order: order,
+        activeFrom: activeFrom,
+        lastIndex: order.tif > 0 ? activeFrom + order.tif - 1 : Infinity // Last candle it may fill on
+    });
+    this.ordersPlaced++;
+}
+
+/**
+ * Fill working orders this candle trades through and expire those past their time in force.
+ * An order that triggers but has nothing to do (e.g., a buy while fully invested) is cancelled.
+ * @param {number} candleIndex - Current candle
+ * @param {Object} candle - Current candle
+ * @param {Array} working - Working orders (modified in place)
+ * @param {Function} fill - (index, candle, order, price) => whether trades were made
+ * @param {boolean} canExpire - Whether orders may expire (false for all but the last magnifier bar of a candle)
+ */
+fillWorkingOrders(candleIndex, candle, working, fill, canExpire = true) {
+    for (let k = 0; k < working.length;) {
+        const entry = working[k];
+        if (entry.activeFrom > candleIndex) {
+            k++;
+            continue;
+        }
+        
+        const price = this.getOrderFillPrice(entry.order, candle);
+        if (price !== null) {
+            working.splice(k, 1);
+            if (fill(candleIndex, candle, entry.order, price)) {
+                this.ordersFilled++;
+            } else {
+                this.ordersCancelled++;
+            }
+        } else if (canExpire && candleIndex >= entry.lastIndex) {
+            working.splice(k, 1);
+            this.ordersExpired++;
+        } else {
+            k++;
+        }
+    }
+}
+
+/**
+ * Magnifier bars that fall inside a candle, consumed in order
+ * The bars are only used when they reach the candle's high and low; a gap in the
+ * lower-timeframe data falls back to the candle itself.
+ * @param {Object} candle - Base candle
+ * @param {number} periodEnd - Start of the next candle
+ * @returns {Array|null} Bars in time order, or null to use the candle
+ */
+getMagnifierBars(candle, periodEnd) {
+    const magnifier = this.magnifier;
+    while (this.magnifierIndex < magnifier.length && magnifier[this.magnifierIndex].timestamp < candle.timestamp) {
+        this.magnifierIndex++;
+    }
+    
+    const start = this.magnifierIndex;
+    let high = -Infinity;
+    let low = Infinity;
+    while (this.magnifierIndex < magnifier.length && magnifier[this.magnifierIndex].timestamp < periodEnd) {
+        high = Math.max(high, magnifier[this.magnifierIndex].high);
+        low = Math.min(low, magnifier[this.magnifierIndex].low);
+        this.magnifierIndex++;
+    }
+    
+    if (high < candle.high || low > candle.low) return null;
+    
+    this.magnifiedCandles++;
+    return magnifier.slice(start, this.magnifierIndex);
+}
+
+/**
+ * Fill price of a limit or stop order on a candle (the open if the candle gapped through)
+ * Buy limits and sell stops fill at or below their price, sell limits and buy stops at or above.
+ * @param {Object} order - Normalized order intent
+ * @param {Object} candle - Candle to check
+ * @returns {number|null} Fill price, or null if the candle did not reach the price
+ */
+getOrderFillPrice(order, candle) {
+    const fillsBelow = (order.side === 1) === (order.type === 'limit');
+    if (fillsBelow) {
+        return candle.low <= order.price ? Math.min(candle.open, order.price) : null;
+    }
+    return candle.high >= order.price ? Math.max(candle.open, order.price) : null;
+}
+
+/**
+ * Limit/stop order statistics for the run, and the orders the exchange's trading rules dropped
+ * @returns {Object} { ordersPlaced, ordersFilled, ordersExpired, ordersCancelled, fillRate, droppedByRules } (fillRate in percent)
+ */
+getOrderMetrics() {
+    return {
+        ordersPlaced: this.ordersPlaced,
+        ordersFilled: this.ordersFilled,
+        ordersExpired: this.ordersExpired,
+        ordersCancelled: this.ordersCancelled,
+        fillRate: this.ordersPlaced > 0 ? (this.ordersFilled / this.ordersPlaced) * 100 : 0,
+        droppedByRules: this.droppedByRules
+    };
+}
+
+/**
+ * Arm protective exits after a fill opened or added to a position, or drop them once flat
+ * Levels are set from the average entry price and, for the ATR stop, the ATR of the last
+ * completed candle: the fill candle for fills at its close, the one before for fills at its
+ * open or within it (whose high and low are not known yet). The trailing stop keeps its best
+ * price across pyramid entries.
+ * @param {number} candleIndex - Fill candle
+ * @param {Array} trades - Trades of the fill
+ * @param {boolean} atClose - Whether the fill was made at the fill candle's close
+ */
+updateExitLevels(candleIndex, trades, atClose = false) {
+    if (this.coinBalance <= 0 && this.borrowedCoins <= 0) {
+        this.exitLevels = null;
+        return;
+    }
+    
+    const opening = trades.filter(trade => trade.action === 'open');
+    if (opening.length === 0 || !this.hasProtectiveExits()) return;
+    
+    // Levels are measured from the average entry, so a pyramid entry moves them
+    const entryPrice = this.getAverageEntryPrice();
+    const isLong = this.borrowedCoins <= 0;
+    const side = isLong ? 1 : -1; // Favorable price direction
+    const previous = this.exitLevels && this.exitLevels.isLong === isLong ? this.exitLevels : null;
+    
+    let stop = null;
+    if (this.stopLoss > 0) {
+        stop = entryPrice * (1 - side * this.stopLoss);
+    }
+    const atr = this.atrValues ? this.atrValues[atClose ? candleIndex : candleIndex - 1] : undefined;
+    if (this.atrStop > 0 && atr !== undefined) {
+        const atrStop = entryPrice - side * this.atrStop * atr;
+        // With both stops set, the tighter one is hit first
+        stop = stop === null ? atrStop : (isLong ? Math.max(stop, atrStop) : Math.min(stop, atrStop));
+    }
+    
+    this.exitLevels = {
+        isLong: isLong,
+        stop: stop,
+        target: this.takeProfit > 0 ? entryPrice * (1 + side * this.takeProfit) : null,
+        extreme: previous ? previous.extreme : opening[opening.length - 1].price // Best price since entry, for the trailing stop
+    };
+}
+
+/**
+ * Whether any protective exit is configured
+ * @returns {boolean}
  */
-reset() {
-    if (this.startingDenomination === 'coin') {
-        this.coinBalance = this.startingAmount;
-        this.usdtBalance = 0.0;
-    } else {
-        this.coinBalance = 0.0;
-        this.usdtBalance = this.startingAmount;
+hasProtectiveExits() {
+    return this.stopLoss > 0 || this.takeProfit > 0 || this.trailingStop > 0 || this.atrStop > 0;
+}
+
+/**
+ * Find the exit that closes the open position during this candle: a stop-loss, trailing stop,
+ * take-profit or (in margin mode) liquidation, evaluated against the candle's high and low.
+ *
+ * Fill rules:
+ * - A level the candle opened beyond fills at the open (a gap), otherwise at the level itself.
+ * - Adverse levels (stop, trail, liquidation) are hit in the order price reaches them from
+ *   the open: for a long the highest first, for a short the lowest first. A stop that sits
+ *   beyond the liquidation price is never reached.
+ * - When the candle reaches both an adverse level and the take-profit, the candle's path is
+ *   unknown, so the adverse level is assumed to come first (the conservative choice), unless
+ *   the candle opened beyond the take-profit.
+ * - Exits are armed from the candle after the fill, and the trailing stop follows the best
+ *   high (long) or low (short) of completed candles.
+ * @param {Object} candle - Candle to check
+ * @returns {Object|null} { price, reason } or null if the position survives the candle
+ */
+getIntrabarExit(candle) {
+    const levels = this.exitLevels;
+    const candidates = []; // Adverse levels as { level, reason }
+    
+    if (levels) {
+        if (levels.stop !== null) {
+            candidates.push({ level: levels.stop, reason: 'stop' });
+        }
+        if (this.trailingStop > 0) {
+            const trail = levels.isLong
+                ? levels.extreme * (1 - this.trailingStop)
+                : levels.extreme * (1 + this.trailingStop);
+            candidates.push({ level: trail, reason: 'trail' });
+        }
     }
+    const liquidationPrice = this.getLiquidationPrice();
+    if (liquidationPrice !== null) {
+        candidates.push({ level: liquidationPrice, reason: 'liquidation' });
+    }
+    if (candidates.length === 0 && !(levels && levels.target !== null)) return null;
     
-    this.trades = [];
-    this.portfolioValues = [];
-    this.totalFeesPaid = 0.0;
+    const isLong = levels ? levels.isLong : this.coinBalance > 0;
+    
+    // Adverse level reached first (ties go to the stop, then trail, then liquidation)
+    let adverse = null;
+    for (const candidate of candidates) {
+        if (adverse === null || (isLong ? candidate.level > adverse.level : candidate.level < adverse.level)) {
+            adverse = candidate;
+        }
+    }
+    const adverseHit = adverse !== null && (isLong ? candle.low <= adverse.level : candle.high >= adverse.level);
+    const target = levels ? levels.target : null;
+    const targetHit = target !== null && (isLong ? candle.high >= target : candle.low <= target);
+    
+    const gappedToTarget = targetHit && (isLong ? candle.open >= target : candle.open <= target);
+    if (targetHit && (!adverseHit || gappedToTarget)) {
+        return { price: isLong ? Math.max(candle.open, target) : Math.min(candle.open, target), reason: 'target' };
+    }
+    if (adverseHit) {
+        const price = isLong ? Math.min(candle.open, adverse.level) : Math.max(candle.open, adverse.level);
+        return { price: price, reason: adverse.reason };
+    }
+    return null;
 }
 
 /**
- * Apply fees and slippage to trade amount
+ * Move the trailing stop's reference to the best price of a completed candle
  */
-applyFeesAndSlippage(amount, price, tradeType) {
-    const impact = tradeType === 'buy' ? (1 - this.feesAndSlippage) : (1 + this.feesAndSlippage);
-    const feeAmount = amount * price * this.feesAndSlippage;
-    this.totalFeesPaid += feeAmount;
+updateTrailingExtreme(candle) {
+    const levels = this.exitLevels;
+    if (!levels) return;
     
-    return amount * impact;
+    levels.extreme = levels.isLong ? Math.max(levels.extreme, candle.high) : Math.min(levels.extreme, candle.low);
 }
 
 /**
- * Calculate total portfolio value in USDT
+ * Close the whole open position (protective exits)
  */
-calculateTotalValue(currentPrice) {
-    return this.coinBalance * currentPrice + this.usdtBalance;
+closePosition(candleIndex, candle, price, reason) {
+    return this.coinBalance > 0
+        ? this.closeLong(candleIndex, candle, price, reason)
+        : this.closeShort(candleIndex, candle, price, reason);
 }
 
 /**
- * Execute a trade based on signal
+ * Price at which the open position is liquidated (equity falls to the maintenance margin)
+ * @returns {number|null} Liquidation price, or null when the position cannot be liquidated
  */
-executeTrade(candleIndex, candle, signal) {
-    const price = candle.close;
-    let trade = null;
-
-    if (signal === -1 && this.coinBalance > 0) {
-        // Sell signal
-        const coinsToSell = this.coinBalance * this.positionSize;
-        const usdtReceived = this.applyFeesAndSlippage(coinsToSell, price, 'sell') * price;
-        
-        this.coinBalance -= coinsToSell;
-        this.usdtBalance += usdtReceived;
-        
-        trade = {
-            index: candleIndex,
-            timestamp: candle.timestamp,
-            type: 'sell',
-            price: price,
-            amount: coinsToSell,
-            value: usdtReceived,
-            coinBalance: this.coinBalance,
-            usdtBalance: this.usdtBalance,
-            totalValue: this.calculateTotalValue(price),
-            fees: coinsToSell * price * this.feesAndSlippage
-        };
-
-    } else if (signal === 1 && this.usdtBalance > 0) {
-        // Buy signal
-        const theoreticalCoins = this.usdtBalance / price;
-        const coinsToBuy = this.applyFeesAndSlippage(theoreticalCoins, price, 'buy');
-        const usdtSpent = this.usdtBalance;
-        
-        this.coinBalance += coinsToBuy;
-        this.usdtBalance = 0;
-        
-        trade = {
-            index: candleIndex,
-            timestamp: candle.timestamp,
-            type: 'buy',
-            price: price,
-            amount: coinsToBuy,
-            value: usdtSpent,
-            coinBalance: this.coinBalance,
-            usdtBalance: this.usdtBalance,
-            totalValue: this.calculateTotalValue(price),
-            fees: usdtSpent * this.feesAndSlippage
-        };
+getLiquidationPrice() {
+    if (!this.marginMode) return null;
+    
+    if (this.coinBalance > 0 && this.usdtBalance < 0) {
+        // Long on borrowed USDT: coins * P + usdt = mmr * coins * P
+        return -this.usdtBalance / (this.coinBalance * (1 - this.maintenanceMargin));
     }
-
-    if (trade) {
-        this.trades.push(trade);
+    if (this.borrowedCoins > 0) {
+        // Short: usdt - borrowed * P = mmr * borrowed * P
+        return this.usdtBalance / (this.borrowedCoins * (1 + this.maintenanceMargin));
     }
-
-    return trade;
+    return null;
 }
 
 /**
- * Run complete backtest and return lightweight metrics
+ * Force-close the open position. Losses beyond the account balance are not carried.
  */
-run(candleData, signals) {
-    this.reset();
+liquidate(candleIndex, candle, price) {
+    const trade = this.closePosition(candleIndex, candle, price, 'liquidation');
     
-    if (!candleData || !signals || candleData.length !== signals.length) {
-        throw new Error('Invalid input data: candle data and signals must have same length');
-    }
-
-    // Calculate starting value based on denomination
-    let startValue;
-    if (this.startingDenomination === 'coin') {
-        startValue = this.startingAmount * candleData[0].close;
-    } else {
-        startValue = this.startingAmount;
+    if (this.usdtBalance < 0) {
+        this.usdtBalance = 0;
+        trade.usdtBalance = 0;
+        trade.totalValue = 0;
     }
+    
+    this.liquidations++;
+    this.worstMarginRatio = 1; // Maintenance margin reached the equity
+    return trade;
+}
 
-    let tradeCount = 0;
-    const trades = []; // Keep minimal trade data for win/loss calculation
-
-    // Process each candle
-    for (let i = 0; i < candleData.length; i++) {
-        const candle = candleData[i];
-        const signal = signals[i];
-        
-        // Execute trade if signal present
-        if (signal !== 0) {
-            const trade = this.executeTrade(i, candle, signal);
-            if (trade) {
-                tradeCount++;
-                // Store only essential trade data for metrics calculation
-                trades.push({
-                    type: trade.type,
-                    price: trade.price,
-                    amount: trade.amount,
-                    index: i
-                });
-            }
-        }
-        
-        // Track only final portfolio value (not full history)
-        this.portfolioValues.push(this.calculateTotalValue(candle.close));
-    }
+/**
+ * Track the worst margin ratio (maintenance margin / equity) at the candle's adverse extreme
+ */
+updateMarginRatio(candle) {
+    if (this.coinBalance <= 0 && this.borrowedCoins <= 0) return;
+    
+    const adversePrice = this.coinBalance > 0 ? candle.low : candle.high;
+    const equity = this.calculateTotalValue(adversePrice);
+    const maintenance = (this.coinBalance + this.borrowedCoins) * adversePrice * this.maintenanceMargin;
+    const marginRatio = equity > 0 ? Math.min(1, maintenance / equity) : 1;
+    
+    this.worstMarginRatio = Math.max(this.worstMarginRatio, marginRatio);
+}
 
-    // Calculate lightweight metrics
-    return this.calculateLightweightMetrics(candleData, trades, startValue);
+/**
+ * Track margin usage (initial margin of the position / equity) at the close
+ */
+updateMarginUsage(price) {
+    if (this.coinBalance <= 0 && this.borrowedCoins <= 0) return;
+    
+    const equity = this.calculateTotalValue(price);
+    const usedMargin = (this.coinBalance + this.borrowedCoins) * price / this.leverage;
+    const usage = equity > 0 ? usedMargin / equity : 1;
+    
+    this.maxMarginUsage = Math.max(this.maxMarginUsage, usage);
+    this.marginUsageTotal += usage;
+    this.marginBars++;
 }
 
 /**
  * Calculate essential metrics without storing heavy data
+ * Win rate and average profit are per matched lot (see closeLots).
  */
-calculateLightweightMetrics(candleData, trades, startValue) {
+calculateLightweightMetrics(candleData, tradeCount, startValue) {
     const finalPrice = candleData[candleData.length - 1].close;
     const finalValue = this.calculateTotalValue(finalPrice);
     
-    // Calculate trade pairs for win/loss analysis
-    const tradePairs = this.calculateTradePairsFromMinimalData(trades);
-    const winningTrades = tradePairs.filter(pair => pair.profit > 0);
-    
     // Calculate drawdown from portfolio values
     const maxDrawdown = this.calculateMaxDrawdown(this.portfolioValues);
     
@@ -174,31 +1490,37 @@ calculateLightweightMetrics(candleData, trades, startValue) {
         finalValue: finalValue,
         totalReturn: startValue > 0 ? ((finalValue - startValue) / startValue) * 100 : 0,
         
-        // Trade metrics
-        totalTrades: trades.length,
-        winRate: tradePairs.length > 0 ? (winningTrades.length / tradePairs.length) * 100 : 0,
-        
-        // Profit/Loss metrics
-        avgProfit: winningTrades.length > 0 ? 
-            winningTrades.reduce((sum, trade) => sum + trade.profit, 0) / winningTrades.length : 0,
+        // Trade metrics (win/loss statistics per matched lot)
+        totalTrades: tradeCount,
+        ...this.getLotMetrics(),
         
         // Risk metrics
         maxDrawdown: maxDrawdown,
         maxDrawdownPct: startValue > 0 ? (maxDrawdown / startValue) * 100 : 0,
+        ...this.getRiskMetrics(candleData, startValue, finalValue),
+        ...this.getMarginMetrics(),
+        ...this.getOrderMetrics(),
         
         // Position info (only final state)
         finalCoinBalance: this.coinBalance,
         finalUsdtBalance: this.usdtBalance,
         
+        finalBorrowedCoins: this.borrowedCoins,
+        
         // Status
-        isActive: this.coinBalance > 0,
+        isActive: this.coinBalance > 0 || this.borrowedCoins > 0,
         
         // Minimal metadata
         startDate: new Date(candleData[0].timestamp),
         endDate: new Date(candleData[candleData.length - 1].timestamp),
         
         // Fee info
-        totalFees: this.totalFeesPaid
+        totalFees: this.totalFeesPaid,
+        totalSlippage: this.totalSlippage,
+        totalBorrowInterest: this.totalBorrowInterest,
+        totalFunding: this.totalFunding,
+        fundingEvents: this.fundingEvents,
+        magnifiedCandles: this.magnifiedCandles
     };
 
     // Clear heavy arrays immediately after calculation
@@ -208,53 +1530,24 @@ calculateLightweightMetrics(candleData, trades, startValue) {
 }
 
 /**
- * Calculate trade pairs from minimal trade data
+ * Margin statistics for the run (all zero outside margin mode)
+ * @returns {Object} { liquidations, maxMarginUsage, avgMarginUsage, worstMarginRatio } with ratios in percent
  */
-calculateTradePairsFromMinimalData(trades) {
-    const pairs = [];
-    let currentBuy = null;
-    
-    for (const trade of trades) {
-        if (trade.type === 'buy') {
-            currentBuy = trade;
-        } else if (trade.type === 'sell' && currentBuy) {
-            const profit = (trade.price - currentBuy.price) * currentBuy.amount;
-            pairs.push({
-                profit: profit,
-                profitPct: ((trade.price - currentBuy.price) / currentBuy.price) * 100,
-                holdingPeriod: trade.index - currentBuy.index
-            });
-            currentBuy = null;
-        }
-    }
-    
-    return pairs;
+getMarginMetrics() {
+    return {
+        liquidations: this.liquidations,
+        maxMarginUsage: this.maxMarginUsage * 100,
+        avgMarginUsage: this.marginBars > 0 ? (this.marginUsageTotal / this.marginBars) * 100 : 0,
+        worstMarginRatio: this.worstMarginRatio * 100
+    };
 }
 
 /**
- * Calculate trade pairs (buy-sell cycles) for win/loss analysis
+ * Matched lots (entry-exit pieces) of the last run for win/loss analysis
+ * @returns {Array} Closed lots (see closeLots)
  */
 calculateTradePairs() {
-    const pairs = [];
-    let currentBuy = null;
-    
-    for (const trade of this.trades) {
-        if (trade.type === 'buy') {
-            currentBuy = trade;
-        } else if (trade.type === 'sell' && currentBuy) {
-            const profit = (trade.price - currentBuy.price) * currentBuy.amount;
-            pairs.push({
-                buyTrade: currentBuy,
-                sellTrade: trade,
-                profit: profit,
-                profitPct: ((trade.price - currentBuy.price) / currentBuy.price) * 100,
-                holdingPeriod: trade.index - currentBuy.index
-            });
-            currentBuy = null;
-        }
-    }
-    
-    return pairs;
+    return this.closedLots;
 }
 
 /**
@@ -342,6 +1635,39 @@ static validateConfig(config) {
         errors.push('Fees and slippage must be between 0 and 10%');
     }
     
+    if (config.executionPrice && !PortfolioBacktester.getExecutionPriceModels().some(model => model.id === config.executionPrice)) {
+        errors.push(`Unknown execution price model: ${config.executionPrice}`);
+    }
+    
+    if (config.sizingModel && !PortfolioBacktester.getSizingModels().some(model => model.id === config.sizingModel)) {
+        errors.push(`Unknown sizing model: ${config.sizingModel}`);
+    }
+    if (config.lotMatching && !PortfolioBacktester.getLotMatchingModes().some(mode => mode.id === config.lotMatching)) {
+        errors.push(`Unknown lot matching mode: ${config.lotMatching}`);
+    }
+    if (config.feeModel && !PortfolioBacktester.getFeeModels().some(model => model.id === config.feeModel)) {
+        errors.push(`Unknown fee model: ${config.feeModel}`);
+    }
+    if (config.slippageModel && !PortfolioBacktester.getSlippageModels().some(model => model.id === config.slippageModel)) {
+        errors.push(`Unknown slippage model: ${config.slippageModel}`);
+    }
+    
+    if (config.executionTiming === 'delayed' && !(config.executionDelay >= 1)) {
+        errors.push('Execution delay must be at least 1 bar');
+    }
+    
+    if (config.borrowRate < 0 || config.borrowRate > 0.05) {
+        errors.push('Borrow interest must be between 0 and 5% per day');
+    }
+    
+    if (config.marginMode && !(config.leverage >= 1 && config.leverage <= 125)) {
+        errors.push('Leverage must be between 1x and 125x');
+    }
+    
+    if (config.marginMode && !(config.maintenanceMargin >= 0 && config.maintenanceMargin < 1)) {
+        errors.push('Maintenance margin rate must be between 0 and 100%');
+    }
+    
     return {
         isValid: errors.length === 0,
         errors: errors
@@ -354,40 +1680,36 @@ static validateConfig(config) {
 * Manages running multiple backtests efficiently
 */
 class BacktestEngine {
-constructor() {
+constructor(options = {}) {
     this.isRunning = false;
     this.results = [];
+    this.scriptRunner = options.scriptRunner || null; // Defaults to the app's script editor
+    this.objective = options.objective || null; // Ranks the results (see createObjective); by final value without one
+    this.benchmarks = new WeakMap(); // Data set (or range) -> { marketConfig, feesSlippage, metrics, values }
 }
 
 /**
  * Run single backtest (updated interface for custom scripts)
+ * With a holdout (marketConfig.holdoutPercent, full-range runs only), the result's metrics
+ * are those of the in-sample candles and `outOfSample` holds the metrics of the test set.
+ * @param {Object} processedData - Processed market data
+ * @param {Object} params - Strategy parameters
+ * @param {Object} marketConfig - Market configuration
+ * @param {Object} range - Optional { start, end } candle indices to trade (see calculateSignals)
  */
-async runSingle(processedData, params, marketConfig) {
+async runSingle(processedData, params, marketConfig, range = null) {
     try {
         // console.log('[Muuned] BacktestEngine.runSingle called with market config:', marketConfig);
         
-        // Create custom strategy that uses the script editor
-        const strategy = new CustomScriptStrategy(window.muunedApp.scriptEditor, params);
-        const signalData = strategy.calculateSignals(
-            processedData.prices.ohlc4,
-            processedData.prices.close
-        );
-        
-        // Run backtest with market configuration
-        const backtester = new PortfolioBacktester({
-            startingDenomination: marketConfig.startingDenomination,
-            startingAmount: marketConfig.startingAmount,
-            positionSize: params.positionSize,
-            feesAndSlippage: params.feesSlippage
-        });
+        const holdout = range ? null : BacktestEngine.getHoldoutRanges(processedData.candles.length, marketConfig.holdoutPercent);
+        const result = this.runRange(processedData, params, marketConfig, holdout ? holdout.inSample : range);
         
-        const metrics = backtester.run(processedData.candles, signalData.signals);
+        if (holdout) {
+            const { parameters, execution, ...outOfSample } = this.runRange(processedData, params, marketConfig, holdout.outOfSample);
+            Object.assign(result, { outOfSample }, BacktestEngine.getHoldoutMetrics(result, outOfSample));
+        }
         
-        return {
-            parameters: params,
-            ...metrics,
-            signalCount: signalData.signalCount
-        };
+        return result;
         
     } catch (error) {
         console.error(`[Muuned] Error in runSingle:`, error);
@@ -395,10 +1717,286 @@ async runSingle(processedData, params, marketConfig) {
     }
 }
 
+/**
+ * Backtest one parameter set on the whole data set or a range of it
+ * @returns {Object} Result with the parameters, lightweight metrics, signal count and execution settings
+ */
+runRange(processedData, params, marketConfig, range = null) {
+    const execution = BacktestEngine.getExecutionSettings(marketConfig);
+    const { tradedData, signals, signalCount } = this.calculateSignals(processedData, params, marketConfig, range);
+    
+    // Run backtest with market configuration, measured against buy-and-hold of the same candles
+    const benchmark = this.getBenchmark(tradedData, marketConfig, params.feesSlippage);
+    const backtester = BacktestEngine.createBacktester(PortfolioBacktester, params, marketConfig, tradedData, benchmark.values);
+    
+    const metrics = backtester.run(tradedData.candles, signals);
+    
+    return {
+        parameters: params,
+        ...metrics,
+        signalCount: signalCount,
+        execution: execution
+    };
+}
+
+/**
+ * Split the candles into an in-sample part and a test set of the last holdoutPercent of candles
+ * @param {number} candleCount - Number of candles
+ * @param {number} holdoutPercent - Share of candles held out (0 = no holdout)
+ * @returns {Object|null} { inSample, outOfSample } candle index ranges, or null without a holdout
+ */
+static getHoldoutRanges(candleCount, holdoutPercent) {
+    if (!(holdoutPercent > 0)) return null;
+    
+    const split = candleCount - Math.round(candleCount * holdoutPercent / 100);
+    if (split < 2 || candleCount - split < 2) {
+        throw new Error(`A ${holdoutPercent}% holdout of ${candleCount} candles leaves too few candles on one side`);
+    }
+    return {
+        inSample: { start: 0, end: split },
+        outOfSample: { start: split, end: candleCount }
+    };
+}
+
+/**
+ * Compare a parameter set's test-set run with its in-sample run. The degradation ratio is the
+ * annualized out-of-sample return over the annualized in-sample return (1 = held up fully);
+ * a set profitable in-sample that keeps less than half of it out-of-sample is flagged.
+ * @param {Object} inSample - In-sample metrics
+ * @param {Object} outOfSample - Test set metrics
+ * @returns {Object} { degradationRatio, inSampleOnly } (ratio null unless in-sample CAGR is positive)
+ */
+static getHoldoutMetrics(inSample, outOfSample) {
+    const degradationRatio = inSample.cagr > 0 ? outOfSample.cagr / inSample.cagr : null;
+    return {
+        degradationRatio: degradationRatio,
+        inSampleOnly: degradationRatio !== null && degradationRatio < 0.5
+    };
+}
+
+/**
+ * Run the strategy script for one parameter set. With a range, the script sees the candles
+ * up to the range's end (so indicators warm up on the candles before it) and only the
+ * signals inside the range are kept.
+ * @param {Object} processedData - Processed market data
+ * @param {Object} params - Strategy parameters
+ * @param {Object} marketConfig - Market configuration
+ * @param {Object} range - Optional { start, end } candle indices to trade
+ * @returns {Object} { tradedData, signals, signalCount } with the data set of the traded candles
+ */
+calculateSignals(processedData, params, marketConfig, range = null) {
+    const execution = BacktestEngine.getExecutionSettings(marketConfig);
+    const scriptData = range ? DataManager.getRange(processedData, 0, range.end) : processedData;
+    
+    // Create custom strategy that uses the script editor (or the worker's script runner)
+    const scriptRunner = this.scriptRunner || window.muunedApp.scriptEditor;
+    const strategy = new CustomScriptStrategy(scriptRunner, params);
+    const signalData = strategy.calculateSignals(
+        DataManager.getSignalPrices(scriptData, execution.signalSource, execution.signalExpression),
+        scriptData.prices.close,
+        DataManager.getScriptContext(scriptData, marketConfig)
+    );
+    
+    if (!range || range.start === 0) {
+        return { tradedData: scriptData, signals: signalData.signals, signalCount: signalData.signalCount };
+    }
+    
+    const signals = signalData.signals.slice(range.start);
+    return {
+        tradedData: DataManager.getRange(processedData, range.start, range.end),
+        signals: signals,
+        signalCount: signals.filter(signal => signal !== 0).length
+    };
+}
+
+/**
+ * Buy-and-hold metrics shaped like a runSingle result: split into in-sample metrics and
+ * `outOfSample` test set metrics when the market configuration has a holdout
+ * @param {Object} processedData - Processed market data
+ * @param {Object} marketConfig - Market configuration
+ * @param {number} feesSlippage - Flat fee rate of the run (decimal)
+ * @returns {Object} Benchmark metrics
+ */
+getBenchmarkResult(processedData, marketConfig, feesSlippage) {
+    const holdout = BacktestEngine.getHoldoutRanges(processedData.candles.length, marketConfig.holdoutPercent);
+    if (!holdout) {
+        return this.getBenchmark(processedData, marketConfig, feesSlippage).metrics;
+    }
+    
+    const rangeMetrics = (range) => this.getBenchmark(DataManager.getRange(processedData, range.start, range.end), marketConfig, feesSlippage).metrics;
+    const inSample = rangeMetrics(holdout.inSample);
+    const outOfSample = rangeMetrics(holdout.outOfSample);
+    return {
+        ...inSample,
+        outOfSample: outOfSample,
+        ...BacktestEngine.getHoldoutMetrics(inSample, outOfSample)
+    };
+}
+
+/**
+ * Buy-and-hold benchmark for a data set (or a range of it), run once and reused while
+ * the market configuration and fee rate stay the same
+ * @param {Object} processedData - Processed market data
+ * @param {Object} marketConfig - Market configuration
+ * @param {number} feesSlippage - Flat fee rate of the run (decimal)
+ * @returns {Object} { metrics, values } (see runBenchmark)
+ */
+getBenchmark(processedData, marketConfig, feesSlippage) {
+    let cached = this.benchmarks.get(processedData);
+    if (!cached || cached.marketConfig !== marketConfig || cached.feesSlippage !== feesSlippage) {
+        cached = {
+            marketConfig: marketConfig,
+            feesSlippage: feesSlippage,
+            ...BacktestEngine.runBenchmark(processedData, marketConfig, feesSlippage)
+        };
+        this.benchmarks.set(processedData, cached);
+    }
+    return { metrics: cached.metrics, values: cached.values };
+}
+
+/**
+ * Buy and hold: put the whole starting balance into the coin at the first close and keep it
+ * to the end (a coin start just holds). Uses the run's fees, slippage, starting denomination
+ * and exchange rules on a spot account, without protective exits.
+ * @param {Object} processedData - Processed market data
+ * @param {Object} marketConfig - Market configuration
+ * @param {number} feesSlippage - Flat fee rate of the run (decimal)
+ * @returns {Object} { metrics, values } with the lightweight metrics of the run and the
+ *                   portfolio value at each close
+ */
+static runBenchmark(processedData, marketConfig, feesSlippage) {
+    const candles = processedData.candles;
+    const backtester = BacktestEngine.createBacktester(PortfolioBacktester, { feesSlippage }, {
+        ...marketConfig,
+        executionPrice: 'close',
+        executionTiming: 'signalBar',
+        positionMode: 'longOnly',
+        marginMode: false,
+        sizingModel: 'balance'
+    }, processedData);
+    
+    const signals = new Array(candles.length).fill(0);
+    signals[0] = backtester.startingDenomination === 'coin' ? 0 : 1;
+    
+    let tradeCount = 0;
+    backtester.reset();
+    backtester.simulate(candles, signals, (executed) => {
+        tradeCount += executed.length;
+    });
+    const values = backtester.portfolioValues.slice();
+    
+    return {
+        metrics: backtester.calculateLightweightMetrics(candles, tradeCount, backtester.getStartValue(candles)),
+        values: values
+    };
+}
+
+/**
+ * Signal source, execution price model, timing, position mode, margin, bar magnifier, sizing, lot matching, trading cost, exchange rule and holdout settings for a run (stored with every result)
+ * @param {Object} marketConfig - Market configuration
+ * @returns {Object} { signalSource, signalExpression, executionPrice, executionTiming, executionDelay, positionMode, borrowRate, marginMode, leverage, maintenanceMargin, magnifierInterval, sizingModel, volatilityMeasure, lotMatching, feeModel, makerFee, takerFee, feeDiscount, slippageModel, slippageBps, spreadShare, volumeImpact, exchangeRules, holdoutPercent }
+ */
+static getExecutionSettings(marketConfig) {
+    const signalSource = marketConfig.signalSource || 'ohlc4';
+    const executionTiming = marketConfig.executionTiming || 'signalBar';
+    const positionMode = marketConfig.positionMode || 'longOnly';
+    const marginMode = !!marketConfig.marginMode;
+    const sizingModel = marketConfig.sizingModel || 'balance';
+    const feeModel = marketConfig.feeModel || 'flat';
+    const slippageModel = marketConfig.slippageModel || 'none';
+    return {
+        signalSource: signalSource,
+        signalExpression: signalSource === 'custom' ? (marketConfig.signalExpression || '') : '',
+        // Next-bar-open timing always fills at the open, whatever price model was picked
+        executionPrice: executionTiming === 'nextBarOpen' ? 'nextOpen' : (marketConfig.executionPrice || 'close'),
+        executionTiming: executionTiming,
+        executionDelay: executionTiming === 'delayed' ? Math.max(1, parseInt(marketConfig.executionDelay) || 1) : 0,
+        positionMode: positionMode,
+        borrowRate: positionMode === 'longShort' || marginMode ? (marketConfig.borrowRate || 0) : 0,
+        marginMode: marginMode,
+        leverage: marginMode ? (marketConfig.leverage || 1) : 1,
+        maintenanceMargin: marginMode ? (marketConfig.maintenanceMargin !== undefined ? marketConfig.maintenanceMargin : 0.005) : 0,
+        magnifierInterval: marketConfig.magnifierInterval || '',
+        sizingModel: sizingModel,
+        volatilityMeasure: sizingModel === 'volatility' ? (marketConfig.volatilityMeasure || 'atr') : '',
+        lotMatching: marketConfig.lotMatching || 'fifo',
+        feeModel: feeModel,
+        makerFee: feeModel === 'makerTaker' ? (marketConfig.makerFee || 0) : 0,
+        takerFee: feeModel === 'makerTaker' ? (marketConfig.takerFee || 0) : 0,
+        feeDiscount: marketConfig.feeDiscount || 0,
+        slippageModel: slippageModel,
+        slippageBps: slippageModel === 'fixed' ? (marketConfig.slippageBps || 0) : 0,
+        spreadShare: slippageModel === 'spread' ? (marketConfig.spreadShare || 0) : 0,
+        volumeImpact: slippageModel === 'volume' ? (marketConfig.volumeImpact || 0) : 0,
+        exchangeRules: marketConfig.exchangeRules !== false,
+        holdoutPercent: marketConfig.holdoutPercent || 0 // The result's metrics cover the in-sample candles only
+    };
+}
+
+/**
+ * Create a portfolio backtester for one parameter set
+ * @param {Function} BacktesterClass - PortfolioBacktester or a subclass
+ * @param {Object} params - Strategy parameters
+ * @param {Object} marketConfig - Market configuration (or a result's stored execution settings merged in)
+ * @param {Object} processedData - Data set, for its funding events (perpetual futures), magnifier bars and trading rules, if any
+ * @param {Array} benchmarkValues - Buy-and-hold values to measure the run against (see runBenchmark), if any
+ * @returns {PortfolioBacktester} Backtester instance
+ */
+static createBacktester(BacktesterClass, params, marketConfig, processedData = null, benchmarkValues = null) {
+    const execution = BacktestEngine.getExecutionSettings(marketConfig);
+    return new BacktesterClass({
+        startingDenomination: marketConfig.startingDenomination,
+        startingAmount: marketConfig.startingAmount,
+        positionSize: params.positionSize,
+        feesAndSlippage: params.feesSlippage,
+        executionPrice: execution.executionPrice,
+        executionTiming: execution.executionTiming,
+        executionDelay: execution.executionDelay,
+        positionMode: execution.positionMode,
+        borrowRate: execution.borrowRate,
+        marginMode: execution.marginMode,
+        leverage: execution.leverage,
+        maintenanceMargin: execution.maintenanceMargin,
+        fundingRates: processedData ? processedData.fundingRates : null,
+        magnifier: processedData && processedData.magnifier ? processedData.magnifier.candles : null,
+        // Protective exit parameters are entered in percent (the ATR stop as a multiple)
+        stopLoss: (params.stopLoss || 0) / 100,
+        takeProfit: (params.takeProfit || 0) / 100,
+        trailingStop: (params.trailingStop || 0) / 100,
+        atrStop: params.atrStop || 0,
+        atrPeriod: params.atrPeriod || 14,
+        // Sizing parameters are entered in percent (the notional in USDT)
+        sizingModel: execution.sizingModel,
+        volatilityMeasure: execution.volatilityMeasure,
+        sizeFraction: (params.sizeFraction || 100) / 100,
+        sizeNotional: params.sizeNotional || 1000,
+        targetVolatility: (params.targetVolatility || 20) / 100,
+        volatilityPeriod: params.volatilityPeriod || 20,
+        kellyFraction: (params.kellyFraction || 50) / 100,
+        maxEntries: params.maxEntries || 1,
+        lotMatching: execution.lotMatching,
+        feeModel: execution.feeModel,
+        makerFee: execution.makerFee,
+        takerFee: execution.takerFee,
+        feeDiscount: execution.feeDiscount,
+        slippageModel: execution.slippageModel,
+        slippageBps: execution.slippageBps,
+        spreadShare: execution.spreadShare,
+        volumeImpact: execution.volumeImpact,
+        symbolFilters: execution.exchangeRules && processedData ? (processedData.symbolFilters || null) : null,
+        benchmarkValues: benchmarkValues
+    });
+}
+
 /**
  * Run batch with performance monitoring and memory management
+ * @param {Object} processedData - Processed market data
+ * @param {Array} parameterSets - Parameter combinations to test
+ * @param {Object} marketConfig - Market configuration
+ * @param {Function} onProgress - Progress callback (progress, completed, total)
+ * @param {Object} range - Optional { start, end } candle indices to trade (see calculateSignals)
  */
-async runBatch(processedData, parameterSets, marketConfig, onProgress = null) {
+async runBatch(processedData, parameterSets, marketConfig, onProgress = null, range = null) {
     this.isRunning = true;
     this.results = [];
     
@@ -410,6 +2008,12 @@ async runBatch(processedData, parameterSets, marketConfig, onProgress = null) {
     
     try {
         for (let batchIndex = 0; batchIndex < totalBatches; batchIndex++) {
+            // stop() clears isRunning; keep whatever has been computed so far
+            if (!this.isRunning) {
+                console.log(`[Muuned] Batch run stopped after ${this.results.length}/${parameterSets.length} combinations`);
+                break;
+            }
+            
             performanceMonitor.startTimer(`batch_${batchIndex}`);
             
             const batchStart = batchIndex * batchSize;
@@ -419,22 +2023,25 @@ async runBatch(processedData, parameterSets, marketConfig, onProgress = null) {
             // Process batch
             const batchResults = [];
             for (const params of batch) {
+                if (!this.isRunning) break;
+                
                 try {
-                    const result = await this.runSingle(processedData, params, marketConfig);
+                    const result = await this.runSingle(processedData, params, marketConfig, range);
                     batchResults.push(result);
                 } catch (error) {
                     console.error(`[Muuned] Error in backtest:`, error);
-                    batchResults.push(this.createErrorResult(params, error));
+                    batchResults.push(BacktestEngine.createErrorResult(params, error));
                 }
             }
             
             this.results.push(...batchResults);
             
             const batchTime = performanceMonitor.endTimer(`batch_${batchIndex}`);
-            performanceMonitor.logBatchPerformance(batchIndex, totalBatches, batch.length, batchTime);
+            performanceMonitor.logBatchPerformance(batchIndex, totalBatches, batchResults.length, batchTime);
             
             if (onProgress) {
-                onProgress(batchEnd / parameterSets.length, batchEnd, parameterSets.length);
+                const completed = this.results.length;
+                onProgress(completed / parameterSets.length, completed, parameterSets.length);
             }
             
             // Memory management: Force cleanup between batches
@@ -452,10 +2059,10 @@ async runBatch(processedData, parameterSets, marketConfig, onProgress = null) {
         }
         
         // Sort results by performance
-        this.results.sort((a, b) => b.finalValue - a.finalValue);
+        this.sortResults(this.results);
         
         // Generate performance summary
-        performanceMonitor.generateSummary(parameterSets.length);
+        performanceMonitor.generateSummary(this.results.length);
         performanceMonitor.logMemory('Batch processing complete');
         
         return this.results;
@@ -465,10 +2072,227 @@ async runBatch(processedData, parameterSets, marketConfig, onProgress = null) {
     }
 }
 
+/**
+ * Rank results by the engine's objective from here on
+ * @param {Object|string|null} objective - Objective (see createObjective), objective id, or null to rank by final value
+ */
+setObjective(objective) {
+    this.objective = objective;
+}
+
+/**
+ * Sort results by performance (best first): by the objective's score, with results that fail
+ * its constraints last, or by final value without an objective. Ties keep the higher final value first.
+ */
+sortResults(results) {
+    if (!this.objective) {
+        return results.sort((a, b) => b.finalValue - a.finalValue);
+    }
+    
+    const scores = new Map(results.map(result => [result, BacktestEngine.getObjectiveValue(result, this.objective)]));
+    return results.sort((a, b) => {
+        const difference = scores.get(b) - scores.get(a);
+        return difference > 0 || difference < 0 ? difference : b.finalValue - a.finalValue;
+    });
+}
+
+/**
+ * Rank results for display: drop those that fail the objective's constraints, record each
+ * remaining result's score as `objectiveScore` and sort them best first
+ * @param {Array} results - Backtest results
+ * @returns {Object} { ranked, excluded } with the number of results the constraints removed
+ */
+rankResults(results) {
+    const objective = this.objective || 'finalValue';
+    const ranked = results.filter(result => result.error || BacktestEngine.meetsConstraints(result, objective));
+    ranked.forEach(result => {
+        result.objectiveScore = BacktestEngine.getObjectiveValue(result, objective, false);
+    });
+    
+    this.sortResults(ranked);
+    return { ranked: ranked, excluded: results.length - ranked.length };
+}
+
+/**
+ * Metrics a parameter search can optimize (higher is better for each); 'custom' is a
+ * user-defined expression (see createObjective)
+ * @returns {Array} Array of { id, label }
+ */
+static getObjectives() {
+    return [
+        { id: 'totalReturn', label: 'Total Return' },
+        { id: 'cagr', label: 'CAGR' },
+        { id: 'sharpeRatio', label: 'Sharpe Ratio' },
+        { id: 'sortinoRatio', label: 'Sortino Ratio' },
+        { id: 'calmarRatio', label: 'Calmar Ratio' },
+        { id: 'profitFactor', label: 'Profit Factor' },
+        { id: 'expectancy', label: 'Expectancy' },
+        { id: 'excessReturn', label: 'Return vs Buy & Hold' },
+        { id: 'custom', label: 'Custom Expression' }
+    ];
+}
+
+/**
+ * Metrics a custom objective or constraint can use by name; `params` (the parameter set),
+ * `outOfSample` (holdout metrics) and `result` (the whole result) are available too
+ * @returns {Array<string>} Metric names
+ */
+static getObjectiveMetrics() {
+    return [
+        'finalValue', 'totalReturn', 'cagr', 'sharpeRatio', 'sortinoRatio', 'calmarRatio',
+        'maxDrawdown', 'maxDrawdownPct', 'maxDrawdownDuration', 'winRate', 'totalTrades', 'closedLots',
+        'profitFactor', 'expectancy', 'avgWin', 'avgLoss', 'maxConsecutiveLosses', 'exposureTime',
+        'avgHoldingPeriod', 'benchmarkReturn', 'excessReturn', 'alpha', 'beta', 'benchmarkCorrelation',
+        'degradationRatio', 'totalFees', 'totalSlippage', 'liquidations', 'fillRate', 'signalCount'
+    ];
+}
+
+/**
+ * Build an objective: a built-in metric or a custom JavaScript expression over the result's
+ * metrics (e.g. 'sharpeRatio * Math.sqrt(totalTrades)'), plus constraints a result must meet
+ * to be ranked at all (e.g. 'totalTrades >= 30'). An expression may also be a function body
+ * with `return`, or a function taking the result.
+ * @param {string} id - Objective id (see getObjectives)
+ * @param {string} expression - Custom expression (objective 'custom' only)
+ * @param {Array<string>} constraints - Constraint expressions
+ * @returns {Object} { id, label, expression, constraints, score(result), passes(result) }
+ */
+static createObjective(id = 'totalReturn', expression = '', constraints = []) {
+    const entry = BacktestEngine.getObjectives().find(objective => objective.id === id);
+    if (!entry) {
+        throw new Error(`Unknown objective: ${id}`);
+    }
+    
+    const custom = id === 'custom' ? BacktestEngine.compileResultExpression(expression, 'Objective expression') : null;
+    const checks = constraints.map(constraint => BacktestEngine.compileResultExpression(constraint, 'Constraint'));
+    
+    return {
+        id: id,
+        label: custom ? expression.trim() : entry.label,
+        expression: custom ? expression.trim() : '',
+        constraints: constraints.map(constraint => constraint.trim()),
+        score: result => (custom ? custom(result) : result[id]),
+        passes: result => checks.every(check => {
+            try {
+                return !!check(result);
+            } catch (error) {
+                return false;
+            }
+        })
+    };
+}
+
+/**
+ * Compile an expression over a result's metrics (see getObjectiveMetrics)
+ * @param {string} expression - Expression, function body with `return`, or function of the result
+ * @param {string} name - What the expression is, for error messages
+ * @returns {Function} (result) => value
+ */
+static compileResultExpression(expression, name) {
+    if (!expression || !expression.trim()) {
+        throw new Error(`${name} is empty`);
+    }
+    
+    const metrics = BacktestEngine.getObjectiveMetrics();
+    const isFunction = /^\s*(function\b|\(?[\w\s,]*\)?\s*=>)/.test(expression);
+    const isBody = !isFunction && /\breturn\b/.test(expression);
+    const body = isBody ? expression : `return (${expression});`;
+    let evaluate;
+    try {
+        evaluate = new Function(...metrics, 'params', 'outOfSample', 'result', body);
+    } catch (error) {
+        throw new Error(`${name} '${expression.trim()}' is invalid: ${error.message}`);
+    }
+    
+    return (result) => {
+        const value = evaluate(...metrics.map(metric => result[metric]), result.parameters || {}, result.outOfSample || {}, result);
+        return typeof value === 'function' ? value(result) : value;
+    };
+}
+
+/**
+ * Whether a result meets an objective's constraints (objective ids have none)
+ * @param {Object} result - Backtest result
+ * @param {Object|string} objective - Objective (see createObjective) or objective id
+ * @returns {boolean}
+ */
+static meetsConstraints(result, objective) {
+    return typeof objective === 'string' || objective.passes(result);
+}
+
+/**
+ * Id of an objective or objective id
+ * @param {Object|string} objective - Objective (see createObjective) or objective id
+ * @returns {string} Objective id
+ */
+static getObjectiveId(objective) {
+    return typeof objective === 'string' ? objective : objective.id;
+}
+
+/**
+ * Display label of an objective or objective id (a custom objective shows its expression)
+ * @param {Object|string} objective - Objective (see createObjective) or objective id
+ * @returns {string} Label
+ */
+static getObjectiveLabel(objective) {
+    if (typeof objective !== 'string') {
+        return objective.label;
+    }
+    const entry = BacktestEngine.getObjectives().find(option => option.id === objective);
+    return entry ? entry.label : objective;
+}
+
+/**
+ * Score of a result under an objective (failed runs, missing metrics, expressions that throw
+ * and, unless told otherwise, results that fail the constraints score -Infinity). Infinite
+ * metric values, such as the profit factor of a run without losing lots, are clamped to
+ * ±Number.MAX_SAFE_INTEGER, so -Infinity only ever marks a run that cannot be ranked and
+ * the searches learn from the same order findBest picks by.
+ * @param {Object} result - Backtest result
+ * @param {Object|string} objective - Objective (see createObjective) or objective id (see getObjectives)
+ * @param {boolean} applyConstraints - Whether failing the objective's constraints scores -Infinity
+ * @returns {number} Score
+ */
+static getObjectiveValue(result, objective, applyConstraints = true) {
+    if (result.error || (applyConstraints && !BacktestEngine.meetsConstraints(result, objective))) {
+        return -Infinity;
+    }
+    
+    let value;
+    try {
+        value = typeof objective === 'string' ? result[objective] : objective.score(result);
+    } catch (error) {
+        value = undefined;
+    }
+    if (typeof value !== 'number' || isNaN(value)) {
+        return -Infinity;
+    }
+    return Math.max(-Number.MAX_SAFE_INTEGER, Math.min(Number.MAX_SAFE_INTEGER, value));
+}
+
+/**
+ * Best result under an objective (the first one on ties)
+ * @param {Array} results - Backtest results
+ * @param {Object|string} objective - Objective (see createObjective) or objective id (see getObjectives)
+ * @returns {Object|null} Best result, or null if every run failed
+ */
+static findBest(results, objective) {
+    let best = null;
+    let bestValue = -Infinity;
+    for (const result of results) {
+        const value = BacktestEngine.getObjectiveValue(result, objective);
+        if (value > bestValue) {
+            best = result;
+            bestValue = value;
+        }
+    }
+    return best;
+}
+
 /**
  * Create error result for failed backtest
  */
-createErrorResult(params, error) {
+static createErrorResult(params, error) {
     return {
         parameters: params,
         initialValue: 0,
@@ -483,7 +2307,7 @@ createErrorResult(params, error) {
 }
 
 /**
- * Stop running backtests
+ * Stop running backtests (runBatch returns the results computed so far)
  */
 stop() {
     this.isRunning = false;
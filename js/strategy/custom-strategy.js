@@ -12,9 +12,10 @@ class CustomScriptStrategy {
      * Calculate trading signals using user's custom script
      * @param {Array} signalPrices - Pre-calculated OHLC4 prices
      * @param {Array} executionPrices - Pre-calculated close prices
+     * @param {Object} context - Candle context passed to the script as `data` (optional)
      * @returns {Object} Signal data with indicators and signals (lightweight)
      */
-    calculateSignals(signalPrices, executionPrices) {
+    calculateSignals(signalPrices, executionPrices, context = null) {
         try {
             // console.log(`[Muuned] CustomScriptStrategy.calculateSignals called with:`);
             // console.log('signalPrices type:', typeof signalPrices, 'isArray:', Array.isArray(signalPrices));
@@ -31,7 +32,7 @@ class CustomScriptStrategy {
             }
             
             // Execute the user's script with the correct parameter order
-            const result = this.scriptEditor.executeScript(signalPrices, executionPrices, this.params);
+            const result = this.scriptEditor.executeScript(signalPrices, executionPrices, this.params, context);
             
             // console.log(`[Muuned] Custom script generated ${result.signalCount} signals from ${result.length} candles`);
             
@@ -10,85 +10,40 @@ class DetailedPortfolioBacktester extends PortfolioBacktester {
     }
 
     /**
-     * Execute a trade and record full details
+     * Record full details of the trades produced by one fill
      */
-    executeTradeWithHistory(candleIndex, candle, signal) {
-        const price = candle.close;
-        const previousTotal = this.calculateTotalValue(price);
-        let trade = null;
-    
-        if (signal === -1 && this.coinBalance > 0) {
-            // Sell signal
-            const coinsToSell = this.coinBalance * this.positionSize;
-            const usdtReceived = this.applyFeesAndSlippage(coinsToSell, price, 'sell') * price;
-            
+    recordTradesWithHistory(trades, previousTotal) {
+        for (const trade of trades) {
+            this.recordTradeDetails(trade, previousTotal);
+            previousTotal = trade.totalValue;
+        }
+    }
+
+    /**
+     * Add the value before the trade and the change since the last sell
+     */
+    recordTradeDetails(trade, previousTotal) {
+        const price = trade.price;
+        trade.previousTotal = previousTotal;
+        
+        if (trade.type === 'sell') {
             // Calculate relative change from last sell
-            let relativeChange = 0;
-            let relativeChangePercent = 0;
+            trade.relativeChange = 0;
+            trade.relativeChangePercent = 0;
             
             if (this.lastSellPrice !== null) {
-                relativeChange = price - this.lastSellPrice;
-                relativeChangePercent = (relativeChange / this.lastSellPrice) * 100;
+                trade.relativeChange = price - this.lastSellPrice;
+                trade.relativeChangePercent = (trade.relativeChange / this.lastSellPrice) * 100;
             }
             
-            this.coinBalance -= coinsToSell;
-            this.usdtBalance += usdtReceived;
-            
-            const newTotal = this.calculateTotalValue(price);
-            
-            trade = {
-                index: candleIndex,
-                timestamp: candle.timestamp,
-                type: 'sell',
-                price: price,
-                amount: coinsToSell,
-                value: usdtReceived,
-                coinBalance: this.coinBalance,
-                usdtBalance: this.usdtBalance,
-                totalValue: newTotal,
-                previousTotal: previousTotal,
-                fees: coinsToSell * price * this.feesAndSlippage,
-                relativeChange: relativeChange,
-                relativeChangePercent: relativeChangePercent
-            };
-            
             // Update last sell price
             this.lastSellPrice = price;
-    
-        } else if (signal === 1 && this.usdtBalance > 0) {
-            // Buy signal
-            const theoreticalCoins = this.usdtBalance / price;
-            const coinsToBuy = this.applyFeesAndSlippage(theoreticalCoins, price, 'buy');
-            const usdtSpent = this.usdtBalance;
-            
-            this.coinBalance += coinsToBuy;
-            this.usdtBalance = 0;
-            
-            const newTotal = this.calculateTotalValue(price);
-            
-            trade = {
-                index: candleIndex,
-                timestamp: candle.timestamp,
-                type: 'buy',
-                price: price,
-                amount: coinsToBuy,
-                value: usdtSpent,
-                coinBalance: this.coinBalance,
-                usdtBalance: this.usdtBalance,
-                totalValue: newTotal,
-                previousTotal: previousTotal,
-                fees: usdtSpent * this.feesAndSlippage,
-                relativeChange: null, // No relative change for buy trades
-                relativeChangePercent: null
-            };
-        }
-    
-        if (trade) {
-            this.trades.push(trade);
-            this.fullTradeHistory.push(trade);
+        } else {
+            trade.relativeChange = null; // No relative change for buy trades
+            trade.relativeChangePercent = null;
         }
     
-        return trade;
+        this.fullTradeHistory.push(trade);
     }
 
     /**
@@ -102,32 +57,12 @@ class DetailedPortfolioBacktester extends PortfolioBacktester {
             throw new Error('Invalid input data: candle data and signals must have same length');
         }
 
-        // Calculate starting value based on denomination
-        let startValue;
-        if (this.startingDenomination === 'coin') {
-            startValue = this.startingAmount * candleData[0].close;
-        } else {
-            startValue = this.startingAmount;
-        }
-
-        let tradeCount = 0;
+        const startValue = this.getStartValue(candleData);
 
-        // Process each candle
-        for (let i = 0; i < candleData.length; i++) {
-            const candle = candleData[i];
-            const signal = signals[i];
-            
-            // Execute trade if signal present
-            if (signal !== 0) {
-                const trade = this.executeTradeWithHistory(i, candle, signal);
-                if (trade) {
-                    tradeCount++;
-                }
-            }
-            
-            // Track portfolio value history
-            this.portfolioValues.push(this.calculateTotalValue(candle.close));
-        }
+        // Process each candle, tracking the portfolio value history
+        this.simulate(candleData, signals, (trades, previousTotal) =>
+            this.recordTradesWithHistory(trades, previousTotal)
+        );
 
         // Calculate final metrics
         const finalPrice = candleData[candleData.length - 1].close;
@@ -138,12 +73,22 @@ class DetailedPortfolioBacktester extends PortfolioBacktester {
             initialValue: startValue,
             finalValue: finalValue,
             totalReturn: startValue > 0 ? ((finalValue - startValue) / startValue) * 100 : 0,
-            totalTrades: tradeCount,
+            totalTrades: this.fullTradeHistory.length,
+            ...this.getLotMetrics(),
             maxDrawdown: maxDrawdown,
             maxDrawdownPct: startValue > 0 ? (maxDrawdown / startValue) * 100 : 0,
+            ...this.getRiskMetrics(candleData, startValue, finalValue),
+            ...this.getMarginMetrics(),
+            ...this.getOrderMetrics(),
             finalCoinBalance: this.coinBalance,
             finalUsdtBalance: this.usdtBalance,
+            finalBorrowedCoins: this.borrowedCoins,
             totalFees: this.totalFeesPaid,
+            totalSlippage: this.totalSlippage,
+            totalBorrowInterest: this.totalBorrowInterest,
+            totalFunding: this.totalFunding,
+            fundingEvents: this.fundingEvents,
+            magnifiedCandles: this.magnifiedCandles,
             startDate: new Date(candleData[0].timestamp),
             endDate: new Date(candleData[candleData.length - 1].timestamp)
         };
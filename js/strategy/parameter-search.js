@@ -0,0 +1,544 @@
+/**
+ * Parameter Search
+ * Looks for the parameter set with the best objective value within a budget of backtests,
+ * instead of running every combination of the grid. The grid is the cartesian product of
+ * each parameter's value list; a point of the grid is an array of value indices.
+ * Points are proposed in batches so a worker pool can run them side by side.
+ */
+class ParameterSearch {
+    constructor(options = {}) {
+        this.method = options.method || 'random';
+        this.objective = options.objective || 'totalReturn'; // Objective (see BacktestEngine.createObjective) or objective id
+        this.budget = options.budget || 200; // Backtests to run
+        this.batchSize = options.batchSize || 4; // Points proposed at once by the Bayesian methods
+        this.eta = options.eta || 3; // Successive halving keeps the best 1/eta of each rung
+        this.minRungCandles = options.minRungCandles || 100; // Shortest sub-period successive halving tests on
+        this.candidateCount = options.candidateCount || 200; // Points the Bayesian methods score per proposal
+        this.maxModelPoints = options.maxModelPoints || 150; // The Gaussian process fits the best results only
+        this.random = options.random || Math.random;
+    }
+
+    /**
+     * Search methods (grid runs every combination and is handled by the batch engine)
+     * @returns {Array} Array of { id, label, description }
+     */
+    static getMethods() {
+        return [
+            { id: 'grid', label: 'Grid (every combination)', description: 'Backtests every combination of the parameter values' },
+            { id: 'random', label: 'Random Search', description: 'Backtests a random sample of the combinations' },
+            { id: 'genetic', label: 'Genetic Algorithm', description: 'Evolves a population of combinations by tournament selection, crossover and mutation' },
+            { id: 'gaussianProcess', label: 'Bayesian (Gaussian Process)', description: 'Backtests the combinations with the highest expected improvement under a Gaussian-process model of the results so far' },
+            { id: 'tpe', label: 'Bayesian (TPE)', description: 'Backtests combinations that are likelier among the best results than among the rest (tree-structured Parzen estimator)' },
+            { id: 'halving', label: 'Successive Halving', description: 'Backtests many combinations on a short recent period and keeps the best third on ever longer periods, up to the full range' }
+        ];
+    }
+
+    /**
+     * Describe the grid spanned by the form's parameter values
+     * @param {Object} params - Strategy parameters (value lists and fixed values, see ParameterForm.getStrategyParameters)
+     * @returns {Object} { params, keys, dimensions: [{ name, values }], size } (parameters with one value are fixed)
+     */
+    static createSpace(params) {
+        const dimensions = Object.keys(params)
+            .filter(key => Array.isArray(params[key]) && params[key].length > 1)
+            .map(key => ({ name: key, values: params[key] }));
+
+        return {
+            params: params,
+            keys: Object.keys(params),
+            dimensions: dimensions,
+            size: dimensions.reduce((size, dimension) => size * dimension.values.length, 1)
+        };
+    }
+
+    /**
+     * Run the search
+     * @param {Object} space - Grid (see createSpace)
+     * @param {Function} evaluate - (parameterSets, range, onProgress) => Promise<Array> of results
+     * @param {Object} options - { range, sampleRange, onProgress, onEvaluate, isCancelled }
+     *   range: candle range of the final backtests (null = the whole data set, with its holdout)
+     *   sampleRange: candles those backtests optimize on, which successive halving splits into sub-periods
+     *   onProgress: (progress, evaluations, budget) callback
+     *   onEvaluate: (history, best) callback after every batch (see createReport)
+     *   isCancelled: returns true once the user asked to stop (the results so far are kept)
+     * @returns {Promise<Object>} Report (see createReport)
+     */
+    async run(space, evaluate, options = {}) {
+        this.space = space;
+        this.evaluate = evaluate;
+        this.range = options.range || null;
+        this.onProgress = options.onProgress || null;
+        this.onEvaluate = options.onEvaluate || null;
+        this.isCancelled = options.isCancelled || (() => false);
+
+        this.evaluations = 0;
+        this.history = [];
+        this.observations = []; // { point, score } of every backtest on the final range
+        this.results = new Map(); // Point key -> result of the current period
+        this.best = null;
+        this.stage = null;
+
+        const searches = {
+            random: () => this.runRandom(),
+            genetic: () => this.runGenetic(),
+            gaussianProcess: () => this.runModelBased(count => this.proposeGaussianProcess(count)),
+            tpe: () => this.runModelBased(count => this.proposeTpe(count)),
+            halving: () => this.runHalving(options.sampleRange)
+        };
+        if (!searches[this.method]) {
+            throw new Error(`Unknown search method: ${this.method}`);
+        }
+
+        console.log(`[Muuned] ${ParameterSearch.getMethodLabel(this.method)}: ${this.budget} backtests over ${space.size.toLocaleString()} combinations`);
+        await searches[this.method]();
+
+        return this.createReport();
+    }
+
+    /**
+     * Summary of the search
+     * @returns {Object} { method, objective (id), objectiveLabel, budget, spaceSize, evaluations, results, best, bestScore,
+     *                   history, stage, incomplete }
+     *   history holds { evaluation, score, best, stage } per backtest (best so far within its stage)
+     */
+    createReport() {
+        return {
+            method: this.method,
+            objective: BacktestEngine.getObjectiveId(this.objective),
+            objectiveLabel: BacktestEngine.getObjectiveLabel(this.objective),
+            budget: this.budget,
+            spaceSize: this.space.size,
+            evaluations: this.evaluations,
+            results: Array.from(this.results.values()),
+            best: this.best ? this.best.result : null,
+            bestScore: this.best ? this.best.score : -Infinity,
+            history: this.history,
+            stage: this.stage,
+            incomplete: this.isCancelled()
+        };
+    }
+
+    /**
+     * Label of a search method
+     */
+    static getMethodLabel(method) {
+        const entry = ParameterSearch.getMethods().find(option => option.id === method);
+        return entry ? entry.label : method;
+    }
+
+    /**
+     * Random search: backtest unseen combinations drawn uniformly until the budget is spent
+     */
+    async runRandom() {
+        const chunk = Math.max(this.batchSize, Math.ceil(this.budget / 20)); // Keeps the curve and Stop responsive
+        while (this.evaluations < this.budget && !this.isCancelled()) {
+            const points = this.samplePoints(Math.min(chunk, this.budget - this.evaluations));
+            if (points.length === 0) break; // Every combination has been backtested
+
+            const evaluated = await this.evaluatePoints(points);
+            if (evaluated.length === 0) break;
+        }
+    }
+
+    /**
+     * Genetic algorithm: each generation keeps the two best combinations and breeds the
+     * rest from tournament winners
+     */
+    async runGenetic() {
+        const populationSize = Math.min(this.budget, Math.max(6, Math.round(2 * Math.sqrt(this.budget))));
+        let population = await this.evaluatePoints(this.samplePoints(populationSize));
+
+        while (population.length > 0 && this.evaluations < this.budget && !this.isCancelled()) {
+            population.sort((a, b) => b.score - a.score);
+            const elites = population.slice(0, 2);
+            const children = this.breed(population, Math.min(populationSize - elites.length, this.budget - this.evaluations));
+            if (children.length === 0) break;
+
+            const evaluated = await this.evaluatePoints(children);
+            if (evaluated.length === 0) break;
+            population = elites.concat(evaluated);
+        }
+    }
+
+    /**
+     * Breed unseen children; a population that has converged is topped up with random combinations
+     * @returns {Array} Points
+     */
+    breed(population, count) {
+        const children = [];
+        const taken = new Set();
+
+        for (let attempt = 0; children.length < count && attempt < count * 20; attempt++) {
+            const child = this.mutate(this.crossover(this.tournament(population), this.tournament(population)));
+            const key = child.join(',');
+            if (!this.results.has(key) && !taken.has(key)) {
+                taken.add(key);
+                children.push(child);
+            }
+        }
+
+        return children.concat(this.samplePoints(count - children.length, taken));
+    }
+
+    /**
+     * Best of three random members
+     */
+    tournament(population) {
+        let winner = null;
+        for (let i = 0; i < 3; i++) {
+            const entry = population[Math.floor(this.random() * population.length)];
+            if (!winner || entry.score > winner.score) {
+                winner = entry;
+            }
+        }
+        return winner.point;
+    }
+
+    /**
+     * Uniform crossover: each value comes from either parent
+     */
+    crossover(first, second) {
+        return first.map((index, dimension) => (this.random() < 0.5 ? index : second[dimension]));
+    }
+
+    /**
+     * Change about one value per child: half the time to a neighbouring value, otherwise to any value
+     */
+    mutate(point) {
+        const rate = 1 / Math.max(1, point.length);
+        return point.map((index, dimension) => {
+            if (this.random() >= rate) return index;
+
+            const count = this.space.dimensions[dimension].values.length;
+            if (this.random() < 0.5) {
+                return MathUtils.clamp(index + (this.random() < 0.5 ? -1 : 1), 0, count - 1);
+            }
+            return Math.floor(this.random() * count);
+        });
+    }
+
+    /**
+     * Bayesian optimization: a random start, then batches proposed by a model of the results so far
+     * @param {Function} propose - (count) => Array of unseen points
+     */
+    async runModelBased(propose) {
+        const initial = Math.min(this.budget, Math.max(5, 2 * this.space.dimensions.length + 1));
+        await this.evaluatePoints(this.samplePoints(initial));
+
+        while (this.evaluations < this.budget && !this.isCancelled()) {
+            const points = propose(Math.min(this.batchSize, this.budget - this.evaluations));
+            if (points.length === 0) break;
+
+            const evaluated = await this.evaluatePoints(points);
+            if (evaluated.length === 0) break;
+        }
+    }
+
+    /**
+     * Results the models learn from: failed backtests (the only -Infinity scores, see
+     * BacktestEngine.getObjectiveValue) count as the worst score seen
+     * @returns {Array|null} { point, score } sorted best first, or null before any backtest succeeded
+     */
+    getModelObservations() {
+        const finite = this.observations.filter(entry => Number.isFinite(entry.score));
+        if (finite.length === 0) return null;
+
+        const worst = Math.min(...finite.map(entry => entry.score));
+        return this.observations
+            .map(entry => ({ point: entry.point, score: Number.isFinite(entry.score) ? entry.score : worst }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Gaussian-process proposal: fit a squared-exponential kernel on the best results
+     * (scores standardized, values scaled to 0-1) and pick the random candidates with the
+     * highest expected improvement, damping candidates close to ones already picked
+     */
+    proposeGaussianProcess(count) {
+        const candidates = this.samplePoints(this.candidateCount);
+        const observations = this.getModelObservations();
+        if (!observations || candidates.length <= count) {
+            return candidates.slice(0, count);
+        }
+
+        const fitted = observations.slice(0, this.maxModelPoints);
+        const lengthScale = 0.25 * Math.sqrt(Math.max(1, this.space.dimensions.length));
+        const noise = 0.01;
+        const kernel = (a, b) => {
+            let distance = 0;
+            for (let i = 0; i < a.length; i++) {
+                distance += (a[i] - b[i]) * (a[i] - b[i]);
+            }
+            return Math.exp(-distance / (2 * lengthScale * lengthScale));
+        };
+
+        const inputs = fitted.map(entry => this.scalePoint(entry.point));
+        const scores = fitted.map(entry => entry.score);
+        const mean = MathUtils.mean(scores);
+        const deviation = MathUtils.standardDeviation(scores) || 1;
+        const targets = scores.map(score => (score - mean) / deviation);
+
+        const lower = MathUtils.cholesky(inputs.map((a, i) => inputs.map((b, j) => kernel(a, b) + (i === j ? noise : 0))));
+        const weights = MathUtils.choleskySolve(lower, targets);
+        const bestTarget = Math.max(...targets);
+
+        const scored = candidates.map(point => {
+            const input = this.scalePoint(point);
+            const covariances = inputs.map(other => kernel(input, other));
+            const predicted = covariances.reduce((sum, value, i) => sum + value * weights[i], 0);
+            const explained = MathUtils.forwardSubstitution(lower, covariances);
+            const sigma = Math.sqrt(Math.max(1e-12, 1 - explained.reduce((sum, value) => sum + value * value, 0)));
+            const z = (predicted - bestTarget - 0.01) / sigma;
+            return {
+                point: point,
+                input: input,
+                value: (predicted - bestTarget - 0.01) * MathUtils.normalCdf(z) + sigma * MathUtils.normalPdf(z)
+            };
+        });
+
+        const picked = [];
+        while (picked.length < count && scored.length > 0) {
+            let bestIndex = 0;
+            scored.forEach((entry, i) => {
+                if (entry.value > scored[bestIndex].value) bestIndex = i;
+            });
+            const [choice] = scored.splice(bestIndex, 1);
+            picked.push(choice.point);
+            scored.forEach(entry => {
+                entry.value *= 1 - kernel(entry.input, choice.input);
+            });
+        }
+        return picked;
+    }
+
+    /**
+     * TPE proposal: split the results into the best quarter and the rest, model each
+     * parameter's values in both groups with a smoothed histogram, sample candidates from
+     * the best group's model and pick the ones most likelier there than in the rest
+     */
+    proposeTpe(count) {
+        const observations = this.getModelObservations();
+        if (!observations) {
+            return this.samplePoints(count);
+        }
+
+        const goodCount = Math.max(1, Math.ceil(observations.length / 4));
+        const good = observations.slice(0, goodCount);
+        const rest = observations.slice(goodCount);
+        const models = this.space.dimensions.map((dimension, d) => ({
+            good: this.estimateDensity(dimension.values.length, good.map(entry => entry.point[d])),
+            rest: this.estimateDensity(dimension.values.length, rest.map(entry => entry.point[d]))
+        }));
+
+        const candidates = new Map();
+        for (let i = 0; i < this.candidateCount; i++) {
+            const point = models.map(model => this.sampleIndex(model.good));
+            const key = point.join(',');
+            if (this.results.has(key) || candidates.has(key)) continue;
+
+            const ratio = models.reduce((sum, model, d) => sum + Math.log(model.good[point[d]]) - Math.log(model.rest[point[d]]), 0);
+            candidates.set(key, { point, ratio });
+        }
+
+        const picked = Array.from(candidates.values())
+            .sort((a, b) => b.ratio - a.ratio)
+            .slice(0, count)
+            .map(entry => entry.point);
+        if (picked.length < count) {
+            picked.push(...this.samplePoints(count - picked.length, new Set(picked.map(point => point.join(',')))));
+        }
+        return picked;
+    }
+
+    /**
+     * Smoothed histogram of value indices: a Gaussian kernel per observation over a uniform prior
+     * @returns {Array<number>} Probability of each index
+     */
+    estimateDensity(count, indices) {
+        const bandwidth = Math.max(1, count / 10);
+        const weights = new Array(count).fill(1 / count);
+        indices.forEach(observed => {
+            for (let i = 0; i < count; i++) {
+                weights[i] += Math.exp(-0.5 * Math.pow((i - observed) / bandwidth, 2));
+            }
+        });
+
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        return weights.map(weight => weight / total);
+    }
+
+    /**
+     * Draw an index from a probability list
+     */
+    sampleIndex(probabilities) {
+        let remaining = this.random();
+        for (let i = 0; i < probabilities.length; i++) {
+            remaining -= probabilities[i];
+            if (remaining <= 0) return i;
+        }
+        return probabilities.length - 1;
+    }
+
+    /**
+     * Successive halving: the rungs test ever fewer combinations on ever longer recent
+     * periods (each eta times the previous), the last rung on the full range. The rung
+     * count is the most the budget and the shortest period allow.
+     * @param {Object} sampleRange - { start, end } candles the final rung optimizes on
+     */
+    async runHalving(sampleRange) {
+        const length = sampleRange.end - sampleRange.start;
+        let rungs = Math.max(1, Math.floor(Math.log(this.budget) / Math.log(this.eta)));
+        while (rungs > 1 && length / Math.pow(this.eta, rungs - 1) < this.minRungCandles) {
+            rungs--;
+        }
+
+        let share = 0;
+        for (let rung = 0; rung < rungs; rung++) {
+            share += Math.pow(this.eta, -rung);
+        }
+        let candidates = this.samplePoints(Math.max(1, Math.floor(this.budget / share)));
+
+        for (let rung = 0; rung < rungs && candidates.length > 0 && !this.isCancelled(); rung++) {
+            const final = rung === rungs - 1;
+            const candles = Math.round(length / Math.pow(this.eta, rungs - 1 - rung));
+            this.stage = rungs > 1 ? `Rung ${rung + 1}/${rungs} (${final ? 'full period' : `last ${candles.toLocaleString()} candles`})` : null;
+            this.results = new Map();
+            this.best = null;
+
+            const range = final ? this.range : { start: sampleRange.end - candles, end: sampleRange.end };
+            const evaluated = await this.evaluatePoints(candidates, range);
+
+            evaluated.sort((a, b) => b.score - a.score);
+            candidates = evaluated.slice(0, Math.ceil(evaluated.length / this.eta)).map(entry => entry.point);
+        }
+    }
+
+    /**
+     * Backtest a batch of points and record their scores
+     * @param {Array} points - Points to backtest
+     * @param {Object} range - Candle range (defaults to the final range)
+     * @returns {Promise<Array>} { point, score } of each finished backtest
+     */
+    async evaluatePoints(points, range = this.range) {
+        if (points.length === 0 || this.isCancelled()) return [];
+
+        const evaluationsBefore = this.evaluations;
+        const results = await this.evaluate(points.map(point => this.toParameters(point)), range, (progress, completed) => {
+            this.reportProgress(evaluationsBefore + completed);
+        });
+
+        const evaluated = results.map(result => {
+            const point = this.toPoint(result.parameters);
+            const score = BacktestEngine.getObjectiveValue(result, this.objective);
+
+            this.results.set(point.join(','), result);
+            this.evaluations++;
+            if (!this.best || score > this.best.score) {
+                this.best = { score, result };
+            }
+            this.history.push({ evaluation: this.evaluations, score: score, best: this.best.score, stage: this.stage });
+            return { point, score };
+        });
+
+        if (range === this.range) {
+            this.observations.push(...evaluated);
+        }
+        if (this.onEvaluate) {
+            this.onEvaluate(this.history, this.best ? this.best.result : null);
+        }
+        this.reportProgress(this.evaluations);
+        return evaluated;
+    }
+
+    /**
+     * Report progress against the budget
+     */
+    reportProgress(evaluations) {
+        if (this.onProgress) {
+            this.onProgress(Math.min(1, evaluations / this.budget), evaluations, this.budget);
+        }
+    }
+
+    /**
+     * Draw unseen points, without repeats
+     * @param {number} count - Points wanted (fewer come back once the grid runs out)
+     * @param {Set} exclude - Point keys to skip besides the backtested ones
+     * @returns {Array} Points
+     */
+    samplePoints(count, exclude = new Set()) {
+        const isTaken = key => this.results.has(key) || exclude.has(key);
+        const points = [];
+
+        // Small grids are drawn from the full list of free points, large ones by rejection
+        if (this.space.size <= 100000 && count * 2 > this.space.size - this.results.size - exclude.size) {
+            const free = [];
+            for (let index = 0; index < this.space.size; index++) {
+                const point = this.pointAt(index);
+                if (!isTaken(point.join(','))) free.push(point);
+            }
+            // Partial Fisher-Yates shuffle
+            for (let i = 0; i < Math.min(count, free.length); i++) {
+                const j = i + Math.floor(this.random() * (free.length - i));
+                [free[i], free[j]] = [free[j], free[i]];
+                points.push(free[i]);
+            }
+            return points;
+        }
+
+        const drawn = new Set();
+        for (let attempt = 0; points.length < count && attempt < count * 50; attempt++) {
+            const point = this.space.dimensions.map(dimension => Math.floor(this.random() * dimension.values.length));
+            const key = point.join(',');
+            if (!isTaken(key) && !drawn.has(key)) {
+                drawn.add(key);
+                points.push(point);
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Point at a position of the grid (mixed-radix, last parameter fastest)
+     */
+    pointAt(index) {
+        const point = new Array(this.space.dimensions.length);
+        for (let d = this.space.dimensions.length - 1; d >= 0; d--) {
+            const count = this.space.dimensions[d].values.length;
+            point[d] = index % count;
+            index = Math.floor(index / count);
+        }
+        return point;
+    }
+
+    /**
+     * Parameter set of a point (fixed parameters included)
+     */
+    toParameters(point) {
+        const parameters = {};
+        this.space.keys.forEach(key => {
+            const dimension = this.space.dimensions.findIndex(entry => entry.name === key);
+            const value = this.space.params[key];
+            parameters[key] = dimension !== -1
+                ? this.space.dimensions[dimension].values[point[dimension]]
+                : (Array.isArray(value) ? value[0] : value);
+        });
+        return parameters;
+    }
+
+    /**
+     * Point of a result's parameter set
+     */
+    toPoint(parameters) {
+        return this.space.dimensions.map(dimension => dimension.values.indexOf(parameters[dimension.name]));
+    }
+
+    /**
+     * Point with each index scaled to 0-1 (the Gaussian process input)
+     */
+    scalePoint(point) {
+        return point.map((index, d) => {
+            const count = this.space.dimensions[d].values.length;
+            return count > 1 ? index / (count - 1) : 0;
+        });
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * Strategy Script Runner
+ * Compiles and executes user strategy scripts without touching the DOM,
+ * so the same code path can run on the main thread and inside web workers
+ */
+class StrategyScriptRunner {
+    constructor(script) {
+        this.script = script;
+        this.compiledFunction = null;
+    }
+
+    /**
+     * Get the script source
+     * @returns {string} Script source
+     */
+    getCurrentScript() {
+        return this.script;
+    }
+
+    /**
+     * Compile the script once and reuse the function for every execution
+     * @returns {Function} Compiled user function
+     */
+    compile() {
+        if (!this.compiledFunction) {
+            this.compiledFunction = StrategyScriptRunner.createFunction(this.script);
+        }
+        return this.compiledFunction;
+    }
+
+    /**
+     * Build the user function from script source. Scripts receive the candle
+     * context as `data`; older scripts that declare their own `data` binding
+     * are compiled with the original four arguments so they keep working.
+     * @param {string} script - Script source
+     * @returns {Function} User function (throws SyntaxError on invalid scripts)
+     */
+    static createFunction(script) {
+        try {
+            return new Function('signalPrices', 'executionPrices', 'params', 'TechnicalIndicators', 'data', script);
+        } catch (error) {
+            if (!(error instanceof SyntaxError)) {
+                throw error;
+            }
+            // Throws the same SyntaxError again if the script itself is invalid
+            return new Function('signalPrices', 'executionPrices', 'params', 'TechnicalIndicators', script);
+        }
+    }
+
+    /**
+     * Validate one entry of a script's result. Entries are either plain market signals
+     * (-1 sell, 0 hold, 1 buy; null also means hold) or order intents:
+     * { side: 'buy'|'sell', type: 'market'|'limit'|'stop', price, size, tif }
+     * - price: limit or stop price (required for limit and stop orders)
+     * - size: fraction of the usual position size to open, 0 < size <= 1 (default 1); below 1, an
+     *   order against an open position closes that fraction of it (a partial exit) instead of reversing
+     * - tif: bars a limit or stop order stays working before it expires (default 0 = until filled)
+     * With the Script Target Exposure sizing model, { target } sets the exposure at market,
+     * from -1 (full short) to 1 (full long); 0 goes flat.
+     * @param {*} signal - Script result entry
+     * @param {number} index - Candle index (for error messages)
+     * @returns {number|Object} -1, 0, 1, or a normalized intent { side: 1|-1|0, type, price, size, tif, target }
+     */
+    static normalizeSignal(signal, index) {
+        if (signal === -1 || signal === 0 || signal === 1) {
+            return signal;
+        }
+        if (signal === null) {
+            return 0;
+        }
+        if (typeof signal !== 'object' || Array.isArray(signal)) {
+            throw new Error(`Invalid signal at index ${index}: ${signal}. Signals must be -1, 0, 1 or an order object`);
+        }
+        
+        if (signal.target !== undefined) {
+            const target = Number(signal.target);
+            if (!(target >= -1 && target <= 1)) {
+                throw new Error(`Invalid order at index ${index}: target must be an exposure between -1 and 1`);
+            }
+            if (signal.type !== undefined && String(signal.type).toLowerCase() !== 'market') {
+                throw new Error(`Invalid order at index ${index}: target orders fill at market`);
+            }
+            // The side depends on the position at the time of the fill
+            return { side: 0, type: 'market', price: null, size: 1, tif: 0, target };
+        }
+
+        const sides = { buy: 1, sell: -1, '1': 1, '-1': -1 };
+        const side = sides[String(signal.side).toLowerCase()];
+        if (side === undefined) {
+            throw new Error(`Invalid order at index ${index}: side must be 'buy' or 'sell'`);
+        }
+
+        const type = signal.type === undefined ? 'market' : String(signal.type).toLowerCase();
+        if (!['market', 'limit', 'stop'].includes(type)) {
+            throw new Error(`Invalid order at index ${index}: type must be 'market', 'limit' or 'stop'`);
+        }
+
+        const price = type === 'market' ? null : Number(signal.price);
+        if (type !== 'market' && !(isFinite(price) && price > 0)) {
+            throw new Error(`Invalid order at index ${index}: ${type} orders need a positive price`);
+        }
+
+        const size = signal.size === undefined ? 1 : Number(signal.size);
+        if (!(size > 0 && size <= 1)) {
+            throw new Error(`Invalid order at index ${index}: size must be a fraction between 0 and 1`);
+        }
+
+        const tif = signal.tif === undefined ? 0 : Number(signal.tif);
+        if (!Number.isInteger(tif) || tif < 0) {
+            throw new Error(`Invalid order at index ${index}: tif must be a whole number of bars (0 = until filled)`);
+        }
+
+        return { side, type, price, size, tif, target: null };
+    }
+
+    /**
+     * Execute the script and validate the returned signals
+     * @param {Array} signalPrices - Prices used for signal generation
+     * @param {Array} executionPrices - Prices used for trade execution
+     * @param {Object} params - Strategy parameters
+     * @param {Object} context - Candle context exposed to the script as `data` (see DataManager.getScriptContext)
+     * @returns {Object} Signal data
+     */
+    executeScript(signalPrices, executionPrices, params, context = null) {
+        try {
+            // Validate inputs
+            if (!Array.isArray(signalPrices)) {
+                throw new Error(`signalPrices is not an array. Type: ${typeof signalPrices}`);
+            }
+
+            if (!Array.isArray(executionPrices)) {
+                throw new Error(`executionPrices is not an array. Type: ${typeof executionPrices}`);
+            }
+
+            // Execute the script
+            const userFunction = this.compile();
+            const result = userFunction(signalPrices, executionPrices, params, TechnicalIndicators, context || {});
+
+            // Validate result
+            if (!Array.isArray(result)) {
+                throw new Error('Script must return an array of signals');
+            }
+
+            if (result.length !== signalPrices.length) {
+                throw new Error(`Signal array length (${result.length}) must match price array length (${signalPrices.length})`);
+            }
+
+            // Validate signal values (plain -1/0/1 signals or order intents)
+            const signals = result.map((signal, i) => StrategyScriptRunner.normalizeSignal(signal, i));
+
+            return {
+                signals: signals,
+                signalCount: signals.filter(s => s !== 0).length,
+                length: signals.length
+            };
+
+        } catch (error) {
+            console.error('[Muuned] Script execution error:', error);
+            throw new Error(`Script execution failed: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,243 @@
+/**
+ * Walk-Forward Optimizer
+ * Optimizes the parameter grid on each in-sample window by an objective, trades the
+ * winning parameters on the following out-of-sample window, and stitches the
+ * out-of-sample runs into one equity curve
+ */
+class WalkForwardOptimizer {
+    constructor(options = {}) {
+        this.windowMode = options.windowMode || 'rolling';
+        this.inSampleDays = options.inSampleDays || 180;
+        this.outOfSampleDays = options.outOfSampleDays || 30;
+        this.objective = options.objective || 'totalReturn'; // Objective (see BacktestEngine.createObjective) or objective id
+        this.searchMethod = options.searchMethod || 'grid'; // How runGrid searches each in-sample window (see ParameterSearch)
+        this.searchBudget = options.searchBudget || null; // Backtests per window for the methods other than grid
+        this.engine = options.engine || new BacktestEngine(); // Runs the out-of-sample windows
+    }
+
+    /**
+     * Window modes: in-sample windows of fixed length, or all growing from the first candle
+     * @returns {Array} Array of { id, label, description }
+     */
+    static getWindowModes() {
+        return [
+            { id: 'rolling', label: 'Rolling', description: 'Each in-sample window has the same length and moves forward by one out-of-sample window' },
+            { id: 'anchored', label: 'Anchored', description: 'Every in-sample window starts at the first candle and grows by one out-of-sample window' }
+        ];
+    }
+
+    /**
+     * Split the candles into consecutive in-sample/out-of-sample windows. The out-of-sample
+     * windows follow each other without gaps; the last one is cut short at the end of the data.
+     * @param {Array} candles - Candles of the whole date range
+     * @returns {Array} Array of { inSample: { start, end }, outOfSample: { start, end } } candle index ranges (end exclusive)
+     */
+    buildWindows(candles) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        const indexAt = (timestamp) => {
+            const index = candles.findIndex(candle => candle.timestamp >= timestamp);
+            return index === -1 ? candles.length : index;
+        };
+
+        const windows = [];
+        if (candles.length === 0) return windows;
+
+        const firstTimestamp = candles[0].timestamp;
+        let inSampleStart = 0;
+        let outOfSampleStart = indexAt(firstTimestamp + this.inSampleDays * dayMs);
+
+        while (outOfSampleStart < candles.length) {
+            const outOfSampleEnd = indexAt(candles[outOfSampleStart].timestamp + this.outOfSampleDays * dayMs);
+            windows.push({
+                inSample: { start: inSampleStart, end: outOfSampleStart },
+                outOfSample: { start: outOfSampleStart, end: outOfSampleEnd }
+            });
+
+            if (this.windowMode === 'rolling' && outOfSampleEnd < candles.length) {
+                inSampleStart = indexAt(candles[outOfSampleEnd].timestamp - this.inSampleDays * dayMs);
+            }
+            outOfSampleStart = outOfSampleEnd;
+        }
+
+        return windows;
+    }
+
+    /**
+     * Run the walk-forward analysis
+     * @param {Object} processedData - Processed market data of the whole date range
+     * @param {number} combinations - Number of combinations in the parameter grid
+     * @param {Object} marketConfig - Market configuration
+     * @param {Function} runGrid - (range, onProgress) => Promise<Array> of results for the grid (or the combinations a search tried) on an in-sample range
+     * @param {Function} onProgress - Progress callback (progress, message)
+     * @param {Function} isCancelled - Returns true once the user asked to stop (finished windows are kept)
+     * @returns {Promise<Object>} Report (see createReport)
+     */
+    async run(processedData, combinations, marketConfig, runGrid, onProgress = null, isCancelled = () => false) {
+        const windows = this.buildWindows(processedData.candles);
+        if (windows.length === 0) {
+            throw new Error(`The date range is too short for a ${this.inSampleDays}-day in-sample window plus an out-of-sample window`);
+        }
+
+        console.log(`[Muuned] Walk-forward: ${windows.length} ${this.windowMode} windows of ${combinations} combinations`);
+
+        const completed = [];
+        for (let i = 0; i < windows.length; i++) {
+            if (isCancelled()) break;
+
+            const split = windows[i];
+            const report = (share, message) => {
+                if (onProgress) onProgress((i + share) / windows.length, `Window ${i + 1}/${windows.length}: ${message}`);
+            };
+
+            report(0, 'optimizing in-sample...');
+            const results = await runGrid(split.inSample, (progress, done, total) => {
+                report(progress * 0.95, `optimizing ${done}/${total} in-sample combinations`);
+            });
+            if (isCancelled()) break;
+
+            const best = BacktestEngine.findBest(results, this.objective);
+            if (!best) {
+                throw new Error(`No parameter set ran without errors and met the constraints on in-sample window ${i + 1}`);
+            }
+
+            report(0.95, 'trading out-of-sample...');
+            completed.push({
+                ...split,
+                parameters: best.parameters,
+                inSampleResult: best,
+                ...this.runOutOfSample(processedData, best.parameters, marketConfig, split.outOfSample)
+            });
+        }
+
+        return this.createReport(processedData, marketConfig, combinations, completed, windows.length);
+    }
+
+    /**
+     * Trade one parameter set on an out-of-sample window, keeping its equity curve
+     * @returns {Object} { outOfSampleResult, values } with the run's summary and its portfolio value at each close
+     */
+    runOutOfSample(processedData, params, marketConfig, range) {
+        const { tradedData, signals } = this.engine.calculateSignals(processedData, params, marketConfig, range);
+        const benchmark = this.engine.getBenchmark(tradedData, marketConfig, params.feesSlippage);
+        const backtester = BacktestEngine.createBacktester(DetailedPortfolioBacktester, params, marketConfig, tradedData, benchmark.values);
+        const history = backtester.runWithFullHistory(tradedData.candles, signals);
+
+        return {
+            outOfSampleResult: history.summary,
+            values: history.portfolioHistory
+        };
+    }
+
+    /**
+     * Stitch the out-of-sample runs into one equity curve and summarize the analysis.
+     * Each window starts from the starting amount, so its values are scaled to carry on
+     * from the previous window's final equity (returns compound across windows).
+     * Walk-forward efficiency is the annualized out-of-sample return over the annualized
+     * in-sample return of the winning parameters (per window, and overall against the mean).
+     * @returns {Object} { windowMode, inSampleDays, outOfSampleDays, objective, objectiveLabel, constraints, searchMethod, searchBudget,
+     *                   combinations, windows, equityCurve, summary, incomplete, windowCount }
+     */
+    createReport(processedData, marketConfig, combinations, completed, windowCount) {
+        const candles = processedData.candles;
+        const equityCurve = [];
+        let equity = null;
+
+        const windows = completed.map((split, index) => {
+            const oos = split.outOfSampleResult;
+            if (equity === null) {
+                equity = oos.initialValue;
+            }
+            const scale = oos.initialValue > 0 ? equity / oos.initialValue : 0;
+            split.values.forEach((value, i) => {
+                equityCurve.push({ timestamp: candles[split.outOfSample.start + i].timestamp, value: value * scale });
+            });
+            equity = oos.finalValue * scale;
+
+            const inSampleCagr = split.inSampleResult.cagr;
+            return {
+                index: index + 1,
+                inSample: this.describeRange(candles, split.inSample),
+                outOfSample: this.describeRange(candles, split.outOfSample),
+                parameters: split.parameters,
+                inSampleScore: BacktestEngine.getObjectiveValue(split.inSampleResult, this.objective),
+                inSampleReturn: split.inSampleResult.totalReturn,
+                inSampleCagr: inSampleCagr,
+                outOfSampleScore: BacktestEngine.getObjectiveValue(oos, this.objective, false), // Constraints only pick the winner
+                outOfSampleReturn: oos.totalReturn,
+                outOfSampleCagr: oos.cagr,
+                outOfSampleTrades: oos.totalTrades,
+                outOfSampleExcessReturn: oos.excessReturn,
+                efficiency: inSampleCagr > 0 ? oos.cagr / inSampleCagr : null
+            };
+        });
+
+        return {
+            windowMode: this.windowMode,
+            inSampleDays: this.inSampleDays,
+            outOfSampleDays: this.outOfSampleDays,
+            objective: BacktestEngine.getObjectiveId(this.objective),
+            objectiveLabel: BacktestEngine.getObjectiveLabel(this.objective),
+            constraints: typeof this.objective === 'string' ? [] : this.objective.constraints,
+            searchMethod: this.searchMethod,
+            searchBudget: this.searchBudget,
+            combinations: combinations,
+            windows: windows,
+            equityCurve: equityCurve,
+            summary: this.summarize(processedData, marketConfig, completed, equityCurve, windows),
+            incomplete: completed.length < windowCount,
+            windowCount: windowCount
+        };
+    }
+
+    /**
+     * Return, CAGR and drawdown of the stitched out-of-sample curve, buy and hold over the
+     * same candles, and the overall walk-forward efficiency
+     */
+    summarize(processedData, marketConfig, completed, equityCurve, windows) {
+        if (completed.length === 0) {
+            return null;
+        }
+
+        const first = completed[0].outOfSample;
+        const last = completed[completed.length - 1].outOfSample;
+        const oosData = DataManager.getRange(processedData, first.start, last.end);
+        const initialValue = completed[0].outOfSampleResult.initialValue;
+        const values = [initialValue, ...equityCurve.map(point => point.value)];
+        const finalValue = values[values.length - 1];
+
+        const periodsPerYear = PortfolioBacktester.getPeriodsPerYear(oosData.candles);
+        const years = periodsPerYear > 0 ? oosData.candles.length / periodsPerYear : 0;
+        const cagr = MathUtils.cagr(initialValue, Math.max(0, finalValue), years);
+        const benchmark = BacktestEngine.runBenchmark(oosData, marketConfig, completed[0].parameters.feesSlippage).metrics;
+
+        const inSampleCagr = MathUtils.mean(windows.map(split => split.inSampleCagr));
+
+        return {
+            startDate: oosData.metadata.startDate,
+            endDate: oosData.metadata.endDate,
+            initialValue: initialValue,
+            finalValue: finalValue,
+            totalReturn: initialValue > 0 ? ((finalValue - initialValue) / initialValue) * 100 : 0,
+            cagr: cagr,
+            maxDrawdownPct: MathUtils.calculateDrawdown(values).maxDrawdownPercent,
+            totalTrades: windows.reduce((sum, split) => sum + split.outOfSampleTrades, 0),
+            benchmarkReturn: benchmark.totalReturn,
+            inSampleCagr: inSampleCagr,
+            efficiency: inSampleCagr > 0 ? cagr / inSampleCagr : null,
+            profitableWindows: windows.filter(split => split.outOfSampleReturn > 0).length
+        };
+    }
+
+    /**
+     * Candle indices and dates of a window range
+     * @returns {Object} { start, end, startDate, endDate } (endDate is the last candle's open time)
+     */
+    describeRange(candles, range) {
+        return {
+            start: range.start,
+            end: range.end,
+            startDate: new Date(candles[range.start].timestamp),
+            endDate: new Date(candles[range.end - 1].timestamp)
+        };
+    }
+}
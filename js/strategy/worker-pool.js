@@ -0,0 +1,239 @@
+/**
+ * Backtest Worker Pool
+ * Spreads parameter sets across web workers so large sweeps don't block the UI
+ */
+class BacktestWorkerPool {
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl || 'workers/backtest-workers.js';
+        this.size = options.size || BacktestWorkerPool.getDefaultSize();
+        this.sliceSize = options.sliceSize || 250;
+        this.workers = [];
+        this.isRunning = false;
+        this.cancelPending = null; // Settles the in-progress init() or run() on cancel()
+    }
+
+    /**
+     * Check whether web workers are available in this environment
+     * @returns {boolean} True if workers can be created
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Default pool size: one worker per logical core
+     * @returns {number} Number of workers
+     */
+    static getDefaultSize() {
+        return Math.max(1, navigator.hardwareConcurrency || 4);
+    }
+
+    /**
+     * Create the workers and send each one the market data and script
+     * @param {Object} processedData - Processed market data
+     * @param {string} script - Strategy script source
+     * @param {Object} marketConfig - Market configuration
+     * @returns {Promise} Resolves when every worker is ready
+     */
+    async init(processedData, script, marketConfig) {
+        this.terminate();
+
+        const readyPromises = [];
+        for (let i = 0; i < this.size; i++) {
+            const worker = new Worker(this.workerUrl);
+            this.workers.push(worker);
+
+            readyPromises.push(new Promise((resolve, reject) => {
+                worker.onmessage = (event) => {
+                    if (event.data.type === 'ready') {
+                        resolve();
+                    } else if (event.data.type === 'error') {
+                        reject(new Error(event.data.message));
+                    }
+                };
+                worker.onerror = (event) => {
+                    event.preventDefault();
+                    reject(new Error(event.message || 'Worker failed to start'));
+                };
+            }));
+
+            // Each worker owns its own copy of the buffers
+            const { payload, transferables } = DataManager.packForTransfer(processedData);
+            worker.postMessage({ type: 'init', script, marketConfig, data: payload }, transferables);
+        }
+
+        const cancelled = new Promise((resolve, reject) => {
+            this.cancelPending = () => reject(BacktestWorkerPool.createAbortError());
+        });
+
+        try {
+            await Promise.race([Promise.all(readyPromises), cancelled]);
+        } catch (error) {
+            this.terminate();
+            throw error;
+        } finally {
+            this.cancelPending = null;
+        }
+
+        console.log(`[Muuned] Worker pool ready with ${this.workers.length} workers`);
+    }
+
+    /**
+     * Run all parameter sets across the pool. A slice whose worker reports an error or crashes
+     * comes back as failed results (see BacktestEngine.createErrorResult); a crashed worker
+     * leaves the pool, and once none are left the remaining slices fail too.
+     * @param {Array} parameterSets - Parameter combinations to test
+     * @param {Function} onProgress - Progress callback (progress, completed, total)
+     * @param {Object} range - Optional { start, end } candle indices to trade (see BacktestEngine.calculateSignals)
+     * @returns {Promise<Array>} Merged results (unsorted)
+     */
+    run(parameterSets, onProgress = null, range = null) {
+        if (this.workers.length === 0) {
+            return Promise.reject(new Error('Worker pool has not been initialized'));
+        }
+
+        // Small batches (such as a parameter search's) are still spread over every worker
+        const total = parameterSets.length;
+        const sliceSize = Math.max(1, Math.min(this.sliceSize, Math.ceil(total / this.workers.length)));
+        const slices = [];
+        for (let start = 0; start < total; start += sliceSize) {
+            slices.push({ jobId: slices.length, parameterSets: parameterSets.slice(start, start + sliceSize) });
+        }
+
+        this.isRunning = true;
+        const results = [];
+        const inFlight = new Map(); // jobId -> completed count reported so far
+        const assigned = new Map(); // Worker -> slice it is running
+        let nextSlice = 0;
+        let finishedCount = 0;
+
+        const reportProgress = () => {
+            if (!onProgress) return;
+            let completed = finishedCount;
+            inFlight.forEach(count => { completed += count; });
+            onProgress(total > 0 ? completed / total : 1, completed, total);
+        };
+
+        return new Promise((resolve, reject) => {
+            const dispatch = (worker) => {
+                if (nextSlice >= slices.length) return;
+                const slice = slices[nextSlice++];
+                inFlight.set(slice.jobId, 0);
+                assigned.set(worker, slice);
+                worker.postMessage({ type: 'run', jobId: slice.jobId, parameterSets: slice.parameterSets, range });
+            };
+
+            const complete = (slice, sliceResults) => {
+                inFlight.delete(slice.jobId);
+                results.push(...sliceResults);
+                finishedCount += sliceResults.length;
+                reportProgress();
+
+                if (finishedCount >= total) {
+                    this.isRunning = false;
+                    this.cancelPending = null;
+                    resolve(results);
+                }
+            };
+
+            const failSlice = (slice, message) => {
+                console.warn(`[Muuned] ${slice.parameterSets.length} combinations failed on a worker: ${message}`);
+                const error = new Error(message);
+                complete(slice, slice.parameterSets.map(params => BacktestEngine.createErrorResult(params, error)));
+            };
+
+            // Cancelling resolves with the results that have come back so far
+            this.cancelPending = () => {
+                this.isRunning = false;
+                this.cancelPending = null;
+                this.terminate();
+                console.log(`[Muuned] Worker pool cancelled after ${results.length}/${total} combinations`);
+                resolve(results);
+            };
+
+            if (total === 0) {
+                this.isRunning = false;
+                resolve(results);
+                return;
+            }
+
+            for (const worker of this.workers) {
+                worker.onmessage = (event) => {
+                    const message = event.data;
+
+                    switch (message.type) {
+                        case 'progress':
+                            inFlight.set(message.jobId, message.completed);
+                            reportProgress();
+                            break;
+
+                        case 'result':
+                            assigned.delete(worker);
+                            complete(slices[message.jobId], message.results);
+                            dispatch(worker);
+                            break;
+
+                        case 'error': {
+                            const slice = assigned.get(worker);
+                            assigned.delete(worker);
+                            if (slice) {
+                                failSlice(slice, `Worker error: ${message.message}`);
+                            }
+                            dispatch(worker);
+                            break;
+                        }
+                    }
+                };
+                worker.onerror = (event) => {
+                    event.preventDefault();
+                    const message = `Worker crashed: ${event.message || 'unknown error'}`;
+                    const slice = assigned.get(worker);
+                    assigned.delete(worker);
+                    worker.terminate();
+                    this.workers = this.workers.filter(entry => entry !== worker);
+
+                    if (slice) {
+                        failSlice(slice, message);
+                    }
+                    // Without workers the slices not yet sent can't run either
+                    while (this.workers.length === 0 && nextSlice < slices.length) {
+                        failSlice(slices[nextSlice++], message);
+                    }
+                };
+
+                dispatch(worker);
+            }
+        });
+    }
+
+    /**
+     * Cancel the current init() or run()
+     * A pending init() rejects with an AbortError; a pending run() resolves with partial results
+     */
+    cancel() {
+        if (this.cancelPending) {
+            this.cancelPending();
+        } else {
+            this.terminate();
+        }
+    }
+
+    /**
+     * Create an AbortError for cancelled operations
+     * @returns {Error} AbortError
+     */
+    static createAbortError() {
+        const error = new Error('Backtest cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Terminate all workers
+     */
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+        this.isRunning = false;
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * Cache Manager Component
+ * Lists the candle datasets held in the persistent cache and lets the user purge them
+ */
+class CacheManager {
+    constructor(containerId, candleStore) {
+        this.container = document.getElementById(containerId);
+        this.candleStore = candleStore;
+        this.isExpanded = false;
+        this.callbacks = {};
+
+        this.createManager();
+    }
+
+    /**
+     * Create cache manager HTML structure
+     */
+    createManager() {
+        this.container.innerHTML = `
+            <div class="cache-manager">
+                <div class="cache-manager-header">
+                    <span class="cache-manager-title">Cached Data</span>
+                    <button type="button" class="toggle-btn" id="toggle-cache-manager">Show</button>
+                </div>
+                <div class="cache-manager-body" id="cache-manager-body" style="display: none;">
+                    <div class="cache-dataset-list" id="cache-dataset-list"></div>
+                    <div class="cache-manager-footer">
+                        <span class="cache-usage" id="cache-usage"></span>
+                        <button type="button" class="reset-btn" id="clear-candle-cache">Clear All</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.body = this.container.querySelector('#cache-manager-body');
+        this.list = this.container.querySelector('#cache-dataset-list');
+        this.usage = this.container.querySelector('#cache-usage');
+        this.toggleButton = this.container.querySelector('#toggle-cache-manager');
+        this.clearButton = this.container.querySelector('#clear-candle-cache');
+
+        this.toggleButton.addEventListener('click', () => this.toggle());
+        this.clearButton.addEventListener('click', () => this.clearAll());
+
+        if (!this.candleStore) {
+            this.clearButton.disabled = true;
+            this.list.innerHTML = '<div class="cache-empty">Persistent cache is not available in this browser.</div>';
+        }
+    }
+
+    /**
+     * Show or hide the dataset list
+     */
+    toggle() {
+        this.isExpanded = !this.isExpanded;
+        this.body.style.display = this.isExpanded ? 'block' : 'none';
+        this.toggleButton.textContent = this.isExpanded ? 'Hide' : 'Show';
+
+        if (this.isExpanded) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Reload the dataset list from the store
+     */
+    async refresh() {
+        if (!this.candleStore || !this.isExpanded) return;
+
+        try {
+            const datasets = await this.candleStore.listDatasets();
+            this.renderDatasets(datasets);
+
+            const estimate = await this.candleStore.getStorageEstimate();
+            this.usage.textContent = estimate ? `Browser storage used: ${this.formatBytes(estimate.usage)}` : '';
+        } catch (error) {
+            console.error('[Muuned] Failed to read candle cache:', error);
+            this.list.innerHTML = `<div class="cache-empty">Could not read cache: ${error.message}</div>`;
+        }
+    }
+
+    /**
+     * Render dataset rows
+     * @param {Array} datasets - Dataset records from the store
+     */
+    renderDatasets(datasets) {
+        if (datasets.length === 0) {
+            this.list.innerHTML = '<div class="cache-empty">No cached datasets yet.</div>';
+            return;
+        }
+
+        datasets.sort((a, b) => a.key.localeCompare(b.key));
+
+        this.list.innerHTML = datasets.map(dataset => `
+            <div class="cache-dataset">
+                <div class="cache-dataset-info">
+                    <div class="cache-dataset-name">${dataset.symbol} · ${dataset.interval}</div>
+                    <div class="cache-dataset-meta">
+                        ${dataset.candleCount.toLocaleString()} candles
+                        · ${dataset.ranges.map(range => this.formatRange(range)).join(', ')}
+                    </div>
+                </div>
+                <button type="button" class="action-btn cache-delete-btn"
+                        data-symbol="${dataset.symbol}" data-interval="${dataset.interval}" title="Delete dataset">
+                    🗑️
+                </button>
+            </div>
+        `).join('');
+
+        this.list.querySelectorAll('.cache-delete-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.deleteDataset(btn.dataset.symbol, btn.dataset.interval));
+        });
+    }
+
+    /**
+     * Delete a single dataset
+     */
+    async deleteDataset(symbol, interval) {
+        if (!confirm(`Delete cached ${symbol} ${interval} candles?`)) return;
+
+        try {
+            await this.candleStore.deleteDataset(symbol, interval);
+            console.log(`[Muuned] Deleted cached dataset ${symbol} ${interval}`);
+            this.trigger('purged', { symbol, interval });
+            await this.refresh();
+        } catch (error) {
+            console.error('[Muuned] Failed to delete dataset:', error);
+            alert('Failed to delete dataset: ' + error.message);
+        }
+    }
+
+    /**
+     * Delete every cached dataset
+     */
+    async clearAll() {
+        if (!this.candleStore || !confirm('Delete all cached market data?')) return;
+
+        try {
+            await this.candleStore.clearAll();
+            console.log('[Muuned] Candle cache cleared');
+            this.trigger('purged', null);
+            await this.refresh();
+        } catch (error) {
+            console.error('[Muuned] Failed to clear cache:', error);
+            alert('Failed to clear cache: ' + error.message);
+        }
+    }
+
+    /**
+     * Format a covered [start, end] range as dates
+     */
+    formatRange([start, end]) {
+        const format = (timestamp) => new Date(timestamp).toISOString().split('T')[0];
+        return `${format(start)} → ${format(end)}`;
+    }
+
+    /**
+     * Format a byte count
+     */
+    formatBytes(bytes) {
+        if (bytes < 1024 * 1024) {
+            return `${Math.round(bytes / 1024)} KB`;
+        }
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    /**
+     * Register callback for cache events
+     */
+    on(event, callback) {
+        this.callbacks[event] = callback;
+    }
+
+    /**
+     * Trigger callback
+     */
+    trigger(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event](data);
+        }
+    }
+}
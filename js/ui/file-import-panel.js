@@ -0,0 +1,279 @@
+/**
+ * File Import Panel Component
+ * Loads OHLCV data from a local CSV/JSON file, lets the user map columns
+ * and confirm the detected timestamp format and interval
+ */
+class FileImportPanel {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.importer = new FileDataImporter();
+        this.table = null;
+        this.file = null;
+        this.mapping = {};
+        this.importedData = null;
+        this.importCount = 0;
+        this.callbacks = {};
+
+        this.createPanel();
+    }
+
+    /**
+     * Create file import HTML structure
+     */
+    createPanel() {
+        this.container.innerHTML = `
+            <div class="file-import">
+                <div class="form-group">
+                    <label for="import-file">Data File</label>
+                    <input type="file" id="import-file" accept=".csv,.tsv,.txt,.json">
+                    <small class="file-import-hint">CSV or JSON with timestamp, open, high, low, close and volume</small>
+                </div>
+                <div class="file-import-options" id="file-import-options" style="display: none;">
+                    <div class="form-group">
+                        <label for="import-symbol">Market Name</label>
+                        <input type="text" id="import-symbol" placeholder="e.g. BTCUSD">
+                    </div>
+                    <div class="file-import-mapping" id="file-import-mapping"></div>
+                    <div class="form-group">
+                        <label for="import-timestamp-format">Timestamp Format</label>
+                        <select id="import-timestamp-format"></select>
+                    </div>
+                </div>
+                <div class="file-import-summary" id="file-import-summary"></div>
+            </div>
+        `;
+
+        this.fileInput = this.container.querySelector('#import-file');
+        this.options = this.container.querySelector('#file-import-options');
+        this.mappingContainer = this.container.querySelector('#file-import-mapping');
+        this.symbolInput = this.container.querySelector('#import-symbol');
+        this.formatSelect = this.container.querySelector('#import-timestamp-format');
+        this.summary = this.container.querySelector('#file-import-summary');
+
+        this.formatSelect.innerHTML = Object.entries(FileDataImporter.getTimestampFormats())
+            .map(([id, label]) => `<option value="${id}">${label}</option>`)
+            .join('');
+
+        this.fileInput.addEventListener('change', () => this.loadFile(this.fileInput.files[0]));
+        this.formatSelect.addEventListener('change', () => this.buildImport());
+        this.symbolInput.addEventListener('input', () => {
+            if (this.importedData) {
+                this.importedData.symbol = this.getSymbol();
+            }
+        });
+    }
+
+    /**
+     * Read, validate and parse the selected file
+     * @param {File} file - Selected file
+     */
+    async loadFile(file) {
+        this.clearImport();
+
+        const validation = ValidationUtils.validateFile(file, {
+            maxSize: 50 * 1024 * 1024,
+            allowedExtensions: ['.csv', '.tsv', '.txt', '.json']
+        });
+        if (!validation.isValid) {
+            this.showStatus(validation.error, 'error');
+            return;
+        }
+
+        try {
+            this.showStatus('⏳ Reading file...', 'processing');
+            const text = await FileDataImporter.readFile(file);
+
+            this.file = file;
+            this.table = this.importer.parse(text, file.name);
+            this.mapping = this.importer.guessColumnMapping(this.table);
+
+            const detectedFormat = this.importer.detectTimestampFormat(
+                this.table.rows.map(row => row[this.mapping.timestamp])
+            );
+            if (detectedFormat) {
+                this.formatSelect.value = detectedFormat;
+            }
+
+            this.symbolInput.value = this.guessSymbol(file.name);
+            this.renderMapping();
+            this.options.style.display = 'block';
+
+            console.log(`[Muuned] Parsed ${file.name}: ${this.table.rows.length} rows, ${this.table.headers.length} columns`);
+            this.buildImport();
+
+        } catch (error) {
+            console.error('[Muuned] File import failed:', error);
+            this.showStatus(`❌ ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Render one column selector per candle field
+     */
+    renderMapping() {
+        const columnOptions = this.table.headers
+            .map((header, index) => `<option value="${index}">${ValidationUtils.sanitizeString(header)}</option>`)
+            .join('');
+
+        this.mappingContainer.innerHTML = `
+            <div class="param-grid">
+                ${FileDataImporter.getFields().map(field => `
+                    <div class="form-group">
+                        <label for="import-column-${field}">${field.charAt(0).toUpperCase() + field.slice(1)}</label>
+                        <select id="import-column-${field}" data-field="${field}">
+                            <option value="-1">${field === 'volume' ? '(none)' : '(select column)'}</option>
+                            ${columnOptions}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        this.mappingContainer.querySelectorAll('select[data-field]').forEach(select => {
+            select.value = String(this.mapping[select.dataset.field]);
+            select.addEventListener('change', () => {
+                this.mapping[select.dataset.field] = parseInt(select.value);
+
+                if (select.dataset.field === 'timestamp') {
+                    const detectedFormat = this.importer.detectTimestampFormat(
+                        this.table.rows.map(row => row[this.mapping.timestamp])
+                    );
+                    if (detectedFormat) {
+                        this.formatSelect.value = detectedFormat;
+                    }
+                }
+                this.buildImport();
+            });
+        });
+    }
+
+    /**
+     * Build candles from the current mapping and show the summary
+     */
+    buildImport() {
+        if (!this.table) return;
+
+        try {
+            const result = this.importer.buildCandles(this.table, this.mapping, {
+                timestampFormat: this.formatSelect.value
+            });
+
+            this.importCount++;
+            this.importedData = {
+                ...result,
+                id: `${this.file.name}-${this.file.size}-${this.file.lastModified}-${this.importCount}`,
+                fileName: this.file.name,
+                symbol: this.getSymbol(),
+                startDate: new Date(result.candles[0].timestamp),
+                endDate: new Date(result.candles[result.candles.length - 1].timestamp)
+            };
+
+            this.showSummary(this.importedData);
+            this.trigger('imported', this.importedData);
+
+        } catch (error) {
+            this.importedData = null;
+            this.showStatus(`❌ ${error.message}`, 'error');
+            this.trigger('cleared');
+        }
+    }
+
+    /**
+     * Show a summary of the imported candles
+     * @param {Object} data - Imported data
+     */
+    showSummary(data) {
+        const format = (date) => date.toISOString().replace('T', ' ').slice(0, 16);
+        const notes = [];
+        if (data.skippedRows > 0) notes.push(`${data.skippedRows} invalid rows skipped`);
+        if (data.duplicateRows > 0) notes.push(`${data.duplicateRows} duplicate timestamps merged`);
+
+        this.summary.innerHTML = `
+            <div class="status-ready">✅ ${data.candles.length.toLocaleString()} candles · ${data.interval} interval</div>
+            <div class="file-import-range">${format(data.startDate)} → ${format(data.endDate)} UTC</div>
+            ${notes.length > 0 ? `<div class="warning-text">⚠️ ${notes.join(', ')}</div>` : ''}
+        `;
+    }
+
+    /**
+     * Show a status line in the summary area
+     * @param {string} message - Message to show
+     * @param {string} type - 'processing' or 'error'
+     */
+    showStatus(message, type) {
+        // Messages can quote file contents, so they are set as text
+        const line = document.createElement('div');
+        line.className = type === 'error' ? 'error-message' : 'status-processing';
+        line.textContent = message;
+        this.summary.innerHTML = '';
+        this.summary.appendChild(line);
+    }
+
+    /**
+     * Guess a market name from the file name (e.g. "BTCUSDT-1h-2023.csv" -> "BTCUSDT")
+     * @param {string} fileName - File name
+     * @returns {string} Market name
+     */
+    guessSymbol(fileName) {
+        const match = fileName.match(/^[A-Za-z0-9]+/);
+        return match ? match[0].toUpperCase() : 'IMPORTED';
+    }
+
+    /**
+     * Get the market name entered by the user
+     * @returns {string} Market name
+     */
+    getSymbol() {
+        return ValidationUtils.sanitizeString(this.symbolInput.value).toUpperCase() || 'IMPORTED';
+    }
+
+    /**
+     * Get the imported data, if any
+     * @returns {Object|null} { candles, interval, intervalMs, symbol, fileName, startDate, endDate, id, ... }
+     */
+    getImportedData() {
+        return this.importedData;
+    }
+
+    /**
+     * Check whether a file has been imported successfully
+     * @returns {boolean} True if candles are available
+     */
+    hasData() {
+        return this.importedData !== null;
+    }
+
+    /**
+     * Forget the current file
+     */
+    clearImport() {
+        const hadData = this.importedData !== null;
+        this.table = null;
+        this.file = null;
+        this.mapping = {};
+        this.importedData = null;
+        this.options.style.display = 'none';
+        this.mappingContainer.innerHTML = '';
+        this.summary.innerHTML = '';
+
+        if (hadData) {
+            this.trigger('cleared');
+        }
+    }
+
+    /**
+     * Register callback for import events
+     */
+    on(event, callback) {
+        this.callbacks[event] = callback;
+    }
+
+    /**
+     * Trigger callback
+     */
+    trigger(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event](data);
+        }
+    }
+}
@@ -54,13 +54,22 @@ class ParameterForm {
      * Create dynamic parameter form based on discovered parameters (simplified)
      */
     createDynamicParametersForm(discovery) {
-        if (discovery.parameters.length === 0) {
+        // Protective exits and sizing have their own sections (a script may still read them from params)
+        const exitIds = PortfolioBacktester.getProtectiveExitParameters().map(exit => exit.id).concat('atrPeriod');
+        const sizingIds = PortfolioBacktester.getSizingParameters().map(param => param.id).concat('volatilityPeriod', 'maxEntries');
+        const scriptParameters = discovery.parameters.filter(param => !exitIds.includes(param.name) && !sizingIds.includes(param.name));
+        
+        if (scriptParameters.length === 0) {
             this.strategyParametersContainer.innerHTML = `
                 <div class="no-parameters">
                     <p>ℹ️ No parameters detected in script.</p>
                     <p>Use <code>params.parameterName</code> in your script to create parameters.</p>
                 </div>
+                ${this.createProtectiveExitsHtml()}
+                ${this.createPositionSizingHtml()}
+                ${this.createParameterSearchHtml()}
             `;
+            this.attachParameterEventListeners();
             return;
         }
     
@@ -74,7 +83,7 @@ class ParameterForm {
         `;
         
         // Generate form fields for all parameters
-        for (const param of discovery.parameters) {
+        for (const param of scriptParameters) {
             html += `
                 <div class="form-group">
                     <label for="${param.name}">${param.label}</label>
@@ -93,6 +102,12 @@ class ParameterForm {
         html += `
             </div>
             
+            ${this.createProtectiveExitsHtml()}
+            
+            ${this.createPositionSizingHtml()}
+            
+            ${this.createParameterSearchHtml()}
+            
             <div class="advanced-params" style="display: none;">
                 <h3>Advanced Parameters</h3>
                 <div class="param-grid">
@@ -114,6 +129,286 @@ class ParameterForm {
         this.attachParameterEventListeners();
     }
 
+    /**
+     * Create the protective exit fields (stop-loss, take-profit, trailing and ATR stops)
+     * Each accepts the same lists and ranges as script parameters; 0 turns an exit off.
+     */
+    createProtectiveExitsHtml() {
+        const fields = PortfolioBacktester.getProtectiveExitParameters().map(exit => `
+            <div class="form-group">
+                <label for="${exit.id}">${exit.label} <span class="param-help" title="${exit.description}">ⓘ</span></label>
+                <input 
+                    type="text" 
+                    id="${exit.id}" 
+                    value="0" 
+                    placeholder="e.g., 0,2,5 or 1_5:1"
+                    data-param-name="${exit.id}"
+                    data-param-type="array"
+                    data-exit-param="true"
+                >
+            </div>
+        `).join('');
+        
+        return `
+            <div class="protective-exits">
+                <h3>Protective Exits</h3>
+                <p class="form-help">Checked against each candle's high and low. If a candle reaches both a stop and the take-profit, the stop is assumed to fill first unless the bar magnifier shows which came first.</p>
+                <div class="param-grid">
+                    ${fields}
+                    <div class="form-group">
+                        <label for="atrPeriod">ATR Period</label>
+                        <input type="number" id="atrPeriod" value="14" min="1" step="1"
+                            data-param-name="atrPeriod" data-param-type="single" data-exit-param="true">
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the position sizing fields: the model, the parameters of each model
+     * (sweepable like script parameters; only the selected model's fields are shown and used),
+     * the pyramiding limit and the lot matching order
+     */
+    createPositionSizingHtml() {
+        const modelOptions = PortfolioBacktester.getSizingModels().map(model => `
+            <option value="${model.id}" title="${model.description}">${model.label}</option>
+        `).join('');
+        const lotOptions = PortfolioBacktester.getLotMatchingModes().map(mode => `
+            <option value="${mode.id}">${mode.label}</option>
+        `).join('');
+        
+        const fields = PortfolioBacktester.getSizingParameters().map(param => `
+            <div class="form-group" data-sizing-models="${param.models.join(' ')}" style="display: none;">
+                <label for="${param.id}">${param.label} <span class="param-help" title="${param.description}">ⓘ</span></label>
+                <input 
+                    type="text" 
+                    id="${param.id}" 
+                    value="${param.defaultValue}" 
+                    placeholder="e.g., ${param.defaultValue} or 10_50:10"
+                    data-param-name="${param.id}"
+                    data-param-type="array"
+                    data-sizing-param="true"
+                >
+            </div>
+        `).join('');
+        
+        return `
+            <div class="position-sizing">
+                <h3>Position Sizing</h3>
+                <div class="param-grid">
+                    <div class="form-group">
+                        <label for="sizingModel">Sizing Model</label>
+                        <select id="sizingModel">
+                            ${modelOptions}
+                        </select>
+                        <p class="form-help" id="sizing-model-help">${PortfolioBacktester.getSizingModels()[0].description}</p>
+                    </div>
+                    ${fields}
+                    <div class="form-group" data-sizing-models="volatility" style="display: none;">
+                        <label for="volatilityMeasure">Volatility Measure</label>
+                        <select id="volatilityMeasure">
+                            <option value="atr" selected>ATR</option>
+                            <option value="stdev">Std Dev of Returns</option>
+                        </select>
+                    </div>
+                    <div class="form-group" data-sizing-models="volatility" style="display: none;">
+                        <label for="volatilityPeriod">Volatility Period</label>
+                        <input type="number" id="volatilityPeriod" value="20" min="2" step="1"
+                            data-param-name="volatilityPeriod" data-param-type="single" data-sizing-param="true">
+                    </div>
+                    <div class="form-group">
+                        <label for="maxEntries">Max Entries <span class="param-help" title="Entries a position may build up to: a same-side signal while a position is open adds another lot until the limit (1 = no pyramiding)">ⓘ</span></label>
+                        <input 
+                            type="text" 
+                            id="maxEntries" 
+                            value="1" 
+                            placeholder="e.g., 1 or 1_4:1"
+                            data-param-name="maxEntries"
+                            data-param-type="array"
+                        >
+                    </div>
+                    <div class="form-group">
+                        <label for="lotMatching">Lot Matching</label>
+                        <select id="lotMatching">
+                            ${lotOptions}
+                        </select>
+                        <p class="form-help">Which entries a partial exit closes first; win rate and profit are counted per matched lot</p>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the parameter search fields: the search method, the objective it maximizes (also
+     * used to rank the results and pick walk-forward winners), the constraints a result must
+     * meet to be ranked, and the backtest budget of the methods other than grid
+     */
+    createParameterSearchHtml() {
+        const methodOptions = ParameterSearch.getMethods().map(method => `
+            <option value="${method.id}" title="${method.description}">${method.label}</option>
+        `).join('');
+        const objectiveOptions = BacktestEngine.getObjectives().map(objective => `
+            <option value="${objective.id}">${objective.label}</option>
+        `).join('');
+        const metrics = BacktestEngine.getObjectiveMetrics().join(', ');
+        
+        return `
+            <div class="parameter-search">
+                <h3>Parameter Search</h3>
+                <div class="param-grid">
+                    <div class="form-group">
+                        <label for="searchMethod">Search Method</label>
+                        <select id="searchMethod">
+                            ${methodOptions}
+                        </select>
+                        <p class="form-help" id="search-method-help">${ParameterSearch.getMethods()[0].description}</p>
+                    </div>
+                    <div class="form-group">
+                        <label for="objective">Objective</label>
+                        <select id="objective">
+                            ${objectiveOptions}
+                        </select>
+                    </div>
+                    <div class="form-group" id="objective-expression-group" style="display: none;">
+                        <label for="objectiveExpression">Objective Expression <span class="param-help" title="Metrics: ${metrics}; also params, outOfSample and result">ⓘ</span></label>
+                        <input type="text" id="objectiveExpression" value="sharpeRatio * Math.sqrt(totalTrades)" placeholder="e.g., cagr / Math.max(maxDrawdownPct, 1)">
+                    </div>
+                    <div class="form-group" id="search-budget-group" style="display: none;">
+                        <label for="searchBudget">Budget (backtests)</label>
+                        <input type="number" id="searchBudget" value="200" min="1" step="1">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="constraints">Constraints <span class="param-help" title="Metrics: ${metrics}; also params, outOfSample and result">ⓘ</span></label>
+                    <textarea id="constraints" rows="2" placeholder="e.g., totalTrades >= 30&#10;maxDrawdownPct < 25"></textarea>
+                    <p class="form-help">One expression per line over a result's metrics; results that fail any of them are left out before ranking. The objective ranks the results (higher is better) and drives the search.</p>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the budget for the search methods other than grid, the method's description and
+     * the expression of a custom objective
+     */
+    toggleSearchFields() {
+        const method = document.getElementById('searchMethod').value;
+        document.getElementById('search-budget-group').style.display = method === 'grid' ? 'none' : 'block';
+        document.getElementById('objective-expression-group').style.display = document.getElementById('objective').value === 'custom' ? 'block' : 'none';
+        
+        const entry = ParameterSearch.getMethods().find(option => option.id === method);
+        document.getElementById('search-method-help').textContent = entry ? entry.description : '';
+    }
+
+    /**
+     * Validate the search budget (a whole number of backtests)
+     */
+    validateSearchBudget() {
+        const config = this.getSearchConfig();
+        if (config.method === 'grid') {
+            return true;
+        }
+        
+        const budget = Number(document.getElementById('searchBudget').value);
+        const isValid = Number.isInteger(budget) && budget >= 1 && budget <= 50000;
+        this.updateValidationStatus('searchBudget', isValid, isValid ? '' : 'Budget must be a whole number of backtests from 1 to 50,000');
+        return isValid;
+    }
+
+    /**
+     * Validate the custom objective expression and the constraints (syntax only)
+     */
+    validateObjective() {
+        if (!document.getElementById('objective')) {
+            return true;
+        }
+        
+        const config = this.getSearchConfig();
+        const check = (id, compile) => {
+            let message = '';
+            try {
+                compile();
+            } catch (error) {
+                message = error.message;
+            }
+            this.updateValidationStatus(id, !message, message);
+            return !message;
+        };
+        
+        const expressionValid = config.objective !== 'custom'
+            || check('objectiveExpression', () => BacktestEngine.compileResultExpression(config.objectiveExpression, 'Objective expression'));
+        const constraintsValid = check('constraints', () => config.constraints.forEach(constraint => BacktestEngine.compileResultExpression(constraint, 'Constraint')));
+        return expressionValid && constraintsValid;
+    }
+
+    /**
+     * Get the parameter search settings
+     * @returns {Object} { method, objective, objectiveExpression, constraints, budget }
+     *                   (grid by total return before the strategy form is built)
+     */
+    getSearchConfig() {
+        const method = document.getElementById('searchMethod');
+        const objective = document.getElementById('objective');
+        const expression = document.getElementById('objectiveExpression');
+        const constraints = document.getElementById('constraints');
+        const budget = document.getElementById('searchBudget');
+        return {
+            method: method ? method.value : 'grid',
+            objective: objective ? objective.value : 'totalReturn',
+            objectiveExpression: expression ? expression.value.trim() : '',
+            constraints: constraints ? constraints.value.split('\n').map(line => line.trim()).filter(line => line !== '') : [],
+            budget: budget ? (parseInt(budget.value) || 200) : 200
+        };
+    }
+
+    /**
+     * Get the maintenance margin rate (0 is allowed)
+     * @returns {number} Rate as a decimal (0.5% when the field is empty)
+     */
+    getMaintenanceMargin() {
+        const percent = parseFloat(document.getElementById('maintenanceMargin').value);
+        return (isNaN(percent) ? 0.5 : percent) / 100; // Convert to decimal
+    }
+
+    /**
+     * Get the selected sizing model
+     * @returns {string} Sizing model id ('balance' before the strategy form is built)
+     */
+    getSizingModel() {
+        const select = document.getElementById('sizingModel');
+        return select ? select.value : 'balance';
+    }
+
+    /**
+     * Whether a sizing parameter belongs to the selected sizing model
+     * @param {string} paramId - Parameter id
+     * @returns {boolean}
+     */
+    isActiveSizingParameter(paramId) {
+        const input = document.getElementById(paramId);
+        const group = input ? input.closest('[data-sizing-models]') : null;
+        return !!group && group.dataset.sizingModels.split(' ').includes(this.getSizingModel());
+    }
+
+    /**
+     * Show the fields of the selected sizing model
+     */
+    toggleSizingFields() {
+        const model = this.getSizingModel();
+        this.strategyParametersContainer.querySelectorAll('[data-sizing-models]').forEach(group => {
+            group.style.display = group.dataset.sizingModels.split(' ').includes(model) ? 'block' : 'none';
+        });
+        
+        const help = document.getElementById('sizing-model-help');
+        const selected = PortfolioBacktester.getSizingModels().find(candidate => candidate.id === model);
+        if (help && selected) {
+            help.textContent = selected.description;
+        }
+        this.updateParameterCount();
+    }
+
     generateExampleRange(defaultValue) {
         // Ensure defaultValue is a string
         const defaultStr = String(defaultValue || '10');
@@ -199,6 +494,30 @@ class ParameterForm {
      */
     createMarketDataForm() {
         this.marketDataContainer.innerHTML = `
+            <div class="form-group">
+                <label for="dataSource">Data Source</label>
+                <select id="dataSource">
+                    <option value="exchange" selected>Exchange API</option>
+                    <option value="file">Local File (CSV/JSON)</option>
+                </select>
+            </div>
+            
+            <div id="file-source-fields" style="display: none;">
+                <div id="file-import-container">
+                    <!-- File import panel will be created here -->
+                </div>
+            </div>
+            
+            <div id="exchange-source-fields">
+            <div class="form-group">
+                <label for="provider">Exchange</label>
+                <select id="provider">
+                    ${MARKET_DATA_PROVIDERS.map(provider => `
+                        <option value="${provider.id}"${provider.id === 'binance' ? ' selected' : ''}>${provider.name}</option>
+                    `).join('')}
+                </select>
+            </div>
+            
             <div class="form-group">
                 <label for="symbol-container">Symbol</label>
                 <div id="symbol-container">
@@ -218,6 +537,20 @@ class ParameterForm {
                 </select>
             </div>
             
+            <div class="form-group">
+                <label for="magnifierInterval">Bar Magnifier</label>
+                <select id="magnifierInterval">
+                    <option value="" selected>Off</option>
+                    <option value="1m">1 Minute</option>
+                    <option value="3m">3 Minutes</option>
+                    <option value="5m">5 Minutes</option>
+                    <option value="15m">15 Minutes</option>
+                    <option value="30m">30 Minutes</option>
+                    <option value="1h">1 Hour</option>
+                </select>
+                <p class="form-help">Loads lower-timeframe candles to order stops, limit/stop orders and liquidations within each candle. Signals still use the candle size above.</p>
+            </div>
+            
             <div class="form-group">
                 <label for="startDate">Start Date</label>
                 <input type="date" id="startDate" value="${this.getDefaultStartDate()}">
@@ -227,6 +560,7 @@ class ParameterForm {
                 <label for="endDate">End Date</label>
                 <input type="date" id="endDate" value="${this.getDefaultEndDate()}">
             </div>
+            </div>
             
             <div class="param-grid">
                 <div class="form-group">
@@ -242,10 +576,253 @@ class ParameterForm {
                     <input type="number" id="startingAmount" value="10000" min="1" step="1" placeholder="10000">
                 </div>
             </div>
+            
+            <div class="param-grid">
+                <div class="form-group">
+                    <label for="signalSource">Signal Source</label>
+                    <select id="signalSource">
+                        ${DataManager.getSignalSources().map(source => `
+                            <option value="${source.id}">${source.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                
+                <div class="form-group">
+                    <label for="executionPrice">Execution Price</label>
+                    <select id="executionPrice">
+                        ${PortfolioBacktester.getExecutionPriceModels().map(model => `
+                            <option value="${model.id}">${model.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                
+                <div class="form-group">
+                    <label for="executionTiming">Execution Timing</label>
+                    <select id="executionTiming">
+                        ${PortfolioBacktester.getExecutionTimings().map(timing => `
+                            <option value="${timing.id}">${timing.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                
+                <div class="form-group" id="execution-delay-group" style="display: none;">
+                    <label for="executionDelay">Delay (bars)</label>
+                    <input type="number" id="executionDelay" value="1" min="1" max="100" step="1">
+                </div>
+                
+                <div class="form-group">
+                    <label for="positionMode">Position Mode</label>
+                    <select id="positionMode">
+                        ${PortfolioBacktester.getPositionModes().map(mode => `
+                            <option value="${mode.id}">${mode.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                
+                <div class="form-group" id="borrow-rate-group" style="display: none;">
+                    <label for="borrowRate">Borrow Interest (%/day)</label>
+                    <input type="number" id="borrowRate" value="0.02" min="0" max="5" step="0.001">
+                </div>
+                
+                <div class="form-group">
+                    <label for="marginMode">Account</label>
+                    <select id="marginMode">
+                        <option value="spot" selected>Spot (no leverage)</option>
+                        <option value="margin">Margin / Futures</option>
+                    </select>
+                </div>
+            </div>
+            
+            <div class="param-grid" id="margin-fields" style="display: none;">
+                <div class="form-group">
+                    <label for="leverage">Leverage (x)</label>
+                    <input type="number" id="leverage" value="3" min="1" max="125" step="0.5">
+                </div>
+                
+                <div class="form-group">
+                    <label for="maintenanceMargin">Maintenance Margin (%)</label>
+                    <input type="number" id="maintenanceMargin" value="0.5" min="0" max="50" step="0.05">
+                </div>
+            </div>
+            
+            <div class="param-grid">
+                <div class="form-group">
+                    <label for="feeModel">Fee Model</label>
+                    <select id="feeModel">
+                        ${PortfolioBacktester.getFeeModels().map(model => `
+                            <option value="${model.id}" title="${model.description}">${model.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                
+                <div class="form-group" data-fee-model="makerTaker" style="display: none;">
+                    <label for="makerFee">Maker Fee (%)</label>
+                    <input type="number" id="makerFee" value="0.1" min="0" max="5" step="0.001">
+                </div>
+                
+                <div class="form-group" data-fee-model="makerTaker" style="display: none;">
+                    <label for="takerFee">Taker Fee (%)</label>
+                    <input type="number" id="takerFee" value="0.1" min="0" max="5" step="0.001">
+                </div>
+                
+                <div class="form-group">
+                    <label for="feeDiscount">Fee Discount</label>
+                    <select id="feeDiscount">
+                        <option value="0" selected>None</option>
+                        <option value="25">Pay in BNB, spot (25% off)</option>
+                        <option value="10">Pay in BNB, futures (10% off)</option>
+                    </select>
+                </div>
+                
+                <div class="form-group">
+                    <label for="slippageModel">Slippage Model</label>
+                    <select id="slippageModel">
+                        ${PortfolioBacktester.getSlippageModels().map(model => `
+                            <option value="${model.id}" title="${model.description}">${model.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                
+                <div class="form-group" data-slippage-model="fixed" style="display: none;">
+                    <label for="slippageBps">Slippage (bps)</label>
+                    <input type="number" id="slippageBps" value="5" min="0" max="1000" step="0.5">
+                </div>
+                
+                <div class="form-group" data-slippage-model="spread" style="display: none;">
+                    <label for="spreadShare">Spread (% of candle range)</label>
+                    <input type="number" id="spreadShare" value="10" min="0" max="100" step="1">
+                </div>
+                
+                <div class="form-group" data-slippage-model="volume" style="display: none;">
+                    <label for="volumeImpact">Impact at Full Volume (%)</label>
+                    <input type="number" id="volumeImpact" value="10" min="0" max="100" step="0.5">
+                </div>
+                
+                <div class="form-group">
+                    <label for="exchangeRules">Exchange Rules</label>
+                    <select id="exchangeRules">
+                        <option value="enforce" selected>Enforce</option>
+                        <option value="ignore">Ignore</option>
+                    </select>
+                    <p class="form-help">Rounds prices to the tick size and quantities to the lot step, and drops orders below the minimum quantity or notional (exchanges that publish trading rules only)</p>
+                </div>
+            </div>
+            
+            <div class="param-grid">
+                <div class="form-group">
+                    <label for="optimizationMode">Optimization</label>
+                    <select id="optimizationMode">
+                        <option value="fullRange" selected>Full Date Range</option>
+                        <option value="walkForward">Walk-Forward</option>
+                    </select>
+                </div>
+                
+                <div class="form-group" data-optimization-mode="fullRange">
+                    <label for="holdoutPercent">Holdout (%)</label>
+                    <input type="number" id="holdoutPercent" value="0" min="0" max="50" step="1">
+                    <p class="form-help">Reserves the last share of candles as a test set: every parameter set is also run on it and compared with its in-sample run (0 = off)</p>
+                </div>
+                
+                <div class="form-group" data-optimization-mode="walkForward" style="display: none;">
+                    <label for="windowMode">Windows</label>
+                    <select id="windowMode">
+                        ${WalkForwardOptimizer.getWindowModes().map(mode => `
+                            <option value="${mode.id}" title="${mode.description}">${mode.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                
+                <div class="form-group" data-optimization-mode="walkForward" style="display: none;">
+                    <label for="inSampleDays">In-Sample (days)</label>
+                    <input type="number" id="inSampleDays" value="180" min="1" step="1">
+                </div>
+                
+                <div class="form-group" data-optimization-mode="walkForward" style="display: none;">
+                    <label for="outOfSampleDays">Out-of-Sample (days)</label>
+                    <input type="number" id="outOfSampleDays" value="30" min="1" step="1">
+                    <p class="form-help">The parameters are optimized on each in-sample window (by the Strategy tab's search method and objective) and the winners trade the next out-of-sample window</p>
+                </div>
+            </div>
+            
+            <div class="form-group" id="signal-expression-group" style="display: none;">
+                <label for="signalExpression">Signal Expression</label>
+                <input type="text" id="signalExpression" value="(high + low + 2 * close) / 4" placeholder="e.g., (high + low + 2 * close) / 4">
+                <small>Uses open, high, low, close and volume of each candle</small>
+            </div>
         `;
         
         // Initialize the symbol selector
         this.symbolSelector = new SymbolSelector('symbol-container', 'BTCUSDT');
+        
+        // Initialize the file import panel
+        this.fileImportPanel = new FileImportPanel('file-import-container');
+    }
+
+    /**
+     * Get the selected data source
+     * @returns {string} 'exchange' or 'file'
+     */
+    getDataSource() {
+        return document.getElementById('dataSource').value;
+    }
+
+    /**
+     * Get the selected exchange provider id
+     * @returns {string} Provider id (e.g., 'binance')
+     */
+    getProviderId() {
+        return document.getElementById('provider').value;
+    }
+
+    /**
+     * Enable only the candle sizes the selected provider supports
+     * @param {Array<string>} intervals - Supported interval strings
+     */
+    setSupportedIntervals(intervals) {
+        const select = document.getElementById('interval');
+        const options = Array.from(select.options);
+        
+        options.forEach(option => {
+            option.disabled = !intervals.includes(option.value);
+        });
+        
+        if (select.selectedOptions[0] && select.selectedOptions[0].disabled) {
+            const firstSupported = options.find(option => !option.disabled);
+            if (firstSupported) {
+                select.value = firstSupported.value;
+            }
+        }
+        
+        const magnifierSelect = document.getElementById('magnifierInterval');
+        Array.from(magnifierSelect.options).forEach(option => {
+            option.disabled = option.value !== '' && !intervals.includes(option.value);
+        });
+        if (magnifierSelect.selectedOptions[0] && magnifierSelect.selectedOptions[0].disabled) {
+            magnifierSelect.value = '';
+        }
+        this.validateMagnifierInterval();
+        this.updateParameterCount();
+    }
+
+    /**
+     * Replace the symbol search list with the selected provider's symbols
+     * @param {Array} coins - Coin objects ({ symbol, name }); null restores the Binance reference list
+     * @param {string} symbol - Symbol to select
+     */
+    setSymbolList(coins, symbol) {
+        if (this.symbolSelector) {
+            this.symbolSelector.setCoinList(coins, symbol);
+        }
+    }
+
+    /**
+     * Show the fields for the selected data source
+     */
+    toggleDataSource() {
+        const isFile = this.getDataSource() === 'file';
+        document.getElementById('file-source-fields').style.display = isFile ? 'block' : 'none';
+        document.getElementById('exchange-source-fields').style.display = isFile ? 'none' : 'block';
+        this.updateParameterCount();
     }
 
     /**
@@ -259,6 +836,30 @@ class ParameterForm {
             input.addEventListener('input', () => this.updateParameterCount());
         });
         
+        const sizingModel = document.getElementById('sizingModel');
+        if (sizingModel) {
+            sizingModel.addEventListener('change', () => this.toggleSizingFields());
+        }
+        
+        const searchMethod = document.getElementById('searchMethod');
+        if (searchMethod) {
+            searchMethod.addEventListener('change', () => {
+                this.toggleSearchFields();
+                this.updateParameterCount();
+            });
+            document.getElementById('searchBudget').addEventListener('input', () => {
+                this.validateSearchBudget();
+                this.updateParameterCount();
+            });
+            document.getElementById('objective').addEventListener('change', () => {
+                this.toggleSearchFields();
+                this.validateObjective();
+            });
+            ['objectiveExpression', 'constraints'].forEach(id => {
+                document.getElementById(id).addEventListener('blur', () => this.validateObjective());
+            });
+        }
+        
         // Advanced parameters toggle
         const toggleBtn = document.getElementById('toggleAdvanced');
         if (toggleBtn) {
@@ -270,6 +871,20 @@ class ParameterForm {
      * Attach event listeners to form elements
      */
     attachEventListeners() {
+        // Data source switch
+        document.getElementById('dataSource').addEventListener('change', () => {
+            this.toggleDataSource();
+        });
+        
+        // Provider switch (the app swaps the data client and symbol list)
+        document.getElementById('provider').addEventListener('change', () => {
+            this.trigger('providerChanged', this.getProviderId());
+        });
+        
+        // Imported file changes the candle count used for time estimates
+        this.fileImportPanel.on('imported', () => this.updateParameterCount());
+        this.fileImportPanel.on('cleared', () => this.updateParameterCount());
+        
         // Market data validation
         document.getElementById('startDate').addEventListener('change', () => {
             this.validateDateRange();
@@ -283,14 +898,74 @@ class ParameterForm {
         
         // Interval change affects time estimation
         document.getElementById('interval').addEventListener('change', () => {
+            this.validateMagnifierInterval();
             this.updateParameterCount();
         });
         
+        document.getElementById('magnifierInterval').addEventListener('change', () => {
+            this.validateMagnifierInterval();
+        });
+        
         // Starting amount validation
         document.getElementById('startingAmount').addEventListener('input', () => {
             this.validateStartingAmount();
         });
         
+        // Custom signal expression is only used with the 'custom' source
+        document.getElementById('signalSource').addEventListener('change', () => {
+            const isCustom = document.getElementById('signalSource').value === 'custom';
+            document.getElementById('signal-expression-group').style.display = isCustom ? 'block' : 'none';
+        });
+        
+        document.getElementById('signalExpression').addEventListener('blur', () => {
+            this.validateSignalExpression();
+        });
+        
+        // Next-bar-open timing fixes the fill price; the delay only applies to N-bar timing
+        document.getElementById('executionTiming').addEventListener('change', () => {
+            const timing = document.getElementById('executionTiming').value;
+            document.getElementById('executionPrice').disabled = timing === 'nextBarOpen';
+            document.getElementById('execution-delay-group').style.display = timing === 'delayed' ? 'block' : 'none';
+        });
+        
+        document.getElementById('executionDelay').addEventListener('input', () => {
+            this.validateExecutionDelay();
+        });
+        
+        // Borrow interest applies to shorts and leveraged positions
+        document.getElementById('positionMode').addEventListener('change', () => this.toggleMarginFields());
+        document.getElementById('marginMode').addEventListener('change', () => this.toggleMarginFields());
+        
+        document.getElementById('leverage').addEventListener('input', () => {
+            this.validateMarginSettings();
+        });
+        
+        document.getElementById('maintenanceMargin').addEventListener('input', () => {
+            this.validateMarginSettings();
+        });
+        
+        document.getElementById('borrowRate').addEventListener('input', () => {
+            this.validateBorrowRate();
+        });
+        
+        // Only the selected fee and slippage models' fields are shown
+        document.getElementById('feeModel').addEventListener('change', () => this.toggleCostFields());
+        document.getElementById('slippageModel').addEventListener('change', () => this.toggleCostFields());
+        ['makerFee', 'takerFee', 'slippageBps', 'spreadShare', 'volumeImpact'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.validateCostSettings());
+        });
+        
+        // Walk-forward window settings only show in walk-forward mode
+        document.getElementById('optimizationMode').addEventListener('change', () => {
+            this.toggleOptimizationFields();
+            this.validateWalkForward();
+            this.validateHoldout();
+        });
+        ['inSampleDays', 'outOfSampleDays'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.validateWalkForward());
+        });
+        document.getElementById('holdoutPercent').addEventListener('input', () => this.validateHoldout());
+        
         // Symbol selector validation
         if (this.symbolSelector) {
             const symbolInput = document.getElementById('symbol-search');
@@ -316,6 +991,220 @@ class ParameterForm {
         return isValid;
     }
 
+    /**
+     * Validate that a file has been imported when using the file data source
+     */
+    validateImportedFile() {
+        const isValid = this.fileImportPanel.hasData();
+        this.updateValidationStatus('import-file', isValid,
+            isValid ? '' : 'Please import a valid data file');
+        return isValid;
+    }
+
+    /**
+     * Validate the custom signal expression (syntax only; values are checked against the data)
+     */
+    validateSignalExpression() {
+        if (document.getElementById('signalSource').value !== 'custom') {
+            return true;
+        }
+        
+        let isValid = true;
+        let message = '';
+        
+        try {
+            DataManager.compileSignalExpression(document.getElementById('signalExpression').value);
+        } catch (error) {
+            isValid = false;
+            message = `Invalid expression: ${error.message}`;
+        }
+        
+        this.updateValidationStatus('signalExpression', isValid, message);
+        return isValid;
+    }
+
+    /**
+     * Validate the N-bar execution delay
+     */
+    validateExecutionDelay() {
+        if (document.getElementById('executionTiming').value !== 'delayed') {
+            return true;
+        }
+        
+        const delay = Number(document.getElementById('executionDelay').value);
+        const isValid = Number.isInteger(delay) && delay >= 1 && delay <= 100;
+        
+        this.updateValidationStatus('executionDelay', isValid,
+            isValid ? '' : 'Delay must be a whole number of bars between 1 and 100');
+        return isValid;
+    }
+
+    /**
+     * Validate the bar magnifier: its candles must be shorter than the candle size and divide it evenly
+     */
+    validateMagnifierInterval() {
+        const magnifier = document.getElementById('magnifierInterval').value;
+        if (!magnifier || this.getDataSource() === 'file') {
+            this.updateValidationStatus('magnifierInterval', true, '');
+            return true;
+        }
+        
+        const baseMinutes = Math.round(this.parseIntervalToHours(document.getElementById('interval').value) * 60);
+        const magnifierMinutes = Math.round(this.parseIntervalToHours(magnifier) * 60);
+        const isValid = magnifierMinutes < baseMinutes && baseMinutes % magnifierMinutes === 0;
+        
+        this.updateValidationStatus('magnifierInterval', isValid,
+            isValid ? '' : 'Magnifier candles must be shorter than the candle size and divide it evenly');
+        return isValid;
+    }
+
+    /**
+     * Validate the daily borrow interest used for short positions
+     */
+    validateBorrowRate() {
+        if (!this.usesBorrowing()) {
+            return true;
+        }
+        
+        const rate = parseFloat(document.getElementById('borrowRate').value);
+        const isValid = !isNaN(rate) && rate >= 0 && rate <= 5;
+        
+        this.updateValidationStatus('borrowRate', isValid,
+            isValid ? '' : 'Borrow interest must be between 0 and 5% per day');
+        return isValid;
+    }
+
+    /**
+     * Validate leverage and maintenance margin rate
+     */
+    validateMarginSettings() {
+        if (document.getElementById('marginMode').value !== 'margin') {
+            return true;
+        }
+        
+        const leverage = parseFloat(document.getElementById('leverage').value);
+        const leverageValid = !isNaN(leverage) && leverage >= 1 && leverage <= 125;
+        this.updateValidationStatus('leverage', leverageValid,
+            leverageValid ? '' : 'Leverage must be between 1x and 125x');
+        
+        const maintenance = parseFloat(document.getElementById('maintenanceMargin').value);
+        const maintenanceValid = !isNaN(maintenance) && maintenance >= 0 && maintenance < 100;
+        this.updateValidationStatus('maintenanceMargin', maintenanceValid,
+            maintenanceValid ? '' : 'Maintenance margin must be between 0 and 100%');
+        
+        return leverageValid && maintenanceValid;
+    }
+
+    /**
+     * Whether the selected position mode or account borrows funds
+     */
+    usesBorrowing() {
+        return document.getElementById('positionMode').value === 'longShort' ||
+            document.getElementById('marginMode').value === 'margin';
+    }
+
+    /**
+     * Show the borrow interest and margin fields that apply to the selected modes
+     */
+    toggleMarginFields() {
+        const isMargin = document.getElementById('marginMode').value === 'margin';
+        document.getElementById('margin-fields').style.display = isMargin ? 'grid' : 'none';
+        document.getElementById('borrow-rate-group').style.display = this.usesBorrowing() ? 'block' : 'none';
+    }
+
+    /**
+     * Show the fields of the selected fee and slippage models
+     */
+    toggleCostFields() {
+        const feeModel = document.getElementById('feeModel').value;
+        const slippageModel = document.getElementById('slippageModel').value;
+        document.querySelectorAll('[data-fee-model]').forEach(group => {
+            group.style.display = group.dataset.feeModel === feeModel ? 'block' : 'none';
+        });
+        document.querySelectorAll('[data-slippage-model]').forEach(group => {
+            group.style.display = group.dataset.slippageModel === slippageModel ? 'block' : 'none';
+        });
+    }
+
+    /**
+     * Validate the fee rates and slippage settings of the selected models
+     */
+    validateCostSettings() {
+        const checks = [];
+        if (document.getElementById('feeModel').value === 'makerTaker') {
+            checks.push({ id: 'makerFee', max: 5, message: 'Fees must be between 0 and 5%' });
+            checks.push({ id: 'takerFee', max: 5, message: 'Fees must be between 0 and 5%' });
+        }
+        const slippageModel = document.getElementById('slippageModel').value;
+        if (slippageModel === 'fixed') {
+            checks.push({ id: 'slippageBps', max: 1000, message: 'Slippage must be between 0 and 1000 bps' });
+        } else if (slippageModel === 'spread') {
+            checks.push({ id: 'spreadShare', max: 100, message: 'Spread must be between 0 and 100% of the range' });
+        } else if (slippageModel === 'volume') {
+            checks.push({ id: 'volumeImpact', max: 100, message: 'Impact must be between 0 and 100%' });
+        }
+        
+        let allValid = true;
+        for (const check of checks) {
+            const value = parseFloat(document.getElementById(check.id).value);
+            const isValid = !isNaN(value) && value >= 0 && value <= check.max;
+            this.updateValidationStatus(check.id, isValid, isValid ? '' : check.message);
+            allValid = allValid && isValid;
+        }
+        return allValid;
+    }
+
+    /**
+     * Show the walk-forward fields in walk-forward mode
+     */
+    toggleOptimizationFields() {
+        const mode = document.getElementById('optimizationMode').value;
+        document.querySelectorAll('[data-optimization-mode]').forEach(group => {
+            group.style.display = group.dataset.optimizationMode === mode ? 'block' : 'none';
+        });
+    }
+
+    /**
+     * Validate the walk-forward window lengths (whole days, and both windows within the date range)
+     */
+    validateWalkForward() {
+        if (document.getElementById('optimizationMode').value !== 'walkForward') {
+            return true;
+        }
+        
+        const inSample = Number(document.getElementById('inSampleDays').value);
+        const outOfSample = Number(document.getElementById('outOfSampleDays').value);
+        const inSampleValid = Number.isInteger(inSample) && inSample >= 1;
+        const outOfSampleValid = Number.isInteger(outOfSample) && outOfSample >= 1;
+        
+        // Imported files are checked against their candles when the run starts
+        let fitsRange = true;
+        if (inSampleValid && outOfSampleValid && this.getDataSource() !== 'file') {
+            const rangeDays = (new Date(document.getElementById('endDate').value) - new Date(document.getElementById('startDate').value)) / (24 * 60 * 60 * 1000);
+            fitsRange = !(rangeDays > 0) || inSample + outOfSample <= rangeDays;
+        }
+        
+        this.updateValidationStatus('inSampleDays', inSampleValid && fitsRange,
+            !inSampleValid ? 'In-sample length must be a whole number of days' : (fitsRange ? '' : 'In-sample plus out-of-sample windows exceed the date range'));
+        this.updateValidationStatus('outOfSampleDays', outOfSampleValid,
+            outOfSampleValid ? '' : 'Out-of-sample length must be a whole number of days');
+        return inSampleValid && outOfSampleValid && fitsRange;
+    }
+
+    /**
+     * Validate the holdout share (full date range runs only)
+     */
+    validateHoldout() {
+        if (document.getElementById('optimizationMode').value !== 'fullRange') {
+            return true;
+        }
+        
+        const percent = Number(document.getElementById('holdoutPercent').value);
+        const isValid = percent >= 0 && percent <= 50;
+        this.updateValidationStatus('holdoutPercent', isValid, isValid ? '' : 'Holdout must be between 0% and 50% of the candles');
+        return isValid;
+    }
+
     /**
      * Validate starting amount
      */
@@ -362,6 +1251,29 @@ class ParameterForm {
             }
         });
         
+        // Leave exits that are off out of the parameter sets (and the results table)
+        PortfolioBacktester.getProtectiveExitParameters().forEach(exit => {
+            const values = params[exit.id];
+            if (Array.isArray(values) && values.every(value => value === 0)) {
+                delete params[exit.id];
+            }
+        });
+        if (params.atrStop === undefined) {
+            delete params.atrPeriod;
+        }
+        
+        // Without pyramiding, leave the entry limit out of the parameter sets
+        if (Array.isArray(params.maxEntries) && params.maxEntries.every(value => value === 1)) {
+            delete params.maxEntries;
+        }
+        
+        // Only the selected sizing model's parameters take part
+        this.strategyParametersContainer.querySelectorAll('input[data-sizing-param]').forEach(input => {
+            if (!this.isActiveSizingParameter(input.dataset.paramName)) {
+                delete params[input.dataset.paramName];
+            }
+        });
+        
         // Add fixed parameters
         const feesSlippageInput = document.getElementById('feesSlippage');
         if (feesSlippageInput) {
@@ -380,6 +1292,8 @@ class ParameterForm {
         try {
             const params = this.getStrategyParameters();
             const combinations = this.calculateCombinations(params);
+            const search = this.getSearchConfig();
+            const backtests = search.method === 'grid' ? combinations : Math.min(search.budget, combinations);
             
             let countElement = document.getElementById('param-count');
             if (!countElement) {
@@ -389,20 +1303,21 @@ class ParameterForm {
                 this.strategyParametersContainer.appendChild(countElement);
             }
             
-            const timeEstimate = this.estimateRunTime(combinations);
-            const warning = this.getPerformanceWarning(combinations);
+            const timeEstimate = this.estimateRunTime(backtests);
+            const warning = this.getPerformanceWarning(backtests);
             
             countElement.innerHTML = `
                 <strong>${combinations.toLocaleString()}</strong> parameter combinations
+                ${search.method === 'grid' ? '' : `<br><small>${ParameterSearch.getMethodLabel(search.method)}: ${backtests.toLocaleString()} backtests</small>`}
                 <br><small>Estimated runtime: ${timeEstimate}</small>
                 ${warning ? `<br><small class="warning-text">${warning}</small>` : ''}
             `;
             
             // Update styling based on combination count
             countElement.classList.remove('warning', 'error');
-            if (combinations > 500000) {
+            if (backtests > 500000) {
                 countElement.classList.add('error');
-            } else if (combinations > 100000) {
+            } else if (backtests > 100000) {
                 countElement.classList.add('warning');
             }
             
@@ -459,7 +1374,7 @@ class ParameterForm {
             message = 'End date cannot be in the future';
         } else if (startDate < new Date('2017-01-01')) {
             isValid = false;
-            message = 'Start date too early (Binance data starts from 2017)';
+            message = 'Start date too early (exchange data starts from 2017)';
         }
         
         this.updateValidationStatus('dateRange', isValid, message);
@@ -472,6 +1387,7 @@ class ParameterForm {
     validateParameter(paramId) {
         const input = document.getElementById(paramId);
         if (!input) return true;
+        if (input.dataset.sizingParam && !this.isActiveSizingParameter(paramId)) return true;
         
         const value = input.value.trim();
         const paramType = input.dataset.paramType;
@@ -489,6 +1405,21 @@ class ParameterForm {
                 } else if (parsed.some(v => isNaN(v))) {
                     isValid = false;
                     message = 'All values must be numbers';
+                } else if (input.dataset.exitParam && parsed.some(v => v < 0)) {
+                    isValid = false;
+                    message = 'Exit distances cannot be negative (0 turns the exit off)';
+                } else if ((paramId === 'stopLoss' || paramId === 'trailingStop') && parsed.some(v => v >= 100)) {
+                    isValid = false;
+                    message = 'Stop distances must be below 100%';
+                } else if (input.dataset.sizingParam && parsed.some(v => v <= 0)) {
+                    isValid = false;
+                    message = 'Sizing values must be positive';
+                } else if ((paramId === 'sizeFraction' || paramId === 'kellyFraction') && parsed.some(v => v > 100)) {
+                    isValid = false;
+                    message = 'Fractions cannot exceed 100% (use leverage for larger positions)';
+                } else if (paramId === 'maxEntries' && parsed.some(v => !Number.isInteger(v) || v < 1)) {
+                    isValid = false;
+                    message = 'Max entries must be whole numbers of at least 1';
                 }
                 
                 // REMOVED: Parameter count limits and min/max validation
@@ -500,6 +1431,12 @@ class ParameterForm {
                 if (isNaN(numValue)) {
                     isValid = false;
                     message = 'Value must be a number';
+                } else if (paramId === 'atrPeriod' && (!Number.isInteger(numValue) || numValue < 1)) {
+                    isValid = false;
+                    message = 'ATR period must be a whole number of at least 1';
+                } else if (paramId === 'volatilityPeriod' && (!Number.isInteger(numValue) || numValue < 2)) {
+                    isValid = false;
+                    message = 'Volatility period must be a whole number of at least 2';
                 }
             }
         } catch (error) {
@@ -627,7 +1564,13 @@ class ParameterForm {
             
             // Convert interval to hours
             const intervalHours = this.parseIntervalToHours(interval);
-            const totalCandles = Math.floor((daysDiff * 24) / intervalHours);
+            let totalCandles = Math.floor((daysDiff * 24) / intervalHours);
+            
+            // Imported files know their exact candle count
+            const imported = this.fileImportPanel.getImportedData();
+            if (this.getDataSource() === 'file' && imported) {
+                totalCandles = imported.candles.length;
+            }
             
             // Base processing time factors
             const msPerCombination = 1; // Base time per parameter combination
@@ -655,6 +1598,11 @@ class ParameterForm {
     }
     parseIntervalToHours(interval) {
         const timeMap = {
+            '1m': 1 / 60,
+            '3m': 3 / 60,
+            '5m': 5 / 60,
+            '15m': 15 / 60,
+            '30m': 30 / 60,
             '1h': 1,
             '2h': 2,
             '4h': 4,
@@ -708,13 +1656,79 @@ class ParameterForm {
      * Get market data configuration - UPDATED to include starting capital
      */
     getMarketDataConfig() {
+        if (this.getDataSource() === 'file') {
+            const imported = this.fileImportPanel.getImportedData();
+            return {
+                source: 'file',
+                importId: imported ? imported.id : null,
+                symbol: imported ? imported.symbol : 'IMPORTED',
+                interval: imported ? imported.interval : null,
+                startDate: imported ? imported.startDate.toISOString() : null,
+                endDate: imported ? imported.endDate.toISOString() : null,
+                startingDenomination: document.getElementById('startingDenomination').value,
+                startingAmount: parseFloat(document.getElementById('startingAmount').value) || 10000,
+                ...this.getExecutionConfig(),
+                ...this.getOptimizationConfig()
+            };
+        }
+        
         return {
+            source: 'exchange',
+            provider: document.getElementById('provider').value,
             symbol: this.symbolSelector ? this.symbolSelector.getSelectedSymbol() : 'BTCUSDT',
             interval: document.getElementById('interval').value,
+            magnifierInterval: document.getElementById('magnifierInterval').value,
             startDate: document.getElementById('startDate').value,
             endDate: document.getElementById('endDate').value,
             startingDenomination: document.getElementById('startingDenomination').value,
-            startingAmount: parseFloat(document.getElementById('startingAmount').value) || 10000
+            startingAmount: parseFloat(document.getElementById('startingAmount').value) || 10000,
+            ...this.getExecutionConfig(),
+            ...this.getOptimizationConfig()
+        };
+    }
+
+    /**
+     * Get the optimization mode, holdout and walk-forward settings
+     */
+    getOptimizationConfig() {
+        const optimizationMode = document.getElementById('optimizationMode').value;
+        return {
+            optimizationMode: optimizationMode,
+            holdoutPercent: optimizationMode === 'fullRange' ? (parseFloat(document.getElementById('holdoutPercent').value) || 0) : 0,
+            windowMode: document.getElementById('windowMode').value,
+            inSampleDays: parseInt(document.getElementById('inSampleDays').value) || 180,
+            outOfSampleDays: parseInt(document.getElementById('outOfSampleDays').value) || 30
+        };
+    }
+
+    /**
+     * Get signal source, execution price, execution timing, position mode, margin, sizing, lot matching, trading cost and exchange rule settings
+     */
+    getExecutionConfig() {
+        return {
+            signalSource: document.getElementById('signalSource').value,
+            signalExpression: document.getElementById('signalExpression').value.trim(),
+            executionPrice: document.getElementById('executionPrice').value,
+            executionTiming: document.getElementById('executionTiming').value,
+            executionDelay: parseInt(document.getElementById('executionDelay').value) || 1,
+            positionMode: document.getElementById('positionMode').value,
+            borrowRate: (parseFloat(document.getElementById('borrowRate').value) || 0) / 100, // Convert to decimal
+            marginMode: document.getElementById('marginMode').value === 'margin',
+            leverage: parseFloat(document.getElementById('leverage').value) || 1,
+            maintenanceMargin: this.getMaintenanceMargin(),
+            sizingModel: this.getSizingModel(),
+            volatilityMeasure: document.getElementById('volatilityMeasure') ? document.getElementById('volatilityMeasure').value : 'atr',
+            lotMatching: document.getElementById('lotMatching') ? document.getElementById('lotMatching').value : 'fifo',
+            // Rates are entered in percent (slippage in basis points)
+            feeModel: document.getElementById('feeModel').value,
+            makerFee: (parseFloat(document.getElementById('makerFee').value) || 0) / 100,
+            takerFee: (parseFloat(document.getElementById('takerFee').value) || 0) / 100,
+            feeDiscount: (parseFloat(document.getElementById('feeDiscount').value) || 0) / 100,
+            slippageModel: document.getElementById('slippageModel').value,
+            slippageBps: parseFloat(document.getElementById('slippageBps').value) || 0,
+            spreadShare: (parseFloat(document.getElementById('spreadShare').value) || 0) / 100,
+            volumeImpact: (parseFloat(document.getElementById('volumeImpact').value) || 0) / 100,
+            exchangeRules: document.getElementById('exchangeRules').value === 'enforce'
         };
     }
 
@@ -722,16 +1736,27 @@ class ParameterForm {
      * Validate all form inputs
      */
     validateAll() {
-        const dateValid = this.validateDateRange();
+        const isFile = this.getDataSource() === 'file';
+        const dateValid = isFile || this.validateDateRange();
         const amountValid = this.validateStartingAmount();
-        const symbolValid = this.validateSymbol();
+        const symbolValid = isFile ? this.validateImportedFile() : this.validateSymbol();
+        const expressionValid = this.validateSignalExpression();
+        const delayValid = this.validateExecutionDelay();
+        const magnifierValid = this.validateMagnifierInterval();
+        const borrowRateValid = this.validateBorrowRate();
+        const costValid = this.validateCostSettings();
+        const marginValid = this.validateMarginSettings();
+        const walkForwardValid = this.validateWalkForward();
+        const holdoutValid = this.validateHoldout();
+        const searchValid = this.validateSearchBudget();
+        const objectiveValid = this.validateObjective();
         
         const paramInputs = this.strategyParametersContainer.querySelectorAll('input[data-param-name]');
         const paramValidations = Array.from(paramInputs).map(input => 
             this.validateParameter(input.dataset.paramName)
         );
         
-        return dateValid && amountValid && symbolValid && paramValidations.every(v => v);
+        return dateValid && amountValid && symbolValid && expressionValid && delayValid && magnifierValid && borrowRateValid && marginValid && costValid && walkForwardValid && holdoutValid && searchValid && objectiveValid && paramValidations.every(v => v);
     }
 
     /**
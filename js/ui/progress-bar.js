@@ -7,6 +7,7 @@ class ProgressBar {
         this.container = document.getElementById(containerId);
         this.isVisible = false;
         this.currentProgress = 0;
+        this.stopHandler = null;
         
         this.createProgressBar();
     }
@@ -16,16 +17,37 @@ class ProgressBar {
      */
     createProgressBar() {
         this.container.innerHTML = `
-            <div class="progress-bar">
-                <div class="progress-fill" id="progress-fill"></div>
+            <div class="progress-row">
+                <div class="progress-bar">
+                    <div class="progress-fill" id="progress-fill"></div>
+                </div>
+                <button type="button" class="stop-btn" id="stop-backtest" title="Stop backtest">Stop</button>
             </div>
             <div class="progress-text" id="progress-text">Initializing...</div>
             <div class="progress-details" id="progress-details"></div>
+            <div class="progress-curve" id="progress-curve"></div>
         `;
         
         this.progressFill = this.container.querySelector('#progress-fill');
         this.progressText = this.container.querySelector('#progress-text');
         this.progressDetails = this.container.querySelector('#progress-details');
+        this.progressCurve = this.container.querySelector('#progress-curve');
+        this.stopButton = this.container.querySelector('#stop-backtest');
+        
+        this.stopButton.addEventListener('click', () => {
+            if (!this.stopHandler) return;
+            this.stopButton.disabled = true;
+            this.stopButton.textContent = 'Stopping...';
+            this.stopHandler();
+        });
+    }
+
+    /**
+     * Set the callback invoked when the Stop button is clicked
+     * @param {Function} handler - Stop handler
+     */
+    setStopHandler(handler) {
+        this.stopHandler = handler;
     }
 
     /**
@@ -34,6 +56,7 @@ class ProgressBar {
     show() {
         this.container.style.display = 'block';
         this.isVisible = true;
+        this.progressCurve.innerHTML = '';
         this.updateProgress(0, 'Starting...');
     }
 
@@ -119,6 +142,49 @@ class ProgressBar {
         this.progressDetails.innerHTML = detailsHtml;
     }
 
+    /**
+     * Draw the best objective value found so far against the backtests run. Successive
+     * halving rungs are drawn as separate segments, since each tests a different period.
+     * @param {Array} history - { evaluation, score, best, stage } per backtest (see ParameterSearch.createReport)
+     * @param {string} label - Objective label
+     */
+    updateSearchCurve(history, label) {
+        if (!this.isVisible) return;
+        
+        const points = history.filter(entry => Number.isFinite(entry.best));
+        if (points.length < 2) {
+            this.progressCurve.innerHTML = '';
+            return;
+        }
+        
+        const width = 300;
+        const height = 80;
+        const last = history[history.length - 1].evaluation;
+        const values = points.map(entry => entry.best);
+        const min = Math.min(...values);
+        const span = Math.max(...values) - min || 1;
+        const x = evaluation => (evaluation / last) * width;
+        const y = value => height - ((value - min) / span) * (height - 4) - 2;
+        
+        const segments = [];
+        points.forEach((entry, i) => {
+            if (i === 0 || entry.stage !== points[i - 1].stage) {
+                segments.push([]);
+            }
+            segments[segments.length - 1].push(`${x(entry.evaluation).toFixed(1)},${y(entry.best).toFixed(1)}`);
+        });
+        const best = values[values.length - 1];
+        
+        this.progressCurve.innerHTML = `
+            <div class="progress-curve-label"></div>
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                ${segments.map(segment => `<polyline points="${segment.join(' ')}"></polyline>`).join('')}
+            </svg>
+        `;
+        // A custom objective's label is the user's expression
+        this.progressCurve.querySelector('.progress-curve-label').textContent = `Best ${label} so far: ${best >= Number.MAX_SAFE_INTEGER ? '∞' : best.toFixed(2)}`;
+    }
+
     /**
      * Set progress to indeterminate state
      * @param {string} message - Message to display
@@ -193,6 +259,8 @@ class ProgressBar {
         this.updateProgress(0, 'Ready...');
         this.clearIndeterminate();
         this.clearError();
+        this.stopButton.disabled = false;
+        this.stopButton.textContent = 'Stop';
     }
 
     /**
@@ -7,7 +7,10 @@ class ResultsDisplay {
         this.displayContainer = document.getElementById(displayContainerId);
         this.resultsContainer = document.getElementById(resultsContainerId);
         this.currentResults = null;
-        this.sortColumn = 'finalValue';
+        this.runInfo = null; // { incomplete, completed, total, search, ranking } for stopped runs, parameter searches and the ranking objective
+        this.benchmark = null; // Buy-and-hold metrics of the run (see BacktestEngine.runBenchmark)
+        this.walkForwardReport = null; // Report of a walk-forward run (see WalkForwardOptimizer.createReport)
+        this.sortColumn = 'objectiveScore'; // Results arrive ranked by the run's objective
         this.sortDirection = 'desc';
         this.currentPage = 1; // Add this line
         this.resultsPerPage = 100; // Add this line
@@ -41,14 +44,23 @@ class ResultsDisplay {
     /**
      * Display backtest results
      * @param {Array} results - Array of backtest results
+     * @param {Object} runInfo - Optional run status ({ incomplete, completed, total, search, ranking } with the
+     *                          parameter search report, see ParameterSearch.createReport, and the ranking
+     *                          { objective, excluded }, see BacktestEngine.rankResults)
+     * @param {Object} benchmark - Optional buy-and-hold metrics, shown as a pinned reference row and summary card
      */
-    displayResults(results) {
+    displayResults(results, runInfo = null, benchmark = null) {
         if (!results || results.length === 0) {
             this.showNoResults();
             return;
         }
 
         this.currentResults = results;
+        this.runInfo = runInfo;
+        this.benchmark = benchmark;
+        this.walkForwardReport = null;
+        this.sortColumn = 'objectiveScore';
+        this.sortDirection = 'desc';
         this.showResultsContainer();
         
         this.displaySummary(results);
@@ -56,6 +68,179 @@ class ResultsDisplay {
         this.displayTable(results);
     }
 
+    /**
+     * Display a walk-forward report: summary cards, the stitched out-of-sample equity curve
+     * and the per-window parameter table
+     * @param {Object} report - Report from WalkForwardOptimizer.run
+     */
+    displayWalkForward(report) {
+        this.currentResults = null;
+        this.runInfo = null;
+        this.benchmark = null;
+        this.walkForwardReport = report;
+        this.showResultsContainer();
+        
+        const summary = report.summary;
+        const efficiency = summary.efficiency;
+        const banner = report.incomplete
+            ? `<div class="incomplete-banner">⚠️ Incomplete walk-forward: stopped after ${report.windows.length} of ${report.windowCount} windows</div>`
+            : '';
+        
+        this.summaryContainer.innerHTML = `
+            ${banner}
+            <div class="results-grid compact">
+                <div class="metric-card ${summary.totalReturn >= 0 ? 'positive' : 'negative'}">
+                    <div class="metric-value">${this.formatPercent(summary.totalReturn)}</div>
+                    <div class="metric-label">Out-of-Sample Return</div>
+                </div>
+                
+                <div class="metric-card ${summary.cagr >= 0 ? 'positive' : 'negative'}">
+                    <div class="metric-value">${this.formatPercent(summary.cagr)}</div>
+                    <div class="metric-label">Out-of-Sample CAGR</div>
+                </div>
+                
+                <div class="metric-card ${efficiency === null ? '' : (efficiency >= 0.5 ? 'positive' : 'negative')}">
+                    <div class="metric-value">${efficiency === null ? 'N/A' : `${(efficiency * 100).toFixed(0)}%`}</div>
+                    <div class="metric-label">Walk-Forward Efficiency</div>
+                </div>
+                
+                <div class="metric-card">
+                    <div class="metric-value">${summary.maxDrawdownPct.toFixed(1)}%</div>
+                    <div class="metric-label">Max Drawdown</div>
+                </div>
+                
+                <div class="metric-card ${summary.benchmarkReturn >= 0 ? 'positive' : 'negative'}">
+                    <div class="metric-value">${this.formatPercent(summary.benchmarkReturn)}</div>
+                    <div class="metric-label">Buy & Hold (same period)</div>
+                </div>
+                
+                <div class="metric-card">
+                    <div class="metric-value">${summary.profitableWindows}/${report.windows.length}</div>
+                    <div class="metric-label">Profitable Windows</div>
+                </div>
+            </div>
+        `;
+        this.adjustSummaryFontSizes();
+        
+        this.displayControls();
+        
+        const objectiveLabel = this.escapeHtml(report.objectiveLabel);
+        const windowLabel = this.findOptionLabel(WalkForwardOptimizer.getWindowModes(), report.windowMode);
+        const formatDate = date => new Date(date).toISOString().split('T')[0];
+        
+        this.tableContainer.innerHTML = `
+            <div class="walk-forward-info">
+                ${windowLabel} windows: ${report.inSampleDays} days in-sample, ${report.outOfSampleDays} days out-of-sample,
+                ${report.combinations.toLocaleString()} combinations ${report.searchMethod && report.searchMethod !== 'grid'
+                    ? `searched by ${ParameterSearch.getMethodLabel(report.searchMethod)} (${report.searchBudget.toLocaleString()} backtests per window) and`
+                    : ''} optimized by ${objectiveLabel}${report.constraints.length > 0
+                    ? ` among parameter sets meeting ${report.constraints.map(constraint => `<code>${this.escapeHtml(constraint)}</code>`).join(', ')}`
+                    : ''}
+            </div>
+            ${this.createEquityCurveSvg(report)}
+            <div class="results-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Window</th>
+                            <th>In-Sample</th>
+                            <th>Out-of-Sample</th>
+                            <th>Parameters</th>
+                            <th>IS ${objectiveLabel}</th>
+                            <th>IS Return</th>
+                            <th>OOS ${objectiveLabel}</th>
+                            <th>OOS Return</th>
+                            <th>OOS vs B&H</th>
+                            <th>OOS Trades</th>
+                            <th title="Annualized out-of-sample return over annualized in-sample return">Efficiency</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${report.windows.map(entry => `
+                            <tr class="${entry.outOfSampleReturn > 0 ? 'profitable-row' : 'loss-row'}">
+                                <td>${entry.index}</td>
+                                <td>${formatDate(entry.inSample.startDate)} → ${formatDate(entry.inSample.endDate)}</td>
+                                <td>${formatDate(entry.outOfSample.startDate)} → ${formatDate(entry.outOfSample.endDate)}</td>
+                                <td>${this.formatParameterSummary(entry.parameters)}</td>
+                                <td>${this.formatObjectiveValue(report.objective, entry.inSampleScore)}</td>
+                                <td>${this.formatPercent(entry.inSampleReturn)}</td>
+                                <td>${this.formatObjectiveValue(report.objective, entry.outOfSampleScore)}</td>
+                                <td class="${entry.outOfSampleReturn >= 0 ? 'positive' : 'negative'}">${this.formatPercent(entry.outOfSampleReturn)}</td>
+                                <td>${entry.outOfSampleExcessReturn === undefined ? 'N/A' : this.formatPercent(entry.outOfSampleExcessReturn)}</td>
+                                <td>${entry.outOfSampleTrades}</td>
+                                <td>${entry.efficiency === null ? 'N/A' : `${(entry.efficiency * 100).toFixed(0)}%`}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Line chart of the stitched out-of-sample equity, with a marker at each window start
+     */
+    createEquityCurveSvg(report) {
+        const curve = report.equityCurve;
+        if (curve.length < 2) return '';
+        
+        const width = 800;
+        const height = 200;
+        const values = curve.map(point => point.value);
+        const min = Math.min(...values, report.summary.initialValue);
+        const max = Math.max(...values, report.summary.initialValue);
+        const span = max - min || 1;
+        const x = i => (i / (curve.length - 1)) * width;
+        const y = value => height - ((value - min) / span) * height;
+        
+        const points = curve.map((point, i) => `${x(i).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+        const firstStart = report.windows[0].outOfSample.start;
+        const markers = report.windows.slice(1).map(entry => {
+            const position = x(entry.outOfSample.start - firstStart).toFixed(1);
+            return `<line x1="${position}" y1="0" x2="${position}" y2="${height}" class="window-marker"></line>`;
+        }).join('');
+        const baseline = y(report.summary.initialValue).toFixed(1);
+        
+        return `
+            <div class="walk-forward-chart" title="Stitched out-of-sample equity (dashed lines mark window starts)">
+                <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                    ${markers}
+                    <line x1="0" y1="${baseline}" x2="${width}" y2="${baseline}" class="baseline"></line>
+                    <polyline points="${points}" class="${report.summary.totalReturn >= 0 ? 'equity-up' : 'equity-down'}"></polyline>
+                </svg>
+            </div>
+        `;
+    }
+
+    /**
+     * One-line parameter summary, e.g. 'Ema Floor: 5, Vol Ceiling: 1.5'
+     */
+    formatParameterSummary(parameters) {
+        return Object.entries(parameters)
+            .filter(([key]) => key !== 'feesSlippage') // Hide internal parameter
+            .map(([key, value]) => `${this.formatParameterLabel(key)}: ${value}`)
+            .join(', ');
+    }
+
+    /**
+     * Format an objective score (returns in percent, ratios with two decimals)
+     */
+    formatObjectiveValue(objective, value) {
+        if (Math.abs(value) >= Number.MAX_SAFE_INTEGER && value !== -Infinity) return value > 0 ? '∞' : '-∞'; // Clamped, see BacktestEngine.getObjectiveValue
+        if (!isFinite(value)) return 'N/A';
+        if (['totalReturn', 'cagr', 'excessReturn'].includes(objective)) return this.formatPercent(value);
+        if (objective === 'expectancy') return this.formatCurrency(value);
+        return value.toFixed(2);
+    }
+
+    /**
+     * Format a result's score under the run's ranking objective
+     */
+    formatScore(value) {
+        const ranking = this.runInfo ? this.runInfo.ranking : null;
+        return this.formatObjectiveValue(ranking ? ranking.objective.id : null, value);
+    }
+
     /**
      * Show the results container
      */
@@ -78,6 +263,9 @@ class ResultsDisplay {
         const summary = this.calculateSummaryMetrics(results);
         
         this.summaryContainer.innerHTML = `
+            ${this.createIncompleteBanner()}
+            ${this.createSearchInfo()}
+            ${this.createRankingInfo()}
             <div class="results-grid compact">
                 <div class="metric-card ${summary.bestReturn >= 0 ? 'positive' : 'negative'}">
                     <div class="metric-value">$${summary.bestFinalValue.toLocaleString(undefined, {minimumFractionDigits: 2, maximumFractionDigits: 2})}</div>
@@ -104,6 +292,20 @@ class ResultsDisplay {
                     <div class="metric-label">Profitable Strategies</div>
                 </div>
                 
+                ${summary.holdoutTested > 0 ? `
+                    <div class="metric-card ${summary.inSampleOnly > 0 ? 'negative' : 'positive'}">
+                        <div class="metric-value">${summary.inSampleOnly} / ${summary.holdoutTested}</div>
+                        <div class="metric-label">In-Sample Only (held-out test)</div>
+                    </div>
+                ` : ''}
+                
+                ${this.benchmark ? `
+                    <div class="metric-card ${this.benchmark.totalReturn >= 0 ? 'positive' : 'negative'}">
+                        <div class="metric-value">${this.formatPercent(this.benchmark.totalReturn)}</div>
+                        <div class="metric-label">Buy & Hold (${summary.outperformers} beat it)</div>
+                    </div>
+                ` : ''}
+                
                 <div class="metric-card">
                     <div class="metric-value">${results.length.toLocaleString()}</div>
                     <div class="metric-label">Total Combinations</div>
@@ -114,6 +316,61 @@ class ResultsDisplay {
         this.adjustSummaryFontSizes();
     }
 
+    /**
+     * Create the warning banner shown for runs that were stopped early
+     */
+    createIncompleteBanner() {
+        if (!this.runInfo || !this.runInfo.incomplete) {
+            return '';
+        }
+        
+        const { completed, total } = this.runInfo;
+        return `
+            <div class="incomplete-banner">
+                ⚠️ Incomplete results: backtest was stopped after ${completed.toLocaleString()} of ${total.toLocaleString()} ${this.runInfo.search ? 'backtests' : 'combinations'}
+            </div>
+        `;
+    }
+
+    /**
+     * Describe the parameter search that produced the results (successive halving lists its last rung only)
+     */
+    createSearchInfo() {
+        const search = this.runInfo ? this.runInfo.search : null;
+        if (!search) {
+            return '';
+        }
+        
+        const best = search.bestScore;
+        const objectiveLabel = this.escapeHtml(search.objectiveLabel);
+        return `
+            <div class="search-info">
+                🔎 ${ParameterSearch.getMethodLabel(search.method)}: ${search.evaluations.toLocaleString()} backtests over
+                ${search.spaceSize.toLocaleString()} combinations${Number.isFinite(best) ? `, best ${objectiveLabel} ${this.formatObjectiveValue(search.objective, best)}` : ''}
+                ${search.stage ? `<br>Showing ${search.stage}` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Describe how the results are ranked, and how many the constraints left out
+     */
+    createRankingInfo() {
+        const ranking = this.runInfo ? this.runInfo.ranking : null;
+        if (!ranking) {
+            return '';
+        }
+        
+        const objective = ranking.objective;
+        const constraints = objective.constraints.map(constraint => `<code>${this.escapeHtml(constraint)}</code>`).join(', ');
+        return `
+            <div class="search-info">
+                🏁 Ranked by ${this.escapeHtml(objective.label)}${constraints ? ` among results meeting ${constraints}` : ''}
+                ${ranking.excluded > 0 ? `<br>${ranking.excluded.toLocaleString()} results failed the constraints and are not shown` : ''}
+            </div>
+        `;
+    }
+
     /**
      * Calculate summary metrics from results
      */
@@ -126,7 +383,10 @@ class ResultsDisplay {
                 bestReturn: 0,
                 avgReturn: 0,
                 avgWinRate: 0,
-                profitableStrategies: 0
+                profitableStrategies: 0,
+                outperformers: 0,
+                holdoutTested: 0,
+                inSampleOnly: 0
             };
         }
 
@@ -139,7 +399,10 @@ class ResultsDisplay {
             bestReturn: Math.max(...returns),
             avgReturn: returns.reduce((a, b) => a + b, 0) / returns.length,
             avgWinRate: winRates.reduce((a, b) => a + b, 0) / winRates.length,
-            profitableStrategies: validResults.filter(r => r.totalReturn > 0).length
+            profitableStrategies: validResults.filter(r => r.totalReturn > 0).length,
+            outperformers: validResults.filter(r => r.outperformed).length,
+            holdoutTested: validResults.filter(r => r.outOfSample).length,
+            inSampleOnly: validResults.filter(r => r.inSampleOnly).length
         };
     }
 
@@ -238,6 +501,22 @@ class ResultsDisplay {
             return this.sortColumn === column ? 'sortable-header active' : 'sortable-header';
         };
         
+        // Margin columns only appear for runs simulated on a margin account
+        const showMargin = results.some(result => result.execution && result.execution.marginMode);
+        
+        // Fill rate only appears when the script placed limit or stop orders
+        const showOrders = results.some(result => result.ordersPlaced > 0);
+        
+        // Benchmark-relative columns only appear for results measured against buy and hold
+        const showBenchmark = results.some(result => result.excessReturn !== undefined);
+        
+        // Test set columns only appear for runs with a holdout (the main columns are then in-sample)
+        const showHoldout = results.some(result => result.outOfSample !== undefined);
+        
+        // The score column shows each result's value under the run's objective
+        const ranking = this.runInfo ? this.runInfo.ranking : null;
+        const showScore = !!ranking;
+        
         // Build table HTML WITHOUT pagination (pagination is now in controls)
         this.tableContainer.innerHTML = `
             <div class="results-table">
@@ -245,11 +524,16 @@ class ResultsDisplay {
                     <thead>
                         <tr>
                             <th>Rank</th>
+                            ${showScore ? `
+                                <th class="${getHeaderClass('objectiveScore')}" data-column="objectiveScore" title="${this.escapeHtml(ranking.objective.label)}">
+                                    Score${getSortIcon('objectiveScore')}
+                                </th>
+                            ` : ''}
                             <th class="${getHeaderClass('finalValue')}" data-column="finalValue">
                                 Final Value${getSortIcon('finalValue')}
                             </th>
                             <th class="${getHeaderClass('totalReturn')}" data-column="totalReturn">
-                                Return %${getSortIcon('totalReturn')}
+                                ${showHoldout ? 'IS ' : ''}Return %${getSortIcon('totalReturn')}
                             </th>
                             <th class="${getHeaderClass('winRate')}" data-column="winRate">
                                 Win Rate${getSortIcon('winRate')}
@@ -260,11 +544,43 @@ class ResultsDisplay {
                             <th class="${getHeaderClass('maxDrawdown')}" data-column="maxDrawdown">
                                 Max DD${getSortIcon('maxDrawdown')}
                             </th>
+                            ${this.getRiskColumns().map(column => `
+                                <th class="${getHeaderClass(column.key)}" data-column="${column.key}" title="${column.title}">
+                                    ${column.label}${getSortIcon(column.key)}
+                                </th>
+                            `).join('')}
+                            ${showBenchmark ? this.getBenchmarkColumns().map(column => `
+                                <th class="${getHeaderClass(column.key)}" data-column="${column.key}" title="${column.title}">
+                                    ${column.label}${getSortIcon(column.key)}
+                                </th>
+                            `).join('') : ''}
+                            ${showHoldout ? this.getHoldoutColumns().map(column => `
+                                <th class="${getHeaderClass(column.key)}" data-column="${column.key}" title="${column.title}">
+                                    ${column.label}${getSortIcon(column.key)}
+                                </th>
+                            `).join('') : ''}
+                            ${showMargin ? `
+                                <th class="${getHeaderClass('liquidations')}" data-column="liquidations">
+                                    Liq.${getSortIcon('liquidations')}
+                                </th>
+                                <th class="${getHeaderClass('maxMarginUsage')}" data-column="maxMarginUsage">
+                                    Max Margin${getSortIcon('maxMarginUsage')}
+                                </th>
+                                <th class="${getHeaderClass('worstMarginRatio')}" data-column="worstMarginRatio">
+                                    Worst MR${getSortIcon('worstMarginRatio')}
+                                </th>
+                            ` : ''}
+                            ${showOrders ? `
+                                <th class="${getHeaderClass('fillRate')}" data-column="fillRate">
+                                    Fill Rate${getSortIcon('fillRate')}
+                                </th>
+                            ` : ''}
                             <th>Actions</th>
                         </tr>
                     </thead>
                     <tbody>
-                        ${displayResults.map((result, index) => this.createSimplifiedTableRow(result, startIndex + index + 1)).join('')}
+                        ${this.benchmark ? this.createBenchmarkRow(showBenchmark, showMargin, showOrders, showHoldout, showScore) : ''}
+                        ${displayResults.map((result, index) => this.createSimplifiedTableRow(result, startIndex + index + 1, showMargin, showOrders, showBenchmark, showHoldout, showScore)).join('')}
                     </tbody>
                 </table>
             </div>
@@ -356,7 +672,7 @@ class ResultsDisplay {
     /**
      * Create a simplified table row without parameter columns
      */
-    createSimplifiedTableRow(result, rank) {
+    createSimplifiedTableRow(result, rank, showMargin = false, showOrders = false, showBenchmark = false, showHoldout = false, showScore = false) {
         const hasError = result.error;
         const rowClass = hasError ? 'error-row' : (result.totalReturn > 0 ? 'profitable-row' : 'loss-row');
         
@@ -370,6 +686,7 @@ class ResultsDisplay {
         return `
             <tr class="${rowClass}" data-rank="${rank}">
                 <td>${rank}</td>
+                ${showScore ? `<td>${hasError ? 'N/A' : this.formatScore(result.objectiveScore)}</td>` : ''}
                 <td>${hasError ? 'Error' : this.formatCurrency(result.finalValue)}</td>
                 <td class="${result.totalReturn >= 0 ? 'positive' : 'negative'}">
                     ${hasError ? 'N/A' : this.formatPercent(result.totalReturn)}
@@ -377,6 +694,11 @@ class ResultsDisplay {
                 <td>${hasError ? 'N/A' : this.formatPercent(result.winRate || 0)}</td>
                 <td>${hasError ? 'N/A' : (result.totalTrades || 0)}</td>
                 <td>${hasError ? 'N/A' : this.formatCurrency(result.maxDrawdown || 0)}</td>
+                ${this.createRiskCells(result, hasError)}
+                ${showBenchmark ? this.createBenchmarkCells(result, hasError) : ''}
+                ${showHoldout ? this.createHoldoutCells(result, hasError) : ''}
+                ${showMargin ? this.createMarginCells(result, hasError) : ''}
+                ${showOrders ? `<td title="${result.ordersFilled || 0}/${result.ordersPlaced || 0} limit/stop orders filled">${hasError ? 'N/A' : `${(result.fillRate || 0).toFixed(1)}%`}</td>` : ''}
                 <td class="actions-cell">
                     <button class="action-btn ${detailButtonClass}" data-index="${rank - 1}" title="View Detailed Trades">
                         📊
@@ -392,6 +714,159 @@ class ResultsDisplay {
         `;
     }
 
+    /**
+     * Risk/return columns of the results table (see PortfolioBacktester.getRiskMetrics and getLotMetrics)
+     * @returns {Array} Array of { key, label, title, format } with format(value) returning the cell text
+     */
+    getRiskColumns() {
+        const ratio = value => value === Infinity ? '∞' : value.toFixed(2);
+        const candles = value => `${value.toFixed(value % 1 === 0 ? 0 : 1)} bars`;
+        return [
+            { key: 'cagr', label: 'CAGR', title: 'Compound annual growth rate', format: value => this.formatPercent(value) },
+            { key: 'sharpeRatio', label: 'Sharpe', title: 'Annualized Sharpe ratio of the per-candle returns', format: ratio },
+            { key: 'sortinoRatio', label: 'Sortino', title: 'Annualized Sortino ratio of the per-candle returns', format: ratio },
+            { key: 'calmarRatio', label: 'Calmar', title: 'CAGR over the maximum drawdown percent', format: ratio },
+            { key: 'profitFactor', label: 'Profit Factor', title: 'Gross profit over gross loss of the closed lots', format: ratio },
+            { key: 'expectancy', label: 'Expectancy', title: 'Average profit per closed lot', format: value => this.formatCurrency(value) },
+            { key: 'avgWin', label: 'Avg Win', title: 'Average profit of the winning lots', format: value => this.formatCurrency(value) },
+            { key: 'avgLoss', label: 'Avg Loss', title: 'Average loss of the losing lots', format: value => this.formatCurrency(value) },
+            { key: 'maxConsecutiveLosses', label: 'Max Loss Streak', title: 'Most losing lots in a row', format: value => `${value}` },
+            { key: 'exposureTime', label: 'Exposure', title: 'Share of candles closed with a position open', format: value => `${value.toFixed(1)}%` },
+            { key: 'avgHoldingPeriod', label: 'Avg Hold', title: 'Average holding period of the closed lots', format: candles },
+            { key: 'maxDrawdownDuration', label: 'Max DD Duration', title: 'Longest time below a previous equity peak', format: candles }
+        ];
+    }
+
+    /**
+     * Risk/return metric cells, in getRiskColumns order
+     */
+    createRiskCells(result, hasError) {
+        return this.getRiskColumns().map(column => {
+            if (hasError || result[column.key] === undefined) {
+                return '<td>N/A</td>';
+            }
+            
+            const value = result[column.key];
+            const signed = ['cagr', 'expectancy'].includes(column.key);
+            return `<td class="${signed ? (value >= 0 ? 'positive' : 'negative') : ''}">${column.format(value)}</td>`;
+        }).join('');
+    }
+
+    /**
+     * Columns comparing a result to the buy-and-hold benchmark (see PortfolioBacktester.getBenchmarkMetrics)
+     * @returns {Array} Array of { key, label, title, format }
+     */
+    getBenchmarkColumns() {
+        return [
+            { key: 'excessReturn', label: 'vs B&H', title: 'Return above buy and hold, in percentage points', format: value => this.formatPercent(value) },
+            { key: 'alpha', label: 'Alpha', title: 'Annualized return not explained by the benchmark (beta-adjusted)', format: value => this.formatPercent(value) },
+            { key: 'beta', label: 'Beta', title: 'Sensitivity of the per-candle returns to buy and hold', format: value => value.toFixed(2) },
+            { key: 'benchmarkCorrelation', label: 'Corr', title: 'Correlation of the per-candle returns with buy and hold', format: value => value.toFixed(2) }
+        ];
+    }
+
+    /**
+     * Benchmark-relative cells, in getBenchmarkColumns order
+     */
+    createBenchmarkCells(result, hasError) {
+        return this.getBenchmarkColumns().map(column => {
+            if (hasError || result[column.key] === undefined) {
+                return '<td>N/A</td>';
+            }
+            
+            const value = result[column.key];
+            const signed = ['excessReturn', 'alpha'].includes(column.key);
+            return `<td class="${signed ? (value >= 0 ? 'positive' : 'negative') : ''}">${column.format(value)}</td>`;
+        }).join('');
+    }
+
+    /**
+     * Held-out test set columns (see BacktestEngine.getHoldoutMetrics). Keys are paths into the
+     * result, resolved by getColumnValue.
+     * @returns {Array} Array of { key, label, title, format }
+     */
+    getHoldoutColumns() {
+        return [
+            { key: 'outOfSample.totalReturn', label: 'OOS Return %', title: 'Return on the held-out test set', format: value => this.formatPercent(value) },
+            { key: 'outOfSample.sharpeRatio', label: 'OOS Sharpe', title: 'Annualized Sharpe ratio on the held-out test set', format: value => value.toFixed(2) },
+            { key: 'outOfSample.maxDrawdownPct', label: 'OOS Max DD', title: 'Maximum drawdown on the held-out test set', format: value => `${value.toFixed(1)}%` },
+            { key: 'outOfSample.totalTrades', label: 'OOS Trades', title: 'Trades on the held-out test set', format: value => `${value}` },
+            { key: 'degradationRatio', label: 'Degradation', title: 'Out-of-sample CAGR over in-sample CAGR (1 = held up fully; ⚠️ below 0.5)', format: value => value.toFixed(2) }
+        ];
+    }
+
+    /**
+     * Held-out test set cells, in getHoldoutColumns order. Parameter sets that only
+     * worked in-sample are flagged in the degradation cell.
+     */
+    createHoldoutCells(result, hasError) {
+        return this.getHoldoutColumns().map(column => {
+            const value = this.getColumnValue(result, column.key);
+            if (hasError || value === undefined || value === null) {
+                return '<td>N/A</td>';
+            }
+            
+            if (column.key === 'degradationRatio') {
+                return result.inSampleOnly
+                    ? `<td class="negative" title="Kept less than half of its in-sample CAGR on the test set">⚠️ ${column.format(value)}</td>`
+                    : `<td class="positive">${column.format(value)}</td>`;
+            }
+            
+            const signed = column.key === 'outOfSample.totalReturn';
+            return `<td class="${signed ? (value >= 0 ? 'positive' : 'negative') : ''}">${column.format(value)}</td>`;
+        }).join('');
+    }
+
+    /**
+     * Value of a table column, following dotted keys into nested metrics (e.g. 'outOfSample.totalReturn')
+     */
+    getColumnValue(result, key) {
+        return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), result);
+    }
+
+    /**
+     * Pinned buy-and-hold reference row, with the same columns as the result rows
+     */
+    createBenchmarkRow(showBenchmark, showMargin, showOrders, showHoldout = false, showScore = false) {
+        const benchmark = this.benchmark;
+        const empty = count => '<td>—</td>'.repeat(count);
+        
+        return `
+            <tr class="benchmark-row" title="Buy and hold on the same candles, fees and starting denomination">
+                <td>B&H</td>
+                ${showScore ? `<td>${this.formatScore(benchmark.objectiveScore)}</td>` : ''}
+                <td>${this.formatCurrency(benchmark.finalValue)}</td>
+                <td class="${benchmark.totalReturn >= 0 ? 'positive' : 'negative'}">${this.formatPercent(benchmark.totalReturn)}</td>
+                <td>—</td>
+                <td>${benchmark.totalTrades || 0}</td>
+                <td>${this.formatCurrency(benchmark.maxDrawdown || 0)}</td>
+                ${this.createRiskCells(benchmark, false)}
+                ${showBenchmark ? empty(this.getBenchmarkColumns().length) : ''}
+                ${showHoldout ? (benchmark.outOfSample ? this.createHoldoutCells(benchmark, false) : empty(this.getHoldoutColumns().length)) : ''}
+                ${showMargin ? empty(3) : ''}
+                ${showOrders ? empty(1) : ''}
+                <td></td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Liquidation count, peak margin usage and worst margin ratio cells
+     */
+    createMarginCells(result, hasError) {
+        if (hasError) {
+            return '<td>N/A</td><td>N/A</td><td>N/A</td>';
+        }
+        
+        const liquidations = result.liquidations || 0;
+        const marginRatio = result.worstMarginRatio || 0;
+        return `
+            <td class="${liquidations > 0 ? 'negative' : ''}">${liquidations}</td>
+            <td>${(result.maxMarginUsage || 0).toFixed(1)}%</td>
+            <td class="${marginRatio >= 80 ? 'negative' : ''}">${marginRatio.toFixed(1)}%</td>
+        `;
+    }
+
     /**
      * Create parameter tooltip content
      */
@@ -595,25 +1070,25 @@ class ResultsDisplay {
                 throw new Error('No market data available. Please run a backtest first.');
             }
             
-            // Get market config for proper backtester setup
-            const marketConfig = window.muunedApp.parameterForm.getMarketDataConfig();
+            // Get market config for proper backtester setup, replaying the result's own execution settings
+            const marketConfig = {
+                ...window.muunedApp.parameterForm.getMarketDataConfig(),
+                ...result.execution
+            };
+            const execution = BacktestEngine.getExecutionSettings(marketConfig);
             
-            // Create strategy with the specific parameters
-            const strategy = new CustomScriptStrategy(window.muunedApp.scriptEditor, result.parameters);
-            const signalData = strategy.calculateSignals(
-                processedData.prices.ohlc4,
-                processedData.prices.close
+            // With a holdout the result's metrics are in-sample, so replay the in-sample candles only
+            const holdout = BacktestEngine.getHoldoutRanges(processedData.candles.length, execution.holdoutPercent);
+            const { tradedData, signals } = window.muunedApp.backtester.calculateSignals(
+                processedData, result.parameters, marketConfig, holdout ? holdout.inSample : null
             );
             
             // Run detailed backtest with full trade history
-            const detailedBacktester = new DetailedPortfolioBacktester({
-                startingDenomination: marketConfig.startingDenomination,
-                startingAmount: marketConfig.startingAmount,
-                positionSize: result.parameters.positionSize || 1.0,
-                feesAndSlippage: result.parameters.feesSlippage || 0.001
-            });
+            const detailedBacktester = BacktestEngine.createBacktester(
+                DetailedPortfolioBacktester, result.parameters, marketConfig, tradedData
+            );
             
-            const tradeHistory = detailedBacktester.runWithFullHistory(processedData.candles, signalData.signals);
+            const tradeHistory = detailedBacktester.runWithFullHistory(tradedData.candles, signals);
             
             console.log('[Muuned] Generated trade history:', tradeHistory.trades.length, 'trades');
             
@@ -621,6 +1096,7 @@ class ResultsDisplay {
             this.tradeCache.set(resultIndex, {
                 trades: tradeHistory.trades,
                 parameters: result.parameters,
+                execution: execution,
                 summary: tradeHistory.summary
             });
             
@@ -721,7 +1197,7 @@ class ResultsDisplay {
      * Populate trade modal with data
      */
     populateTradeModal() {
-        const { parameters, trades, currentPage, tradesPerPage } = this.currentTradeModal;
+        const { parameters, execution, summary, trades, currentPage, tradesPerPage } = this.currentTradeModal;
         
         console.log('[Muuned] Populating modal with', trades.length, 'trades, page', currentPage);
         
@@ -734,6 +1210,7 @@ class ResultsDisplay {
         
         parametersContainer.innerHTML = `
             <div class="parameter-list">${paramEntries}</div>
+            <div class="parameter-list execution-settings">${this.createExecutionSettingsHtml(execution, summary)}</div>
         `;
         
         // Calculate pagination
@@ -752,6 +1229,116 @@ class ResultsDisplay {
         this.displayTradePagination(currentPage, totalPages, totalTrades);
     }
 
+    /**
+     * Describe how a result's signals were generated and filled
+     * @param {Object} execution - Execution settings stored with the result
+     * @param {Object} summary - Detailed backtest summary (adds funding and limit/stop order fills, if any)
+     * @returns {string} HTML
+     */
+    createExecutionSettingsHtml(execution, summary = null) {
+        if (!execution) return '';
+        
+        const sourceLabel = execution.signalSource === 'custom'
+            ? this.escapeHtml(execution.signalExpression)
+            : this.findOptionLabel(DataManager.getSignalSources(), execution.signalSource);
+        const priceLabel = this.findOptionLabel(PortfolioBacktester.getExecutionPriceModels(), execution.executionPrice);
+        const timingLabel = execution.executionTiming === 'delayed'
+            ? `${execution.executionDelay}-Bar Delay`
+            : this.findOptionLabel(PortfolioBacktester.getExecutionTimings(), execution.executionTiming || 'signalBar');
+        
+        const positionLabel = execution.positionMode === 'longShort'
+            ? `Long & Short (borrow ${((execution.borrowRate || 0) * 100).toFixed(3)}%/day)`
+            : this.findOptionLabel(PortfolioBacktester.getPositionModes(), execution.positionMode || 'longOnly');
+        
+        const accountLabel = execution.marginMode
+            ? `Margin ${execution.leverage}x (maintenance ${(execution.maintenanceMargin * 100).toFixed(2)}%)`
+            : 'Spot';
+        
+        const sizingLabel = this.findOptionLabel(PortfolioBacktester.getSizingModels(), execution.sizingModel || 'balance')
+            + (execution.sizingModel === 'volatility' ? ` (${execution.volatilityMeasure === 'stdev' ? 'Std Dev' : 'ATR'})` : '');
+        
+        const lotLabel = this.findOptionLabel(PortfolioBacktester.getLotMatchingModes(), execution.lotMatching || 'fifo')
+            + (summary && summary.closedLots !== undefined ? `, ${summary.closedLots} closed (${summary.winRate.toFixed(1)}% won)` : '');
+        
+        const costsHtml = `<span class="param-item"><strong>Costs:</strong> ${this.formatCostModels(execution)}${summary ? ` (fees $${(summary.totalFees || 0).toFixed(2)}, slippage $${(summary.totalSlippage || 0).toFixed(2)})` : ''}</span>`;
+        
+        // Results from before exchange rules existed carry no setting
+        const rulesHtml = execution.exchangeRules === undefined ? '' : `<span class="param-item"><strong>Exchange Rules:</strong> ${execution.exchangeRules ? 'Enforced' : 'Ignored'}${execution.exchangeRules && summary ? ` (${summary.droppedByRules || 0} order${summary.droppedByRules === 1 ? '' : 's'} dropped)` : ''}</span>`;
+        
+        // Funding is paid when positive, received when negative
+        const fundingHtml = summary && summary.fundingEvents > 0
+            ? `<span class="param-item"><strong>Funding:</strong> ${summary.totalFunding >= 0 ? 'paid' : 'received'} $${Math.abs(summary.totalFunding).toFixed(2)} over ${summary.fundingEvents} event${summary.fundingEvents === 1 ? '' : 's'}</span>`
+            : '';
+        
+        const ordersHtml = summary && summary.ordersPlaced > 0
+            ? `<span class="param-item"><strong>Limit/Stop Orders:</strong> ${summary.ordersFilled}/${summary.ordersPlaced} filled (${summary.fillRate.toFixed(1)}%), ${summary.ordersExpired} expired, ${summary.ordersCancelled} cancelled</span>`
+            : '';
+        
+        const holdoutHtml = execution.holdoutPercent > 0
+            ? `<span class="param-item"><strong>Holdout:</strong> last ${execution.holdoutPercent}% of candles held out (in-sample trades shown)</span>`
+            : '';
+        
+        const magnifierHtml = execution.magnifierInterval
+            ? `<span class="param-item"><strong>Bar Magnifier:</strong> ${execution.magnifierInterval}${summary ? ` (${summary.magnifiedCandles || 0} candle${summary.magnifiedCandles === 1 ? '' : 's'} resolved)` : ''}</span>`
+            : '';
+        
+        return `
+            <span class="param-item"><strong>Signal Source:</strong> ${sourceLabel}</span>
+            <span class="param-item"><strong>Execution Price:</strong> ${priceLabel}</span>
+            <span class="param-item"><strong>Execution Timing:</strong> ${timingLabel}</span>
+            <span class="param-item"><strong>Position Mode:</strong> ${positionLabel}</span>
+            <span class="param-item"><strong>Account:</strong> ${accountLabel}</span>
+            <span class="param-item"><strong>Sizing:</strong> ${sizingLabel}</span>
+            <span class="param-item"><strong>Lots:</strong> ${lotLabel}</span>
+            ${costsHtml}
+            ${rulesHtml}
+            ${magnifierHtml}
+            ${holdoutHtml}
+            ${fundingHtml}
+            ${ordersHtml}
+        `;
+    }
+
+    /**
+     * Describe the fee and slippage models of a run (e.g., 'Maker/Taker 0.020%/0.040%, BNB 25% off, 5 bps slippage')
+     */
+    formatCostModels(execution) {
+        let label = execution.feeModel === 'makerTaker'
+            ? `Maker/Taker ${(execution.makerFee * 100).toFixed(3)}%/${(execution.takerFee * 100).toFixed(3)}%`
+            : 'Flat rate';
+        if (execution.feeDiscount > 0) {
+            label += `, ${(execution.feeDiscount * 100).toFixed(0)}% fee discount`;
+        }
+        
+        if (execution.slippageModel === 'fixed') {
+            label += `, ${execution.slippageBps} bps slippage`;
+        } else if (execution.slippageModel === 'spread') {
+            label += `, spread slippage (${(execution.spreadShare * 100).toFixed(0)}% of range)`;
+        } else if (execution.slippageModel === 'volume') {
+            label += `, volume slippage (${(execution.volumeImpact * 100).toFixed(1)}% at full volume)`;
+        }
+        return label;
+    }
+
+    /**
+     * Look up the display label of an option id
+     */
+    findOptionLabel(options, id) {
+        const option = options.find(candidate => candidate.id === id);
+        return option ? option.label : id;
+    }
+
+    /**
+     * Escape text for use inside innerHTML
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     /**
      * Display trades table with fees column
      */
@@ -773,11 +1360,15 @@ class ResultsDisplay {
                         <tr>
                             <th>Trade #</th>
                             <th>Type</th>
+                            <th>Position</th>
+                            <th>Exit</th>
                             <th>Time</th>
                             <th>Price</th>
                             <th>Amount</th>
                             <th>Change</th>
                             <th>%</th>
+                            <th>P/L</th>
+                            <th>Avg Entry</th>
                             <th>Fees</th>
                             <th>Total</th>
                         </tr>
@@ -816,21 +1407,65 @@ class ResultsDisplay {
             percentCell = '<td>—</td>';
         }
         
+        // Realized profit of the lots a closing trade matched
+        let profitCell = '<td>—</td>';
+        if (typeof trade.realizedProfit === 'number') {
+            const profitClass = trade.realizedProfit >= 0 ? 'positive' : 'negative';
+            profitCell = `<td class="${profitClass}">${trade.realizedProfit >= 0 ? '+' : ''}${trade.realizedProfit.toFixed(2)} USDT</td>`;
+        }
+        const averageEntryCell = trade.averageEntryPrice
+            ? `<td>${Math.round(trade.averageEntryPrice).toLocaleString()} USDT</td>`
+            : '<td>—</td>';
+        
         return `
             <tr class="trade-row ${trade.type}">
                 <td>${tradeNumber}</td>
                 <td class="trade-type ${trade.type}">${trade.type.toUpperCase()}</td>
+                <td class="trade-direction ${trade.direction || 'long'}">${this.formatTradePosition(trade)}</td>
+                <td class="trade-exit ${trade.reason || ''}">${this.formatExitReason(trade) || '—'}</td>
                 <td>${timeString}</td>
                 <td>${Math.round(trade.price).toLocaleString()} USDT</td>
                 <td>${trade.amount.toFixed(6)}</td>
                 ${changeCell}
                 ${percentCell}
+                ${profitCell}
+                ${averageEntryCell}
                 <td>${(trade.fees || 0).toFixed(2)} USDT</td>
                 <td>${Math.round(trade.totalValue).toLocaleString()} USDT</td>
             </tr>
         `;
     }
 
+    /**
+     * Describe the position a trade opens or closes (e.g., 'Short Open', 'Long Add', 'Long Partial Close (Limit)')
+     */
+    formatTradePosition(trade) {
+        const direction = trade.direction || 'long';
+        const action = trade.action || (trade.type === 'buy' ? 'open' : 'close');
+        // entries is the number of lots left open after the trade (absent in older results)
+        let actionLabel = action === 'open' ? 'Open' : 'Close';
+        if (action === 'open' && trade.entries > 1) {
+            actionLabel = 'Add';
+        } else if (action === 'close' && trade.entries > 0) {
+            actionLabel = 'Partial Close';
+        }
+        const label = `${direction.charAt(0).toUpperCase()}${direction.slice(1)} ${actionLabel}`;
+        // Limit and stop order fills say so; market fills need no note
+        return trade.orderType && trade.orderType !== 'market'
+            ? `${label} (${trade.orderType.charAt(0).toUpperCase()}${trade.orderType.slice(1)})`
+            : label;
+    }
+
+    /**
+     * Why a trade closed its position (signal, stop, target, trail or liquidation)
+     * @returns {string} Exit reason label, or '' for trades that open a position
+     */
+    formatExitReason(trade) {
+        const action = trade.action || (trade.type === 'buy' ? 'open' : 'close');
+        if (action !== 'close') return '';
+        return this.findOptionLabel(PortfolioBacktester.getExitReasons(), trade.reason || 'signal');
+    }
+
     /**
      * Display trade pagination
      */
@@ -908,14 +1543,14 @@ class ResultsDisplay {
     exportTrades(format) {
         if (!this.currentTradeModal) return;
         
-        const { trades, parameters } = this.currentTradeModal;
+        const { trades, parameters, execution } = this.currentTradeModal;
         const timestamp = new Date().toISOString().split('T')[0];
         const filename = `trades-${timestamp}`;
         
         if (format === 'csv') {
             this.exportTradesCSV(trades, filename);
         } else if (format === 'json') {
-            this.exportTradesJSON(trades, parameters, filename);
+            this.exportTradesJSON(trades, parameters, filename, execution);
         }
     }
 
@@ -923,7 +1558,7 @@ class ResultsDisplay {
      * Export trades as CSV with fees column
      */
     exportTradesCSV(trades, filename) {
-        const headers = ['Trade #', 'Type', 'Date', 'Time', 'Price', 'Amount', 'Change', 'Change %', 'Fees', 'Total Value'];
+        const headers = ['Trade #', 'Type', 'Position', 'Exit', 'Date', 'Time', 'Price', 'Amount', 'Change', 'Change %', 'Realized P/L', 'Avg Entry', 'Fees', 'Slippage', 'Total Value'];
         
         const rows = trades.map((trade, index) => {
             const date = new Date(trade.timestamp);
@@ -933,13 +1568,18 @@ class ResultsDisplay {
             return [
                 trades.length - index, // Correct trade numbering
                 trade.type.toUpperCase(),
+                this.formatTradePosition(trade),
+                this.formatExitReason(trade),
                 date.toLocaleDateString(),
                 date.toLocaleTimeString(),
                 trade.price.toFixed(2),
                 trade.amount.toFixed(6),
                 change.toFixed(2),
                 changePercent.toFixed(2),
+                typeof trade.realizedProfit === 'number' ? trade.realizedProfit.toFixed(2) : '',
+                trade.averageEntryPrice ? trade.averageEntryPrice.toFixed(2) : '',
                 (trade.fees || 0).toFixed(2),
+                (trade.slippage || 0).toFixed(2),
                 trade.totalValue.toFixed(2)
             ];
         });
@@ -954,12 +1594,15 @@ class ResultsDisplay {
     /**
      * Export trades as JSON
      */
-    exportTradesJSON(trades, parameters, filename) {
+    exportTradesJSON(trades, parameters, filename, execution = null) {
         const exportData = {
             parameters,
+            execution,
             trades: trades.map((trade, index) => ({
                 tradeNumber: trades.length - index, // Correct trade numbering
                 type: trade.type,
+                direction: trade.direction || 'long',
+                action: trade.action || (trade.type === 'buy' ? 'open' : 'close'),
                 timestamp: trade.timestamp,
                 date: new Date(trade.timestamp).toISOString(),
                 price: trade.price,
@@ -967,8 +1610,15 @@ class ResultsDisplay {
                 value: trade.value,
                 totalValue: trade.totalValue,
                 fees: trade.fees,
+                slippage: trade.slippage || 0,
                 relativeChange: trade.relativeChange,
-                relativeChangePercent: trade.relativeChangePercent
+                relativeChangePercent: trade.relativeChangePercent,
+                realizedProfit: typeof trade.realizedProfit === 'number' ? trade.realizedProfit : null,
+                averageEntryPrice: trade.averageEntryPrice || null,
+                entries: trade.entries || 0,
+                reason: trade.reason || 'signal',
+                orderType: trade.orderType || 'market',
+                liquidationPrice: trade.liquidationPrice || null
             })),
             summary: {
                 totalTrades: trades.length,
@@ -1050,12 +1700,13 @@ class ResultsDisplay {
         if (!this.currentResults) return;
         
         const sorted = [...this.currentResults].sort((a, b) => {
-            let aVal = a[this.sortColumn];
-            let bVal = b[this.sortColumn];
+            let aVal = this.getColumnValue(a, this.sortColumn);
+            let bVal = this.getColumnValue(b, this.sortColumn);
             
-            // Handle undefined values
-            if (aVal === undefined) aVal = 0;
-            if (bVal === undefined) bVal = 0;
+            // Handle undefined values (and degradation ratios left undefined by a losing in-sample run)
+            if (aVal === undefined || aVal === null) aVal = 0;
+            if (bVal === undefined || bVal === null) bVal = 0;
+            if (aVal === bVal) return 0; // Also covers two infinite profit factors
             
             if (this.sortDirection === 'desc') {
                 return bVal - aVal;
@@ -1095,6 +1746,10 @@ class ResultsDisplay {
      * Export results
      */
     exportResults(format) {
+        if (this.walkForwardReport) {
+            this.exportWalkForward(format);
+            return;
+        }
         if (!this.currentResults) return;
         
         const data = this.prepareExportData();
@@ -1106,6 +1761,34 @@ class ResultsDisplay {
         }
     }
 
+    /**
+     * Export a walk-forward report: one CSV row per window, or the whole report as JSON
+     */
+    exportWalkForward(format) {
+        const report = this.walkForwardReport;
+        if (format === 'json') {
+            this.downloadFile(JSON.stringify(report, null, 2), `${this.getExportBaseName()}.json`, 'application/json');
+            return;
+        }
+        
+        this.downloadCSV(report.windows.map(entry => ({
+            window: entry.index,
+            inSampleStart: entry.inSample.startDate.toISOString(),
+            inSampleEnd: entry.inSample.endDate.toISOString(),
+            outOfSampleStart: entry.outOfSample.startDate.toISOString(),
+            outOfSampleEnd: entry.outOfSample.endDate.toISOString(),
+            ...entry.parameters,
+            objective: report.objectiveLabel,
+            inSampleScore: entry.inSampleScore,
+            inSampleReturn: entry.inSampleReturn,
+            outOfSampleScore: entry.outOfSampleScore,
+            outOfSampleReturn: entry.outOfSampleReturn,
+            outOfSampleExcessReturn: entry.outOfSampleExcessReturn === undefined ? '' : entry.outOfSampleExcessReturn,
+            outOfSampleTrades: entry.outOfSampleTrades,
+            efficiency: entry.efficiency === null ? '' : entry.efficiency
+        })));
+    }
+
     /**
      * Prepare data for export with dynamic parameters
      */
@@ -1116,11 +1799,74 @@ class ResultsDisplay {
             const exportRow = {
                 rank: index + 1,
                 ...result.parameters, // Still export all parameters
+                objectiveScore: result.objectiveScore === undefined || !isFinite(result.objectiveScore) ? '' : result.objectiveScore,
                 finalValue: result.finalValue,
                 totalReturn: result.totalReturn,
                 winRate: result.winRate,
                 totalTrades: result.totalTrades,
                 maxDrawdown: result.maxDrawdown,
+                cagr: result.cagr || 0,
+                sharpeRatio: result.sharpeRatio || 0,
+                sortinoRatio: result.sortinoRatio || 0,
+                calmarRatio: result.calmarRatio || 0,
+                profitFactor: result.profitFactor || 0,
+                expectancy: result.expectancy || 0,
+                avgWin: result.avgWin || 0,
+                avgLoss: result.avgLoss || 0,
+                maxConsecutiveLosses: result.maxConsecutiveLosses || 0,
+                exposureTime: result.exposureTime || 0,
+                avgHoldingPeriod: result.avgHoldingPeriod || 0,
+                maxDrawdownDuration: result.maxDrawdownDuration || 0,
+                benchmarkReturn: result.benchmarkReturn || 0,
+                excessReturn: result.excessReturn || 0,
+                alpha: result.alpha || 0,
+                beta: result.beta || 0,
+                benchmarkCorrelation: result.benchmarkCorrelation || 0,
+                outperformed: !!result.outperformed,
+                oosTotalReturn: result.outOfSample ? result.outOfSample.totalReturn : '',
+                oosCagr: result.outOfSample ? result.outOfSample.cagr : '',
+                oosSharpeRatio: result.outOfSample ? result.outOfSample.sharpeRatio : '',
+                oosMaxDrawdownPct: result.outOfSample ? result.outOfSample.maxDrawdownPct : '',
+                oosTotalTrades: result.outOfSample ? result.outOfSample.totalTrades : '',
+                oosWinRate: result.outOfSample ? result.outOfSample.winRate : '',
+                degradationRatio: result.degradationRatio === undefined || result.degradationRatio === null ? '' : result.degradationRatio,
+                inSampleOnly: !!result.inSampleOnly,
+                signalSource: result.execution ? result.execution.signalSource : '',
+                signalExpression: result.execution ? result.execution.signalExpression : '',
+                executionPrice: result.execution ? result.execution.executionPrice : '',
+                executionTiming: result.execution ? result.execution.executionTiming : '',
+                executionDelay: result.execution ? result.execution.executionDelay : '',
+                positionMode: result.execution ? result.execution.positionMode : '',
+                borrowRate: result.execution ? result.execution.borrowRate : '',
+                totalBorrowInterest: result.totalBorrowInterest || 0,
+                totalFunding: result.totalFunding || 0,
+                fundingEvents: result.fundingEvents || 0,
+                marginMode: result.execution ? result.execution.marginMode : '',
+                leverage: result.execution ? result.execution.leverage : '',
+                maintenanceMargin: result.execution ? result.execution.maintenanceMargin : '',
+                sizingModel: result.execution ? result.execution.sizingModel : '',
+                volatilityMeasure: result.execution ? result.execution.volatilityMeasure : '',
+                lotMatching: result.execution ? result.execution.lotMatching : '',
+                feeModel: result.execution ? result.execution.feeModel : '',
+                makerFee: result.execution ? result.execution.makerFee : '',
+                takerFee: result.execution ? result.execution.takerFee : '',
+                feeDiscount: result.execution ? result.execution.feeDiscount : '',
+                slippageModel: result.execution ? result.execution.slippageModel : '',
+                totalFees: result.totalFees || 0,
+                totalSlippage: result.totalSlippage || 0,
+                exchangeRules: result.execution ? result.execution.exchangeRules : '',
+                holdoutPercent: result.execution ? result.execution.holdoutPercent : '',
+                droppedByRules: result.droppedByRules || 0,
+                closedLots: result.closedLots || 0,
+                liquidations: result.liquidations || 0,
+                maxMarginUsage: result.maxMarginUsage || 0,
+                avgMarginUsage: result.avgMarginUsage || 0,
+                worstMarginRatio: result.worstMarginRatio || 0,
+                ordersPlaced: result.ordersPlaced || 0,
+                ordersFilled: result.ordersFilled || 0,
+                ordersExpired: result.ordersExpired || 0,
+                ordersCancelled: result.ordersCancelled || 0,
+                fillRate: result.fillRate || 0,
                 hasError: !!result.error,
                 errorMessage: result.error || ''
             };
@@ -1143,15 +1889,28 @@ class ResultsDisplay {
             ).join(','))
         ].join('\n');
         
-        this.downloadFile(csvContent, 'backtest-results.csv', 'text/csv');
+        this.downloadFile(csvContent, `${this.getExportBaseName()}.csv`, 'text/csv');
     }
 
     /**
      * Download JSON file
      */
     downloadJSON(data) {
-        const jsonContent = JSON.stringify(data, null, 2);
-        this.downloadFile(jsonContent, 'backtest-results.json', 'application/json');
+        const exportData = this.runInfo && this.runInfo.incomplete
+            ? { incomplete: true, completed: this.runInfo.completed, total: this.runInfo.total, results: data }
+            : data;
+        const jsonContent = JSON.stringify(exportData, null, 2);
+        this.downloadFile(jsonContent, `${this.getExportBaseName()}.json`, 'application/json');
+    }
+
+    /**
+     * Base file name for result exports (flags partial runs)
+     */
+    getExportBaseName() {
+        if (this.walkForwardReport) {
+            return this.walkForwardReport.incomplete ? 'walk-forward-incomplete' : 'walk-forward';
+        }
+        return this.runInfo && this.runInfo.incomplete ? 'backtest-results-incomplete' : 'backtest-results';
     }
 
     /**
@@ -1171,6 +1930,9 @@ class ResultsDisplay {
      */
     clear() {
         this.currentResults = null;
+        this.runInfo = null;
+        this.benchmark = null;
+        this.walkForwardReport = null;
         this.tradeCache.clear();
         this.resultsContainer.style.display = 'none';
         this.showNoResults();
@@ -191,6 +191,13 @@ class ScriptEditor {
             'positionSize', 'volatilityWindow', 'rsiPeriod',
             'fastMA', 'slowMA', 'rsiOverbought', 'rsiOversold'
         ];
+
+        // Candle context fields (the `data` argument)
+        const dataFields = [
+            'open', 'high', 'low', 'close', 'volume', 'quoteVolume', 'trades',
+            'timestamps', 'hl2', 'hlc3', 'ohlc4', 'candles', 'length',
+            'symbol', 'interval'
+        ];
         
         let suggestions = [];
         
@@ -213,6 +220,14 @@ class ScriptEditor {
                     displayText: param,
                     className: 'hint-param'
                 }));
+        } else if (/\bdata\./.test(lineText)) {
+            suggestions = dataFields
+                .filter(field => field.toLowerCase().includes(word.toLowerCase()))
+                .map(field => ({
+                    text: field,
+                    displayText: field,
+                    className: 'hint-param'
+                }));
         } else {
             // General JavaScript suggestions
             const jsKeywords = ['const', 'let', 'var', 'function', 'return', 'if', 'else', 'for', 'while'];
@@ -411,7 +426,7 @@ class ScriptEditor {
         
         try {
             // Basic syntax check
-            new Function('signalPrices', 'executionPrices', 'params', 'TechnicalIndicators', this.currentScript);
+            StrategyScriptRunner.createFunction(this.currentScript);
             statusElement.innerHTML = '<span class="status-ready">✅ Script Syntax OK</span>';
             
             if (this.validationEnabled) {
@@ -448,56 +463,18 @@ class ScriptEditor {
     /**
      * Execute the user's script
      */
-    executeScript(signalPrices, executionPrices, params) {
-        try {
-            // Validate inputs
-            if (!Array.isArray(signalPrices)) {
-                throw new Error(`signalPrices is not an array. Type: ${typeof signalPrices}`);
-            }
-            
-            if (!Array.isArray(executionPrices)) {
-                throw new Error(`executionPrices is not an array. Type: ${typeof executionPrices}`);
-            }
-            
-            // Create a sandboxed function with the user's script
-            const userFunction = new Function(
-                'signalPrices', 
-                'executionPrices', 
-                'params', 
-                'TechnicalIndicators',
-                this.currentScript
-            );
-            
-            // Execute the script
-            const result = userFunction(signalPrices, executionPrices, params, TechnicalIndicators);
-            
-            // Validate result
-            if (!Array.isArray(result)) {
-                throw new Error('Script must return an array of signals');
-            }
-            
-            if (result.length !== signalPrices.length) {
-                throw new Error(`Signal array length (${result.length}) must match price array length (${signalPrices.length})`);
-            }
-            
-            // Validate signal values
-            for (let i = 0; i < result.length; i++) {
-                const signal = result[i];
-                if (signal !== -1 && signal !== 0 && signal !== 1) {
-                    throw new Error(`Invalid signal at index ${i}: ${signal}. Signals must be -1, 0, or 1`);
-                }
-            }
-            
-            return {
-                signals: result,
-                signalCount: result.filter(s => s !== 0).length,
-                length: result.length
-            };
-            
-        } catch (error) {
-            console.error('[Muuned] Script execution error:', error);
-            throw new Error(`Script execution failed: ${error.message}`);
+    executeScript(signalPrices, executionPrices, params, context = null) {
+        return this.getScriptRunner().executeScript(signalPrices, executionPrices, params, context);
+    }
+
+    /**
+     * Get a runner for the current script (recompiled only when the script changes)
+     */
+    getScriptRunner() {
+        if (!this.scriptRunner || this.scriptRunner.getCurrentScript() !== this.currentScript) {
+            this.scriptRunner = new StrategyScriptRunner(this.currentScript);
         }
+        return this.scriptRunner;
     }
 
     /**
@@ -529,6 +506,9 @@ class ScriptEditor {
     getDefaultScript() {
         return `// EMA Differential Strategy with Pine Script Functions
 // Generate trading signals based on volatility-adaptive EMA
+// Full candle data is available as data.open/high/low/close/volume, data.timestamps, data.symbol, ...
+// Return -1/0/1 per candle, or order objects such as { side: 'buy', type: 'limit', price: 100, size: 0.5, tif: 5 }
+// (with the Script Target Exposure sizing model, { target: 0.5 } holds half the full position)
 
 // Calculate rolling volatility
 const volatility = TechnicalIndicators.rollingStd(signalPrices, params.volatilityWindow || 20);
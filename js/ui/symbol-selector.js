@@ -6,6 +6,7 @@ class SymbolSelector {
     constructor(containerId, initialSymbol = 'BTCUSDT') {
         this.container = document.getElementById(containerId);
         this.selectedSymbol = initialSymbol;
+        this.coins = COIN_SYMBOLS; // Searchable list (replaced when another provider is selected)
         this.isOpen = false;
         this.focusedIndex = -1;
         
@@ -17,7 +18,7 @@ class SymbolSelector {
      * Create the symbol selector HTML
      */
     createSelector() {
-        const selectedCoin = getCoinBySymbol(this.selectedSymbol);
+        const selectedCoin = getCoinBySymbol(this.selectedSymbol, this.coins);
         const displayValue = selectedCoin ? formatCoinDisplay(selectedCoin) : this.selectedSymbol;
         
         this.container.innerHTML = `
@@ -77,7 +78,7 @@ class SymbolSelector {
      * Update dropdown with search results
      */
     updateDropdown(query) {
-        const results = searchCoins(query, 5);
+        const results = searchCoins(query, 5, this.coins);
         
         if (results.length === 0) {
             this.dropdown.innerHTML = '<div class="dropdown-item no-results">No coins found</div>';
@@ -155,7 +156,7 @@ class SymbolSelector {
      */
     selectSymbol(symbol) {
         this.selectedSymbol = symbol;
-        const coin = getCoinBySymbol(symbol);
+        const coin = getCoinBySymbol(symbol, this.coins);
         
         if (coin) {
             this.searchInput.value = formatCoinDisplay(coin);
@@ -201,4 +202,14 @@ class SymbolSelector {
     setSymbol(symbol) {
         this.selectSymbol(symbol);
     }
+    
+    /**
+     * Replace the searchable coin list and select a symbol from it
+     * @param {Array} coins - Coin objects ({ symbol, name }); null restores the reference list
+     * @param {string} symbol - Symbol to select
+     */
+    setCoinList(coins, symbol) {
+        this.coins = coins || COIN_SYMBOLS;
+        this.selectSymbol(symbol);
+    }
 }
\ No newline at end of file
@@ -20,7 +20,7 @@ class SyntaxHighlighter {
             'ohlc4', 'hlc3', 'hl2', 'rollingStd', 'smooth'
         ];
         
-        this.constants = ['signalPrices', 'executionPrices', 'TechnicalIndicators'];
+        this.constants = ['signalPrices', 'executionPrices', 'TechnicalIndicators', 'data'];
     }
 
     /**
@@ -88,7 +88,7 @@ class CodeValidator {
         
         // Basic syntax check
         try {
-            new Function('signalPrices', 'executionPrices', 'params', 'TechnicalIndicators', code);
+            StrategyScriptRunner.createFunction(code);
         } catch (error) {
             issues.push({
                 type: 'syntax',
@@ -51,6 +51,21 @@ class MathUtils {
         return stdDev === 0 ? 0 : meanExcessReturn / stdDev;
     }
 
+    /**
+     * Calculate Sortino ratio (mean excess return over the downside deviation)
+     * @param {Array<number>} returns - Array of return values
+     * @param {number} targetReturn - Minimum acceptable return (default 0)
+     * @returns {number} Sortino ratio
+     */
+    static sortinoRatio(returns, targetReturn = 0) {
+        if (!returns || returns.length === 0) return 0;
+
+        const excessReturns = returns.map(ret => ret - targetReturn);
+        const downsideDeviation = Math.sqrt(this.mean(excessReturns.map(ret => Math.pow(Math.min(ret, 0), 2))));
+
+        return downsideDeviation === 0 ? 0 : this.mean(excessReturns) / downsideDeviation;
+    }
+
     /**
      * Calculate maximum value in array
      * @param {Array<number>} values - Array of numbers
@@ -215,6 +230,31 @@ class MathUtils {
         return { maxDrawdown, maxDrawdownPercent, peakIndex, troughIndex };
     }
 
+    /**
+     * Calculate the longest drawdown: periods from a peak until the value is back at it
+     * (or the end of the series if it never recovers)
+     * @param {Array<number>} values - Array of portfolio values
+     * @returns {number} Longest drawdown in periods
+     */
+    static maxDrawdownDuration(values) {
+        if (!values || values.length === 0) return 0;
+
+        let peak = values[0];
+        let peakIndex = 0;
+        let maxDuration = 0;
+
+        for (let i = 1; i < values.length; i++) {
+            if (values[i] >= peak) {
+                peak = values[i];
+                peakIndex = i;
+            } else {
+                maxDuration = Math.max(maxDuration, i - peakIndex);
+            }
+        }
+
+        return maxDuration;
+    }
+
     /**
      * Calculate Value at Risk (VaR)
      * @param {Array<number>} returns - Array of return values
@@ -304,6 +344,94 @@ class MathUtils {
         return a + (b - a) * this.clamp(t, 0, 1);
     }
 
+    /**
+     * Standard normal probability density
+     * @param {number} z - Standard score
+     * @returns {number} Density at z
+     */
+    static normalPdf(z) {
+        return Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+    }
+
+    /**
+     * Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+     * @param {number} z - Standard score
+     * @returns {number} Probability of a value at or below z
+     */
+    static normalCdf(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+        return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+    }
+
+    /**
+     * Cholesky decomposition of a symmetric positive-definite matrix
+     * @param {Array<Array<number>>} matrix - Square matrix
+     * @returns {Array<Array<number>>} Lower-triangular L with L * L^T = matrix
+     */
+    static cholesky(matrix) {
+        const n = matrix.length;
+        const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = matrix[i][j];
+                for (let k = 0; k < j; k++) {
+                    sum -= lower[i][k] * lower[j][k];
+                }
+
+                if (i === j) {
+                    if (sum <= 0) {
+                        throw new Error('Matrix is not positive definite');
+                    }
+                    lower[i][i] = Math.sqrt(sum);
+                } else {
+                    lower[i][j] = sum / lower[j][j];
+                }
+            }
+        }
+
+        return lower;
+    }
+
+    /**
+     * Solve L * x = b for a lower-triangular L (forward substitution)
+     * @param {Array<Array<number>>} lower - Lower-triangular matrix
+     * @param {Array<number>} b - Right-hand side
+     * @returns {Array<number>} Solution x
+     */
+    static forwardSubstitution(lower, b) {
+        const x = new Array(b.length);
+        for (let i = 0; i < b.length; i++) {
+            let sum = b[i];
+            for (let k = 0; k < i; k++) {
+                sum -= lower[i][k] * x[k];
+            }
+            x[i] = sum / lower[i][i];
+        }
+        return x;
+    }
+
+    /**
+     * Solve A * x = b given the Cholesky factor L of A
+     * @param {Array<Array<number>>} lower - Cholesky factor (see cholesky)
+     * @param {Array<number>} b - Right-hand side
+     * @returns {Array<number>} Solution x
+     */
+    static choleskySolve(lower, b) {
+        const y = this.forwardSubstitution(lower, b);
+        const x = new Array(b.length);
+        for (let i = b.length - 1; i >= 0; i--) {
+            let sum = y[i];
+            for (let k = i + 1; k < b.length; k++) {
+                sum -= lower[k][i] * x[k];
+            }
+            x[i] = sum / lower[i][i];
+        }
+        return x;
+    }
+
     /**
      * Calculate percentage change
      * @param {number} oldValue - Original value
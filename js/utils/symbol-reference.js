@@ -78,18 +78,19 @@ const COIN_SYMBOLS = [
  * Search coins by symbol or name
  * @param {string} query - Search query
  * @param {number} limit - Maximum results to return
+ * @param {Array} coins - Coin list to search (defaults to the Binance reference list)
  * @returns {Array} Matching coins
  */
-function searchCoins(query, limit = 5) {
+function searchCoins(query, limit = 5, coins = COIN_SYMBOLS) {
     if (!query || query.length < 1) {
         // Return default top 5 coins when no query
-        return COIN_SYMBOLS.slice(0, 5);
+        return coins.slice(0, 5);
     }
     
     const searchTerm = query.toLowerCase().trim();
     
     // Filter coins that match symbol or name
-    const matches = COIN_SYMBOLS.filter(coin => {
+    const matches = coins.filter(coin => {
         const symbolMatch = coin.symbol.toLowerCase().includes(searchTerm);
         const nameMatch = coin.name.toLowerCase().includes(searchTerm);
         return symbolMatch || nameMatch;
@@ -125,10 +126,24 @@ function searchCoins(query, limit = 5) {
 /**
  * Get coin by symbol
  * @param {string} symbol - Trading symbol (e.g., "BTCUSDT")
+ * @param {Array} coins - Coin list to search (defaults to the Binance reference list)
  * @returns {Object|null} Coin object or null if not found
  */
-function getCoinBySymbol(symbol) {
-    return COIN_SYMBOLS.find(coin => coin.symbol === symbol) || null;
+function getCoinBySymbol(symbol, coins = COIN_SYMBOLS) {
+    return coins.find(coin => coin.symbol === symbol) || null;
+}
+
+/**
+ * Build a searchable coin list from a provider's symbols
+ * Names are borrowed from the reference list where the base asset is known
+ * @param {Array} symbols - Array of { symbol, base, quote } from a MarketDataProvider
+ * @returns {Array} Coin objects ({ symbol, name })
+ */
+function buildCoinList(symbols) {
+    return symbols.map(({ symbol, base }) => {
+        const reference = getCoinBySymbol(`${base === 'XBT' ? 'BTC' : base}USDT`);
+        return { symbol, name: reference ? reference.name : base };
+    });
 }
 
 /**
@@ -433,7 +433,7 @@ class ValidationUtils {
      * @returns {Object} Validation result
      */
     static validateFile(file, constraints = {}) {
-        const { maxSize = 10 * 1024 * 1024, allowedTypes = [] } = constraints; // 10MB default
+        const { maxSize = 10 * 1024 * 1024, allowedTypes = [], allowedExtensions = [] } = constraints; // 10MB default
         
         if (!file) {
             return { isValid: false, error: 'No file selected' };
@@ -453,6 +453,19 @@ class ValidationUtils {
             };
         }
         
+        // Browsers report CSV MIME types inconsistently, so extensions are checked by name
+        const fileName = (file.name || '').toLowerCase();
+        if (allowedExtensions.length > 0 && !allowedExtensions.some(ext => fileName.endsWith(ext))) {
+            return { 
+                isValid: false, 
+                error: `Invalid file extension. Allowed extensions: ${allowedExtensions.join(', ')}` 
+            };
+        }
+        
+        if (file.size === 0) {
+            return { isValid: false, error: 'File is empty' };
+        }
+        
         return { isValid: true };
     }
 }
\ No newline at end of file
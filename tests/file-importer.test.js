@@ -0,0 +1,63 @@
+/**
+ * Decimal commas and thousands separators in imported price files.
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const context = loadScripts(['js/data/file-importer.js']);
+const FileDataImporter = context.evaluate('FileDataImporter');
+
+/**
+ * Import CSV text and return the candles' closes
+ */
+function importCloses(lines) {
+    const importer = new FileDataImporter();
+    const table = importer.parse(lines.join('\n'), 'prices.csv');
+    const { candles } = importer.buildCandles(table, importer.guessColumnMapping(table));
+    return candles.map(candle => candle.close);
+}
+
+test('; files read decimal commas', () => {
+    const closes = importCloses([
+        'timestamp;open;high;low;close;volume',
+        '2024-01-01 00:00;42100,5;42200,25;42000,75;42123,5;12,5',
+        '2024-01-01 01:00;42123,5;42300;42100;42250,1;8,25'
+    ]);
+    assert.deepStrictEqual(Array.from(closes), [42123.5, 42250.1]);
+});
+
+test('; files read thousands-grouped prices settled by a decimal point', () => {
+    const closes = importCloses([
+        'timestamp;open;high;low;close;volume',
+        '2024-01-01 00:00;42,100;42,200.25;42,000;42,123;12.5',
+        '2024-01-01 01:00;42,123;42,300;42,100;42,250;8'
+    ]);
+    assert.deepStrictEqual(Array.from(closes), [42123, 42250]);
+});
+
+test('; files read thousands-grouped prices settled by several groups', () => {
+    const closes = importCloses([
+        'timestamp;open;high;low;close',
+        '2024-01-01 00:00;1042100;1042200;1042000;1,042,123',
+        '2024-01-01 01:00;1042123;1042300;1042100;1,042,250'
+    ]);
+    assert.deepStrictEqual(Array.from(closes), [1042123, 1042250]);
+});
+
+test('; files whose commas could mean either are rejected', () => {
+    assert.throws(() => importCloses([
+        'timestamp;open;high;low;close',
+        '2024-01-01 00:00;42,100;42,200;42,000;42,123',
+        '2024-01-01 01:00;42,123;42,300;42,100;42,250'
+    ]), /decimal comma or a thousands separator/);
+});
+
+test('a column mixing decimal commas and decimal points is rejected', () => {
+    assert.throws(() => importCloses([
+        'timestamp;open;high;low;close',
+        '2024-01-01 00:00;42100,5;42200;42000;42123,5',
+        '2024-01-01 01:00;42123.5;42300;42100;42250'
+    ]), /mixes decimal commas and decimal points/);
+});
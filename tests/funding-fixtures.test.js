@@ -0,0 +1,117 @@
+/**
+ * Funding settlement against the Binance futures fixtures (synthetic sample data in the
+ * /fapi/v1 wire formats): which events a position pays, and the debit/credit amounts.
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const context = loadScripts([
+    'js/utils/math-utils.js',
+    'js/data/market-data-provider.js',
+    'js/data/binance-symbol-filters.js',
+    'js/data/binance-api.js',
+    'js/data/binance-futures-api.js',
+    'js/data/fixtures/fixture-server.js',
+    'js/data/fixtures/binance-futures-fixtures.js',
+    'js/strategy/indicators.js',
+    'js/strategy/backtester.js'
+], {
+    fetch: (url) => Promise.reject(new Error(`Unexpected network request: ${url}`))
+});
+const PortfolioBacktester = context.evaluate('PortfolioBacktester');
+
+const HOUR = 3600000;
+const EIGHT_AM = Date.UTC(2024, 0, 1, 8);
+const FOUR_PM = Date.UTC(2024, 0, 1, 16);
+
+/**
+ * Candles and funding events of 2024-01-01 and 2024-01-02 through the futures adapter
+ */
+async function loadFixtureData() {
+    const server = new (context.evaluate('FixtureServer'))();
+    const provider = new (context.evaluate('BinanceFuturesAPI'))({ fetch: server.fetch });
+    const candles = await provider.fetchHistoricalData('BTCUSDT', '1h', '2024-01-01', '2024-01-02T23:00:00Z');
+    const fundingRates = await provider.fetchFundingRates('BTCUSDT', '2024-01-01', '2024-01-03');
+    return { candles, fundingRates };
+}
+
+/**
+ * Trade the signals at the next bar's open and return the backtester
+ */
+function runSignals(data, signalsAt, options = {}) {
+    const backtester = new PortfolioBacktester({
+        startingAmount: 10000,
+        executionTiming: 'nextBarOpen',
+        fundingRates: data.fundingRates,
+        ...options
+    });
+    const signals = data.candles.map(candle => signalsAt[candle.timestamp] || 0);
+    backtester.run(data.candles, signals);
+    return backtester;
+}
+
+/**
+ * Funding a position of `coins` (positive long, negative short) pays over the events in [from, to)
+ */
+function expectedFunding(data, coins, from, to) {
+    return data.fundingRates
+        .filter(event => event.timestamp >= from && event.timestamp < to)
+        .reduce((sum, event) => sum + coins * event.markPrice * event.rate, 0);
+}
+
+test('the fixture funding events parse with their mark prices', async () => {
+    const { fundingRates } = await loadFixtureData();
+    assert.ok(fundingRates.length >= 4);
+    const event = fundingRates.find(entry => entry.timestamp >= EIGHT_AM && entry.timestamp < EIGHT_AM + HOUR);
+    assert.strictEqual(event.rate, 0.00037874);
+    assert.strictEqual(event.markPrice, 41332.71783526);
+});
+
+test('a long opened at the open of a funding candle pays that event', async () => {
+    const data = await loadFixtureData();
+    // Buy fills at the 08:00 open, the sell at the 17:00 open: the 08:00 and 16:00 events are held
+    const backtester = runSignals(data, { [EIGHT_AM - HOUR]: 1, [FOUR_PM]: -1 });
+    const coins = backtester.trades[0].amount;
+
+    assert.strictEqual(backtester.trades[0].timestamp, EIGHT_AM);
+    assert.strictEqual(backtester.fundingEvents, 2);
+    assert.ok(Math.abs(backtester.totalFunding - expectedFunding(data, coins, EIGHT_AM, FOUR_PM + HOUR)) < 1e-9);
+    assert.ok(backtester.totalFunding > 0, 'longs pay positive rates');
+});
+
+test('a position closed at the open of a funding candle does not pay that event', async () => {
+    const data = await loadFixtureData();
+    // Buy fills at the 01:00 open, the sell at the 08:00 open, before the 08:00 event
+    const backtester = runSignals(data, { [Date.UTC(2024, 0, 1, 0)]: 1, [EIGHT_AM - HOUR]: -1 });
+
+    assert.strictEqual(backtester.fundingEvents, 0);
+    assert.strictEqual(backtester.totalFunding, 0);
+});
+
+test('a short receives positive funding rates', async () => {
+    const data = await loadFixtureData();
+    // The buy at the 17:00 open reverses into a long, so the run ends with that candle
+    const firstDay = { ...data, candles: data.candles.filter(candle => candle.timestamp <= FOUR_PM + HOUR) };
+    const backtester = runSignals(firstDay, { [EIGHT_AM - HOUR]: -1, [FOUR_PM]: 1 }, { positionMode: 'longShort' });
+    const coins = backtester.trades[0].amount;
+
+    assert.strictEqual(backtester.trades[0].type, 'sell');
+    assert.strictEqual(backtester.fundingEvents, 2);
+    assert.ok(Math.abs(backtester.totalFunding - expectedFunding(data, -coins, EIGHT_AM, FOUR_PM + HOUR)) < 1e-9);
+    assert.ok(backtester.totalFunding < 0, 'shorts receive positive rates');
+});
+
+test('a long receives a negative funding rate', async () => {
+    const data = await loadFixtureData();
+    const eightAm = Date.UTC(2024, 0, 2, 8);
+    // Held from the 08:00 open to the 09:00 open on 2024-01-02
+    const backtester = runSignals(data, { [eightAm - HOUR]: 1, [eightAm]: -1 });
+    const event = data.fundingRates.find(entry => entry.timestamp >= eightAm);
+    const coins = backtester.trades[0].amount;
+
+    assert.ok(event.rate < 0);
+    assert.strictEqual(backtester.fundingEvents, 1);
+    assert.ok(Math.abs(backtester.totalFunding - coins * event.markPrice * event.rate) < 1e-9);
+});
@@ -0,0 +1,41 @@
+/**
+ * Script Loader for Tests
+ * Runs the app's browser scripts in one shared Node vm context, the way the page's
+ * classic <script> tags share the window's global scope.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Create a context and run scripts in it
+ * @param {Array<string>} files - Script paths relative to the repository root, in page order
+ * @param {Object} globals - Extra globals (e.g. a fetch that fails the test)
+ * @returns {Object} The context; its globals are read with context.evaluate('Name')
+ */
+function loadScripts(files, globals = {}) {
+    const context = {
+        console: { log() {}, info() {}, warn() {}, error() {} },
+        setTimeout,
+        clearTimeout,
+        URL,
+        URLSearchParams,
+        AbortController,
+        performance: require('perf_hooks').performance,
+        navigator: { hardwareConcurrency: 1 },
+        ...globals
+    };
+    context.window = context;
+    context.self = context;
+    vm.createContext(context);
+
+    for (const file of files) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+    context.evaluate = (expression) => vm.runInContext(expression, context);
+    return context;
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,86 @@
+/**
+ * In-memory market data cache of the app: purging a persistent cache dataset drops
+ * every loaded data set that read it, as main candles or as bar magnifier candles.
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const context = loadScripts([
+    'js/data/market-data-provider.js',
+    'js/data/binance-symbol-filters.js',
+    'js/data/binance-api.js',
+    'js/data/binance-futures-api.js',
+    'js/data/coinbase-api.js',
+    'js/data/kraken-api.js',
+    'js/data/bybit-api.js',
+    'js/data/market-data-providers.js',
+    'js/data/fixtures/fixture-server.js',
+    'js/data/fixtures/binance-fixtures.js',
+    'js/data/data-manager.js',
+    'js/app.js'
+], {
+    fetch: (url) => Promise.reject(new Error(`Unexpected network request: ${url}`)),
+    document: {
+        addEventListener() {},
+        getElementById: () => ({ innerHTML: '' })
+    }
+});
+
+/**
+ * An app with just the parts loadMarketData uses, serving Binance from the fixtures
+ */
+function createApp() {
+    const app = Object.create(context.evaluate('MuunedApp').prototype);
+    const FixtureServer = context.evaluate('FixtureServer');
+    const DataManager = context.evaluate('DataManager');
+    Object.assign(app, {
+        candleStore: null,
+        // A copy of the registered bundles, so the server does not inject the bundle scripts
+        fixtureServer: new FixtureServer({ ...context.evaluate('MARKET_DATA_FIXTURES') }),
+        providers: new Map(),
+        dataManager: new DataManager(),
+        progressBar: { show() {}, updateProgress() {}, getCurrentProgress: () => 0 },
+        cacheManager: { refresh() {} },
+        marketDataCache: new Map(),
+        marketDataSources: new Map()
+    });
+    return app;
+}
+
+const config = (interval, magnifierInterval = '') => ({
+    source: 'api',
+    provider: 'binance',
+    symbol: 'BTCUSDT',
+    interval: interval,
+    magnifierInterval: magnifierInterval,
+    startDate: '2024-01-01',
+    endDate: '2024-01-02'
+});
+
+test('purging the magnifier interval drops the data sets magnified with it', async () => {
+    const app = createApp();
+    const magnified = config('1h', '15m');
+    const plain = config('1h');
+    await app.loadMarketData(magnified);
+    await app.loadMarketData(plain);
+    assert.strictEqual(app.marketDataCache.size, 2);
+
+    app.clearMarketDataCache({ symbol: 'BTCUSDT', interval: '15m' });
+    assert.ok(!app.marketDataCache.has(app.generateMarketDataCacheKey(magnified)));
+    assert.ok(app.marketDataCache.has(app.generateMarketDataCacheKey(plain)));
+});
+
+test('purging the main interval drops magnified data sets too', async () => {
+    const app = createApp();
+    await app.loadMarketData(config('1h', '15m'));
+    await app.loadMarketData(config('1h'));
+
+    app.clearMarketDataCache({ symbol: 'ETHUSDT', interval: '1h' });
+    assert.strictEqual(app.marketDataCache.size, 2);
+
+    app.clearMarketDataCache({ symbol: 'BTCUSDT', interval: '1h' });
+    assert.strictEqual(app.marketDataCache.size, 0);
+    assert.strictEqual(app.marketDataSources.size, 0);
+});
@@ -0,0 +1,82 @@
+/**
+ * Market data adapters against the local fixtures, without a network.
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const DATA_SCRIPTS = [
+    'js/data/market-data-provider.js',
+    'js/data/binance-symbol-filters.js',
+    'js/data/binance-api.js',
+    'js/data/binance-futures-api.js',
+    'js/data/coinbase-api.js',
+    'js/data/kraken-api.js',
+    'js/data/bybit-api.js',
+    'js/data/market-data-providers.js',
+    'js/data/fixtures/fixture-server.js',
+    'js/data/fixtures/binance-fixtures.js',
+    'js/data/fixtures/binance-futures-fixtures.js',
+    'js/data/fixtures/coinbase-fixtures.js',
+    'js/data/fixtures/kraken-fixtures.js',
+    'js/data/fixtures/bybit-fixtures.js'
+];
+
+const context = loadScripts(DATA_SCRIPTS, {
+    fetch: (url) => Promise.reject(new Error(`Unexpected network request: ${url}`))
+});
+const FixtureServer = context.evaluate('FixtureServer');
+const createMarketDataProvider = context.evaluate('createMarketDataProvider');
+
+for (const entry of context.evaluate('MARKET_DATA_PROVIDERS')) {
+    test(`${entry.id} downloads a day of 1h candles from its fixtures`, async () => {
+        const server = new FixtureServer();
+        const provider = createMarketDataProvider(entry.id, { fetch: server.fetch });
+
+        const symbols = await provider.getSymbols();
+        assert.ok(symbols.some(symbol => symbol.symbol === provider.getDefaultSymbol()));
+
+        const candles = await provider.fetchHistoricalData(provider.getDefaultSymbol(), '1h', '2024-01-01', '2024-01-02');
+        assert.strictEqual(candles.length, 25);
+        assert.strictEqual(candles[0].timestamp, Date.UTC(2024, 0, 1));
+        candles.forEach((candle, index) => {
+            if (index > 0) {
+                assert.strictEqual(candle.timestamp - candles[index - 1].timestamp, 3600000);
+            }
+            for (const field of ['open', 'high', 'low', 'close', 'volume']) {
+                assert.ok(Number.isFinite(candle[field]), `${field} of candle ${index}`);
+            }
+            assert.ok(candle.high >= Math.max(candle.open, candle.close));
+            assert.ok(candle.low <= Math.min(candle.open, candle.close));
+        });
+        assert.ok(server.requests.length > 0);
+    });
+}
+
+test('binance candles keep the wire values', async () => {
+    const server = new FixtureServer();
+    const provider = createMarketDataProvider('binance', { fetch: server.fetch });
+    const candles = await provider.fetchHistoricalData('BTCUSDT', '1h', '2024-01-01', '2024-01-02');
+    const first = context.evaluate('BINANCE_FIXTURE_KLINES')[0];
+
+    assert.deepStrictEqual(
+        [candles[0].open, candles[0].high, candles[0].low, candles[0].close, candles[0].volume],
+        Array.from(first.slice(1, 6), Number)
+    );
+});
+
+test('the mark price provider reads markPriceKlines', async () => {
+    const server = new FixtureServer();
+    const provider = createMarketDataProvider('binance-futures-mark', { fetch: server.fetch });
+    await provider.fetchHistoricalData('BTCUSDT', '1h', '2024-01-01', '2024-01-02');
+
+    assert.ok(server.requests.every(url => !url.includes('/klines?') || url.includes('markPriceKlines')));
+    assert.ok(server.requests.some(url => url.includes('/fapi/v1/markPriceKlines')));
+});
+
+test('unknown routes answer 404 instead of reaching the network', async () => {
+    const server = new FixtureServer();
+    const response = await server.fetch('https://api.binance.com/api/v3/unknown');
+    assert.strictEqual(response.status, 404);
+});
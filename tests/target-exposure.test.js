@@ -0,0 +1,51 @@
+/**
+ * Target exposure orders pick their side at the price they fill at, not the candle's open.
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const context = loadScripts([
+    'js/utils/math-utils.js',
+    'js/strategy/indicators.js',
+    'js/strategy/backtester.js'
+]);
+const PortfolioBacktester = context.evaluate('PortfolioBacktester');
+
+const HOUR = 3600000;
+
+const candles = [
+    { open: 100, high: 100, low: 100, close: 100 },
+    { open: 100, high: 120, low: 80, close: 100 },
+    { open: 100, high: 100, low: 100, close: 100 }
+].map((candle, index) => ({ timestamp: Date.UTC(2024, 0, 1) + index * HOUR, volume: 1000, ...candle }));
+
+const target = (exposure) => ({ side: 0, type: 'market', price: null, size: 1, tif: 0, target: exposure });
+
+/**
+ * Fill at the candle's worst price for the side: 50% exposure on the first candle, then the given target
+ */
+function runWorstPrice(secondTarget) {
+    const backtester = new PortfolioBacktester({
+        sizingModel: 'target',
+        executionPrice: 'worst',
+        feesAndSlippage: 0
+    });
+    backtester.run(candles, [target(0.5), target(secondTarget), 0]);
+    return backtester.trades;
+}
+
+test('a target held across the candle range makes no trade', () => {
+    // At the open the position is on target; a buy at the high or a sell at the low would overshoot
+    const trades = runWorstPrice(0.5);
+    assert.strictEqual(trades.length, 1);
+});
+
+test('a rebalance is sized at the price it fills at', () => {
+    const trades = runWorstPrice(0.8);
+    assert.strictEqual(trades.length, 2);
+    assert.strictEqual(trades[1].price, 120);
+    // 80% of the equity at the fill price, 5000 USDT + 50 coins at 120
+    assert.ok(Math.abs((trades[1].amount + 50) * 120 - 0.8 * 11000) < 1e-6);
+});
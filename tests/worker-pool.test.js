@@ -0,0 +1,84 @@
+/**
+ * Worker pool failures: a slice whose worker errors or crashes comes back as failed results
+ * instead of failing the whole sweep. Workers are simulated in-process.
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+/**
+ * Stand-in for a backtest worker: { fail } parameter sets report an error for their slice,
+ * { crash } ones crash the worker, the others return a result
+ */
+class FakeWorker {
+    constructor() {
+        this.terminated = false;
+    }
+
+    postMessage(message) {
+        setTimeout(() => {
+            if (this.terminated) return;
+            if (message.parameterSets.some(params => params.crash)) {
+                this.onerror({ message: 'out of memory', preventDefault() {} });
+            } else if (message.parameterSets.some(params => params.fail)) {
+                this.onmessage({ data: { type: 'error', jobId: message.jobId, message: 'script failed' } });
+            } else {
+                const results = message.parameterSets.map(params => ({ parameters: params, finalValue: 1 }));
+                this.onmessage({ data: { type: 'result', jobId: message.jobId, results } });
+            }
+        }, 0);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+const context = loadScripts([
+    'js/utils/math-utils.js',
+    'js/strategy/indicators.js',
+    'js/data/data-manager.js',
+    'js/strategy/backtester.js',
+    'js/strategy/worker-pool.js'
+], { Worker: FakeWorker });
+const BacktestWorkerPool = context.evaluate('BacktestWorkerPool');
+
+/**
+ * A pool of fake workers, started without the data packing of init()
+ */
+function createPool(size) {
+    const pool = new BacktestWorkerPool({ size: size, sliceSize: 1 });
+    for (let i = 0; i < size; i++) {
+        pool.workers.push(new FakeWorker());
+    }
+    return pool;
+}
+
+test('a slice that errors on a worker becomes failed results', async () => {
+    const pool = createPool(2);
+    const results = await pool.run([{ id: 1 }, { id: 2, fail: true }, { id: 3 }, { id: 4 }]);
+
+    assert.strictEqual(results.length, 4);
+    const failed = results.filter(result => result.error);
+    assert.strictEqual(failed.length, 1);
+    assert.strictEqual(failed[0].parameters.id, 2);
+    assert.match(failed[0].error, /script failed/);
+});
+
+test('a crashed worker fails its slice and the others finish the sweep', async () => {
+    const pool = createPool(2);
+    const results = await pool.run([{ id: 1, crash: true }, { id: 2 }, { id: 3 }, { id: 4 }]);
+
+    assert.strictEqual(results.length, 4);
+    assert.deepStrictEqual(Array.from(results.filter(result => result.error), result => result.parameters.id), [1]);
+    assert.strictEqual(pool.workers.length, 1);
+});
+
+test('when every worker crashes the remaining slices fail', async () => {
+    const pool = createPool(1);
+    const results = await pool.run([{ id: 1, crash: true }, { id: 2 }, { id: 3 }]);
+
+    assert.strictEqual(results.length, 3);
+    assert.ok(results.every(result => /Worker crashed: out of memory/.test(result.error)));
+});
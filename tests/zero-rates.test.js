@@ -0,0 +1,57 @@
+/**
+ * Explicit zero rates (a zero-fee venue, no maintenance margin) are kept, not replaced by the defaults.
+ * Run with: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const context = loadScripts([
+    'js/utils/math-utils.js',
+    'js/strategy/indicators.js',
+    'js/strategy/backtester.js'
+]);
+const BacktestEngine = context.evaluate('BacktestEngine');
+const PortfolioBacktester = context.evaluate('PortfolioBacktester');
+
+const HOUR = 3600000;
+
+/**
+ * Flat candles closing at the given prices
+ */
+function makeCandles(closes) {
+    return closes.map((close, index) => ({
+        timestamp: Date.UTC(2024, 0, 1) + index * HOUR,
+        open: close,
+        high: close,
+        low: close,
+        close: close,
+        volume: 1000
+    }));
+}
+
+const marketConfig = { startingDenomination: 'usdt', startingAmount: 10000 };
+
+test('a zero-fee run pays no fees', () => {
+    const candles = makeCandles([100, 100, 110, 110]);
+    const backtester = BacktestEngine.createBacktester(PortfolioBacktester, { feesSlippage: 0 }, marketConfig);
+    assert.strictEqual(backtester.feesAndSlippage, 0);
+
+    const metrics = backtester.run(candles, [0, 1, -1, 0]);
+    assert.strictEqual(backtester.totalFeesPaid, 0);
+    assert.strictEqual(metrics.finalValue, 11000);
+});
+
+test('a zero maintenance margin liquidates only when equity runs out', () => {
+    const config = { ...marketConfig, marginMode: true, leverage: 2, maintenanceMargin: 0 };
+    assert.deepStrictEqual(Array.from(PortfolioBacktester.validateConfig({ ...config, feesAndSlippage: 0 }).errors), []);
+    assert.strictEqual(BacktestEngine.getExecutionSettings(config).maintenanceMargin, 0);
+
+    const backtester = BacktestEngine.createBacktester(PortfolioBacktester, { feesSlippage: 0 }, config);
+    assert.strictEqual(backtester.maintenanceMargin, 0);
+
+    backtester.run(makeCandles([100, 100, 100]), [0, 1, 0]);
+    assert.ok(backtester.coinBalance > 0 && backtester.usdtBalance < 0);
+    // Equity coins * P + usdt reaches zero at the liquidation price
+    assert.strictEqual(backtester.getLiquidationPrice(), -backtester.usdtBalance / backtester.coinBalance);
+});
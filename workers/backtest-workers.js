@@ -0,0 +1,77 @@
+/**
+ * Backtest Worker
+ * Runs slices of parameter sets off the main thread. The pool sends the market
+ * data once ('init'), then any number of 'run' jobs (optionally limited to a candle
+ * range), and receives progress and results back as messages.
+ */
+importScripts(
+    '../js/utils/math-utils.js',
+    '../js/strategy/indicators.js',
+    '../js/strategy/script-runner.js',
+    '../js/strategy/custom-strategy.js',
+    '../js/data/data-manager.js',
+    '../js/strategy/backtester.js'
+);
+
+const PROGRESS_INTERVAL = 25; // Post progress every N completed combinations
+
+let processedData = null;
+let marketConfig = null;
+let engine = null;
+
+/**
+ * Store market data and compile the strategy script
+ */
+function handleInit(message) {
+    processedData = DataManager.unpackTransferred(message.data);
+    marketConfig = message.marketConfig;
+    engine = new BacktestEngine({ scriptRunner: new StrategyScriptRunner(message.script) });
+
+    self.postMessage({ type: 'ready' });
+}
+
+/**
+ * Run one slice of parameter sets and stream progress back
+ */
+async function handleRun(message) {
+    if (!engine) {
+        throw new Error('Worker received a job before market data was initialized');
+    }
+
+    const { jobId, parameterSets, range } = message;
+    const results = [];
+
+    for (let i = 0; i < parameterSets.length; i++) {
+        const params = parameterSets[i];
+        try {
+            results.push(await engine.runSingle(processedData, params, marketConfig, range));
+        } catch (error) {
+            results.push(BacktestEngine.createErrorResult(params, error));
+        }
+
+        if ((i + 1) % PROGRESS_INTERVAL === 0) {
+            self.postMessage({ type: 'progress', jobId, completed: i + 1 });
+        }
+    }
+
+    self.postMessage({ type: 'result', jobId, results });
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    try {
+        switch (message.type) {
+            case 'init':
+                handleInit(message);
+                break;
+            case 'run':
+                await handleRun(message);
+                break;
+            default:
+                throw new Error(`Unknown message type: ${message.type}`);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId: message.jobId, message: error.message });
+    }
+};